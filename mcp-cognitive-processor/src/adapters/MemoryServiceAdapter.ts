@@ -5,8 +5,33 @@
  */
 
 import { IMemoryService } from '../interfaces/IMemoryService.js';
-import { MemoryItem, MemoryResult } from '../models/types.js';
-import MemoryService from '../services/memoryService.js';
+import {
+  ConnectedMemoryItem,
+  MemoryConsolidationResult,
+  MemoryDeleteResult,
+  MemoryEdge,
+  MemoryFilter,
+  MemoryExportOptions,
+  MemoryExportResult,
+  MemoryGraphQueryOptions,
+  MemoryImportOptions,
+  MemoryImportResult,
+  MemoryItem,
+  MemoryItemUpdate,
+  MemoryNeighbor,
+  MemoryPath,
+  MemoryResult,
+  MemoryRetrievalOptions,
+  MemoryRevision,
+  MemoryScope,
+  MemorySubgraph,
+  MemoryUpdateResult,
+  ScoredMemoryItem
+} from '../models/types.js';
+import MemoryService, { DEFAULT_NAMESPACE, DEFAULT_RELATION } from '../services/memoryService.js';
+import MemoryGraphService from '../services/memoryGraphService.js';
+import MemoryConsolidationService from '../services/memoryConsolidationService.js';
+import MemoryTransferService from '../services/memoryTransferService.js';
 
 /**
  * Adapter for the Memory Service
@@ -34,20 +59,43 @@ export class MemoryServiceAdapter implements IMemoryService {
    * Retrieves memory items based on a query
    * @param query - The query to search for
    * @param limit - Maximum number of items to retrieve (optional)
+   * @param scope - Namespace to search, or allNamespaces to search every namespace (optional)
    * @returns Array of memory results with relevance scores
    * @complexity O(n) where n is the number of memory items
    */
-  async retrieveMemory(query: string, limit?: number): Promise<MemoryItem[]> {
-    return MemoryService.retrieveMemory(query, limit);
+  async retrieveMemory(query: string, limit?: number, scope?: MemoryScope): Promise<MemoryItem[]> {
+    return MemoryService.retrieveMemory(query, limit, scope);
+  }
+  
+  /**
+   * Searches memory and explains how each result was scored
+   * @param query - The query to search for
+   * @param limit - Maximum number of items to retrieve (optional)
+   * @param options - Namespace selection, fusion method, signal weights and RRF constant (optional)
+   * @returns Scored items with per-signal explanations, best first
+   * @complexity O(log n) ANN search plus O(c log c) fusion over c candidates
+   */
+  async searchMemory(query: string, limit?: number, options?: MemoryRetrievalOptions): Promise<ScoredMemoryItem[]> {
+    return MemoryService.searchMemory(query, limit, options);
   }
   
   /**
    * Gets all memory items
+   * @param scope - Namespace selection (optional, every namespace when omitted)
    * @returns Array of all memory items
    * @complexity O(1) for direct retrieval
    */
-  async getAllMemoryItems(): Promise<MemoryItem[]> {
-    return MemoryService.getAllMemoryItems();
+  async getAllMemoryItems(scope?: MemoryScope): Promise<MemoryItem[]> {
+    return MemoryService.getAllMemoryItems(scope);
+  }
+  
+  /**
+   * Gets the namespaces that hold memory items
+   * @returns Sorted namespace names
+   * @complexity O(n) where n is the number of memory items
+   */
+  async getMemoryNamespaces(): Promise<string[]> {
+    return MemoryService.getMemoryNamespaces();
   }
   
   /**
@@ -70,13 +118,56 @@ export class MemoryServiceAdapter implements IMemoryService {
     }
   }
   
+  /**
+   * Updates a memory item and records the change in its edit history
+   * @param itemId - The ID of the item to update
+   * @param changes - New content, type, importance and/or connections
+   * @returns The updated item and its new revision (null if nothing changed)
+   * @complexity O(n) to persist, plus one embedding when the content changes
+   */
+  async updateMemory(itemId: string, changes: MemoryItemUpdate): Promise<MemoryUpdateResult> {
+    return MemoryService.updateMemoryItem(itemId, changes);
+  }
+  
+  /**
+   * Deletes memory items with their vectors and the connections pointing at them
+   * @param target - Item IDs and/or a filter
+   * @param dryRun - Only report which items would be deleted (optional)
+   * @returns The deleted IDs, unknown IDs and the number of detached items
+   * @complexity O(n) where n is the number of memory items
+   */
+  async deleteMemories(target: { ids?: string[]; filter?: MemoryFilter }, dryRun?: boolean): Promise<MemoryDeleteResult> {
+    return MemoryService.deleteMemories(target, dryRun);
+  }
+  
+  /**
+   * Gets the edit history of a memory item, including deleted items
+   * @param itemId - The ID of the memory item
+   * @returns Revisions, oldest first
+   * @complexity O(r) where r is the number of revisions
+   */
+  async getMemoryHistory(itemId: string): Promise<MemoryRevision[]> {
+    return MemoryService.getMemoryHistory(itemId);
+  }
+  
+  /**
+   * Rolls a memory item back to its state before a revision, restoring it if deleted
+   * @param itemId - The ID of the memory item
+   * @param revision - The revision to undo, together with every later revision
+   * @returns The restored item and the revision recording the rollback
+   * @complexity O(r) where r is the number of revisions, plus one embedding when the content changes
+   */
+  async rollbackMemory(itemId: string, revision: number): Promise<MemoryUpdateResult> {
+    return MemoryService.rollbackMemoryItem(itemId, revision);
+  }
+  
   /**
    * Gets connected memory items
    * @param itemId - The ID of the item to get connections for
-   * @returns Array of connected memory items
+   * @returns Array of connected memory items with the relation and weight of each edge
    * @complexity O(n) where n is the number of memory items
    */
-  async getConnectedMemories(itemId: string): Promise<MemoryItem[]> {
+  async getConnectedMemories(itemId: string): Promise<ConnectedMemoryItem[]> {
     // Delegate to the actual implementation if available
     if (typeof MemoryService.getConnectedMemories === 'function') {
       return MemoryService.getConnectedMemories(itemId);
@@ -85,7 +176,9 @@ export class MemoryServiceAdapter implements IMemoryService {
       const item = await this.getMemoryById(itemId);
       if (item && item.connections && item.connections.length > 0) {
         const allItems = await this.getAllMemoryItems();
-        return allItems.filter(i => item.connections.includes(i.id));
+        return allItems
+          .filter(i => item.connections.includes(i.id))
+          .map(i => ({ ...i, relation: DEFAULT_RELATION, weight: 1 }));
       }
       return [];
     }
@@ -94,28 +187,34 @@ export class MemoryServiceAdapter implements IMemoryService {
   /**
    * Gets memory items by type
    * @param type - The type of memory items to retrieve
+   * @param scope - Namespace selection (optional, every namespace when omitted)
    * @returns Array of memory items of the specified type
    * @complexity O(n) where n is the number of memory items
    */
-  async getMemoryItemsByType(type: MemoryItem['type']): Promise<MemoryItem[]> {
+  async getMemoryItemsByType(type: MemoryItem['type'], scope?: MemoryScope): Promise<MemoryItem[]> {
     // Delegate to the actual implementation if available
     if (typeof MemoryService.getMemoryItemsByType === 'function') {
-      return MemoryService.getMemoryItemsByType(type);
+      return MemoryService.getMemoryItemsByType(type, scope);
     } else {
       // Fallback implementation
-      const allItems = await this.getAllMemoryItems();
+      const allItems = await this.getAllMemoryItems(scope);
       return allItems.filter(item => item.type === type);
     }
   }
   
   /**
    * Gets memory statistics
-   * @returns Memory system statistics
+   * @param scope - Namespace selection (optional, every namespace when omitted)
+   * @returns Memory system statistics, including per-namespace counts
    * @complexity O(n) where n is the number of memory items
    */
-  async getMemoryStats(): Promise<{
+  async getMemoryStats(scope?: MemoryScope): Promise<{
     totalItems: number;
     byType: Record<string, number>;
+    byNamespace: Record<string, {
+      totalItems: number;
+      byType: Record<string, number>;
+    }>;
     averageConnections: number;
     topConnected: Array<{
       id: string;
@@ -124,19 +223,26 @@ export class MemoryServiceAdapter implements IMemoryService {
   }> {
     // Delegate to the actual implementation if available
     if (typeof MemoryService.getMemoryStats === 'function') {
-      return MemoryService.getMemoryStats();
+      return MemoryService.getMemoryStats(scope);
     } else {
       // Fallback implementation
-      const allItems = await this.getAllMemoryItems();
+      const allItems = await this.getAllMemoryItems(scope);
       
       // Calculate statistics
       const byType: Record<string, number> = {};
+      const byNamespace: Record<string, { totalItems: number; byType: Record<string, number> }> = {};
       let totalConnections = 0;
       
       const itemsWithConnectionCounts = allItems.map(item => {
         // Count by type
         byType[item.type] = (byType[item.type] || 0) + 1;
         
+        // Count by namespace
+        const namespace = item.namespace || DEFAULT_NAMESPACE;
+        byNamespace[namespace] = byNamespace[namespace] || { totalItems: 0, byType: {} };
+        byNamespace[namespace].totalItems++;
+        byNamespace[namespace].byType[item.type] = (byNamespace[namespace].byType[item.type] || 0) + 1;
+        
         // Count connections
         const connectionCount = item.connections?.length || 0;
         totalConnections += connectionCount;
@@ -155,6 +261,7 @@ export class MemoryServiceAdapter implements IMemoryService {
       return {
         totalItems: allItems.length,
         byType,
+        byNamespace,
         averageConnections: allItems.length > 0 ? totalConnections / allItems.length : 0,
         topConnected
       };
@@ -170,35 +277,108 @@ export class MemoryServiceAdapter implements IMemoryService {
     return MemoryService.performMemoryMaintenance();
   }
   
+  /**
+   * Consolidates similar episodic memories and expires old working memories
+   * @returns Number of clusters, merged, promoted (semantic), procedural and expired items
+   * @complexity O(n log n) where n is the number of episodic items
+   */
+  async consolidateMemories(): Promise<MemoryConsolidationResult> {
+    return MemoryConsolidationService.consolidateMemories();
+  }
+  
+  /**
+   * Exports memory items to a portable JSONL or archive document
+   * @param options - Destination file, format, vector inclusion and filter (optional)
+   * @returns The number of items exported, and the export itself when no path is given
+   * @complexity O(n) where n is the number of memory items
+   */
+  async exportMemories(options?: MemoryExportOptions): Promise<MemoryExportResult> {
+    return MemoryTransferService.exportMemories(options);
+  }
+  
+  /**
+   * Imports memory items from an export file or export content
+   * @param source - A file path or the export content
+   * @param options - Conflict handling and filter (optional)
+   * @returns Counts of imported, overwritten, merged, skipped, filtered and re-embedded items
+   * @complexity O(n) plus one embedding per item without a current vector
+   */
+  async importMemories(source: { path?: string; content?: string }, options?: MemoryImportOptions): Promise<MemoryImportResult> {
+    return MemoryTransferService.importMemories(source, options);
+  }
+  
   /**
    * Connects two memory items
    * @param sourceId - The ID of the source memory item
    * @param targetId - The ID of the target memory item
+   * @param relation - The relationship type (optional)
+   * @param weight - Strength of the relationship (optional)
    * @returns Promise that resolves when the connection is created
    * @complexity O(1) for connection operation
    */
-  async connectMemories(sourceId: string, targetId: string): Promise<void> {
-    // Get the source memory item
-    const sourceItem = await this.getMemoryById(sourceId);
-    
-    if (!sourceItem) {
-      throw new Error(`Source memory item not found: ${sourceId}`);
-    }
-    
-    // Check if the target memory item exists
-    const targetItem = await this.getMemoryById(targetId);
-    
-    if (!targetItem) {
-      throw new Error(`Target memory item not found: ${targetId}`);
-    }
-    
-    // Add the target ID to the source item's connections if not already present
-    if (!sourceItem.connections.includes(targetId)) {
-      const updatedConnections = [...sourceItem.connections, targetId];
-      
-      // Update the source item's connections
-      await this.updateMemoryConnections(sourceId, updatedConnections);
-    }
+  async connectMemories(sourceId: string, targetId: string, relation?: string, weight?: number): Promise<void> {
+    await this.linkMemories(sourceId, targetId, relation, weight);
+  }
+  
+  /**
+   * Creates or updates a typed edge between two memory items
+   * @param sourceId - The ID of the source memory item
+   * @param targetId - The ID of the target memory item
+   * @param relation - The relationship type (optional)
+   * @param weight - Strength of the relationship (optional)
+   * @returns The stored edge
+   * @complexity O(1) for the update, O(n) to persist
+   */
+  async linkMemories(sourceId: string, targetId: string, relation?: string, weight?: number): Promise<MemoryEdge> {
+    return MemoryGraphService.linkMemories(sourceId, targetId, relation, weight);
+  }
+  
+  /**
+   * Removes edges between two memory items
+   * @param sourceId - The ID of the source memory item
+   * @param targetId - The ID of the target memory item
+   * @param relation - Only remove edges of this relation (optional)
+   * @returns Number of edges removed
+   * @complexity O(k) where k is the number of edges on the source item
+   */
+  async unlinkMemories(sourceId: string, targetId: string, relation?: string): Promise<number> {
+    return MemoryGraphService.unlinkMemories(sourceId, targetId, relation);
+  }
+  
+  /**
+   * Gets the direct neighbours of a memory item
+   * @param itemId - The ID of the memory item
+   * @param options - Relation filter and direction (optional)
+   * @returns Neighbouring items with the connecting edge
+   * @complexity O(E) where E is the number of edges
+   */
+  async getMemoryNeighbors(itemId: string, options?: MemoryGraphQueryOptions): Promise<MemoryNeighbor[]> {
+    return MemoryGraphService.getMemoryNeighbors(itemId, options);
+  }
+  
+  /**
+   * Finds the lowest-cost path between two memory items within a number of hops
+   * @param sourceId - Where the path starts
+   * @param targetId - Where the path ends
+   * @param options - Relation filter and direction (optional)
+   * @param maxHops - Maximum number of edges on the path (optional)
+   * @returns The path, or null if the items are not connected within the hop limit
+   * @complexity O(maxHops * V * E) in the worst case
+   */
+  async findMemoryPath(sourceId: string, targetId: string, options?: MemoryGraphQueryOptions, maxHops?: number): Promise<MemoryPath | null> {
+    return MemoryGraphService.findMemoryPath(sourceId, targetId, options, maxHops);
+  }
+  
+  /**
+   * Gets the subgraph reachable from a memory item within a number of hops
+   * @param rootId - The ID of the starting memory item
+   * @param depth - Maximum number of hops (optional)
+   * @param options - Relation filter and direction (optional)
+   * @returns The reachable items and the edges between them
+   * @complexity O(depth * E)
+   */
+  async getMemorySubgraph(rootId: string, depth?: number, options?: MemoryGraphQueryOptions): Promise<MemorySubgraph> {
+    return MemoryGraphService.getMemorySubgraph(rootId, depth, options);
   }
   
   /**
@@ -208,12 +388,6 @@ export class MemoryServiceAdapter implements IMemoryService {
    * @complexity O(1) for direct lookup
    */
   async getMemoryById(id: string): Promise<MemoryItem | null> {
-    // Get all memory items
-    const allItems = await MemoryService.getAllMemoryItems();
-    
-    // Find the item with the matching ID
-    const item = allItems.find(item => item.id === id);
-    
-    return item || null;
+    return MemoryService.getMemoryById(id);
   }
 }
\ No newline at end of file
@@ -0,0 +1,272 @@
+/**
+ * Server Bootstrap
+ * Loads the environment and composes the services the MCP server runs on from feature toggles:
+ * which model providers are created, whether model calls fall back across them, whether the
+ * server runs offline, and the transport
+ */
+
+import * as dotenv from 'dotenv';
+import * as fs from 'fs';
+import * as path from 'path';
+import { mcpConfig } from './config/mcp-config.js';
+import { ServiceFactory } from './factories/ServiceFactory.js';
+import { IAIService } from './interfaces/IAIService.js';
+import { ICacheService } from './interfaces/ICacheService.js';
+import { IMemoryService } from './interfaces/IMemoryService.js';
+import { BootstrapOptions, ServerInfo } from './models/types.js';
+import { ClaudeServiceAdapter } from './services/ClaudeServiceAdapter.js';
+import { DeepSeekServiceAdapter } from './services/DeepSeekServiceAdapter.js';
+import { GeminiServiceOpenAI } from './services/GeminiServiceOpenAI.js';
+import { GoogleFlashServiceAdapter } from './services/GoogleFlashServiceAdapter.js';
+import { ModelFallbackService } from './services/ModelFallbackService.js';
+import { O1MiniService } from './services/O1MiniService.js';
+import { OfflineAIService } from './services/OfflineAIService.js';
+import { OpenAICompatibleService, getModelProviderConfigs } from './services/OpenAICompatibleService.js';
+import { ThinkingServiceImpl } from './services/ThinkingServiceImpl.js';
+import { getCacheConfig } from './services/cacheService.js';
+import { getEmbeddingProvider } from './services/embeddingService.js';
+import { getTransportOptions } from './transport/httpTransport.js';
+import { TokenOptimizerImpl } from './utils/TokenOptimizerImpl.js';
+
+// Get current directory path in ESM
+const __filename = new URL(import.meta.url).pathname;
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_PROVIDERS = ['gemini', 'o1-mini'];
+
+type ModelProviderFactory = (env: NodeJS.ProcessEnv) => IAIService;
+
+/**
+ * The services the MCP server runs on
+ */
+export interface ComposedServices {
+  thinkingService: ThinkingServiceImpl;
+  memoryService: IMemoryService;
+  cacheService: ICacheService;
+  tokenOptimizer: TokenOptimizerImpl;
+  aiService: IAIService; // The fallback service, or the only provider when fallback is off
+  info: ServerInfo;
+}
+
+const requireApiKey = (env: NodeJS.ProcessEnv, variable: string, provider: string): string => {
+  const apiKey = env[variable];
+  if (!apiKey) {
+    throw new Error(`${variable} is required for the ${provider} model provider`);
+  }
+  return apiKey;
+};
+
+// Registered model providers, selectable through --providers or MCP_PROVIDERS
+const providerFactories: Map<string, ModelProviderFactory> = new Map([
+  ['gemini', (env: NodeJS.ProcessEnv) => new GeminiServiceOpenAI(requireApiKey(env, 'OPENROUTER_API_KEY', 'gemini'))],
+  ['gemini-flash', (env: NodeJS.ProcessEnv) => new GoogleFlashServiceAdapter(requireApiKey(env, 'OPENROUTER_API_KEY', 'gemini-flash'))],
+  ['o1-mini', (env: NodeJS.ProcessEnv) => new O1MiniService(requireApiKey(env, 'OPENROUTER_API_KEY', 'o1-mini'))],
+  ['claude', (env: NodeJS.ProcessEnv) => ClaudeServiceAdapter.getInstance(requireApiKey(env, 'CLAUDE_API_KEY', 'claude'))],
+  ['deepseek', (env: NodeJS.ProcessEnv) => DeepSeekServiceAdapter.getInstance(requireApiKey(env, 'DEEPSEEK_API_KEY', 'deepseek'))],
+  ['offline', () => new OfflineAIService()]
+] as [string, ModelProviderFactory][]);
+
+// OpenAI-compatible providers configured in modelProviders, such as a local Ollama server
+Object.keys(getModelProviderConfigs()).forEach(name => {
+  providerFactories.set(name, (env: NodeJS.ProcessEnv) => new OpenAICompatibleService(name, getModelProviderConfigs(env)[name]));
+});
+
+/**
+ * Registers a model provider under a name
+ * @param name - Name used in --providers and MCP_PROVIDERS
+ * @param factory - Creates the provider from the environment, throwing if it cannot be configured
+ */
+export const registerModelProvider = (name: string, factory: ModelProviderFactory): void => {
+  providerFactories.set(name, factory);
+};
+
+/**
+ * Lists the names of the registered model providers
+ */
+export const getModelProviderNames = (): string[] => Array.from(providerFactories.keys());
+
+/**
+ * Loads the .env file and creates the data directories
+ * The .env file next to the build directory is preferred over one in the working directory.
+ */
+export const loadEnvironment = (): void => {
+  const envResult = dotenv.config({ path: path.resolve(__dirname, '../.env') });
+  console.log('Trying to load .env from:', path.resolve(__dirname, '../.env'));
+
+  if (envResult.error) {
+    console.warn('Failed to load .env file from expected path, trying current directory...');
+    const currentEnvPath = path.resolve(process.cwd(), '.env');
+    console.log('Trying to load .env from:', currentEnvPath);
+    if (fs.existsSync(currentEnvPath)) {
+      dotenv.config({ path: currentEnvPath });
+      console.log('Loaded .env file from current directory');
+    } else {
+      console.warn('No .env file found. Environment variables must be set manually.');
+    }
+  } else {
+    console.log('Successfully loaded .env file');
+  }
+
+  // Log environment variable status (without exposing the actual key)
+  console.log('OPENROUTER_API_KEY status:', process.env.OPENROUTER_API_KEY ? 'Set' : 'Not set');
+
+  // Ensure we use a relative path for data directory if not already set
+  if (!process.env.MCP_DB_DIR) {
+    process.env.MCP_DB_DIR = path.join(__dirname, '../data');
+  }
+  const DB_DIR = process.env.MCP_DB_DIR;
+  const directories = [
+    path.join(DB_DIR, 'cache'),
+    path.join(DB_DIR, 'memory'),
+    path.join(DB_DIR, 'token_history'),
+    path.join(DB_DIR, 'thinking'),
+    path.join(DB_DIR, 'optimization')
+  ];
+
+  directories.forEach(dir => {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  });
+};
+
+/**
+ * Reads the feature toggles
+ * The --providers (comma separated), --fallback / --no-fallback and --offline flags take precedence
+ * over the MCP_PROVIDERS, MCP_FALLBACK and MCP_OFFLINE environment variables; the transport is read
+ * by getTransportOptions. Offline mode uses only the offline provider, and is switched on when
+ * neither it nor the providers are configured and OPENROUTER_API_KEY is not set.
+ * @param argv - Command line arguments (defaults to those of the process)
+ * @param env - Environment variables (defaults to those of the process)
+ */
+export const getBootstrapOptions = (
+  argv: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): BootstrapOptions => {
+  const flag = (name: string): string | undefined => {
+    const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].slice(argv[index].indexOf('=') + 1) : argv[index + 1];
+  };
+
+  const providerSetting = flag('providers') ?? env.MCP_PROVIDERS;
+  const providers = providerSetting !== undefined
+    ? providerSetting.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+  if (providers.length === 0) {
+    throw new Error('At least one model provider is required');
+  }
+
+  let fallback = true;
+  if (argv.includes('--no-fallback')) {
+    fallback = false;
+  } else if (!argv.includes('--fallback') && env.MCP_FALLBACK !== undefined) {
+    if (env.MCP_FALLBACK !== 'true' && env.MCP_FALLBACK !== 'false') {
+      throw new Error(`Invalid MCP_FALLBACK "${env.MCP_FALLBACK}". Use true or false`);
+    }
+    fallback = env.MCP_FALLBACK === 'true';
+  }
+
+  let offline: boolean | undefined;
+  if (argv.includes('--offline')) {
+    offline = true;
+  } else if (env.MCP_OFFLINE !== undefined) {
+    if (env.MCP_OFFLINE !== 'true' && env.MCP_OFFLINE !== 'false') {
+      throw new Error(`Invalid MCP_OFFLINE "${env.MCP_OFFLINE}". Use true or false`);
+    }
+    offline = env.MCP_OFFLINE === 'true';
+  }
+  if (offline === undefined && providerSetting === undefined && !env.OPENROUTER_API_KEY) {
+    console.warn('OPENROUTER_API_KEY is not set, so the server runs offline. Set MCP_OFFLINE=false to require it');
+    offline = true;
+  }
+
+  return {
+    transport: getTransportOptions(argv, env),
+    providers: offline ? ['offline'] : providers,
+    fallback: offline ? false : fallback,
+    offline: offline === true
+  };
+};
+
+/**
+ * Creates the model providers and the services that depend on them
+ * With fallback on, model calls go through the fallback service, which tries the providers in the
+ * order given; with fallback off, only the first provider is created and used.
+ * @param options - The feature toggles
+ * @param env - Environment variables holding the provider API keys (defaults to those of the process)
+ * @throws If a provider is unknown or its API key is missing
+ */
+export const composeServices = async (
+  options: BootstrapOptions,
+  env: NodeJS.ProcessEnv = process.env
+): Promise<ComposedServices> => {
+  const providerNames = options.fallback ? options.providers : options.providers.slice(0, 1);
+  if (!options.fallback && options.providers.length > 1) {
+    console.warn(`Fallback is off, so only the ${providerNames[0]} model provider is used`);
+  }
+
+  const providers = providerNames.map(name => {
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      throw new Error(`Unknown model provider "${name}". Use one of: ${getModelProviderNames().join(', ')}`);
+    }
+    return { name, service: factory(env) };
+  });
+
+  let aiService: IAIService = providers[0].service;
+  let fallbackProviders: string[] = [];
+  if (options.fallback) {
+    const fallbackService = ModelFallbackService.getInstance({
+      timeout: 30000,
+      maxRetries: 3,
+      healthCheckInterval: 60000
+    });
+    // Providers listed first get the highest priority
+    providers.forEach(({ name, service }, index) => {
+      fallbackService.registerProvider(name, service, providers.length - index, 1.0);
+    });
+    aiService = fallbackService;
+    fallbackProviders = fallbackService.getActiveProviders();
+  }
+
+  const tokenOptimizer = TokenOptimizerImpl.getInstance();
+  await tokenOptimizer.init();
+  console.log('Token optimizer initialized successfully');
+
+  const thinkingService = new ThinkingServiceImpl(ServiceFactory, tokenOptimizer, mcpConfig, aiService);
+  const offline = aiService instanceof OfflineAIService;
+  if (offline) {
+    console.warn('Running offline: model queries are answered locally and responses are flagged offline');
+  }
+  const { transport, host, port } = options.transport;
+
+  return {
+    thinkingService,
+    memoryService: ServiceFactory.getMemoryService(),
+    cacheService: ServiceFactory.getCacheService(),
+    tokenOptimizer,
+    aiService,
+    info: {
+      name: mcpConfig.name,
+      version: mcpConfig.version,
+      startedAt: new Date().toISOString(),
+      transport: transport === 'http' ? { type: transport, host, port } : { type: transport },
+      providers: providers.map(({ name, service }) => ({ name, service: service.constructor.name })),
+      fallback: { enabled: options.fallback, providers: fallbackProviders },
+      offline,
+      thinkingService: { aiService: aiService.constructor.name },
+      cache: { backend: getCacheConfig().backend },
+      embeddings: { provider: getEmbeddingProvider().id }
+    }
+  };
+};
+
+// Export as both named exports and as default object
+export default {
+  registerModelProvider,
+  getModelProviderNames,
+  loadEnvironment,
+  getBootstrapOptions,
+  composeServices
+};
@@ -151,7 +151,8 @@ export const mcpConfig: MCPConfig = {
         name: 'working_memory',
         description: 'Short-term active memory for current processing',
         capacity: 'limited',
-        persistenceLevel: 'temporary'
+        persistenceLevel: 'temporary',
+        sessionLifetimeHours: 24
       },
       {
         name: 'episodic_memory',
@@ -161,6 +162,11 @@ export const mcpConfig: MCPConfig = {
         indexing: {
           method: "semantic",
           features: ["timestamp", "problem_type", "solution_pattern"]
+        },
+        consolidation: {
+          similarityThreshold: 0.8,
+          minClusterSize: 2,
+          maxClusterSize: 20
         }
       },
       {
@@ -173,7 +179,86 @@ export const mcpConfig: MCPConfig = {
           relationshipTypes: ["is_a", "has_a", "requires", "implements"]
         }
       }
-    ]
+    ],
+    forgetting: {
+      halfLifeDays: {
+        working: 1,
+        episodic: 30,
+        semantic: 180,
+        procedural: 365
+      },
+      retrievalBoost: 0.2,
+      hitSimilarity: 0.5,
+      archiveThreshold: 0.05
+    },
+    retrieval: {
+      fusion: 'rrf',
+      weights: {
+        vector: 0.6,
+        lexical: 0.3,
+        strength: 0.1
+      },
+      rrfK: 60,
+      typeBoosts: {
+        working: 1.5,
+        episodic: 1.0,
+        semantic: 1.2,
+        procedural: 0.8
+      }
+    },
+    maxImportBytes: 512 * 1024 * 1024 // 512MB once decompressed
+  },
+  cache: {
+    backend: 'file',
+    maxEntries: 5000,
+    maxSizeBytes: 200 * 1024 * 1024, // 200MB
+    ttl: {
+      default: 24 * 60 * 60 * 1000, // 24 hours
+      reasoning_cache: 48 * 60 * 60 * 1000, // 48 hours
+      thinking_cache: 24 * 60 * 60 * 1000, // 24 hours
+      generation_cache: 7 * 24 * 60 * 60 * 1000, // 7 days
+      processing_cache: 60 * 60 * 1000 // 1 hour
+    },
+    hotEntries: 500,
+    maxSnapshotBytes: 512 * 1024 * 1024, // 512MB once decompressed
+    warmup: {
+      enabled: true,
+      entriesPerType: 20
+    },
+    redis: {
+      url: 'redis://127.0.0.1:6379',
+      keyPrefix: 'mcp:cache:'
+    }
+  },
+  semanticCache: {
+    enabled: true,
+    // With the default hashing embeddings, rewordings of the same request score about 0.9
+    defaultThreshold: 0.9,
+    thresholds: {
+      thinking_cache: 0.9,
+      generation_cache: 0.9
+    },
+    maxEntriesPerType: 1000
+  },
+  // Local model servers with an OpenAI-compatible API. MCP_PROVIDER_<NAME>_BASE_URL, _API_KEY and
+  // _MODEL override these, e.g. MCP_PROVIDER_LM_STUDIO_BASE_URL for lm-studio
+  modelProviders: {
+    ollama: {
+      baseUrl: 'http://127.0.0.1:11434/v1',
+      defaultModel: 'llama3.1'
+    },
+    'llama-cpp': {
+      baseUrl: 'http://127.0.0.1:8080/v1',
+      defaultModel: 'default' // The llama.cpp server answers with the model it was started with
+    },
+    vllm: {
+      baseUrl: 'http://127.0.0.1:8000/v1',
+      defaultModel: 'meta-llama/Llama-3.1-8B-Instruct'
+    },
+    'lm-studio': {
+      baseUrl: 'http://127.0.0.1:1234/v1',
+      defaultModel: 'local-model'
+    }
   },
   preprocessingPipeline: {
     enabled: true,
@@ -190,28 +275,59 @@ export const mcpConfig: MCPConfig = {
     },
     pipelineSteps: [
       {
-        name: 'Initial Preprocessing',
-        description: 'Gemini Flash preprocesses and structures the query',
+        name: 'Flash Preprocessing',
+        description: 'Gemini Flash preprocesses and structures the query, failing over to o1-mini',
         service: 'googleflash',
-        priority: 1
+        fallback: 'o1mini',
+        priority: 1,
+        systemPrompt: `You are a fast preprocessing agent in a three-step processing pipeline.
+Your specific role is STEP 1 - INITIAL PREPROCESSING:
+- Start your response with "STEP 1 ANALYSIS:"
+- Extract key information and entities from the input
+- Identify main themes, topics, and sentiment
+- Structure the information in a clear, organized format
+- Prepare the content for more in-depth analysis by the next step
+- Focus on breadth rather than depth
+- Be comprehensive but concise
+- Your output will be passed to an Advanced Processing agent`,
+        temperature: 0.5,
+        maxTokens: 1500
       },
       {
-        name: 'Advanced Preprocessing',
-        description: 'Gemini Pro further refines the problem structure',
+        name: 'Advanced Processing',
+        description: 'Gemini Pro analyses the structured query in depth',
         service: 'gemini',
-        priority: 2
+        priority: 2,
+        systemPrompt: `You are an advanced processing agent in a three-step pipeline.
+Your specific role is STEP 2 - ADVANCED PROCESSING:
+- Start your response with "STEP 2 ANALYSIS:"
+- Review and build upon the analysis from step 1
+- Perform detailed analysis on the structured information
+- Identify patterns, relationships, and connections
+- Evaluate complexities and nuances in the content
+- Add depth and context to the initial preprocessing
+- Prepare a sophisticated analysis for the final reasoning step
+- Your output will be passed to a Preliminary Reasoning agent`,
+        temperature: 0.7,
+        maxTokens: 2000
       },
       {
         name: 'Preliminary Reasoning',
-        description: 'DeepSeek performs initial reasoning steps and problem analysis',
+        description: 'DeepSeek R1 reasons over the analysis and produces the final result',
         service: 'deepseek',
-        priority: 3
-      },
-      {
-        name: 'Final Reasoning',
-        description: 'Claude finalizes the reasoning process with high-quality insights',
-        service: 'claude',
-        priority: 4
+        priority: 3,
+        systemPrompt: `You are a reasoning agent in a three-step pipeline, performing the final analysis.
+Your specific role is STEP 3 - PRELIMINARY REASONING:
+- Start your response with "STEP 3 ANALYSIS:"
+- Critically evaluate the analysis from steps 1 and 2
+- Apply logical reasoning and analytical thinking
+- Draw conclusions based on the processed information
+- Consider implications, consequences, and alternatives
+- Synthesize insights into a cohesive final analysis
+- Generate the definitive output that incorporates all previous processing
+- Your output is the final result of the entire pipeline`,
+        temperature: 0.3,
+        maxTokens: 3000
       }
     ]
   }
@@ -4,12 +4,13 @@
  * Enhanced with state management for dynamic adjustments during execution
  */
 
-import { MCPConfig, ThinkingModel, ThinkingStep } from '../models/types.js';
+import { MCPConfig, ThinkingModel, ThinkingProgress, ThinkingStep } from '../models/types.js';
 import { TokenOptimizerImpl } from '../utils/TokenOptimizerImpl.js';
 import { BaseThinkingStrategy } from '../strategies/BaseThinkingStrategy.js';
 import { processStructuredThinking } from '../services/intelligenceService.js';
 import { DefaultReasoningStrategySelector } from '../services/strategySelectors/DefaultReasoningStrategySelector.js';
 import { OpenRouterService } from '../services/OpenRouterService.js';
+import { IAIService } from '../interfaces/IAIService.js';
 import { ThinkingEngineState, ExecutionPhase, ProgressMetrics, ResourceUsage } from './ThinkingEngineState.js';
 
 // Type definitions for better type safety and documentation
@@ -50,7 +51,7 @@ export class ThinkingEngine {
   private readonly tokenOptimizer: TokenOptimizerImpl;
   private currentStrategy: BaseThinkingStrategy | null = null;
   private reasoningStrategySelector: IReasoningStrategySelector | null = null;
-  private openRouterService: OpenRouterService | null = null;
+  private modelService: IAIService | null = null;
   private engineState: ThinkingEngineState | null = null;
 
   // Constants for configuration
@@ -64,11 +65,11 @@ export class ThinkingEngine {
     config: MCPConfig,
     tokenOptimizer: TokenOptimizerImpl,
     strategySelector?: IReasoningStrategySelector,
-    openRouterService?: OpenRouterService
+    modelService?: IAIService
   ) {
     this.config = config;
     this.tokenOptimizer = tokenOptimizer;
-    this.initializeServices(strategySelector, openRouterService);
+    this.initializeServices(strategySelector, modelService);
   }
 
   /**
@@ -76,7 +77,7 @@ export class ThinkingEngine {
    */
   private async initializeServices(
     strategySelector?: IReasoningStrategySelector,
-    openRouterService?: OpenRouterService
+    modelService?: IAIService
   ): Promise<void> {
     // Initialize strategy selector
     if (strategySelector) {
@@ -88,8 +89,8 @@ export class ThinkingEngine {
     // Initialize token optimizer
     await this.initializeTokenOptimizer();
 
-    // Initialize OpenRouter service
-    this.openRouterService = openRouterService || 
+    // Initialize the model service, defaulting to OpenRouter
+    this.modelService = modelService || 
       await OpenRouterService.getInstance(process.env.OPENROUTER_API_KEY || '');
   }
 
@@ -149,12 +150,15 @@ export class ThinkingEngine {
       optimizeTokens?: boolean;
       parallelAnalysis?: boolean;
       enableDynamicAdjustment?: boolean;
+      signal?: AbortSignal; // Stops after the current step and aborts its model call
+      onProgress?: (progress: ThinkingProgress) => void; // Called after each completed step
     } = {}
   ): Promise<{
     steps: ThinkingStep[];
     reasoning: string[];
     tokenUsage: number;
     executionTime: number;
+    cancelled?: boolean; // Stopped by the signal; steps holds the steps completed before that
     stateMetrics?: {
       adjustments: Array<{type: string, timestamp: string, details: any}>;
       progressMetrics: ProgressMetrics;
@@ -222,6 +226,7 @@ export class ThinkingEngine {
     reasoning: string[];
     tokenUsage: number;
     executionTime: number;
+    cancelled: boolean;
     stateMetrics?: {
       adjustments: Array<{type: string, timestamp: string, details: any}>;
       progressMetrics: ProgressMetrics;
@@ -238,9 +243,18 @@ export class ThinkingEngine {
     let totalTokens = 0;
     const startTime = Date.now();
 
+    const signal: AbortSignal | undefined = options.signal;
+    let cancelled = false;
+    this.engineState?.setPhase(ExecutionPhase.Execution);
+
     // Execute steps
     const maxSteps = options.maxSteps || 10;
     for (let currentStep = 1; currentStep <= maxSteps; currentStep++) {
+      if (signal?.aborted) {
+        cancelled = true;
+        break;
+      }
+
       const stepResult = await this.executeThinkingStep(
         problem,
         steps,
@@ -250,20 +264,32 @@ export class ThinkingEngine {
         options
       );
 
+      // A step interrupted by cancellation is dropped, the steps before it are kept
+      if (signal?.aborted) {
+        cancelled = true;
+        break;
+      }
+
       if (stepResult.shouldStop) break;
 
-      steps.push({
+      const step: ThinkingStep = {
         id: stepResult.step.id,
         description: stepResult.step.description,
         reasoning: stepResult.step.reasoning,
         tokens: stepResult.step.tokens,
         status: stepResult.step.status,
         timestamp: new Date(stepResult.step.timestamp).toISOString()
-      });
+      };
+      steps.push(step);
       reasoning.push(stepResult.reasoning);
       totalTokens += stepResult.tokens;
+
+      this.engineState?.addStep(step);
+      this.reportProgress(step, currentStep, maxSteps, options.onProgress);
     }
 
+    this.engineState?.setPhase(cancelled ? ExecutionPhase.Cancelled : ExecutionPhase.Completed);
+
     const executionTime = Date.now() - startTime;
     const stateMetrics = this.engineState ? {
       adjustments: this.engineState.getAdjustments(),
@@ -282,6 +308,7 @@ export class ThinkingEngine {
       reasoning,
       tokenUsage: totalTokens,
       executionTime,
+      cancelled,
       stateMetrics,
       optimization
     };
@@ -307,7 +334,7 @@ export class ThinkingEngine {
     const optimizedContext = await this.optimizeContext(stepContext, model, options);
     
     try {
-      const response = await this.queryModel(optimizedContext, model);
+      const response = await this.queryModel(optimizedContext, model, options.signal);
       const analysis = this.analyzeModelResponse(response);
       
       return this.processStepResults(analysis, currentStep, model);
@@ -750,20 +777,48 @@ export class ThinkingEngine {
     `;
   }
 
+  /**
+   * Report the progress of the thinking process after a completed step
+   */
+  private reportProgress(
+    step: ThinkingStep,
+    currentStep: number,
+    maxSteps: number,
+    onProgress?: (progress: ThinkingProgress) => void
+  ): void {
+    if (!onProgress || !this.engineState) {
+      return;
+    }
+
+    try {
+      onProgress({
+        step: currentStep,
+        maxSteps,
+        phase: this.engineState.getCurrentPhase(),
+        description: step.description,
+        tokensUsed: this.engineState.getTokensUsed(),
+        tokenBudgetRemaining: this.engineState.getRemainingTokenBudget()
+      });
+    } catch (error) {
+      console.error('Error reporting thinking progress:', error);
+    }
+  }
+
   /**
    * Query the AI model with proper error handling
    */
-  private async queryModel(context: string, model: ThinkingModel): Promise<any> {
+  private async queryModel(context: string, model: ThinkingModel, signal?: AbortSignal): Promise<any> {
     try {
-      if (!this.openRouterService) {
-        throw new Error('OpenRouter service not initialized');
+      if (!this.modelService) {
+        throw new Error('Model service not initialized');
       }
 
-      const response = await this.openRouterService.query({
+      const response = await this.modelService.query({
         model: model.name,
         messages: [{ role: "user", content: context }],
         maxTokens: ThinkingEngine.DEFAULT_MAX_TOKENS_PER_STEP,
-        temperature: 0.7
+        temperature: 0.7,
+        signal
       });
 
       return response;
@@ -15,7 +15,8 @@ export enum ExecutionPhase {
   Execution = 'execution',
   Conclusion = 'conclusion',
   Error = 'error',
-  Completed = 'completed'
+  Completed = 'completed',
+  Cancelled = 'cancelled'
 }
 
 /**
@@ -134,6 +135,14 @@ export class ThinkingEngineState {
     this.phase = phase;
   }
 
+  public getTokensUsed(): number {
+    return this.tokensUsed;
+  }
+
+  public getRemainingTokenBudget(): number {
+    return Math.max(0, this.initialTokenBudget - this.tokensUsed);
+  }
+
   public addStep(step: ThinkingStep & { 
     id?: string; 
     tokens?: number;
@@ -2,7 +2,6 @@ import { Container } from '../core/Container.js';
 import { IAIService } from '../interfaces/IAIService.js';
 import { ConfigurationService } from '../services/ConfigurationService.js';
 import { HealthMonitoringService } from '../services/HealthMonitoringService.js';
-import { CachingService } from '../services/CachingService.js';
 import { ProcessingService } from '../services/ProcessingService.js';
 import { ModelFallbackService } from '../services/ModelFallbackService.js';
 import { GeminiService } from '../services/GeminiService.js';
@@ -11,13 +10,13 @@ import { ClaudeServiceAdapter } from '../services/ClaudeServiceAdapter.js';
 import { ThinkingServiceImpl } from '../services/ThinkingServiceImpl.js';
 import { TokenOptimizerImpl } from '../utils/TokenOptimizerImpl.js';
 import { MCPConfig } from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
 import { ServiceFactory } from './ServiceFactory.js';
 import { MemoryServiceAdapter } from '../adapters/MemoryServiceAdapter.js';
 import memoryService from '../services/memoryService.js';
 import * as cacheServiceUtils from '../services/cacheService.js';
 import { DeepSeekServiceAdapter } from '../services/DeepSeekServiceAdapter.js';
 import { GoogleFlashServiceAdapter } from '../services/GoogleFlashServiceAdapter.js';
-import { ProcessingPipelineOrchestrator } from '../services/ProcessingPipelineOrchestrator.js';
 
 export class DIServiceFactory {
   private static container: Container = Container.getInstance();
@@ -57,15 +56,7 @@ export class DIServiceFactory {
     const memoryAdapter = new MemoryServiceAdapter();
     this.container.register('memoryService', memoryAdapter);
 
-    // Initialize Caching Service
-    const cachingService = CachingService.getInstance({
-      backend: 'file',
-      persistPath: './data/cache/service-cache.json'
-    });
-    await new Promise(resolve => setTimeout(resolve, 500)); // Add a 500ms delay
-    this.container.register('cachingService', cachingService);
-    
-    // Initialize Cache Service (separate from Caching Service)
+    // Initialize Cache Service (memory, file or Redis backend, see mcpConfig.cache)
     const cacheServiceInstance = cacheServiceUtils.default;
     this.container.register('cacheService', cacheServiceInstance);
     console.log('Registered cacheService in container');
@@ -207,74 +198,21 @@ export class DIServiceFactory {
   
   /**
    * Initialize the Processing Pipeline Orchestrator
-   * Sets up the sequential processing pipeline with all model steps
+   * Builds the pipeline from the pipeline steps in the loaded configuration, or from those in
+   * mcpConfig when it defines none
    */
   private static initializeProcessingPipeline(): void {
     console.log('Initializing Processing Pipeline Orchestrator');
     
     try {
-      // Create pipeline orchestrator with debug mode enabled
-      const pipelineOrchestrator = new ProcessingPipelineOrchestrator(true);
-      
-      // Get service instances
-      const googleFlashService = this.container.get<IAIService>('googleFlashService');
-      const geminiProService = this.container.get<IAIService>('geminiProService');
-      const deepSeekService = this.container.get<IAIService>('deepSeekService');
-      
-      // Try to get Claude service (from direct API or OpenRouter)
-      let claudeService: IAIService;
-      if (this.container.has('claudeService')) {
-        claudeService = this.container.get<IAIService>('claudeService');
-        console.log('Using direct Claude API for pipeline');
-      } else if (this.container.has('claudeOpenRouterService')) {
-        claudeService = this.container.get<IAIService>('claudeOpenRouterService');
-        console.log('Using OpenRouter Claude service for pipeline');
-      } else {
-        // Fallback to Gemini Pro if Claude is not available
-        claudeService = geminiProService;
-        console.log('Claude service not available, using Gemini Pro as fallback for final step');
-      }
-      
-      // Add steps to the pipeline in sequential order
-      pipelineOrchestrator.addStep({
-        name: 'Initial Fast Processing',
-        service: googleFlashService,
-        model: 'google/gemini-2.0-flash-exp-02-05:free',
-        systemPrompt: 'You are a fast preprocessing agent. Extract key information from the input and organize it clearly, focusing on the most relevant details.',
-        temperature: 0.5,
-        maxTokens: 1500
-      });
-      
-      pipelineOrchestrator.addStep({
-        name: 'Advanced Preprocessing',
-        service: geminiProService,
-        model: 'google/gemini-2.0-pro-exp-02-05:free',
-        systemPrompt: 'You are an advanced preprocessing agent. Analyze the input thoroughly, identify patterns, and structure the information in a way that will be optimal for deep reasoning in the next step.',
-        temperature: 0.7,
-        maxTokens: 2000
-      });
-      
-      pipelineOrchestrator.addStep({
-        name: 'Deep Reasoning',
-        service: deepSeekService,
-        model: 'deepseek/deepseek-coder-v2',
-        systemPrompt: 'You are an expert reasoning agent specialized in deep technical analysis. Your task is to perform complex reasoning on the input data, identify implications, and generate insights that could be missed by simpler analysis.',
-        temperature: 0.3,
-        maxTokens: 3000
-      });
-      
-      pipelineOrchestrator.addStep({
-        name: 'Final Integration',
-        service: claudeService,
-        model: claudeService === geminiProService ? 'google/gemini-2.0-pro-exp-02-05:free' : 'anthropic/claude-3-opus-20240229',
-        systemPrompt: 'You are a final integration agent. Your task is to synthesize all the analysis provided, create a cohesive narrative, and present a comprehensive response that addresses all aspects of the original query.',
-        temperature: 0.7,
-        maxTokens: 4000
-      });
+      const configService = this.container.get<ConfigurationService>('configService');
+      const configured = configService.getConfig().preprocessingPipeline;
+      const pipelineConfig = configured?.pipelineSteps?.length ? configured : mcpConfig.preprocessingPipeline;
+      const pipelineOrchestrator = ServiceFactory.createConfiguredPipeline(pipelineConfig);
       
       // Register the pipeline orchestrator in the container
       this.container.register('processingPipeline', pipelineOrchestrator);
-      console.log('Processing Pipeline Orchestrator initialized successfully with 4 steps');
+      console.log(`Processing Pipeline Orchestrator initialized successfully with ${pipelineConfig.pipelineSteps.length} steps`);
       
     } catch (error) {
       console.error('Error initializing Processing Pipeline Orchestrator:', error);
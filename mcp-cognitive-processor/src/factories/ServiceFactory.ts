@@ -7,7 +7,8 @@ import { ThinkingServiceImpl } from '../services/ThinkingServiceImpl.js';
 import { TokenOptimizerImpl } from '../utils/TokenOptimizerImpl.js';
 import { MemoryServiceAdapter } from '../adapters/MemoryServiceAdapter.js';
 import { CacheServiceAdapter } from '../adapters/CacheServiceAdapter.js';
-import { MCPConfig, ThinkingModel, PipelineStep } from '../models/types.js';
+import { MCPConfig, ThinkingModel, PipelineStep, PreprocessingPipelineConfig } from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
 import { StandardThinkingStrategy } from '../strategies/StandardThinkingStrategy.js';
 import { MinimalThinkingStrategy } from '../strategies/MinimalThinkingStrategy.js';
 import { IAIService } from '../interfaces/IAIService.js';
@@ -20,6 +21,21 @@ import { OpenRouterService } from '../services/OpenRouterService.js';
 import { O1MiniService } from '../services/O1MiniService.js';
 import { ProcessingPipelineOrchestrator } from '../services/ProcessingPipelineOrchestrator.js';
 import { ModelFallbackService } from '../services/ModelFallbackService.js';
+import { OpenAICompatibleService, getModelProviderConfigs } from '../services/OpenAICompatibleService.js';
+import { RecordingAIService } from '../services/RecordingAIService.js';
+import { ReplayAIService } from '../services/ReplayAIService.js';
+
+// Models the built-in pipeline step services use when a step names none
+const PIPELINE_SERVICE_MODELS: Record<string, string> = {
+  gemini: 'google/gemini-2.0-pro-exp-02-05:free',
+  claude: 'anthropic/claude-3-opus-20240229',
+  deepseek: 'deepseek/deepseek-r1:free',
+  googleflash: 'google/gemini-2.0-flash-exp-02-05:free',
+  o1mini: 'openai/o1-mini'
+};
+
+// Local model servers can take a while, so a pipeline step fails over only after this long
+const PIPELINE_STEP_TIMEOUT_MS = 120000;
 
 export class ServiceFactory {
   private static cacheService: ICacheService;
@@ -154,110 +170,145 @@ export class ServiceFactory {
     }
     return this.o1MiniService;
   }
+  /**
+   * Records or replays the calls of a pipeline step service
+   * MCP_REPLAY_DIR serves the step's responses from recorded fixtures instead of the service, and
+   * MCP_RECORD_DIR records them while the service answers.
+   */
+  private static withFixtures(service: IAIService): IAIService {
+    if (process.env.MCP_REPLAY_DIR) {
+      return new ReplayAIService(process.env.MCP_REPLAY_DIR);
+    }
+    if (process.env.MCP_RECORD_DIR) {
+      return new RecordingAIService(service, process.env.MCP_RECORD_DIR);
+    }
+    return service;
+  }
+
+  /**
+   * Creates a fresh processing pipeline from the pipeline steps in the configuration
+   * See createConfiguredPipeline.
+   */
   static getProcessingPipelineOrchestrator(): ProcessingPipelineOrchestrator {
-    // Always create a new orchestrator to ensure fresh pipeline with isolated step instances
-    console.log('Creating new ProcessingPipelineOrchestrator with isolated service instances');
-    
-    // Create orchestrator with debug mode
-    this.processingPipelineOrchestrator = new ProcessingPipelineOrchestrator(true);
-    
-    // Create fresh service instances for each step to ensure they make separate API calls
-    console.log('Creating isolated service instances for each pipeline step');
-    
-    // Create new service instances for each step (not reusing existing ones)
-    const apiKey = process.env.OPENROUTER_API_KEY || '';
-    
-    // Step 1: Create a ModelFallbackService with GoogleFlashServiceAdapter as primary and O1Mini as backup
-    console.log('Step 1: Creating ModelFallbackService with Gemini Flash (primary) and O1Mini (backup)');
-    
-    // Create the primary service (Google Flash)
-    const googleFlashService = new GoogleFlashServiceAdapter(apiKey);
-    
-    // Create the backup service (O1Mini)
-    const o1MiniService = new O1MiniService(apiKey);
-    
-    // Create a fallback service for step 1 using getInstance (singleton pattern)
-    const fallbackService = ModelFallbackService.getInstance({
-        timeout: 20000,       // 20 second timeout
-        maxRetries: 2,        // 2 retries max
-        healthCheckInterval: 60000  // Check every minute
-    });
-    
-    // Register providers with the fallback service (Google Flash as primary, O1Mini as backup)
-    fallbackService.registerProvider('gemini-flash', googleFlashService, 2, 1.0);  // Higher priority for primary
-    fallbackService.registerProvider('o1-mini', o1MiniService, 1, 0.8);           // Lower priority for backup
-    
-    console.log('Successfully created fallback service for step 1 with Gemini Flash and O1Mini');
-    
-    // Step 2: Create a dedicated OpenRouter instance for Gemini Pro
-    console.log('Step 2: Creating dedicated OpenRouterService instance for Gemini Pro');
-    const geminiService = OpenRouterService.getInstance(apiKey, {
-      model: 'google/gemini-2.0-pro-exp-02-05:free'
-    });
-    
-    // Step 3: Create a dedicated DeepSeek instance
-    console.log('Step 3: Creating dedicated DeepSeekServiceAdapter instance');
-    const deepSeekService = DeepSeekServiceAdapter.getInstance(apiKey, 'deepseek/deepseek-r1:free');
-    
-    // Add steps with their corresponding service instances
-    console.log('Adding step 1: Flash Preprocessing with fallback to O1Mini');
-    this.processingPipelineOrchestrator.addStep({
-      name: 'Flash Preprocessing',
-      service: fallbackService,
-    model: 'google/gemini-2.0-flash-exp-02-05:free',
-    systemPrompt: `You are a fast preprocessing agent in a three-step processing pipeline.
-Your specific role is STEP 1 - INITIAL PREPROCESSING:
-- Start your response with "STEP 1 ANALYSIS:"
-- Extract key information and entities from the input
-- Identify main themes, topics, and sentiment
-- Structure the information in a clear, organized format
-- Prepare the content for more in-depth analysis by the next step
-- Focus on breadth rather than depth
-- Be comprehensive but concise
-- Your output will be passed to an Advanced Processing agent`,
-    temperature: 0.5,
-    maxTokens: 1500
-  });
+    this.processingPipelineOrchestrator = this.createConfiguredPipeline();
+    return this.processingPipelineOrchestrator;
+  }
 
-  console.log('Adding step 2: Advanced Processing with isolated Gemini service');
-  this.processingPipelineOrchestrator.addStep({
-    name: 'Advanced Processing',
-    service: geminiService,
-    model: 'google/gemini-2.0-pro-exp-02-05:free',
-    systemPrompt: `You are an advanced processing agent in a three-step pipeline.
-Your specific role is STEP 2 - ADVANCED PROCESSING:
-- Start your response with "STEP 2 ANALYSIS:"
-- Review and build upon the analysis from step 1
-- Perform detailed analysis on the structured information
-- Identify patterns, relationships, and connections
-- Evaluate complexities and nuances in the content
-- Add depth and context to the initial preprocessing
-- Prepare a sophisticated analysis for the final reasoning step
-- Your output will be passed to a Preliminary Reasoning agent`,
-    temperature: 0.7,
-    maxTokens: 2000
-  });
+  /**
+   * Gets the service a pipeline step names
+   * @param name - 'gemini', 'claude', 'deepseek', 'googleflash', 'o1mini' or a provider configured in modelProviders
+   * @param model - Model the service uses instead of its usual model
+   * @throws If the name is unknown or the service's API key is missing
+   */
+  static getPipelineStepService(name: string, model?: string): IAIService {
+    switch (name) {
+      case 'gemini':
+        return OpenRouterService.getInstance(this.getOpenRouterApiKey(), { model: model || PIPELINE_SERVICE_MODELS.gemini });
+      case 'claude':
+        return this.getClaudeService();
+      case 'deepseek':
+        // DeepSeek R1 is served through OpenRouter
+        return DeepSeekServiceAdapter.getInstance(this.getOpenRouterApiKey(), model || PIPELINE_SERVICE_MODELS.deepseek);
+      case 'googleflash':
+        return this.getGoogleFlashService();
+      case 'o1mini':
+        return this.getO1MiniService();
+    }
 
-  console.log('Adding step 3: Preliminary Reasoning with isolated DeepSeek service');
-  this.processingPipelineOrchestrator.addStep({
-    name: 'Preliminary Reasoning',
-    service: deepSeekService,
-    model: 'deepseek/deepseek-r1:free',
-    systemPrompt: `You are a reasoning agent in a three-step pipeline, performing the final analysis.
-Your specific role is STEP 3 - PRELIMINARY REASONING:
-- Start your response with "STEP 3 ANALYSIS:"
-- Critically evaluate the analysis from steps 1 and 2
-- Apply logical reasoning and analytical thinking
-- Draw conclusions based on the processed information
-- Consider implications, consequences, and alternatives
-- Synthesize insights into a cohesive final analysis
-- Generate the definitive output that incorporates all previous processing
-- Your output is the final result of the entire pipeline`,
-    temperature: 0.3,
-    maxTokens: 3000
-  });
-  
-    return this.processingPipelineOrchestrator;
+    const providers = getModelProviderConfigs();
+    if (!providers[name]) {
+      const names = [...Object.keys(PIPELINE_SERVICE_MODELS), ...Object.keys(providers)];
+      throw new Error(`Unknown pipeline step service "${name}". Use one of: ${names.join(', ')}`);
+    }
+    return new OpenAICompatibleService(name, { ...providers[name], defaultModel: model || providers[name].defaultModel });
+  }
+
+  /**
+   * Gets the OpenRouter API key the OpenRouter pipeline step services use
+   * @throws If OPENROUTER_API_KEY is not set
+   */
+  private static getOpenRouterApiKey(): string {
+    const apiKey = process.env.OPENROUTER_API_KEY;
+    if (!apiKey) {
+      throw new Error('OPENROUTER_API_KEY environment variable not set');
+    }
+    return apiKey;
+  }
+
+  /**
+   * Puts the service of a pipeline step in front of its fallback service
+   * The fallback answers, with its usual model, whenever the step's service fails or times out.
+   * @param step - The configured step
+   * @param service - The step's own service
+   * @param fallback - The service of the step's fallback
+   */
+  private static withStepFallback(step: PipelineStep, service: IAIService, fallback: IAIService): IAIService {
+    const fallbackModel = PIPELINE_SERVICE_MODELS[step.fallback as string] || getModelProviderConfigs()[step.fallback as string].defaultModel;
+    const fallbackService = ModelFallbackService.create({ maxRetries: 1, healthCheckInterval: 0 });
+
+    fallbackService.registerProvider(step.service, service, 2, 1.0, PIPELINE_STEP_TIMEOUT_MS);
+    fallbackService.registerProvider(`${step.fallback} (fallback)`, {
+      query: (data: any) => fallback.query({ ...data, model: fallbackModel })
+    }, 1, 1.0, PIPELINE_STEP_TIMEOUT_MS);
+    return fallbackService;
+  }
+
+  /**
+   * Builds a processing pipeline from the pipeline steps in the configuration, in priority order
+   * Steps can name any configured provider, so the whole pipeline can run on local models.
+   * A step that names a fallback service fails over to it when its own service fails at runtime,
+   * and runs on it alone when its own service is not available, e.g. for lack of an API key.
+   * @param pipelineConfig - The pipeline settings (defaults to those in mcpConfig)
+   * @throws If a step names an unknown service, or neither its service nor its fallback is available
+   */
+  static createConfiguredPipeline(
+    pipelineConfig: PreprocessingPipelineConfig = mcpConfig.preprocessingPipeline
+  ): ProcessingPipelineOrchestrator {
+    const orchestrator = new ProcessingPipelineOrchestrator(true);
+    const providers = getModelProviderConfigs();
+
+    [...pipelineConfig.pipelineSteps]
+      .sort((a, b) => a.priority - b.priority)
+      .forEach((step: PipelineStep) => {
+        let serviceName = step.service;
+        let model = step.model;
+        let service: IAIService;
+        try {
+          service = this.getPipelineStepService(serviceName, model);
+        } catch (error) {
+          const message = error instanceof Error ? error.message : String(error);
+          if (!step.fallback || message.startsWith('Unknown pipeline step service')) {
+            throw error;
+          }
+          console.warn(`Pipeline step "${step.name}" falls back to ${step.fallback}: ${message}`);
+          serviceName = step.fallback;
+          model = undefined;
+          service = this.getPipelineStepService(serviceName);
+        }
+
+        if (step.fallback && serviceName === step.service) {
+          try {
+            service = this.withStepFallback(step, service, this.getPipelineStepService(step.fallback));
+          } catch (error) {
+            const message = error instanceof Error ? error.message : String(error);
+            if (message.startsWith('Unknown pipeline step service')) {
+              throw error;
+            }
+            console.warn(`Pipeline step "${step.name}" runs without its ${step.fallback} fallback: ${message}`);
+          }
+        }
+
+        orchestrator.addStep({
+          name: step.name,
+          service: this.withFixtures(service),
+          model: model || PIPELINE_SERVICE_MODELS[serviceName] || providers[serviceName].defaultModel,
+          systemPrompt: step.systemPrompt || step.description,
+          temperature: step.temperature,
+          maxTokens: step.maxTokens
+        });
+      });
+
+    return orchestrator;
   }
 
   static getDefaultConfig(): MCPConfig {
@@ -0,0 +1,44 @@
+/**
+ * Interface for cache storage backends
+ * Backends only store records; TTL, eviction and statistics are applied by the CacheStore
+ */
+
+import { CacheBackendName, CacheRecord } from '../models/types.js';
+
+export interface ICacheBackend {
+  /**
+   * The backend name, as used in the cache config
+   */
+  readonly name: CacheBackendName;
+
+  /**
+   * Reads a record
+   * @param cacheType - The cache type the record belongs to
+   * @param id - The record ID within the cache type (a hash of its key)
+   * @returns The record, or null if it is not stored
+   */
+  get(cacheType: string, id: string): Promise<CacheRecord | null>;
+
+  /**
+   * Stores a record, replacing any record with the same ID
+   * @param id - The record ID within its cache type
+   * @param record - The record to store
+   */
+  set(id: string, record: CacheRecord): Promise<void>;
+
+  /**
+   * Removes a record if it is stored
+   */
+  delete(cacheType: string, id: string): Promise<void>;
+
+  /**
+   * Reads every stored record
+   * Unreadable records are removed.
+   */
+  list(): Promise<Array<{ id: string; record: CacheRecord }>>;
+
+  /**
+   * Releases connections or handles held by the backend
+   */
+  close(): Promise<void>;
+}
@@ -1,9 +1,20 @@
 /**
  * Interface for cache operations
- * Defines methods for storing and retrieving cached data
+ * Defines methods for storing and retrieving cached data, whichever backend holds it
  */
 
-import { CacheResult } from '../models/types.js';
+import {
+  CacheEntryFilter,
+  CacheEntryPage,
+  CacheInvalidationResult,
+  CacheListOptions,
+  CacheResult,
+  CacheSnapshotExportResult,
+  CacheSnapshotImportOptions,
+  CacheSnapshotImportResult,
+  CacheStats,
+  CacheWarmupResult
+} from '../models/types.js';
 
 export interface ICacheService {
   /**
@@ -19,28 +30,55 @@ export interface ICacheService {
    * @param cacheType - The type of cache to store in
    * @param cacheKey - The key to store under
    * @param response - The response to cache
+   * @param tags - Labels to invalidate or list the entry by (optional)
    */
-  storeCache(cacheType: string, cacheKey: string, response: string): Promise<void>;
+  storeCache(cacheType: string, cacheKey: string, response: string, tags?: string[]): Promise<void>;
+
+  /**
+   * Removes cache entries
+   * @param filter - Cache type, exact key, key glob and/or tag; at least one is required
+   * @returns Number of removed entries, overall and per cache type
+   */
+  invalidateCache(filter: CacheEntryFilter): Promise<CacheInvalidationResult>;
+
+  /**
+   * Lists cache entries with size, age, hits and remaining TTL, newest first
+   * @param options - Filter plus offset and limit
+   * @returns One page of entries and the total number of matches
+   */
+  listCacheEntries(options?: CacheListOptions): Promise<CacheEntryPage>;
 
   /**
    * Gets statistics about the cache system
    * @param cacheType - Optional type of cache to get stats for
    * @returns Cache statistics
    */
-  getCacheStats(cacheType?: string): Promise<{
-    totalItems: number;
-    hitRate: number;
-    avgResponseTime: number;
-    sizeInBytes: number;
-    byType?: Record<string, {
-      items: number;
-      hitRate: number;
-    }>;
-  }>;
+  getCacheStats(cacheType?: string): Promise<CacheStats>;
 
   /**
    * Performs maintenance on the cache system
    * @returns Number of items cleaned up
    */
   performCacheMaintenance(): Promise<number>;
+
+  /**
+   * Saves the cache entries, their expiry and hit counts, and the cache counters to a compressed file
+   * @param filePath - File to write (optional)
+   * @returns The file written, the number of entries and the file size
+   */
+  exportCacheSnapshot(filePath?: string): Promise<CacheSnapshotExportResult>;
+
+  /**
+   * Restores cache entries from a snapshot file
+   * @param filePath - Snapshot file (optional)
+   * @param options - Whether to replace cached entries, and how many entries per type to import
+   * @returns Counts of imported, overwritten, skipped, expired and limited entries
+   */
+  importCacheSnapshot(filePath?: string, options?: CacheSnapshotImportOptions): Promise<CacheSnapshotImportResult>;
+
+  /**
+   * Loads the most hit entries of each cache type into memory, as configured
+   * @returns What was imported and preloaded, or null if warm-up is disabled
+   */
+  warmUpCache(): Promise<CacheWarmupResult | null>;
 }
\ No newline at end of file
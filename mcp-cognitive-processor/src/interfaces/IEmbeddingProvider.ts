@@ -0,0 +1,24 @@
+/**
+ * Interface for embedding providers
+ * Defines how text is turned into vectors for semantic memory and vector search
+ */
+
+export interface IEmbeddingProvider {
+  /**
+   * Identifier of the provider and its settings
+   * Stored alongside every vector so stale embeddings can be detected and migrated
+   */
+  readonly id: string;
+
+  /**
+   * Number of dimensions in every vector produced by this provider
+   */
+  readonly dimensions: number;
+
+  /**
+   * Creates an embedding for a piece of text
+   * @param text - The text to embed
+   * @returns A unit-length vector with `dimensions` entries
+   */
+  embed(text: string): Promise<number[]>;
+}
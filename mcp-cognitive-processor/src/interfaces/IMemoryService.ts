@@ -3,7 +3,29 @@
  * Defines methods for storing and retrieving memory items
  */
 
-import { MemoryItem, MemoryResult } from '../models/types.js';
+import {
+  ConnectedMemoryItem,
+  MemoryConsolidationResult,
+  MemoryDeleteResult,
+  MemoryEdge,
+  MemoryFilter,
+  MemoryExportOptions,
+  MemoryExportResult,
+  MemoryGraphQueryOptions,
+  MemoryImportOptions,
+  MemoryImportResult,
+  MemoryItem,
+  MemoryItemUpdate,
+  MemoryNeighbor,
+  MemoryPath,
+  MemoryResult,
+  MemoryRetrievalOptions,
+  MemoryRevision,
+  MemoryScope,
+  MemorySubgraph,
+  MemoryUpdateResult,
+  ScoredMemoryItem
+} from '../models/types.js';
 
 export interface IMemoryService {
   /**
@@ -16,9 +38,19 @@ export interface IMemoryService {
    * Retrieves memory items based on a query
    * @param query - The query to search for
    * @param limit - Maximum number of items to retrieve
+   * @param scope - Namespace to search, or allNamespaces to search every namespace
    * @returns Array of memory items
    */
-  retrieveMemory(query: string, limit?: number): Promise<MemoryItem[]>;
+  retrieveMemory(query: string, limit?: number, scope?: MemoryScope): Promise<MemoryItem[]>;
+
+  /**
+   * Searches memory and explains how each result was scored
+   * @param query - The query to search for
+   * @param limit - Maximum number of items to retrieve
+   * @param options - Namespace selection, fusion method, signal weights and RRF constant
+   * @returns Scored items with per-signal explanations, best first
+   */
+  searchMemory(query: string, limit?: number, options?: MemoryRetrievalOptions): Promise<ScoredMemoryItem[]>;
 
   /**
    * Gets a memory item by ID
@@ -29,9 +61,16 @@ export interface IMemoryService {
 
   /**
    * Gets all memory items
+   * @param scope - Namespace selection (every namespace when omitted)
    * @returns Array of all memory items
    */
-  getAllMemoryItems(): Promise<MemoryItem[]>;
+  getAllMemoryItems(scope?: MemoryScope): Promise<MemoryItem[]>;
+
+  /**
+   * Gets the namespaces that hold memory items
+   * @returns Sorted namespace names
+   */
+  getMemoryNamespaces(): Promise<string[]>;
 
   /**
    * Updates connections between memory items
@@ -40,27 +79,110 @@ export interface IMemoryService {
    */
   updateMemoryConnections(itemId: string, connections: string[]): Promise<void>;
 
+  /**
+   * Updates a memory item and records the change in its edit history
+   * @param itemId - The ID of the item to update
+   * @param changes - New content, type, importance and/or connections
+   * @returns The updated item and its new revision (null if nothing changed)
+   */
+  updateMemory(itemId: string, changes: MemoryItemUpdate): Promise<MemoryUpdateResult>;
+
+  /**
+   * Deletes memory items with their vectors and the connections pointing at them
+   * @param target - Item IDs and/or a filter
+   * @param dryRun - Only report which items would be deleted
+   * @returns The deleted IDs, unknown IDs and the number of detached items
+   */
+  deleteMemories(target: { ids?: string[]; filter?: MemoryFilter }, dryRun?: boolean): Promise<MemoryDeleteResult>;
+
+  /**
+   * Gets the edit history of a memory item, including deleted items
+   * @param itemId - The ID of the memory item
+   * @returns Revisions, oldest first
+   */
+  getMemoryHistory(itemId: string): Promise<MemoryRevision[]>;
+
+  /**
+   * Rolls a memory item back to its state before a revision, restoring it if deleted
+   * @param itemId - The ID of the memory item
+   * @param revision - The revision to undo, together with every later revision
+   * @returns The restored item and the revision recording the rollback
+   */
+  rollbackMemory(itemId: string, revision: number): Promise<MemoryUpdateResult>;
+
   /**
    * Gets connected memory items
    * @param itemId - The ID of the item to get connections for
-   * @returns Array of connected memory items
+   * @returns Array of connected memory items with the relation and weight of each edge
+   */
+  getConnectedMemories(itemId: string): Promise<ConnectedMemoryItem[]>;
+
+  /**
+   * Creates or updates a typed edge between two memory items
+   * @param sourceId - The ID of the source memory item
+   * @param targetId - The ID of the target memory item
+   * @param relation - The relationship type (is_a, has_a, requires, implements, related_to)
+   * @param weight - Strength of the relationship, greater than 0
+   * @returns The stored edge
+   */
+  linkMemories(sourceId: string, targetId: string, relation?: string, weight?: number): Promise<MemoryEdge>;
+
+  /**
+   * Removes edges between two memory items
+   * @param sourceId - The ID of the source memory item
+   * @param targetId - The ID of the target memory item
+   * @param relation - Only remove edges of this relation (optional)
+   * @returns Number of edges removed
+   */
+  unlinkMemories(sourceId: string, targetId: string, relation?: string): Promise<number>;
+
+  /**
+   * Gets the direct neighbours of a memory item in the memory graph
+   * @param itemId - The ID of the memory item
+   * @param options - Relation filter and direction
+   * @returns Neighbouring items with the connecting edge
+   */
+  getMemoryNeighbors(itemId: string, options?: MemoryGraphQueryOptions): Promise<MemoryNeighbor[]>;
+
+  /**
+   * Finds the lowest-cost path between two memory items within a number of hops
+   * @param sourceId - Where the path starts
+   * @param targetId - Where the path ends
+   * @param options - Relation filter and direction
+   * @param maxHops - Maximum number of edges on the path
+   * @returns The path, or null if the items are not connected within the hop limit
    */
-  getConnectedMemories(itemId: string): Promise<MemoryItem[]>;
+  findMemoryPath(sourceId: string, targetId: string, options?: MemoryGraphQueryOptions, maxHops?: number): Promise<MemoryPath | null>;
+
+  /**
+   * Gets the subgraph reachable from a memory item within a number of hops
+   * @param rootId - The ID of the starting memory item
+   * @param depth - Maximum number of hops
+   * @param options - Relation filter and direction
+   * @returns The reachable items and the edges between them
+   */
+  getMemorySubgraph(rootId: string, depth?: number, options?: MemoryGraphQueryOptions): Promise<MemorySubgraph>;
 
   /**
    * Gets memory items by type
    * @param type The type of memory items to retrieve
+   * @param scope - Namespace selection (every namespace when omitted)
    * @returns Array of memory items of the specified type
    */
-  getMemoryItemsByType(type: MemoryItem['type']): Promise<MemoryItem[]>;
+  getMemoryItemsByType(type: MemoryItem['type'], scope?: MemoryScope): Promise<MemoryItem[]>;
 
   /**
    * Gets memory statistics
-   * @returns Memory system statistics
+   * @param scope - Namespace selection (every namespace when omitted)
+   * @returns Memory system statistics, including per-namespace counts
    */
-  getMemoryStats(): Promise<{
+  getMemoryStats(scope?: MemoryScope): Promise<{
     totalItems: number;
     byType: Record<string, number>;
+    byNamespace: Record<string, {
+      totalItems: number;
+      byType: Record<string, number>;
+    }>;
     averageConnections: number;
     topConnected: Array<{
       id: string;
@@ -73,4 +195,25 @@ export interface IMemoryService {
    * @returns Number of items cleaned up
    */
   performMemoryMaintenance(): Promise<number>;
+
+  /**
+   * Consolidates similar episodic memories and expires old working memories
+   * @returns Number of clusters, merged, promoted (semantic), procedural and expired items
+   */
+  consolidateMemories(): Promise<MemoryConsolidationResult>;
+
+  /**
+   * Exports memory items to a portable JSONL or archive document
+   * @param options - Destination file, format, vector inclusion and filter
+   * @returns The number of items exported, and the export itself when no path is given
+   */
+  exportMemories(options?: MemoryExportOptions): Promise<MemoryExportResult>;
+
+  /**
+   * Imports memory items from an export file or export content
+   * @param source - A file path or the export content
+   * @param options - Conflict handling (skip, overwrite, merge) and filter
+   * @returns Counts of imported, overwritten, merged, skipped, filtered and re-embedded items
+   */
+  importMemories(source: { path?: string; content?: string }, options?: MemoryImportOptions): Promise<MemoryImportResult>;
 }
\ No newline at end of file
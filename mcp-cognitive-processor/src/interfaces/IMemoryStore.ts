@@ -0,0 +1,78 @@
+/**
+ * Interface for memory persistence
+ * Stores memory items, their vectors and their edges; every write is atomic
+ */
+
+import { MemoryItem, MemoryRevision, MemoryVector } from '../models/types.js';
+
+/**
+ * One atomic set of changes
+ * Items are upserted together with their connections and edges, deleted items lose
+ * their vectors and outgoing edges. History entries are numbered by the store and
+ * outlive the items they describe.
+ */
+export interface MemoryStoreWrite {
+  items?: MemoryItem[];
+  vectors?: MemoryVector[];
+  deleteIds?: string[];
+  history?: Array<Omit<MemoryRevision, 'revision'>>;
+}
+
+export interface MemoryTextMatch {
+  id: string;
+  score: number; // Higher is a better match
+}
+
+export interface IMemoryStore {
+  /**
+   * Where the store keeps its data
+   */
+  readonly location: string;
+
+  /**
+   * Loads every memory item with its connections and edges
+   */
+  loadItems(): Promise<MemoryItem[]>;
+
+  /**
+   * Loads every stored vector
+   */
+  loadVectors(): Promise<MemoryVector[]>;
+
+  /**
+   * Applies a set of changes in one transaction
+   * @param changes - Items and vectors to upsert and item IDs to delete
+   */
+  write(changes: MemoryStoreWrite): Promise<void>;
+
+  /**
+   * Full-text search over item content, scored with BM25
+   * @param query - Free text query
+   * @param limit - Maximum number of matches
+   * @param ids - Only score these items (optional)
+   * @returns Matching item IDs, best match first
+   */
+  searchText(query: string, limit: number, ids?: string[]): Promise<MemoryTextMatch[]>;
+
+  /**
+   * Loads the edit history of a memory item, including items that have been deleted
+   * @param itemId - The ID of the memory item
+   * @returns Revisions, oldest first
+   */
+  loadHistory(itemId: string): Promise<MemoryRevision[]>;
+
+  /**
+   * Reads a store-level setting
+   */
+  getMeta(key: string): Promise<string | null>;
+
+  /**
+   * Writes a store-level setting
+   */
+  setMeta(key: string, value: string): Promise<void>;
+
+  /**
+   * Releases the underlying storage
+   */
+  close(): Promise<void>;
+}
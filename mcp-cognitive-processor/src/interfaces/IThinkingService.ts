@@ -8,20 +8,37 @@ import {
   ThinkingResult,
   ThinkingStep,
   ThinkingVisualization,
-  ProcessConfig
+  ProcessConfig,
+  ThinkingJobRecord,
+  ThinkingJobStatus,
+  ThinkingProcessOptions,
+  ThinkingProgress
 } from '../models/types.js';
 
 export interface IThinkingService {
   /**
    * Initiates a thinking process for a given problem
    * @param config Configuration for the thinking process
+   * @param options Progress callback and cancellation signal; a cancelled process returns the steps completed so far
    */
   initiateThinkingProcess(config: {
     problem: string;
     thinking_model?: string;
     include_visualization?: boolean;
     optimize_tokens?: boolean;
-  }): Promise<ThinkingResult>;
+  }, options?: ThinkingProcessOptions): Promise<ThinkingResult>;
+
+  /**
+   * Starts a thinking process in the background
+   * @param config Configuration for the thinking process
+   * @returns The ID to follow the process with, returned before the process completes
+   */
+  startThinkingProcess(config: {
+    problem: string;
+    thinking_model?: string;
+    include_visualization?: boolean;
+    optimize_tokens?: boolean;
+  }): Promise<{ processId: string; status: ThinkingJobStatus }>;
 
   /**
    * Gets available thinking models
@@ -40,8 +57,17 @@ export interface IThinkingService {
     steps: ThinkingStep[];
     progress: number;
     error?: string;
+    lastProgress?: ThinkingProgress;
+    cancelled?: boolean;
   }>;
 
+  /**
+   * Gets a thinking process with its steps and outcome, including processes from before a restart
+   * @param processId The ID of the thinking process
+   * @returns The persisted job record
+   */
+  getThinkingResult(processId: string): Promise<ThinkingJobRecord>;
+
   /**
    * Visualizes a thinking process
    * @param processId The ID of the thinking process
@@ -1,226 +1,90 @@
 #!/usr/bin/env node
 /**
- * Main entry point for the Masterful Cognitive Processor
+ * MCP server for the Masterful Cognitive Processor
+ * Registers the resources, tools and prompts on the services composed by the bootstrap
  */
 import { IMemoryService } from './interfaces/IMemoryService.js';
 import { ICacheService } from './interfaces/ICacheService.js';
 
 // Node.js built-in imports
-import * as dotenv from 'dotenv';
-import * as fs from 'fs';
 import * as path from 'path';
 import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
 
 // MCP SDK imports
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { RequestHandlerExtra } from '@modelcontextprotocol/sdk/shared/protocol.js';
 import {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
   ListResourcesRequestSchema,
   ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
   ReadResourceRequestSchema,
+  Tool,
 } from '@modelcontextprotocol/sdk/types.js';
 
 // Local imports - Config and Utils
 import { mcpConfig } from './config/mcp-config.js';
+import {
+  BootstrapOptions,
+  MemoryConsolidationResult,
+  MemoryFilter,
+  MemoryFusionMethod,
+  MemoryItem,
+  MemoryItemUpdate,
+  MemorySignalWeights,
+  ServerInfo,
+  ThinkingProgress,
+  TransportOptions
+} from './models/types.js';
 import { TokenOptimizerImpl } from './utils/TokenOptimizerImpl.js';
-import { MemoryManager } from './utils/MemoryManager.js';
 
-// Local imports - Services and Factories
-import { ServiceFactory } from './factories/ServiceFactory.js';
-import { DIServiceFactory } from './factories/DIServiceFactory.js';
+// Local imports - Services
+import { ComposedServices, composeServices, getBootstrapOptions, loadEnvironment } from './bootstrap.js';
 import { ThinkingServiceImpl } from './services/ThinkingServiceImpl.js';
-import { ModelFallbackService } from './services/ModelFallbackService.js';
-import { GeminiService } from './services/GeminiService.js';
-import { GeminiServiceOpenAI } from './services/GeminiServiceOpenAI.js';
-import { ThinkingEngine } from './core/ThinkingEngine.js';
 import * as memoryServiceUtils from './services/memoryService.js';
-import * as cacheServiceUtils from './services/cacheService.js';
-import { processStructuredThinking } from './services/intelligenceService.js';
-import tokenHistoryService from './services/tokenHistoryService.js';
-
-// Load environment variables
-// Get current directory path in ESM
-const __filename = new URL(import.meta.url).pathname;
-const __dirname = path.dirname(__filename);
-
-const envResult = dotenv.config({ path: path.resolve(__dirname, '../.env') });
-console.log('Trying to load .env from:', path.resolve(__dirname, '../.env'));
-
-if (envResult.error) {
-  console.warn('Failed to load .env file from expected path, trying current directory...');
-  const currentEnvPath = path.resolve(process.cwd(), '.env');
-  console.log('Trying to load .env from:', currentEnvPath);
-  if (fs.existsSync(currentEnvPath)) {
-    dotenv.config({ path: currentEnvPath });
-    console.log('Loaded .env file from current directory');
-  } else {
-    console.warn('No .env file found. Environment variables must be set manually.');
-  }
-} else {
-  console.log('Successfully loaded .env file');
-}
-
-// Log environment variable status
-console.log('OPENROUTER_API_KEY status:', process.env.OPENROUTER_API_KEY ? 'Set' : 'Not set');
-
-// Initialize required directories
-// Ensure we use a relative path for data directory if not already set
-if (!process.env.MCP_DB_DIR) {
-  process.env.MCP_DB_DIR = path.join(__dirname, '../data');
-}
-const DB_DIR = process.env.MCP_DB_DIR;
-const directories = [
-  path.join(DB_DIR, 'cache'),
-  path.join(DB_DIR, 'memory'),
-  path.join(DB_DIR, 'token_history'),
-  path.join(DB_DIR, 'thinking'),
-  path.join(DB_DIR, 'optimization')
-];
-
-directories.forEach(dir => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-});
-
-// Initialize required services
-const openRouterApiKey = process.env.OPENROUTER_API_KEY || '';
-if (!openRouterApiKey) {
-  console.error('ERROR: OPENROUTER_API_KEY is required');
-  process.exit(1);
-}
-
-// Initialize DIServiceFactory first
-console.log('*** DEBUG: About to initialize DIServiceFactory ***');
-try {
-  // IMPORTANT: Need to await this promise since it's an async method!
-  await DIServiceFactory.initialize({
-    name: 'mcp-cognitive-processor',
-    version: '1.0.0'
-  });
-  console.log('*** DEBUG: DIServiceFactory.initialize complete ***');
-  console.log('Service factory initialized successfully');
-} catch (error) {
-  console.error('Failed to initialize service factory:', error);
-  process.exit(1);
-}
-
-// Initialize token optimizer
-const tokenOptimizer = TokenOptimizerImpl.getInstance();
-await tokenOptimizer.init();
-console.log('Token optimizer initialized successfully');
-
-// Debug: Check which services are registered after initialization
-console.log('*** DEBUG: Checking if services exist after initialization ***');
-console.log('*** DEBUG: geminiService exists:', DIServiceFactory.hasService('geminiService'));
-console.log('*** DEBUG: thinkingService exists:', DIServiceFactory.hasService('thinkingService'));
-console.log('*** DEBUG: openRouterService exists:', DIServiceFactory.hasService('openRouterService'));
-
-// Initialize ModelFallbackService
-const fallbackService = ModelFallbackService.getInstance({
-  timeout: 30000,
-  maxRetries: 3,
-  healthCheckInterval: 60000
-});
-
-// Debug: Manually create and register services if they don't exist
-if (!DIServiceFactory.hasService('geminiService')) {
-  console.log('*** DEBUG: Services not found, manually creating and registering them ***');
-  // Get Container.ts directly to access its instance method
-  const { Container } = await import('./core/Container.js');
-  const container = Container.getInstance();
-  
-  // Import required services
-  const { GeminiServiceOpenAI } = await import('./services/GeminiServiceOpenAI.js');
-  const { O1MiniService } = await import('./services/O1MiniService.js');
-  const { ModelFallbackService } = await import('./services/ModelFallbackService.js');
-
-  // Create service instances
-  const geminiService = new GeminiServiceOpenAI(openRouterApiKey);
-  const o1MiniService = new O1MiniService(openRouterApiKey);
-
-  // Register services with fallback configuration
-  fallbackService.registerProvider('gemini-pro', geminiService, 2, 1.0); // Higher priority for primary
-  fallbackService.registerProvider('o1-mini', o1MiniService, 1, 0.8); // Lower priority for backup
-
-  // Register services in container
-  container.register('geminiService', geminiService);
-  container.register('o1MiniService', o1MiniService);
-  container.register('fallbackService', fallbackService);
-
-  console.log('*** DEBUG: Manually registered services, checking again ***');
-  console.log('*** DEBUG: geminiService exists now:', DIServiceFactory.hasService('geminiService'));
-}
-
-// Get the initialized Gemini service from the container
-try {
-  const geminiService = DIServiceFactory.getService<GeminiServiceOpenAI>('geminiService');
-  console.log('*** DEBUG: Successfully got geminiService from container ***');
-} catch (error) {
-  console.error('Failed to get Gemini service from container:', error);
-  process.exit(1);
-}
-
-// Create and configure the thinking service with injected dependencies
-const thinkingService = DIServiceFactory.getService<ThinkingServiceImpl>('thinkingService');
-if (!thinkingService) {
-  console.error('Failed to get thinking service from container');
-  process.exit(1);
-}
-
-console.log('All services initialized successfully');
-
-console.log(`Initializing ${mcpConfig.name} v${mcpConfig.version}`);
-console.log('Core capabilities:');
-console.log('- Thinking Models:', mcpConfig.core.thinkingModels.map((m: { name: string }) => m.name).join(', '));
-console.log('- Reasoning Systems:', mcpConfig.core.intelligence.reasoningSystems.map((r: { name: string }) => r.name).join(', '));
-
-// Export the configured services
-export {
-  thinkingService,
-  // Don't re-export tokenOptimizer to avoid circular dependencies
-  tokenHistoryService,
-  mcpConfig
-};
-
-// Default export for convenient importing
-export default {
-  thinkingService,
-  // Don't re-export tokenOptimizer to avoid circular dependencies
-  tokenHistoryService,
-  mcpConfig
-};
+import { compareReasoning, performReasoning, processStructuredThinking, REASONING_SYSTEMS } from './services/intelligenceService.js';
+import semanticCacheService from './services/semanticCacheService.js';
+import requestCoalescingService from './services/requestCoalescingService.js';
+import promptService from './services/promptService.js';
+import { registerShutdown } from './services/shutdownService.js';
+import { getTransportOptions, startHttpTransport } from './transport/httpTransport.js';
+import { assertValidToolArguments, toolErrorResult, ToolInputSchema } from './utils/toolValidation.js';
+
+// A stage of generate_with_mcp, reported to clients that pass a progress token
+type GenerationStage = { progress: number; message: string };
+const GENERATION_STAGE_COUNT = 4;
 
 /**
  * Main class for the MCP Cognitive Processor
  * Handles server setup and request routing
  */
-class MCPCognitiveProcessor {
+export class MCPCognitiveProcessor {
   private server: Server;
+  private services: ComposedServices;
   private thinkingService: ThinkingServiceImpl;
   private memoryService: IMemoryService;
   private cacheService: ICacheService;
   private tokenOptimizer: TokenOptimizerImpl;
+  private info: ServerInfo;
   
   /**
    * Constructor for MCPCognitiveProcessor
    * Sets up the server and request handlers
+   * @param services - The services composed by the bootstrap, shared by every server instance
    */
-  constructor() {
-    // Get services from DI container
-    this.thinkingService = DIServiceFactory.getService<ThinkingServiceImpl>('thinkingService');
-    this.memoryService = DIServiceFactory.getService<IMemoryService>('memoryService');
-    this.cacheService = DIServiceFactory.getService<ICacheService>('cacheService');
-    this.tokenOptimizer = DIServiceFactory.getService<TokenOptimizerImpl>('tokenOptimizer');
-
-    // Validate required services
-    if (!this.thinkingService || !this.memoryService || !this.cacheService || !this.tokenOptimizer) {
-      throw new Error('Required services not available');
-    }
+  constructor(services: ComposedServices) {
+    this.services = services;
+    this.thinkingService = services.thinkingService;
+    this.memoryService = services.memoryService;
+    this.cacheService = services.cacheService;
+    this.tokenOptimizer = services.tokenOptimizer;
+    this.info = services.info;
 
     // Create the server
     this.server = new Server(
@@ -239,6 +103,10 @@ class MCPCognitiveProcessor {
             list: true,
             call: true
           },
+          prompts: {
+            list: true,
+            get: true
+          },
         },
       }
     );
@@ -246,15 +114,10 @@ class MCPCognitiveProcessor {
     // Set up request handlers
     this.setupResourceHandlers();
     this.setupToolHandlers();
+    this.setupPromptHandlers();
     
     // Set up error handling
     this.server.onerror = (error: any) => console.error('[MCP Error]', error);
-    
-    // Handle process termination
-    process.on('SIGINT', async () => {
-      await this.server.close();
-      process.exit(0);
-    });
   }
   
   /**
@@ -278,12 +141,17 @@ class MCPCognitiveProcessor {
         {
           uri: 'mcp://memory/stats',
           name: 'Memory System Statistics',
-          description: 'Statistics about the memory system',
+          description: 'Statistics about the memory system, broken down by namespace',
         },
         {
           uri: 'mcp://cache/stats',
           name: 'Cache System Statistics',
-          description: 'Statistics about the cache system',
+          description: 'Statistics about the cache system, including requests coalesced with identical in-flight requests',
+        },
+        {
+          uri: 'mcp://server/info',
+          name: 'Server Information',
+          description: 'How this server was composed: transport, model providers, fallback, offline mode, cache backend and embedding provider',
         },
       ],
     }));
@@ -292,12 +160,17 @@ class MCPCognitiveProcessor {
     this.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
       resourceTemplates: [
         {
-          uriTemplate: 'mcp://memory/{type}',
+          uriTemplate: 'mcp://memory/stats{?namespace}',
+          name: 'Memory statistics by namespace',
+          description: 'Statistics about the memory items in one namespace (project or workspace id)',
+        },
+        {
+          uriTemplate: 'mcp://memory/{type}{?namespace}',
           name: 'Memory items by type',
-          description: 'Retrieve memory items of a specific type (working, episodic, semantic, procedural)',
+          description: 'Retrieve memory items of a specific type (working, episodic, semantic, procedural) in a namespace (default namespace when omitted, * for every namespace)',
         },
         {
-          uriTemplate: 'mcp://memory/item/{id}',
+          uriTemplate: 'mcp://memory/item/{id}{?namespace}',
           name: 'Memory item by ID',
           description: 'Retrieve a specific memory item by its ID',
         },
@@ -313,6 +186,13 @@ class MCPCognitiveProcessor {
     this.server.setRequestHandler(ReadResourceRequestSchema, async (request: any) => {
       const uri = request.params.uri;
       
+      // Memory resources take an optional ?namespace=<id> (* selects every namespace)
+      const [resourcePath, resourceQuery = ''] = uri.split('?');
+      const namespaceParam = new URLSearchParams(resourceQuery).get('namespace');
+      const memoryScope = namespaceParam === '*'
+        ? { allNamespaces: true }
+        : { namespace: namespaceParam || undefined };
+      
       // Config resources
       if (uri === 'mcp://config/thinking-models') {
         return {
@@ -338,20 +218,23 @@ class MCPCognitiveProcessor {
         };
       }
       
-      // Memory resources
-      if (uri === 'mcp://memory/stats') {
-        const memoryService = ServiceFactory.getMemoryService();
-        const items = await memoryService.retrieveMemory('', 1000); // Get all items
-        
-        const stats = {
-          totalItems: items.length,
-          byType: {
-            working: items.filter((item: { id: string }) => item.id.includes('working')).length,
-            episodic: items.filter((item: { id: string }) => item.id.includes('episodic')).length,
-            semantic: items.filter((item: { id: string }) => item.id.includes('semantic')).length,
-            procedural: items.filter((item: { id: string }) => item.id.includes('procedural')).length,
-          },
+      // Server resources
+      if (uri === 'mcp://server/info') {
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(this.info, null, 2),
+            },
+          ],
         };
+      }
+      
+      // Memory resources
+      if (resourcePath === 'mcp://memory/stats') {
+        // Without a namespace the stats cover every namespace
+        const stats = await this.memoryService.getMemoryStats(namespaceParam ? memoryScope : undefined);
         
         return {
           contents: [
@@ -366,26 +249,24 @@ class MCPCognitiveProcessor {
       
       // Cache resources
       if (uri === 'mcp://cache/stats') {
-        const cacheService = ServiceFactory.getCacheService();
-        const stats = await cacheService.getCacheStats();
+        const stats = await this.cacheService.getCacheStats();
         
         return {
           contents: [
             {
               uri,
               mimeType: 'application/json',
-              text: JSON.stringify(stats, null, 2),
+              text: JSON.stringify({ ...stats, coalescing: requestCoalescingService.getCoalescingStats() }, null, 2),
             },
           ],
         };
       }
       
       // Resource templates
-      const memoryTypeMatch = uri.match(/^mcp:\/\/memory\/([^/]+)$/);
+      const memoryTypeMatch = resourcePath.match(/^mcp:\/\/memory\/([^/]+)$/);
       if (memoryTypeMatch) {
-        const type = memoryTypeMatch[1];
-        const memoryService = ServiceFactory.getMemoryService();
-        const items = await memoryService.retrieveMemory(type, 100);
+        const type = memoryTypeMatch[1] as MemoryItem['type'];
+        const items = await this.memoryService.getMemoryItemsByType(type, memoryScope);
         
         return {
           contents: [
@@ -398,22 +279,36 @@ class MCPCognitiveProcessor {
         };
       }
       
-      const memoryItemMatch = uri.match(/^mcp:\/\/memory\/item\/([^/]+)$/);
+      const memoryItemMatch = resourcePath.match(/^mcp:\/\/memory\/item\/([^/]+)$/);
       if (memoryItemMatch) {
         const id = memoryItemMatch[1];
-        const memoryService = ServiceFactory.getMemoryService();
-        const item = await memoryService.getMemoryById(id);
+        const item = await this.memoryService.getMemoryById(id);
         
-        if (!item) {
+        // IDs are global, so a namespace only narrows the lookup when one is given
+        const outsideNamespace = item && namespaceParam && namespaceParam !== '*'
+          && memoryServiceUtils.getMemoryNamespace(item) !== namespaceParam;
+        if (!item || outsideNamespace) {
           throw new McpError(ErrorCode.InvalidRequest, `Memory item not found: ${id}`);
         }
         
+        // Include typed outgoing edges and the edges pointing at this item
+        const incoming = await this.memoryService.getMemoryNeighbors(id, { direction: 'incoming' });
+        const itemWithEdges = {
+          ...item,
+          edges: memoryServiceUtils.getMemoryEdges(item),
+          incomingEdges: incoming.map(neighbor => ({
+            source: neighbor.item.id,
+            relation: neighbor.relation,
+            weight: neighbor.weight
+          }))
+        };
+        
         return {
           contents: [
             {
               uri,
               mimeType: 'application/json',
-              text: JSON.stringify(item, null, 2),
+              text: JSON.stringify(itemWithEdges, null, 2),
             },
           ],
         };
@@ -422,8 +317,7 @@ class MCPCognitiveProcessor {
       const cacheStatsMatch = uri.match(/^mcp:\/\/cache\/stats\/([^/]+)$/);
       if (cacheStatsMatch) {
         const type = cacheStatsMatch[1];
-        const cacheService = ServiceFactory.getCacheService();
-        const stats = await cacheService.getCacheStats(type);
+        const stats = await this.cacheService.getCacheStats(type);
         
         return {
           contents: [
@@ -440,13 +334,52 @@ class MCPCognitiveProcessor {
     });
   }
   
+  /**
+   * Sets up prompt handlers for the server
+   * @private
+   */
+  private setupPromptHandlers(): void {
+    // List the reasoning templates built from the thinking configuration
+    this.server.setRequestHandler(ListPromptsRequestSchema, async () => ({
+      prompts: promptService.listPrompts()
+    }));
+
+    // Fill in a template with the client's arguments
+    this.server.setRequestHandler(GetPromptRequestSchema, async (request: any): Promise<any> => {
+      const { name, arguments: args } = request.params;
+
+      let prompt;
+      try {
+        prompt = promptService.getPrompt(name, args || {});
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error instanceof Error ? error.message : String(error));
+      }
+
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Prompt not found: ${name}`);
+      }
+      return prompt;
+    });
+  }
+
+  /**
+   * Sends a progress notification to a client that passed a progress token with its request
+   * @private
+   */
+  private notifyProgress(progressToken: string | number, params: { progress: number; total: number; message: string; [key: string]: unknown }): void {
+    this.server.notification({
+      method: 'notifications/progress',
+      params: { progressToken, ...params }
+    }).catch(error => console.error('Error sending progress notification:', error));
+  }
+
   /**
    * Sets up tool handlers for the server
    * @private
    */
   private setupToolHandlers(): void {
     // List available tools
-    this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    const toolList: { tools: Tool[] } = {
       tools: [
         {
           name: 'generate_with_mcp',
@@ -456,6 +389,7 @@ class MCPCognitiveProcessor {
             properties: {
               prompt: {
                 type: 'string',
+                pattern: '\\S',
                 description: 'The prompt to process',
               },
               model: {
@@ -470,6 +404,14 @@ class MCPCognitiveProcessor {
                 type: 'boolean',
                 description: 'Whether to optimize token usage (optional)',
               },
+              namespace: {
+                type: 'string',
+                description: 'Memory namespace (project or workspace id) to draw context from and record the interaction in (optional)',
+              },
+              bypass_semantic_cache: {
+                type: 'boolean',
+                description: 'Only reuse responses cached for this exact prompt, not for similar prompts (optional, default: false)',
+              },
             },
             required: ['prompt'],
           },
@@ -482,6 +424,7 @@ class MCPCognitiveProcessor {
             properties: {
               problem: {
                 type: 'string',
+                pattern: '\\S',
                 description: 'The problem to solve',
               },
               thinking_model: {
@@ -500,6 +443,133 @@ class MCPCognitiveProcessor {
             required: ['problem'],
           },
         },
+        {
+          name: 'start_thinking',
+          description: 'Start a step-by-step thinking process in the background and return its process ID without waiting for it',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              problem: {
+                type: 'string',
+                pattern: '\\S',
+                description: 'The problem to solve',
+              },
+              thinking_model: {
+                type: 'string',
+                description: 'The thinking model to use (optional)',
+              },
+              include_visualization: {
+                type: 'boolean',
+                description: 'Whether to store a visualization with the result (optional)',
+              },
+              optimize_tokens: {
+                type: 'boolean',
+                description: 'Whether to optimize token usage (optional)',
+              },
+            },
+            required: ['problem'],
+          },
+        },
+        {
+          name: 'get_thinking_status',
+          description: 'Get the status and progress of a thinking process',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              process_id: {
+                type: 'string',
+                description: 'ID returned by start_thinking or thinking_process',
+              },
+            },
+            required: ['process_id'],
+          },
+        },
+        {
+          name: 'get_thinking_result',
+          description: 'Get a thinking process with its steps and outcome; steps are filled in once the process has completed',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              process_id: {
+                type: 'string',
+                description: 'ID returned by start_thinking or thinking_process',
+              },
+            },
+            required: ['process_id'],
+          },
+        },
+        {
+          name: 'visualize_thinking',
+          description: 'Get a graph of the steps of a thinking process',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              process_id: {
+                type: 'string',
+                description: 'ID returned by start_thinking or thinking_process',
+              },
+            },
+            required: ['process_id'],
+          },
+        },
+        {
+          name: 'evaluate_thinking',
+          description: 'Evaluate the steps of a thinking process and suggest improvements',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              process_id: {
+                type: 'string',
+                description: 'ID returned by start_thinking or thinking_process',
+              },
+            },
+            required: ['process_id'],
+          },
+        },
+        {
+          name: 'reason',
+          description: 'Reason about a problem with a reasoning system, or run several systems on it and compare their conclusions and confidence',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              problem: {
+                type: 'string',
+                description: 'The problem to reason about',
+              },
+              reasoning_system: {
+                type: 'string',
+                enum: REASONING_SYSTEMS,
+                description: 'The reasoning system to use (optional, default: chain_of_thought)',
+              },
+              reasoning_systems: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: REASONING_SYSTEMS,
+                },
+                description: 'Reasoning systems to run and compare side by side; overrides reasoning_system (optional)',
+              },
+              context: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Facts, observations or constraints to reason from (optional)',
+              },
+              max_steps: {
+                type: 'integer',
+                minimum: 1,
+                maximum: 20,
+                description: 'Maximum number of reasoning steps (optional, default: 5)',
+              },
+              include_intermediate_steps: {
+                type: 'boolean',
+                description: 'Whether to return every step rather than only the first and last (optional, default: true)',
+              },
+            },
+            required: ['problem'],
+          },
+        },
         {
           name: 'store_memory',
           description: 'Store a new memory item',
@@ -508,6 +578,7 @@ class MCPCognitiveProcessor {
             properties: {
               type: {
                 type: 'string',
+                enum: ['working', 'episodic', 'semantic', 'procedural'],
                 description: 'The type of memory (working, episodic, semantic, procedural)',
               },
               content: {
@@ -516,6 +587,8 @@ class MCPCognitiveProcessor {
               },
               importance: {
                 type: 'number',
+                minimum: 0,
+                maximum: 1,
                 description: 'The importance of the memory (0-1)',
               },
               connections: {
@@ -525,13 +598,17 @@ class MCPCognitiveProcessor {
                 },
                 description: 'IDs of connected memory items',
               },
+              namespace: {
+                type: 'string',
+                description: 'Memory namespace (project or workspace id) to store the item in (optional)',
+              },
             },
             required: ['type', 'content'],
           },
         },
         {
           name: 'retrieve_memory',
-          description: 'Retrieve memory items based on a query',
+          description: 'Retrieve memory items based on a query, ranked by fusing vector similarity, BM25 text match and memory strength; each result carries its score and a per-signal explanation',
           inputSchema: {
             type: 'object',
             properties: {
@@ -543,106 +620,545 @@ class MCPCognitiveProcessor {
                 type: 'number',
                 description: 'Maximum number of items to retrieve (optional)',
               },
+              namespace: {
+                type: 'string',
+                description: 'Memory namespace (project or workspace id) to search (optional)',
+              },
+              all_namespaces: {
+                type: 'boolean',
+                description: 'Search every namespace instead of a single one (optional)',
+              },
+              fusion: {
+                type: 'string',
+                enum: ['rrf', 'weighted'],
+                description: 'Combine signals by reciprocal rank fusion or by weighted, normalised scores (optional, defaults to the configured method)',
+              },
+              weights: {
+                type: 'object',
+                properties: {
+                  vector: { type: 'number' },
+                  lexical: { type: 'number' },
+                  strength: { type: 'number' },
+                },
+                description: 'Non-negative weight per signal; omitted signals keep their configured weight (optional)',
+              },
+              rrf_k: {
+                type: 'number',
+                description: 'Rank offset for reciprocal rank fusion (optional, default 60)',
+              },
             },
             required: ['query'],
           },
         },
         {
-          name: 'check_cache',
-          description: 'Check if a result is cached',
+          name: 'update_memory',
+          description: 'Update the content, type, importance or connections of a memory item, recording the previous version in its edit history',
           inputSchema: {
             type: 'object',
             properties: {
-              cache_type: {
+              id: {
                 type: 'string',
-                description: 'The type of cache to check',
+                description: 'ID of the memory item to update',
               },
-              cache_key: {
+              content: {
                 type: 'string',
-                description: 'The key to look up in the cache',
+                description: 'New content; the item is re-embedded (optional)',
+              },
+              type: {
+                type: 'string',
+                enum: ['working', 'episodic', 'semantic', 'procedural'],
+                description: 'New memory type (optional)',
+              },
+              importance: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'New importance (0-1, optional)',
+              },
+              connections: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Complete new list of connected item IDs; typed edges to removed connections are dropped (optional)',
               },
             },
-            required: ['cache_type', 'cache_key'],
+            required: ['id'],
+            anyOf: [
+              { required: ['content'] },
+              { required: ['type'] },
+              { required: ['importance'] },
+              { required: ['connections'] },
+            ],
           },
         },
         {
-          name: 'store_cache',
-          description: 'Store a result in the cache',
+          name: 'delete_memory',
+          description: 'Delete memory items by ID or by filter, together with their vectors and every connection pointing at them',
           inputSchema: {
             type: 'object',
             properties: {
-              cache_type: {
+              id: {
                 type: 'string',
-                description: 'The type of cache to store in',
+                description: 'ID of a memory item to delete (optional)',
               },
-              cache_key: {
+              ids: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'IDs of memory items to delete (optional)',
+              },
+              types: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['working', 'episodic', 'semantic', 'procedural'],
+                },
+                description: 'Only delete these memory types (optional)',
+              },
+              namespaces: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Only delete from these namespaces (optional)',
+              },
+              since: {
                 type: 'string',
-                description: 'The key to store under',
+                description: 'Only delete items created at or after this ISO 8601 date (optional)',
               },
-              response: {
+              until: {
                 type: 'string',
-                description: 'The response to cache',
+                description: 'Only delete items created at or before this ISO 8601 date (optional)',
+              },
+              min_importance: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'Only delete items with at least this importance (0-1, optional)',
+              },
+              max_importance: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'Only delete items with at most this importance (0-1, optional)',
+              },
+              dry_run: {
+                type: 'boolean',
+                description: 'Report the matching items without deleting them (optional)',
               },
             },
-            required: ['cache_type', 'cache_key', 'response'],
+            required: [],
+            anyOf: [
+              { required: ['id'] },
+              { required: ['ids'] },
+              { required: ['types'] },
+              { required: ['namespaces'] },
+              { required: ['since'] },
+              { required: ['until'] },
+              { required: ['min_importance'] },
+              { required: ['max_importance'] },
+            ],
           },
         },
         {
-          name: 'perform_maintenance',
-          description: 'Perform maintenance on the MCP systems',
+          name: 'get_memory_history',
+          description: 'Get the edit history of a memory item, including items that have been deleted',
           inputSchema: {
             type: 'object',
             properties: {
-              systems: {
-                type: 'array',
-                items: {
-                  type: 'string',
-                  enum: ['cache', 'memory', 'thinking', 'optimization', 'all'],
-                },
-                description: 'The systems to perform maintenance on',
+              id: {
+                type: 'string',
+                description: 'ID of the memory item',
               },
             },
-            required: ['systems'],
+            required: ['id'],
           },
         },
         {
-          name: 'get_token_optimization_stats',
-          description: 'Get statistics about token optimization',
+          name: 'rollback_memory',
+          description: 'Restore a memory item to its state before a revision, undoing that revision and all later ones; deleted items are restored',
           inputSchema: {
             type: 'object',
-            properties: {},
-            required: [],
+            properties: {
+              id: {
+                type: 'string',
+                description: 'ID of the memory item',
+              },
+              revision: {
+                type: 'number',
+                description: 'Revision to undo, from get_memory_history',
+              },
+            },
+            required: ['id', 'revision'],
           },
         },
         {
-          name: 'update_token_metrics',
-          description: 'Update token metrics with actual token usage',
+          name: 'link_memories',
+          description: 'Create or update a typed, weighted, directed edge between two memory items',
           inputSchema: {
             type: 'object',
             properties: {
-              problem_id: {
+              source_id: {
                 type: 'string',
-                description: 'A hash or identifier for the problem',
-              },
-              estimated_tokens: {
-                type: 'number',
-                description: 'The estimated token count',
+                description: 'ID of the source memory item',
               },
-              actual_tokens: {
-                type: 'number',
-                description: 'The actual token count used',
+              target_id: {
+                type: 'string',
+                description: 'ID of the target memory item',
               },
-              model: {
+              relation: {
                 type: 'string',
-                description: 'The thinking model used',
+                enum: memoryServiceUtils.getRelationshipTypes(),
+                description: 'The relationship type (optional, defaults to related_to)',
+              },
+              weight: {
+                type: 'number',
+                description: 'Strength of the relationship, greater than 0 (optional, defaults to 1)',
               },
             },
-            required: ['problem_id', 'estimated_tokens', 'actual_tokens', 'model'],
+            required: ['source_id', 'target_id'],
           },
         },
         {
-          name: 'estimate_token_count',
-          description: 'Estimate token count for a given text',
+          name: 'query_memory_graph',
+          description: 'Query the memory graph: neighbours by relation, shortest path, or subgraph to a depth',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              query_type: {
+                type: 'string',
+                enum: ['neighbors', 'shortest_path', 'subgraph'],
+                description: 'The kind of graph query to run',
+              },
+              id: {
+                type: 'string',
+                description: 'ID of the memory item to start from',
+              },
+              target_id: {
+                type: 'string',
+                description: 'ID of the memory item to reach (required for shortest_path)',
+              },
+              relation: {
+                type: 'string',
+                enum: memoryServiceUtils.getRelationshipTypes(),
+                description: 'Only follow edges of this relation (optional)',
+              },
+              direction: {
+                type: 'string',
+                enum: ['outgoing', 'incoming', 'both'],
+                description: 'Which edges to follow (optional, defaults to outgoing)',
+              },
+              depth: {
+                type: 'number',
+                description: 'Maximum number of hops (optional; defaults to 1 for subgraph and 10 for shortest_path queries)',
+              },
+            },
+            required: ['query_type', 'id'],
+          },
+        },
+        {
+          name: 'export_memory',
+          description: 'Export memory items, their connections and optionally their vectors as JSONL or a single JSON archive',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'File to write (.jsonl or .json, add .gz to compress), relative to the exports directory under the data directory; the export is returned inline when omitted (optional)',
+              },
+              format: {
+                type: 'string',
+                enum: ['jsonl', 'archive'],
+                description: 'Export format (optional, defaults from the file extension, otherwise jsonl)',
+              },
+              include_vectors: {
+                type: 'boolean',
+                description: 'Include stored embedding vectors (optional)',
+              },
+              types: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['working', 'episodic', 'semantic', 'procedural'],
+                },
+                description: 'Only include these memory types (optional)',
+              },
+              namespaces: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Only include these namespaces (optional)',
+              },
+              since: {
+                type: 'string',
+                description: 'Only include items created at or after this ISO 8601 date (optional)',
+              },
+              until: {
+                type: 'string',
+                description: 'Only include items created at or before this ISO 8601 date (optional)',
+              },
+              min_importance: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'Only include items with at least this importance (0-1, optional)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'import_memory',
+          description: 'Import memory items from an export file or inline export content, re-embedding them when the embedding provider differs',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Export file to read (JSONL or archive, optionally gzipped), relative to the exports directory under the data directory',
+              },
+              data: {
+                type: 'string',
+                description: 'Export content, used when no path is given',
+              },
+              on_conflict: {
+                type: 'string',
+                enum: ['skip', 'overwrite', 'merge'],
+                description: 'How to handle items whose ID already exists: skip them, overwrite them, or merge their connections (optional, defaults to skip)',
+              },
+              types: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['working', 'episodic', 'semantic', 'procedural'],
+                },
+                description: 'Only include these memory types (optional)',
+              },
+              namespaces: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                },
+                description: 'Only include these namespaces (optional)',
+              },
+              since: {
+                type: 'string',
+                description: 'Only include items created at or after this ISO 8601 date (optional)',
+              },
+              until: {
+                type: 'string',
+                description: 'Only include items created at or before this ISO 8601 date (optional)',
+              },
+              min_importance: {
+                type: 'number',
+                minimum: 0,
+                maximum: 1,
+                description: 'Only include items with at least this importance (0-1, optional)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'check_cache',
+          description: 'Check if a result is cached',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cache_type: {
+                type: 'string',
+                description: 'The type of cache to check',
+              },
+              cache_key: {
+                type: 'string',
+                description: 'The key to look up in the cache',
+              },
+            },
+            required: ['cache_type', 'cache_key'],
+          },
+        },
+        {
+          name: 'store_cache',
+          description: 'Store a result in the cache',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cache_type: {
+                type: 'string',
+                description: 'The type of cache to store in',
+              },
+              cache_key: {
+                type: 'string',
+                description: 'The key to store under',
+              },
+              response: {
+                type: 'string',
+                description: 'The response to cache',
+              },
+              tags: {
+                type: 'array',
+                items: { type: 'string' },
+                description: 'Labels to invalidate or list the entry by (optional)',
+              },
+            },
+            required: ['cache_type', 'cache_key', 'response'],
+          },
+        },
+        {
+          name: 'invalidate_cache',
+          description: 'Remove cache entries by cache type, exact key, key pattern and/or tag. Every given criterion must match',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cache_type: {
+                type: 'string',
+                description: 'Only remove entries of this cache type, e.g. generation_cache (optional)',
+              },
+              key: {
+                type: 'string',
+                description: 'Exact cache key (optional)',
+              },
+              pattern: {
+                type: 'string',
+                description: 'Key glob where * matches any characters and ? one character, e.g. "mcp_generation:*" (optional)',
+              },
+              tag: {
+                type: 'string',
+                description: 'Only remove entries stored with this tag, e.g. "model:gpt-4" or "namespace:my-project" (optional)',
+              },
+            },
+            anyOf: [
+              { required: ['cache_type'] },
+              { required: ['key'] },
+              { required: ['pattern'] },
+              { required: ['tag'] },
+            ],
+          },
+        },
+        {
+          name: 'list_cache_entries',
+          description: 'List cache entries with their size, age, hits and remaining TTL, newest first',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              cache_type: {
+                type: 'string',
+                description: 'Only list entries of this cache type (optional)',
+              },
+              pattern: {
+                type: 'string',
+                description: 'Key glob where * matches any characters and ? one character (optional)',
+              },
+              tag: {
+                type: 'string',
+                description: 'Only list entries stored with this tag (optional)',
+              },
+              offset: {
+                type: 'number',
+                description: 'Number of entries to skip (optional, default: 0)',
+              },
+              limit: {
+                type: 'number',
+                description: 'Maximum number of entries to return (optional, default: 50)',
+              },
+            },
+          },
+        },
+        {
+          name: 'export_cache_snapshot',
+          description: 'Save every live cache entry with its remaining TTL and hit count, plus the cache statistics, to one compressed file',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'File to write, relative to the data directory (optional, default: data/cache-snapshot.json.gz)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'import_cache_snapshot',
+          description: 'Restore cache entries and statistics from a snapshot file; entries keep the expiry they had when the snapshot was taken',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              path: {
+                type: 'string',
+                description: 'Snapshot file to read, relative to the data directory (optional, default: data/cache-snapshot.json.gz)',
+              },
+              overwrite: {
+                type: 'boolean',
+                description: 'Replace entries that are already cached (optional, default: false)',
+              },
+              entries_per_type: {
+                type: 'number',
+                description: 'Only import the most hit entries of each cache type (optional)',
+              },
+            },
+            required: [],
+          },
+        },
+        {
+          name: 'perform_maintenance',
+          description: 'Perform maintenance on the MCP systems. Memory maintenance also consolidates similar episodic memories into semantic or procedural memories and expires old working memories',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              systems: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['cache', 'memory', 'thinking', 'optimization', 'all'],
+                },
+                description: 'The systems to perform maintenance on',
+              },
+            },
+            required: ['systems'],
+          },
+        },
+        {
+          name: 'get_token_optimization_stats',
+          description: 'Get statistics about token optimization',
+          inputSchema: {
+            type: 'object',
+            properties: {},
+            required: [],
+          },
+        },
+        {
+          name: 'update_token_metrics',
+          description: 'Update token metrics with actual token usage',
+          inputSchema: {
+            type: 'object',
+            properties: {
+              problem_id: {
+                type: 'string',
+                description: 'A hash or identifier for the problem',
+              },
+              estimated_tokens: {
+                type: 'number',
+                description: 'The estimated token count',
+              },
+              actual_tokens: {
+                type: 'number',
+                description: 'The actual token count used',
+              },
+              model: {
+                type: 'string',
+                description: 'The thinking model used',
+              },
+            },
+            required: ['problem_id', 'estimated_tokens', 'actual_tokens', 'model'],
+          },
+        },
+        {
+          name: 'estimate_token_count',
+          description: 'Estimate token count for a given text',
           inputSchema: {
             type: 'object',
             properties: {
@@ -659,124 +1175,515 @@ class MCPCognitiveProcessor {
           },
         },
       ],
-    }));
+    };
+
+    this.server.setRequestHandler(ListToolsRequestSchema, async () => toolList);
+
+    // Runs a tool call whose arguments match the tool's input schema
+    const callTool = async (request: any, extra: RequestHandlerExtra): Promise<any> => {
+      const { name, arguments: args } = request.params;
+
+      switch (name) {
+        case 'thinking_process': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          try {
+            const typedArgs = {
+              problem: args.problem,
+              thinking_model: (typeof args.thinking_model === 'string') ? args.thinking_model : 'standard',
+              include_visualization: (typeof args.include_visualization === 'boolean') ? args.include_visualization : false,
+              optimize_tokens: (typeof args.optimize_tokens === 'boolean') ? args.optimize_tokens : false
+            };
+
+            console.log('Initiating thinking process with args:', JSON.stringify(typedArgs));
+
+            // Identical requests already in flight share their result instead of running again
+            const requestKey = createHash('md5').update(JSON.stringify(typedArgs)).digest('hex');
+            // Clients that pass a progress token are notified after each step, including
+            // clients whose request joined an identical one already in flight
+            const progressToken = request.params._meta?.progressToken;
+            const onProgress = progressToken === undefined ? undefined : (progress: ThinkingProgress) => {
+              this.notifyProgress(progressToken, {
+                progress: progress.step,
+                total: progress.maxSteps,
+                message: `Step ${progress.step} of ${progress.maxSteps}: ${progress.description}`,
+                phase: progress.phase,
+                tokensUsed: progress.tokensUsed,
+                tokenBudgetRemaining: progress.tokenBudgetRemaining
+              });
+            };
+
+            // A cancelled request stops the engine once no identical request is waiting on it
+            const flight = await requestCoalescingService.coalesce('thinking_process', requestKey, (signal, reportProgress: (progress: ThinkingProgress) => void) =>
+              this.thinkingService.initiateThinkingProcess(typedArgs, { signal, onProgress: reportProgress }),
+              extra.signal,
+              onProgress
+            );
+
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: JSON.stringify(flight.coalesced ? { ...flight.result, coalesced: true } : flight.result, null, 2),
+                },
+              ],
+            };
+          } catch (error) {
+            console.error('Error in thinking_process handler:', error);
+            return toolErrorResult('thinking_process', error);
+          }
+        }
+
+        case 'start_thinking': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            problem: string;
+            thinking_model?: string;
+            include_visualization?: boolean;
+            optimize_tokens?: boolean;
+          };
+
+          const result = await this.thinkingService.startThinkingProcess({
+            problem: typedArgs.problem,
+            thinking_model: typedArgs.thinking_model,
+            include_visualization: typedArgs.include_visualization,
+            optimize_tokens: typedArgs.optimize_tokens,
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'get_thinking_status': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          const result = await this.thinkingService.getThinkingProgress((args as { process_id: string }).process_id);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'get_thinking_result': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          const result = await this.thinkingService.getThinkingResult((args as { process_id: string }).process_id);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'visualize_thinking': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          const result = await this.thinkingService.visualizeThinkingProcess((args as { process_id: string }).process_id);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'evaluate_thinking': {
+          // Use the injected thinkingService instance
+          if (!this.thinkingService) {
+            throw new Error('Thinking service not initialized');
+          }
+
+          const result = await this.thinkingService.evaluateThinkingProcess((args as { process_id: string }).process_id);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'reason': {
+          // Type assertion for args
+          const typedArgs = args as {
+            problem: string;
+            reasoning_system?: string;
+            reasoning_systems?: string[];
+            context?: string[];
+            max_steps?: number;
+            include_intermediate_steps?: boolean;
+          };
+
+          const reasoningRequest = {
+            problem: typedArgs.problem,
+            reasoningSystem: typedArgs.reasoning_system || 'chain_of_thought',
+            context: typedArgs.context,
+            maxSteps: typedArgs.max_steps,
+            includeIntermediateSteps: typedArgs.include_intermediate_steps
+          };
+
+          // Several systems are run on the same problem and compared; duplicates are run once
+          const reasoningSystems = [...new Set(typedArgs.reasoning_systems || [])];
+          const result = reasoningSystems.length > 1
+            ? await compareReasoning(reasoningRequest, reasoningSystems)
+            : await performReasoning({ ...reasoningRequest, reasoningSystem: reasoningSystems[0] || reasoningRequest.reasoningSystem });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(this.info.offline ? { ...result, offline: true } : result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'store_memory': {
+          // Use the injected memoryService instance
+          if (!this.memoryService) {
+            throw new Error('Memory service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            type: 'working' | 'episodic' | 'semantic' | 'procedural';
+            content: string;
+            importance?: number;
+            connections?: string[];
+            namespace?: string;
+          };
+
+          await this.memoryService.storeMemory({
+            type: typedArgs.type,
+            content: typedArgs.content,
+            importance: typedArgs.importance || 0.5,
+            connections: typedArgs.connections || [],
+            timestamp: new Date().toISOString(),
+            relevance: 0.5,
+            namespace: typedArgs.namespace
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: 'Memory stored successfully',
+              },
+            ],
+          };
+        }
+
+        case 'retrieve_memory': {
+          // Use the injected memoryService instance
+          if (!this.memoryService) {
+            throw new Error('Memory service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            query: string;
+            limit?: number;
+            namespace?: string;
+            all_namespaces?: boolean;
+            fusion?: MemoryFusionMethod;
+            weights?: Partial<MemorySignalWeights>;
+            rrf_k?: number;
+          };
+
+          const results = await this.memoryService.searchMemory(typedArgs.query, typedArgs.limit, {
+            namespace: typedArgs.namespace,
+            allNamespaces: typedArgs.all_namespaces,
+            fusion: typedArgs.fusion,
+            weights: typedArgs.weights,
+            rrfK: typedArgs.rrf_k
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(results.map(({ item, score, explanation }) => ({ ...item, score, explanation })), null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'update_memory': {
+          // Type assertion for args
+          const typedArgs = args as {
+            id: string;
+            content?: string;
+            type?: MemoryItem['type'];
+            importance?: number;
+            connections?: string[];
+          };
+
+          const changes: MemoryItemUpdate = {};
+          if (typedArgs.content !== undefined) changes.content = typedArgs.content;
+          if (typedArgs.type !== undefined) changes.type = typedArgs.type;
+          if (typedArgs.importance !== undefined) changes.importance = typedArgs.importance;
+          if (typedArgs.connections !== undefined) changes.connections = typedArgs.connections;
+
+          const result = await this.memoryService.updateMemory(typedArgs.id, changes);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'delete_memory': {
+          // Type assertion for args
+          const typedArgs = args as {
+            id?: string;
+            ids?: string[];
+            types?: MemoryItem['type'][];
+            namespaces?: string[];
+            since?: string;
+            until?: string;
+            min_importance?: number;
+            max_importance?: number;
+            dry_run?: boolean;
+          };
+
+          const ids = [...(typedArgs.id ? [typedArgs.id] : []), ...(typedArgs.ids || [])];
+          const filter: MemoryFilter = {
+            types: typedArgs.types,
+            namespaces: typedArgs.namespaces,
+            since: typedArgs.since,
+            until: typedArgs.until,
+            minImportance: typedArgs.min_importance,
+            maxImportance: typedArgs.max_importance
+          };
+
+          const result = await this.memoryService.deleteMemories({ ids: ids.length > 0 ? ids : undefined, filter }, typedArgs.dry_run);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
 
-    // Handle tool calls
-    this.server.setRequestHandler(CallToolRequestSchema, async (request: any): Promise<any> => {
-      const { name, arguments: args } = request.params;
+        case 'get_memory_history': {
+          // Type assertion for args
+          const typedArgs = args as {
+            id: string;
+          };
 
-      switch (name) {
-        case 'thinking_process': {
-          // Use the injected thinkingService instance
-          if (!this.thinkingService) {
-            throw new Error('Thinking service not initialized');
-          }
+          const history = await this.memoryService.getMemoryHistory(typedArgs.id);
 
-          // Better error handling and type validation for args
-          try {
-            // Type assertion for args with input validation
-            if (!args || typeof args !== 'object') {
-              throw new Error('Invalid arguments: expecting JSON object');
-            }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(history, null, 2),
+              },
+            ],
+          };
+        }
 
-            // Validate required problem field
-            if (!('problem' in args) || typeof args.problem !== 'string' || args.problem.trim() === '') {
-              throw new Error('Invalid or missing "problem" field: must be a non-empty string');
-            }
+        case 'rollback_memory': {
+          // Type assertion for args
+          const typedArgs = args as {
+            id: string;
+            revision: number;
+          };
 
-            const typedArgs = {
-              problem: args.problem,
-              thinking_model: (typeof args.thinking_model === 'string') ? args.thinking_model : 'standard',
-              include_visualization: (typeof args.include_visualization === 'boolean') ? args.include_visualization : false,
-              optimize_tokens: (typeof args.optimize_tokens === 'boolean') ? args.optimize_tokens : false
-            };
+          const result = await this.memoryService.rollbackMemory(typedArgs.id, typedArgs.revision);
 
-            console.log('Initiating thinking process with args:', JSON.stringify(typedArgs));
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
 
-            const result = await this.thinkingService.initiateThinkingProcess(typedArgs);
+        case 'link_memories': {
+          // Type assertion for args
+          const typedArgs = args as {
+            source_id: string;
+            target_id: string;
+            relation?: string;
+            weight?: number;
+          };
 
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify(result, null, 2),
-                },
-              ],
-            };
-          } catch (error) {
-            console.error('Error in thinking_process handler:', error);
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify({
-                    error: error instanceof Error ? error.message : 'Invalid JSON argument for thinking_process',
-                    timestamp: new Date().toISOString(),
-                    suggestions: [
-                      "Make sure your JSON is properly formatted",
-                      "The 'problem' field is required and must be a non-empty string",
-                      "Optional fields: thinking_model (string), include_visualization (boolean), optimize_tokens (boolean)"
-                    ]
-                  }, null, 2),
-                },
-              ],
-              isError: true
-            };
-          }
+          const edge = await this.memoryService.linkMemories(
+            typedArgs.source_id,
+            typedArgs.target_id,
+            typedArgs.relation,
+            typedArgs.weight
+          );
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({ source: typedArgs.source_id, ...edge }, null, 2),
+              },
+            ],
+          };
         }
 
-        case 'store_memory': {
-          // Use the injected memoryService instance
-          if (!this.memoryService) {
-            throw new Error('Memory service not initialized');
+        case 'query_memory_graph': {
+          // Type assertion for args
+          const typedArgs = args as {
+            query_type: 'neighbors' | 'shortest_path' | 'subgraph';
+            id: string;
+            target_id?: string;
+            relation?: string;
+            direction?: 'outgoing' | 'incoming' | 'both';
+            depth?: number;
+          };
+          const options = { relation: typedArgs.relation, direction: typedArgs.direction };
+
+          let result: unknown;
+          switch (typedArgs.query_type) {
+            case 'neighbors':
+              result = await this.memoryService.getMemoryNeighbors(typedArgs.id, options);
+              break;
+            case 'shortest_path':
+              if (!typedArgs.target_id) {
+                throw new McpError(ErrorCode.InvalidParams, "The 'target_id' field is required for shortest_path queries");
+              }
+              result = await this.memoryService.findMemoryPath(typedArgs.id, typedArgs.target_id, options, typedArgs.depth);
+              break;
+            case 'subgraph':
+              result = await this.memoryService.getMemorySubgraph(typedArgs.id, typedArgs.depth, options);
+              break;
+            default:
+              throw new McpError(ErrorCode.InvalidParams, `Unknown query_type: ${typedArgs.query_type}`);
           }
 
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'export_memory': {
           // Type assertion for args
           const typedArgs = args as {
-            type: 'working' | 'episodic' | 'semantic' | 'procedural';
-            content: string;
-            importance?: number;
-            connections?: string[];
+            path?: string;
+            format?: 'jsonl' | 'archive';
+            include_vectors?: boolean;
+            types?: MemoryItem['type'][];
+            namespaces?: string[];
+            since?: string;
+            until?: string;
+            min_importance?: number;
           };
 
-          await this.memoryService.storeMemory({
-            type: typedArgs.type,
-            content: typedArgs.content,
-            importance: typedArgs.importance || 0.5,
-            connections: typedArgs.connections || [],
-            timestamp: new Date().toISOString(),
-            relevance: 0.5
+          const result = await this.memoryService.exportMemories({
+            path: typedArgs.path,
+            format: typedArgs.format,
+            includeVectors: typedArgs.include_vectors,
+            filter: {
+              types: typedArgs.types,
+              namespaces: typedArgs.namespaces,
+              since: typedArgs.since,
+              until: typedArgs.until,
+              minImportance: typedArgs.min_importance
+            }
           });
 
           return {
             content: [
               {
                 type: 'text',
-                text: 'Memory stored successfully',
+                text: result.content ?? JSON.stringify(result, null, 2),
               },
             ],
           };
         }
 
-        case 'retrieve_memory': {
-          // Use the injected memoryService instance
-          if (!this.memoryService) {
-            throw new Error('Memory service not initialized');
-          }
-
+        case 'import_memory': {
           // Type assertion for args
           const typedArgs = args as {
-            query: string;
-            limit?: number;
+            path?: string;
+            data?: string;
+            on_conflict?: 'skip' | 'overwrite' | 'merge';
+            types?: MemoryItem['type'][];
+            namespaces?: string[];
+            since?: string;
+            until?: string;
+            min_importance?: number;
           };
 
-          const results = await this.memoryService.retrieveMemory(typedArgs.query, typedArgs.limit);
+          if (!typedArgs.path && !typedArgs.data) {
+            throw new McpError(ErrorCode.InvalidParams, "Either 'path' or 'data' is required");
+          }
+
+          const result = await this.memoryService.importMemories(
+            { path: typedArgs.path, content: typedArgs.data },
+            {
+              onConflict: typedArgs.on_conflict,
+              filter: {
+                types: typedArgs.types,
+                namespaces: typedArgs.namespaces,
+                since: typedArgs.since,
+                until: typedArgs.until,
+                minImportance: typedArgs.min_importance
+              }
+            }
+          );
 
           return {
             content: [
               {
                 type: 'text',
-                text: JSON.stringify(results, null, 2),
+                text: JSON.stringify(result, null, 2),
               },
             ],
           };
@@ -817,9 +1724,10 @@ class MCPCognitiveProcessor {
             cache_type: string;
             cache_key: string;
             response: string;
+            tags?: string[];
           };
 
-          await this.cacheService.storeCache(typedArgs.cache_type, typedArgs.cache_key, typedArgs.response);
+          await this.cacheService.storeCache(typedArgs.cache_type, typedArgs.cache_key, typedArgs.response, typedArgs.tags);
 
           return {
             content: [
@@ -831,6 +1739,121 @@ class MCPCognitiveProcessor {
           };
         }
 
+        case 'invalidate_cache': {
+          // Use the injected cacheService instance
+          if (!this.cacheService) {
+            throw new Error('Cache service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            cache_type?: string;
+            key?: string;
+            pattern?: string;
+            tag?: string;
+          };
+
+          const result = await this.cacheService.invalidateCache({
+            cacheType: typedArgs.cache_type,
+            key: typedArgs.key,
+            pattern: typedArgs.pattern,
+            tag: typedArgs.tag
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'list_cache_entries': {
+          // Use the injected cacheService instance
+          if (!this.cacheService) {
+            throw new Error('Cache service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            cache_type?: string;
+            pattern?: string;
+            tag?: string;
+            offset?: number;
+            limit?: number;
+          };
+
+          const page = await this.cacheService.listCacheEntries({
+            cacheType: typedArgs.cache_type,
+            pattern: typedArgs.pattern,
+            tag: typedArgs.tag,
+            offset: typedArgs.offset,
+            limit: typedArgs.limit
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(page, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'export_cache_snapshot': {
+          // Use the injected cacheService instance
+          if (!this.cacheService) {
+            throw new Error('Cache service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            path?: string;
+          };
+
+          const result = await this.cacheService.exportCacheSnapshot(typedArgs.path);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
+        case 'import_cache_snapshot': {
+          // Use the injected cacheService instance
+          if (!this.cacheService) {
+            throw new Error('Cache service not initialized');
+          }
+
+          // Type assertion for args
+          const typedArgs = args as {
+            path?: string;
+            overwrite?: boolean;
+            entries_per_type?: number;
+          };
+
+          const result = await this.cacheService.importCacheSnapshot(typedArgs.path, {
+            overwrite: typedArgs.overwrite,
+            entriesPerType: typedArgs.entries_per_type
+          });
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify(result, null, 2),
+              },
+            ],
+          };
+        }
+
         case 'perform_maintenance': {
           // Type assertion for args
           const typedArgs = args as {
@@ -838,9 +1861,11 @@ class MCPCognitiveProcessor {
           };
 
           const systems = typedArgs.systems;
-          const results: Record<string, number> = {};
+          const results: Record<string, number | MemoryConsolidationResult> = {};
 
           if (systems.includes('all') || systems.includes('memory')) {
+            // Consolidate first so maintenance rebuilds the index with the new items
+            results.memory_consolidation = await this.memoryService.consolidateMemories();
             results.memory = await this.memoryService.performMemoryMaintenance();
           }
 
@@ -943,30 +1968,23 @@ class MCPCognitiveProcessor {
               throw new Error('Cache service missing required methods');
             }
 
-            // Validate arguments is a proper JSON object
-            if (!args || typeof args !== 'object' || Array.isArray(args)) {
-              throw new McpError(ErrorCode.InvalidParams, 'Arguments must be a valid JSON object');
-            }
-
             // Type assertion for args
             const typedArgs = args as {
               prompt: string;
               model?: string;
               max_tokens?: number;
               optimize_tokens?: boolean;
+              namespace?: string;
+              bypass_semantic_cache?: boolean;
             };
 
-            // Validate input
-            if (!typedArgs.prompt || typedArgs.prompt.trim() === '') {
-              throw new McpError(ErrorCode.InvalidParams, 'Prompt cannot be empty');
-            }
-
             // Generate a cache key for this request
             const requestHash = createHash('md5')
               .update(JSON.stringify({
                 prompt: typedArgs.prompt,
                 model: typedArgs.model,
-                max_tokens: typedArgs.max_tokens
+                max_tokens: typedArgs.max_tokens,
+                namespace: typedArgs.namespace
               }))
               .digest('hex');
 
@@ -997,137 +2015,225 @@ class MCPCognitiveProcessor {
               }
             }
 
-            // Apply token optimization if requested
-            const shouldOptimizeTokens = typedArgs.optimize_tokens !== false; // Default to true
-            let optimizationResult;
-
-            if (shouldOptimizeTokens) {
-              optimizationResult = this.tokenOptimizer.optimizeTokenUsage(typedArgs.prompt, {
-                user_selected_model: typedArgs.model,
-                available_tokens: typedArgs.max_tokens
-              });
-
-              console.log(`Token optimization applied: ${optimizationResult.selected_model}, estimated tokens: ${optimizationResult.estimated_tokens}`);
-            }
-
-            // Retrieve relevant memories for context
-            const relevantMemories = await this.memoryService.retrieveMemory(typedArgs.prompt, 5);
-
-            // Prepare context from memories
-            let contextText = '';
-            if (relevantMemories.length > 0) {
-              contextText = 'Relevant context from memory:\n';
-              relevantMemories.forEach((memory: { content: string }) => {
-                contextText += `- ${memory.content}\n`;
-              });
-              contextText += '\n';
-            }
-
             // Prepare the system prompt
             const systemPrompt = `You are an advanced AI assistant powered by the Masterful Cognitive Processor.
 Your task is to provide a helpful, accurate, and thoughtful response to the user's prompt.
 Use the provided context when relevant, but rely on your own knowledge when the context doesn't contain the necessary information.
 Always maintain a helpful and professional tone.`;
 
-            // Prepare the full prompt with context
-            const fullPrompt = `${contextText}${typedArgs.prompt}`;
-
-            // Call the LLM directly using the imported function
-            const response = await processStructuredThinking({
+            // Otherwise reuse the response to a similar enough prompt with the same settings
+            const semanticScope = {
+              model: typedArgs.model,
               systemPrompt,
-              prompt: fullPrompt,
-              model: optimizationResult?.selected_model || typedArgs.model || 'internal-processor'
-            });
-
-            // Prepare the result
-            const result = {
-              response: response.response,
-              model: response.model,
-              token_usage: response.tokenUsage,
-              optimization: optimizationResult,
-              memory_items_used: relevantMemories.length,
-              cached: false,
-              internal_processing: true
+              maxTokens: typedArgs.max_tokens,
+              namespace: typedArgs.namespace
+            };
+            const similarResult = typedArgs.bypass_semantic_cache
+              ? null
+              : await semanticCacheService.findSimilarCached('generation_cache', typedArgs.prompt, semanticScope);
+
+            if (similarResult) {
+              console.log(`Semantic cache hit for generation request: ${similarResult.cacheKey} (similarity ${similarResult.similarity.toFixed(3)})`);
+
+              try {
+                const parsedResult = JSON.parse(similarResult.result.response);
+                return {
+                  content: [
+                    {
+                      type: 'text',
+                      text: JSON.stringify({
+                        ...parsedResult,
+                        cached: true,
+                        smart_cached: true,
+                        similarity: similarResult.similarity
+                      }, null, 2),
+                    },
+                  ],
+                };
+              } catch (parseError) {
+                console.error('Error parsing cached result:', parseError);
+                // Continue with generating a new result
+              }
+            }
+
+            // Clients that pass a progress token are notified as each stage starts, including
+            // clients whose request joined an identical one already in flight
+            const progressToken = request.params._meta?.progressToken;
+            const onProgress = progressToken === undefined ? undefined : (stage: GenerationStage) => {
+              this.notifyProgress(progressToken, { ...stage, total: GENERATION_STAGE_COUNT });
             };
 
-            // Store in cache for future use
-            await this.cacheService.storeCache('generation_cache', cacheKey, JSON.stringify(result));
+            // Identical requests already in flight share their result instead of running again
+            const flight = await requestCoalescingService.coalesce('generate_with_mcp', cacheKey, async (_, reportProgress: (stage: GenerationStage) => void) => {
+              reportProgress({ progress: 0, message: 'Optimizing tokens' });
+
+              // Apply token optimization if requested
+              const shouldOptimizeTokens = typedArgs.optimize_tokens !== false; // Default to true
+              let optimizationResult;
+
+              if (shouldOptimizeTokens) {
+                optimizationResult = this.tokenOptimizer.optimizeTokenUsage(typedArgs.prompt, {
+                  user_selected_model: typedArgs.model,
+                  available_tokens: typedArgs.max_tokens
+                });
+
+                console.log(`Token optimization applied: ${optimizationResult.selected_model}, estimated tokens: ${optimizationResult.estimated_tokens}`);
+              }
+
+              // Retrieve relevant memories for context
+              reportProgress({ progress: 1, message: 'Retrieving relevant memories' });
+              const relevantMemories = await this.memoryService.retrieveMemory(typedArgs.prompt, 5, { namespace: typedArgs.namespace });
+
+              // Prepare context from memories
+              let contextText = '';
+              if (relevantMemories.length > 0) {
+                contextText = 'Relevant context from memory:\n';
+                relevantMemories.forEach((memory: { content: string }) => {
+                  contextText += `- ${memory.content}\n`;
+                });
+                contextText += '\n';
+              }
+
+              // Prepare the full prompt with context
+              const fullPrompt = `${contextText}${typedArgs.prompt}`;
+
+              // Call the LLM directly using the imported function
+              const selectedModel = optimizationResult?.selected_model || typedArgs.model || 'internal-processor';
+              reportProgress({ progress: 2, message: `Generating the response with ${selectedModel}` });
+              const response = await processStructuredThinking({
+                systemPrompt,
+                prompt: fullPrompt,
+                model: selectedModel,
+                namespace: typedArgs.namespace,
+                bypassSemanticCache: typedArgs.bypass_semantic_cache
+              });
+
+              // Prepare the result
+              const result = {
+                response: response.response,
+                model: response.model,
+                token_usage: response.tokenUsage,
+                optimization: optimizationResult,
+                memory_items_used: relevantMemories.length,
+                cached: false,
+                internal_processing: true,
+                ...(this.info.offline ? { offline: true } : {})
+              };
+
+              // Store in cache for future use, tagged so entries can be purged per model or project
+              reportProgress({ progress: 3, message: 'Caching the response' });
+              await this.cacheService.storeCache('generation_cache', cacheKey, JSON.stringify(result), [
+                `model:${selectedModel}`,
+                `namespace:${typedArgs.namespace || memoryServiceUtils.getDefaultNamespace()}`
+              ]);
+              await semanticCacheService.recordCachedPrompt('generation_cache', cacheKey, typedArgs.prompt, semanticScope);
+
+              // Store this interaction in memory
+              await this.memoryService.storeMemory({
+                type: 'episodic',
+                content: `User asked: "${typedArgs.prompt.substring(0, 100)}${typedArgs.prompt.length > 100 ? '...' : ''}"`,
+                importance: 0.6,
+                connections: [],
+                timestamp: new Date().toISOString(),
+                relevance: 0.6,
+                namespace: typedArgs.namespace
+              });
 
-            // Store this interaction in memory
-            await this.memoryService.storeMemory({
-              type: 'episodic',
-              content: `User asked: "${typedArgs.prompt.substring(0, 100)}${typedArgs.prompt.length > 100 ? '...' : ''}"`,
-              importance: 0.6,
-              connections: [],
-              timestamp: new Date().toISOString(),
-              relevance: 0.6
-            });
+              return result;
+            }, undefined, onProgress);
 
             // Return the result
             return {
               content: [
                 {
                   type: 'text',
-                  text: JSON.stringify(result, null, 2),
+                  text: JSON.stringify(flight.coalesced ? { ...flight.result, coalesced: true } : flight.result, null, 2),
                 },
               ],
             };
           } catch (error: any) {
             console.error('Error in generate_with_mcp:', error);
-
-            return {
-              content: [
-                {
-                  type: 'text',
-                  text: JSON.stringify({
-                    error: error instanceof Error ? error.message : String(error),
-                    status: 'error'
-                  }, null, 2),
-                },
-              ],
-              isError: true
-            };
+            return toolErrorResult('generate_with_mcp', error);
           }
         }
 
         default:
           throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
       }
+    };
+
+    // Handle tool calls, reporting every failure in the same error envelope
+    this.server.setRequestHandler(CallToolRequestSchema, async (request: any, extra: RequestHandlerExtra): Promise<any> => {
+      const { name, arguments: args } = request.params;
+
+      const tool = toolList.tools.find(candidate => candidate.name === name);
+      if (!tool) {
+        throw new McpError(ErrorCode.MethodNotFound, `Unknown tool: ${name}`);
+      }
+
+      try {
+        assertValidToolArguments(name, tool.inputSchema as ToolInputSchema, args);
+        return await callTool(request, extra);
+      } catch (error) {
+        console.error(`Error in ${name} tool:`, error);
+        return toolErrorResult(name, error);
+      }
     });
   }
   
   /**
-   * Runs the MCP server
+   * Runs the MCP server over stdio, or over HTTP when selected with --transport http or MCP_TRANSPORT
+   * Stopping the server flushes memory, cache and token metrics.
+   * @param options - The transport to serve on (defaults to the one given on the command line and in the environment)
    * @returns Promise that resolves when the server is running
    */
-  async run(): Promise<void> {
-    const transport = new StdioServerTransport();
-    await this.server.connect(transport);
-    console.error('MCP Cognitive Processor running on stdio');
+  async run(options: TransportOptions = getTransportOptions()): Promise<void> {
+    if (options.transport === 'http') {
+      // Every HTTP session gets its own server with the same handlers and services
+      const httpTransport = await startHttpTransport(options, () => new MCPCognitiveProcessor(this.services).server);
+      this.info.transport.url = httpTransport.url;
+      registerShutdown(() => httpTransport.close());
+      console.error(`MCP Cognitive Processor listening on ${httpTransport.url}/sse`);
+    } else {
+      const transport = new StdioServerTransport();
+      await this.server.connect(transport);
+      registerShutdown(() => this.server.close());
+      console.error('MCP Cognitive Processor running on stdio');
+    }
+
+    // Preload the most used cache entries without holding up requests
+    this.cacheService.warmUpCache().catch(error => console.error('Cache warm-up failed:', error));
   }
 }
 
-// Initialize services and start server
-async function startServer() {
+/**
+ * Loads the environment, composes the services and starts serving
+ * @param options - Feature toggles (defaults to those given on the command line and in the environment)
+ */
+export async function startServer(options?: BootstrapOptions): Promise<void> {
   console.log('Initializing services...');
   try {
-    // Initialize DIServiceFactory with configuration
-    DIServiceFactory.initialize({
-      name: mcpConfig.name,
-      version: mcpConfig.version,
-    });
-    console.log('Service factory initialized successfully');
-
-    // Verify critical services
-    const processor = new MCPCognitiveProcessor();
-    await processor.run();
+    loadEnvironment();
+    const bootstrapOptions = options || getBootstrapOptions();
+    const services = await composeServices(bootstrapOptions);
+    console.log('All services initialized successfully');
+
+    console.log(`Initializing ${mcpConfig.name} v${mcpConfig.version}`);
+    console.log('Core capabilities:');
+    console.log('- Thinking Models:', mcpConfig.core.thinkingModels.map((m: { name: string }) => m.name).join(', '));
+    console.log('- Reasoning Systems:', mcpConfig.core.intelligence.reasoningSystems.map((r: { name: string }) => r.name).join(', '));
+    console.log('- Model providers:', services.info.providers.map(provider => provider.name).join(', '),
+      services.info.fallback.enabled ? '(with fallback)' : '(without fallback)');
+
+    const processor = new MCPCognitiveProcessor(services);
+    await processor.run(bootstrapOptions.transport);
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
   }
 }
 
-// Start the server when this module is run directly
-if (import.meta.url === new URL(import.meta.url).href) {
+// Start the server when this module is run directly rather than imported by index.ts
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
   startServer();
 }
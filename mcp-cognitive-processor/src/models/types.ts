@@ -10,6 +10,224 @@ export interface MemoryItem {
   importance: number;
   relevance: number;
   connections: string[];
+  edges?: MemoryEdge[];
+  consolidatedInto?: string; // ID of the memory this item was consolidated into
+  accessCount?: number; // Times the item was returned by retrieval
+  lastAccessed?: string; // When the item was last returned by retrieval
+  reinforcedStrength?: number; // Strength right after the last retrieval, decaying from lastAccessed
+  namespace?: string; // Project or workspace the item belongs to
+}
+
+/**
+ * Selects the memory namespaces an operation applies to
+ * Without a namespace the server's default namespace is used
+ */
+export interface MemoryScope {
+  namespace?: string;
+  allNamespaces?: boolean; // Search every namespace explicitly
+}
+
+/**
+ * Typed, weighted, directed edge from a memory item to another
+ * Connections without an edge are treated as 'related_to' with weight 1
+ */
+export interface MemoryEdge {
+  target: string;
+  relation: string;
+  weight: number;
+  created?: string;
+}
+
+export interface MemoryGraphEdge {
+  source: string;
+  target: string;
+  relation: string;
+  weight: number;
+}
+
+export type ConnectedMemoryItem = MemoryItem & {
+  relation: string;
+  weight: number;
+};
+
+export interface MemoryNeighbor {
+  item: MemoryItem;
+  relation: string;
+  weight: number;
+  direction: 'outgoing' | 'incoming';
+}
+
+export interface MemoryGraphQueryOptions {
+  relation?: string;
+  direction?: 'outgoing' | 'incoming' | 'both';
+}
+
+export interface MemoryPath {
+  nodes: MemoryItem[];
+  edges: MemoryGraphEdge[];
+  cost: number;
+}
+
+export interface MemorySubgraph {
+  root: string;
+  depth: number;
+  nodes: MemoryItem[];
+  edges: MemoryGraphEdge[];
+}
+
+/**
+ * Forgetting curve settings
+ * Memory strength halves every half-life since the item was stored or last retrieved
+ */
+export interface MemoryForgettingConfig {
+  halfLifeDays: Record<MemoryItem['type'], number>; // 0 disables decay for a type
+  retrievalBoost: number; // Fraction of the remaining headroom added to strength on retrieval
+  hitSimilarity?: number; // Embedding similarity at which a result without a text match counts as retrieved
+  archiveThreshold: number; // Strength below which items are archived during maintenance
+}
+
+// How the ranking signals of memory retrieval are combined
+export type MemoryFusionMethod = 'rrf' | 'weighted';
+
+// Ranking signals: embedding similarity, BM25 text match, and strength on the forgetting curve
+export type MemoryRetrievalSignal = 'vector' | 'lexical' | 'strength';
+
+export type MemorySignalWeights = Record<MemoryRetrievalSignal, number>;
+
+/**
+ * Retrieval ranking settings
+ */
+export interface MemoryRetrievalConfig {
+  fusion: MemoryFusionMethod;
+  weights: MemorySignalWeights;
+  rrfK: number; // Rank offset of reciprocal rank fusion; larger values flatten the rank curve
+  typeBoosts: Record<MemoryItem['type'], number>; // Multipliers applied to the strength signal
+}
+
+/**
+ * Namespace selection and per-call ranking overrides for memory retrieval
+ */
+export interface MemoryRetrievalOptions extends MemoryScope {
+  fusion?: MemoryFusionMethod;
+  weights?: Partial<MemorySignalWeights>;
+  rrfK?: number;
+}
+
+/**
+ * How one signal contributed to the score of a retrieved item
+ */
+export interface MemorySignalExplanation {
+  value: number | null; // Cosine similarity, BM25 score or boosted strength; null when the signal did not match
+  rank: number | null; // 1-based rank among the candidates by this signal
+  weight: number;
+  contribution: number; // Part of the fused score from this signal
+}
+
+export interface ScoredMemoryItem {
+  item: MemoryItem;
+  score: number;
+  explanation: {
+    fusion: MemoryFusionMethod;
+    typeBoost: number;
+    signals: Record<MemoryRetrievalSignal, MemorySignalExplanation>;
+  };
+}
+
+/**
+ * Selects memory items for export and import
+ * Dates are ISO 8601 strings compared against the item timestamp
+ */
+export interface MemoryFilter {
+  types?: MemoryItem['type'][];
+  namespaces?: string[];
+  since?: string;
+  until?: string;
+  minImportance?: number;
+  maxImportance?: number;
+}
+
+// How an imported item is handled when an item with the same ID already exists
+export type MemoryConflictStrategy = 'skip' | 'overwrite' | 'merge';
+
+/**
+ * One memory item in an export, with its vector when vectors are included
+ */
+export interface MemoryExportRecord {
+  item: MemoryItem;
+  vector?: {
+    vector: number[];
+    model?: string;
+  };
+}
+
+export type MemoryExportFormat = 'jsonl' | 'archive';
+
+export interface MemoryExportOptions {
+  path?: string; // File to write, relative to the export directory; the export is returned inline when omitted
+  format?: MemoryExportFormat; // Defaults from the file extension, otherwise jsonl
+  includeVectors?: boolean;
+  filter?: MemoryFilter;
+  anyPath?: boolean; // Allow paths outside the export directory (command line use only)
+}
+
+export interface MemoryExportResult {
+  count: number;
+  format: MemoryExportFormat;
+  path?: string;
+  content?: string;
+}
+
+export interface MemoryImportOptions {
+  onConflict?: MemoryConflictStrategy; // Defaults to skip
+  filter?: MemoryFilter;
+  anyPath?: boolean; // Allow paths outside the export directory (command line use only)
+}
+
+export interface MemoryImportResult {
+  imported: number; // New items written
+  overwritten: number; // Existing items replaced
+  merged: number; // Existing items whose connections were merged
+  skipped: number; // Items skipped because they already exist
+  filtered: number; // Items excluded by the filter
+  reembedded: number; // Items embedded with the active provider
+}
+
+// Fields of a memory item that can be edited through update_memory
+export type MemoryItemUpdate = Partial<Pick<MemoryItem, 'content' | 'type' | 'importance' | 'connections'>>;
+
+export type MemoryRevisionAction = 'update' | 'rollback' | 'delete' | 'import';
+
+/**
+ * One entry in the edit history of a memory item
+ * Holds the item as it was before the change so the change can be rolled back
+ */
+export interface MemoryRevision {
+  itemId: string;
+  revision: number; // Increases by one per change to the item, starting at 1
+  action: MemoryRevisionAction;
+  timestamp: string;
+  changedFields: string[];
+  previous: MemoryItem | null; // Null when a rollback restored a deleted item
+}
+
+export interface MemoryUpdateResult {
+  item: MemoryItem;
+  revision: MemoryRevision | null; // Null when the update changed nothing
+}
+
+export interface MemoryDeleteResult {
+  deleted: string[]; // IDs of the deleted items, or of the matching items on a dry run
+  notFound: string[]; // Requested IDs that do not exist
+  detached: number; // Other items whose connections to the deleted items were removed
+  dryRun: boolean;
+}
+
+export interface MemoryConsolidationResult {
+  clusters: number; // Clusters of similar episodic items found
+  merged: number; // Episodic items merged into a consolidated memory
+  promoted: number; // Clusters promoted to semantic memory
+  procedural: number; // Clusters promoted to procedural memory
+  expired: number; // Working memories removed after the session lifetime
 }
 
 export interface ThinkingStep {
@@ -34,6 +252,7 @@ export interface VectorItem {
   id: string;
   content: string;
   vector: number[];
+  model?: string; // Embedding provider id that produced the vector
   metadata: {
     type: string;
     source: string;
@@ -44,6 +263,7 @@ export interface VectorItem {
 export interface MemoryVector {
   itemId: string;
   vector: number[];
+  model?: string; // Embedding provider id that produced the vector
   created: string;
   updated?: string;
 }
@@ -131,7 +351,13 @@ export interface MCPConfig {
       persistenceLevel: string;
       [key: string]: string | number | boolean | object | undefined;
     }[];
+    forgetting?: MemoryForgettingConfig;
+    retrieval?: MemoryRetrievalConfig;
+    maxImportBytes?: number; // Largest memory export file imported, once decompressed (defaults to 512MB)
   };
+  cache?: CacheConfig;
+  semanticCache?: SemanticCacheConfig;
+  modelProviders?: Record<string, OpenAICompatibleProviderConfig>; // Named providers for --providers and pipeline steps
   preprocessingPipeline: PreprocessingPipelineConfig;
 }
 
@@ -249,6 +475,351 @@ export interface ProcessConfig {
 export interface CacheResult {
   response: string;
   timestamp: string;
+  key?: string; // Absent on entries stored before keys were recorded
+  tags?: string[];
+}
+
+/**
+ * Selects cache entries to invalidate or list
+ * Every given criterion must match; patterns are globs where * matches any run of
+ * characters and ? a single character, so "prefix*" matches by prefix
+ */
+export interface CacheEntryFilter {
+  cacheType?: string;
+  key?: string;
+  pattern?: string;
+  tag?: string;
+}
+
+export interface CacheInvalidationResult {
+  removed: number;
+  byType: Record<string, number>;
+}
+
+export interface CacheListOptions extends CacheEntryFilter {
+  offset?: number;
+  limit?: number;
+}
+
+export interface CacheEntryInfo {
+  cacheType: string;
+  key: string | null; // Null for entries stored before keys were recorded
+  tags: string[];
+  timestamp: string;
+  sizeInBytes: number;
+  ageSeconds: number;
+  ttlRemainingSeconds: number; // 0 once expired; expired entries are removed by maintenance
+  hits: number; // Lookups served, kept across restarts
+}
+
+export interface CacheEntryPage {
+  total: number;
+  offset: number;
+  limit: number;
+  entries: CacheEntryInfo[];
+}
+
+export type CacheBackendName = 'memory' | 'file' | 'redis';
+
+/**
+ * Cache subsystem settings
+ * TTL, LRU eviction and size limits are applied the same way for every backend
+ */
+export interface CacheConfig {
+  backend: CacheBackendName;
+  maxEntries: number; // Least recently used entries are evicted beyond this
+  maxSizeBytes: number; // Least recently used entries are evicted beyond this many bytes of responses
+  ttl: Record<string, number>; // Milliseconds per cache type, with a 'default' entry
+  hotEntries: number; // Responses kept in memory in front of a file or Redis backend
+  maxSnapshotBytes?: number; // Largest snapshot imported, once decompressed (defaults to 512MB)
+  warmup: CacheWarmupConfig;
+  redis: {
+    url: string; // redis://[:password@]host:port[/db]
+    keyPrefix: string;
+  };
+}
+
+/**
+ * Start-up cache warming
+ * The most hit entries per cache type are loaded into memory, after importing them
+ * from a snapshot if one is configured and exists
+ */
+export interface CacheWarmupConfig {
+  enabled: boolean;
+  entriesPerType: number;
+  snapshotPath?: string;
+}
+
+/**
+ * A cache entry as stored by a backend
+ */
+export interface CacheRecord {
+  cacheType: string;
+  key: string | null; // Null for entries stored before keys were recorded
+  response: string;
+  tags: string[];
+  timestamp: string; // When the entry was stored
+  expiresAt?: number; // Epoch milliseconds; absent on entries stored before expiry was recorded
+  hits?: number; // Lookups served, as of the last time hit counts were written
+}
+
+export interface CacheTypeStats {
+  items: number;
+  sizeInBytes: number;
+  hits: number;
+  misses: number;
+  hitRate: number;
+}
+
+export interface CacheStats {
+  backend: CacheBackendName;
+  totalItems: number;
+  total: number; // Same as totalItems, kept for older clients
+  sizeInBytes: number;
+  hits: number;
+  misses: number;
+  hitRate: number;
+  avgResponseTime: number;
+  evictions: number; // Entries evicted to stay within maxEntries or maxSizeBytes
+  expired: number; // Entries removed after their TTL
+  maxEntries: number;
+  maxSizeBytes: number;
+  hotEntries: number; // Responses currently held in memory in front of the backend
+  byType: Record<string, CacheTypeStats>;
+}
+
+/**
+ * Lookup and eviction counters carried in a cache snapshot
+ */
+export interface CacheSnapshotStats {
+  evictions: number;
+  expired: number;
+  byType: Record<string, { hits: number; misses: number }>;
+}
+
+/**
+ * Every live cache entry with its expiry and hit count, plus the cache counters
+ */
+export interface CacheSnapshot {
+  version: 1;
+  createdAt: string;
+  backend: CacheBackendName;
+  stats: CacheSnapshotStats;
+  entries: Array<{ id: string; record: CacheRecord & { expiresAt: number; hits: number } }>;
+}
+
+export interface CacheSnapshotExportResult {
+  path: string;
+  entries: number;
+  sizeInBytes: number; // Of the compressed file
+}
+
+export interface CacheSnapshotImportOptions {
+  overwrite?: boolean; // Replace entries that are already cached (defaults to false)
+  entriesPerType?: number; // Only import the most hit entries of each cache type
+}
+
+export interface CacheSnapshotImportResult {
+  imported: number; // New entries written
+  overwritten: number; // Cached entries replaced
+  skipped: number; // Entries skipped because they are already cached
+  expired: number; // Entries whose TTL ran out since the snapshot was taken
+  limited: number; // Entries beyond entriesPerType
+}
+
+export interface CacheWarmupResult {
+  imported: number; // Entries imported from the warm-up snapshot
+  preloaded: number; // Entries loaded into memory
+}
+
+export type TransportName = 'stdio' | 'http';
+
+/**
+ * How clients reach the MCP server
+ */
+export interface TransportOptions {
+  transport: TransportName;
+  port: number; // HTTP only
+  host: string; // Bind address, HTTP only
+  allowedHosts?: string[]; // Host names HTTP requests may address, besides the loopback names and the bind address
+  allowedOrigins?: string[]; // Browser origins allowed to call the HTTP transport, besides its own
+}
+
+/**
+ * A client connected over the HTTP transport
+ */
+export interface HttpSessionInfo {
+  id: string;
+  connectedAt: string;
+  lastActivity: string;
+  messages: number; // Messages received from the client
+}
+
+/**
+ * Feature toggles the server is composed from
+ */
+export interface BootstrapOptions {
+  transport: TransportOptions;
+  offline: boolean; // Answer model queries locally with the offline provider
+  providers: string[]; // Names of the model providers, most preferred first
+  fallback: boolean; // Fall back across the providers, rather than only using the first
+}
+
+/**
+ * What the server was composed from, reported by the mcp://server/info resource
+ */
+export interface ServerInfo {
+  name: string;
+  version: string;
+  startedAt: string;
+  offline: boolean; // Model queries are answered locally, without an API key or network access
+  transport: {
+    type: TransportName;
+    host?: string; // HTTP only
+    port?: number; // HTTP only
+    url?: string; // HTTP only, once listening
+  };
+  providers: { name: string; service: string }[]; // Model providers that were created
+  fallback: {
+    enabled: boolean;
+    providers: string[]; // In the order they are tried
+  };
+  thinkingService: { aiService: string }; // Service the thinking service sends model calls to
+  cache: { backend: string };
+  embeddings: { provider: string };
+}
+
+/**
+ * Counts of requests that shared the result of an identical in-flight request
+ */
+export interface CoalescingStats {
+  inFlight: number; // Requests currently running
+  calls: number;
+  coalesced: number; // Calls that awaited an identical in-flight request instead of running
+  byScope: Record<string, { calls: number; coalesced: number }>;
+}
+
+/**
+ * Reported after each step of a thinking process
+ */
+export interface ThinkingProgress {
+  step: number; // Steps completed so far
+  maxSteps: number;
+  phase: string; // Execution phase of the thinking engine
+  description: string; // Description of the step just completed
+  tokensUsed: number;
+  tokenBudgetRemaining: number;
+}
+
+export type ThinkingJobStatus = 'in_progress' | 'completed' | 'error';
+
+/**
+ * A thinking process as persisted under data/thinking, one file per process
+ * Written when the process starts, after each step and when it ends, so it survives a restart
+ */
+export interface ThinkingJobRecord {
+  processId: string;
+  problem: string;
+  model: string;
+  status: ThinkingJobStatus;
+  progress: number; // Percentage of the step limit completed, 100 once the process ends
+  lastProgress?: ThinkingProgress; // Reported after the most recent step
+  steps: ThinkingStep[]; // Filled in when the process ends
+  startedAt: string;
+  timestamp: string; // Last update
+  duration: number; // Milliseconds, set when the process ends
+  includeVisualization?: boolean;
+  visualization?: ThinkingVisualization;
+  cancelled?: boolean;
+  offline?: boolean; // Steps were produced by the offline provider
+  error?: string;
+}
+
+/**
+ * Lets callers follow and cancel a running thinking process
+ */
+export interface ThinkingProcessOptions {
+  signal?: AbortSignal; // Stops the process after the current step and aborts provider calls in flight
+  onProgress?: (progress: ThinkingProgress) => void;
+}
+
+/**
+ * A tool argument that failed validation
+ */
+export interface ToolFieldError {
+  path: string; // Path within the arguments, e.g. "weights.vector" or "systems[0]"
+  message: string;
+}
+
+/**
+ * How every tool reports a failed call
+ */
+export interface ToolErrorEnvelope {
+  error: {
+    code: number; // MCP error code, e.g. -32602 for invalid arguments
+    message: string;
+    tool: string;
+    fields?: ToolFieldError[]; // Present when the arguments did not match the tool's input schema
+    timestamp: string;
+  };
+}
+
+/**
+ * An argument a client fills in when requesting a prompt template
+ */
+export interface PromptArgument {
+  name: string;
+  description: string;
+  required: boolean;
+}
+
+/**
+ * A reusable prompt template, as listed to MCP clients
+ */
+export interface PromptTemplate {
+  name: string;
+  description: string;
+  arguments: PromptArgument[];
+}
+
+/**
+ * A prompt template filled in with the client's arguments
+ */
+export interface RenderedPrompt {
+  description: string;
+  messages: {
+    role: 'user' | 'assistant';
+    content: { type: 'text'; text: string };
+  }[];
+}
+
+/**
+ * Semantic cache settings
+ * Thresholds are cosine similarities between prompt embeddings
+ */
+export interface SemanticCacheConfig {
+  enabled: boolean;
+  defaultThreshold: number;
+  thresholds: Record<string, number>; // Per cache type, e.g. thinking_cache
+  maxEntriesPerType: number; // Oldest entries are dropped beyond this
+}
+
+/**
+ * What a cached response depends on besides the prompt
+ * Only entries with the same scope are considered similar
+ */
+export interface SemanticCacheScope {
+  model?: string;
+  systemPrompt?: string;
+  namespace?: string;
+  maxTokens?: number;
+}
+
+export interface SemanticCacheHit {
+  cacheKey: string; // Exact cache key of the reused entry
+  prompt: string; // Prompt the reused entry was cached for
+  similarity: number;
+  result: CacheResult;
 }
 
 export interface GenerationRequest {
@@ -337,6 +908,9 @@ export interface LLMRequest {
   model?: string;
   temperature?: number;
   maxTokens?: number;
+  namespace?: string; // Memory namespace used for context
+  bypassSemanticCache?: boolean; // Only reuse responses cached for this exact prompt
+  signal?: AbortSignal; // Aborts the request, e.g. when the client cancels
 }
 
 export interface LLMResponse {
@@ -350,10 +924,23 @@ export interface LLMResponse {
   cached?: boolean;
   smartCached?: boolean;
   similarity?: number;
+  coalesced?: boolean; // Shared with an identical request that was already in flight
+  offline?: boolean; // Produced locally by the offline provider rather than by a model
   latency?: number;
   error?: string;
 }
 
+// A recorded model call, replayed by request fingerprint
+export interface AIFixture {
+  version: number; // Fixture format and fingerprinting version
+  fingerprint: string;
+  request: unknown; // The normalised request the fingerprint was taken from
+  chunks?: string[]; // Streamed tokens, in the order they arrived
+  response: unknown;
+  recordedAt: string;
+  service: string; // The service that produced the response
+}
+
 // Reasoning interfaces
 export interface ReasoningRequest {
   problem: string;
@@ -378,6 +965,21 @@ export interface ReasoningResponse {
   error?: string;
 }
 
+export interface ReasoningComparison {
+  problem: string;
+  reasoningSystems: string[];
+  // One entry per reasoning system, in the order requested
+  comparison: {
+    reasoningSystem: string;
+    conclusion: string;
+    confidence: number;
+    stepCount: number;
+    error?: string;
+  }[];
+  mostConfident: string | null; // Reasoning system with the highest confidence, null if every system failed
+  results: ReasoningResponse[];
+}
+
 // Preprocessing pipeline interfaces
 export interface AIModelConfig {
   model: string;
@@ -389,8 +991,26 @@ export interface AIModelConfig {
 export interface PipelineStep {
   name: string;
   description: string;
-  service: 'gemini' | 'claude' | 'deepseek' | 'googleflash';
+  service: string; // 'gemini', 'claude', 'deepseek', 'googleflash' or a provider named in modelProviders
   priority: number;
+  model?: string; // Defaults to the service's usual model, or the provider's default model
+  fallback?: string; // Service used instead, with its usual model, when this step's service is not available
+  systemPrompt?: string; // Defaults to the description
+  temperature?: number;
+  maxTokens?: number;
+}
+
+/**
+ * A model server that speaks the OpenAI chat completions API, such as Ollama, the llama.cpp
+ * server, vLLM or LM Studio
+ */
+export interface OpenAICompatibleProviderConfig {
+  baseUrl: string; // API root the /chat/completions path is appended to, e.g. http://127.0.0.1:11434/v1
+  apiKey?: string; // Sent as a bearer token when set
+  headers?: Record<string, string>; // Sent with every request
+  models?: Record<string, string>; // Model names used by callers mapped to the names the server knows
+  defaultModel: string; // Used for models that have no entry in models
+  timeoutMs?: number;
 }
 
 export interface PreprocessingPipelineConfig {
@@ -0,0 +1,65 @@
+/**
+ * Memory import/export
+ * Moves memory items between machines or into a repository as JSONL or a JSON archive
+ *
+ * Usage:
+ *   npm run memory:export -- <file> [--format jsonl|archive] [--vectors] [filters]
+ *   npm run memory:import -- <file> [--on-conflict skip|overwrite|merge] [filters]
+ *
+ * Filters: --type <type> --namespace <id> (both repeatable), --since <date>,
+ * --until <date>, --min-importance <0-1>
+ */
+
+import { MemoryConflictStrategy, MemoryExportFormat, MemoryFilter, MemoryItem } from '../models/types.js';
+import { exportMemories, importMemories } from '../services/memoryTransferService.js';
+
+/**
+ * Reads every value of a repeatable option
+ */
+const optionValues = (args: string[], name: string): string[] => {
+  return args.flatMap((arg, index) => (arg === name && args[index + 1] ? [args[index + 1]] : []));
+};
+
+const optionValue = (args: string[], name: string): string | undefined => optionValues(args, name)[0];
+
+async function main() {
+  const [command, file, ...args] = process.argv.slice(2);
+
+  if ((command !== 'export' && command !== 'import') || !file || file.startsWith('--')) {
+    console.error('Usage: memory-transfer <export|import> <file> [options]');
+    process.exit(1);
+  }
+
+  const minImportance = optionValue(args, '--min-importance');
+  const filter: MemoryFilter = {
+    types: optionValues(args, '--type') as MemoryItem['type'][],
+    namespaces: optionValues(args, '--namespace'),
+    since: optionValue(args, '--since'),
+    until: optionValue(args, '--until'),
+    minImportance: minImportance !== undefined ? Number(minImportance) : undefined
+  };
+
+  if (command === 'export') {
+    const result = await exportMemories({
+      path: file,
+      format: optionValue(args, '--format') as MemoryExportFormat | undefined,
+      includeVectors: args.includes('--vectors'),
+      filter,
+      anyPath: true
+    });
+    console.log(`Exported ${result.count} memory items to ${result.path} (${result.format})`);
+  } else {
+    const result = await importMemories({ path: file }, {
+      onConflict: (optionValue(args, '--on-conflict') || 'skip') as MemoryConflictStrategy,
+      filter,
+      anyPath: true
+    });
+    console.log(`Imported ${result.imported} new, overwrote ${result.overwritten}, merged ${result.merged}, ` +
+      `skipped ${result.skipped} and filtered ${result.filtered} memory items (${result.reembedded} re-embedded)`);
+  }
+}
+
+main().catch(error => {
+  console.error('Memory transfer failed:', error);
+  process.exit(1);
+});
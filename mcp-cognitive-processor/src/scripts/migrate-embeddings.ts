@@ -0,0 +1,29 @@
+/**
+ * Embedding migration
+ * Re-embeds every memory vector and every vector store item under data/vectors with the
+ * active embedding provider (MCP_EMBEDDING_PROVIDER / MCP_EMBEDDING_DIMENSIONS)
+ *
+ * Usage: npm run migrate:embeddings [-- --force]
+ */
+
+import { migrateMemoryEmbeddings } from '../services/memoryService.js';
+import { migrateVectorEmbeddings } from '../services/vectorService.js';
+import { getEmbeddingProvider } from '../services/embeddingService.js';
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const provider = getEmbeddingProvider();
+
+  console.log(`Migrating embeddings to provider ${provider.id}${force ? ' (forced)' : ''}`);
+
+  const memoryCount = await migrateMemoryEmbeddings(force);
+  console.log(`Re-embedded ${memoryCount} memory items`);
+
+  const vectorCount = await migrateVectorEmbeddings(force);
+  console.log(`Re-embedded ${vectorCount} vector store items`);
+}
+
+main().catch(error => {
+  console.error('Embedding migration failed:', error);
+  process.exit(1);
+});
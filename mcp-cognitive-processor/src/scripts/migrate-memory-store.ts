@@ -0,0 +1,37 @@
+/**
+ * Memory store migration
+ * Imports the legacy JSON memory layout (data/memory.json, data/memory/ and data/vectors/)
+ * into the SQLite memory store at data/memory.db. The server does this automatically on
+ * first start; the script lets it run ahead of time or be repeated with --force.
+ * The legacy files are left in place.
+ *
+ * Usage: npm run migrate:memory-store [-- --force]
+ */
+
+import * as path from 'path';
+import { getMemoryStore } from '../services/memoryService.js';
+import { hasLegacyMemory, migrateLegacyMemory } from '../services/storage/legacyMemoryMigration.js';
+
+async function main() {
+  const force = process.argv.includes('--force');
+  const dbDir = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
+
+  if (!hasLegacyMemory(dbDir)) {
+    console.log(`No legacy memory files found in ${dbDir}`);
+    return;
+  }
+
+  const store = getMemoryStore();
+  const result = await migrateLegacyMemory(store, dbDir, force);
+  if (result) {
+    console.log(`Migrated ${result.items} memory items and ${result.vectors} vectors to ${store.location}`);
+  } else {
+    console.log(`Legacy memory was already migrated to ${store.location} (use --force to import again)`);
+  }
+  await store.close();
+}
+
+main().catch(error => {
+  console.error('Memory store migration failed:', error);
+  process.exit(1);
+});
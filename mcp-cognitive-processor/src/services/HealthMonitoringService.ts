@@ -167,6 +167,8 @@ export class HealthMonitoringService extends EventEmitter {
         this.checkServiceHealth(serviceName);
       });
     }, 60000); // Check every minute
+    // Health checks alone should not keep the process running
+    this.checkInterval.unref();
   }
 
   public stopHealthChecks(): void {
@@ -5,7 +5,7 @@ import { EventEmitter } from 'events';
 interface FallbackConfig {
   timeout: number;
   maxRetries: number;
-  healthCheckInterval: number;
+  healthCheckInterval: number; // 0 turns periodic health checks off
   providers: {
     name: string;
     priority: number;
@@ -48,6 +48,14 @@ export class ModelFallbackService extends EventEmitter {
     return ModelFallbackService.instance;
   }
 
+  /**
+   * Creates a fallback service with providers of its own, apart from the shared instance
+   * Used where a fixed set of providers backs one task, such as a pipeline step.
+   */
+  public static create(config?: Partial<FallbackConfig>): ModelFallbackService {
+    return new ModelFallbackService(config);
+  }
+
   public registerProvider(
     name: string,
     service: IAIService,
@@ -94,13 +102,14 @@ export class ModelFallbackService extends EventEmitter {
     
     for (let retry = 0; retry < this.config.maxRetries; retry++) {
       for (const provider of this.config.providers) {
+        let timer: NodeJS.Timeout | undefined;
         try {
           const startTime = Date.now();
           const result = await Promise.race([
             provider.service.query(data),
-            new Promise((_, reject) => 
-              setTimeout(() => reject(new Error('Provider timeout')), provider.maxTimeout)
-            )
+            new Promise((_, reject) => {
+              timer = setTimeout(() => reject(new Error('Provider timeout')), provider.maxTimeout);
+            })
           ]);
 
           // Update stats on success
@@ -137,6 +146,8 @@ export class ModelFallbackService extends EventEmitter {
           
           // Continue to next provider
           continue;
+        } finally {
+          clearTimeout(timer);
         }
       }
 
@@ -171,12 +182,16 @@ export class ModelFallbackService extends EventEmitter {
     if (this.checkInterval) {
       clearInterval(this.checkInterval);
     }
+    if (this.config.healthCheckInterval <= 0) {
+      return;
+    }
 
     this.checkInterval = setInterval(() => {
       this.config.providers.forEach(provider => {
         this.checkProviderHealth(provider).catch(console.error);
       });
     }, this.config.healthCheckInterval);
+    this.checkInterval.unref();
   }
 
   public getProviderStats(): Map<string, {
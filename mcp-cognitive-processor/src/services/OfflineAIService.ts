@@ -0,0 +1,54 @@
+/**
+ * Offline AI Service
+ * Answers model queries locally with the structured thinking heuristics and their cached
+ * responses, so the server runs without an API key or network access. Every response is
+ * marked offline.
+ */
+import { IAIService } from '../interfaces/IAIService.js';
+import { LLMRequest, LLMResponse } from '../models/types.js';
+import { processStructuredThinking } from './intelligenceService.js';
+
+export class OfflineAIService implements IAIService {
+  public static readonly MODEL = 'offline-heuristics';
+
+  /**
+   * Answers a query locally
+   * Accepts LLM requests (a prompt or chat messages) as well as the { inputs } queries of the
+   * OpenRouter model services, so it can stand in for any of them.
+   * @param data - The query
+   * @returns The structured thinking response, with generated_text for { inputs } callers
+   */
+  async query(data: any): Promise<LLMResponse & { generated_text: string }> {
+    const request = OfflineAIService.toRequest(data);
+    if (request.signal?.aborted) {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const response = await processStructuredThinking(request);
+
+    return {
+      ...response,
+      model: OfflineAIService.MODEL,
+      offline: true,
+      generated_text: response.response
+    };
+  }
+
+  private static toRequest(data: any): LLMRequest {
+    const request: LLMRequest = { ...data };
+    const messages: Array<{ role: string; content: string }> = Array.isArray(data?.messages) ? data.messages : [];
+
+    if (!request.prompt) {
+      const lastUserMessage = messages.filter(message => message.role === 'user').pop();
+      request.prompt = lastUserMessage?.content ?? (typeof data?.inputs === 'string' ? data.inputs : '');
+    }
+    if (!request.systemPrompt) {
+      const systemMessage = messages.find(message => message.role === 'system');
+      request.systemPrompt = systemMessage?.content;
+    }
+
+    return request;
+  }
+}
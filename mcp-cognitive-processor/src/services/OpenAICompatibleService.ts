@@ -0,0 +1,109 @@
+/**
+ * OpenAI-compatible Service
+ * Queries any model server that speaks the OpenAI chat completions API, such as Ollama, the
+ * llama.cpp server, vLLM or LM Studio, at a configurable base URL
+ */
+import OpenAI from 'openai';
+import type { ChatCompletionMessageParam } from 'openai/resources/chat/completions';
+import { mcpConfig } from '../config/mcp-config.js';
+import { IAIService } from '../interfaces/IAIService.js';
+import { LLMResponse, OpenAICompatibleProviderConfig } from '../models/types.js';
+
+const DEFAULT_TIMEOUT_MS = 120000; // Local models on modest hardware can take a while
+
+/**
+ * Reads the configured OpenAI-compatible providers
+ * MCP_PROVIDER_<NAME>_BASE_URL, _API_KEY and _MODEL override the base URL, API key and default
+ * model of a provider, with the name upper-cased and dashes replaced, e.g. MCP_PROVIDER_LM_STUDIO_BASE_URL.
+ * @param env - Environment variables (defaults to those of the process)
+ */
+export const getModelProviderConfigs = (
+  env: NodeJS.ProcessEnv = process.env
+): Record<string, OpenAICompatibleProviderConfig> => {
+  const providers = mcpConfig.modelProviders || {};
+  return Object.fromEntries(Object.entries(providers).map(([name, config]) => {
+    const prefix = `MCP_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}`;
+    return [name, {
+      ...config,
+      baseUrl: env[`${prefix}_BASE_URL`] || config.baseUrl,
+      apiKey: env[`${prefix}_API_KEY`] || config.apiKey,
+      defaultModel: env[`${prefix}_MODEL`] || config.defaultModel
+    }];
+  }));
+};
+
+export class OpenAICompatibleService implements IAIService {
+  private readonly name: string;
+  private readonly config: OpenAICompatibleProviderConfig;
+  private readonly client: OpenAI;
+
+  /**
+   * @param name - Name of the provider, used in errors and logs
+   * @param config - Where the server is and which models it serves
+   */
+  constructor(name: string, config: OpenAICompatibleProviderConfig) {
+    this.name = name;
+    this.config = config;
+    this.client = new OpenAI({
+      baseURL: config.baseUrl,
+      // Local servers usually need no key, but the client requires one
+      apiKey: config.apiKey || 'not-needed',
+      defaultHeaders: config.headers,
+      timeout: config.timeoutMs ?? DEFAULT_TIMEOUT_MS,
+      maxRetries: 1
+    });
+  }
+
+  /**
+   * Maps the model a caller asked for to the model the server knows
+   */
+  resolveModel(model?: string): string {
+    return (model && this.config.models?.[model]) || this.config.defaultModel;
+  }
+
+  /**
+   * Sends a chat completion request
+   * Accepts LLM requests (a prompt or chat messages) as well as the { inputs } queries of the
+   * OpenRouter model services, so it can stand in for any of them.
+   * @returns The response, with generated_text for { inputs } callers
+   */
+  async query(data: any): Promise<LLMResponse & { generated_text: string }> {
+    const messages: ChatCompletionMessageParam[] = (data.messages || []).map((message: { role: string; content: string }) => ({
+      role: message.role as any,
+      content: message.content
+    }));
+    if (data.systemPrompt) {
+      messages.unshift({ role: 'system', content: data.systemPrompt });
+    }
+    if (!data.messages) {
+      messages.push({ role: 'user', content: data.prompt ?? data.inputs ?? '' });
+    }
+
+    const model = this.resolveModel(data.model);
+    const startTime = Date.now();
+    try {
+      const completion = await this.client.chat.completions.create({
+        model,
+        messages,
+        temperature: data.temperature ?? 0.7,
+        max_tokens: data.maxTokens ?? data.max_tokens ?? 1000
+      }, { signal: data.signal });
+
+      const content = completion.choices[0]?.message?.content || '';
+      return {
+        response: content,
+        generated_text: content,
+        model,
+        tokenUsage: {
+          prompt: completion.usage?.prompt_tokens || 0,
+          completion: completion.usage?.completion_tokens || 0,
+          total: completion.usage?.total_tokens || 0
+        },
+        latency: Date.now() - startTime
+      };
+    } catch (error) {
+      console.error(`Error querying the ${this.name} model provider at ${this.config.baseUrl}:`, error);
+      throw error;
+    }
+  }
+}
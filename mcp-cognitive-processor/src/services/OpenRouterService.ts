@@ -47,6 +47,7 @@ export class OpenRouterService implements IAIService {
   private client: OpenAI;
   private requestQueue: RequestQueueItem[] = [];
   private processing: boolean = false;
+  private queueTimer?: NodeJS.Timeout;
   private maxConcurrent: number = 3;
   private activeRequests: number = 0;
   private tokenMonitor: TokenOptimizationMonitor;
@@ -128,22 +129,43 @@ export class OpenRouterService implements IAIService {
     console.log(`${stepInfo} - Starting OpenRouter API call [STEP ISOLATION ENFORCED]`);
     
     return new Promise((resolve, reject) => {
-      this.requestQueue.push({
+      const { signal } = options;
+      if (signal?.aborted) {
+        reject(OpenRouterService.abortError());
+        return;
+      }
+
+      const item: RequestQueueItem = {
         request: {
           ...options,
           model: modelToUse // Ensure model is always set
         },
         resolve: (response) => {
+          signal?.removeEventListener('abort', onAbort);
           console.log(`${stepInfo} - Completed successfully`);
           resolve(response);
         },
         reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
           console.error(`${stepInfo} - Failed:`, error);
           reject(error);
         },
         timestamp: Date.now(),
         retryCount: 0
-      });
+      };
+
+      // Drop the request if it is still queued; a request being sent is aborted by the client
+      const onAbort = () => {
+        const index = this.requestQueue.indexOf(item);
+        if (index !== -1) {
+          this.requestQueue.splice(index, 1);
+          item.reject(OpenRouterService.abortError());
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this.requestQueue.push(item);
+      this.queueTimer?.ref();
 
       if (!this.processing) {
         this.processQueue();
@@ -151,6 +173,12 @@ export class OpenRouterService implements IAIService {
     });
   }
 
+  private static abortError(): Error {
+    const error = new Error('Request aborted');
+    error.name = 'AbortError';
+    return error;
+  }
+
   private async processQueue(): Promise<void> {
     if (this.processing || this.requestQueue.length === 0) {
       return;
@@ -194,6 +222,12 @@ export class OpenRouterService implements IAIService {
       return;
     }
 
+    // Aborted while waiting for a retry
+    if (request.signal?.aborted) {
+      reject(OpenRouterService.abortError());
+      return;
+    }
+
     try {
       // Determine which step this is based on the model
       let stepInfo = "Unknown step";
@@ -226,7 +260,7 @@ export class OpenRouterService implements IAIService {
         messages,
         temperature: request.temperature || 0.7,
         max_tokens: request.maxTokens || 1000,
-      });
+      }, { signal: request.signal });
       
       console.log(`${stepInfo} - Received response from OpenRouter`);
 
@@ -251,6 +285,12 @@ export class OpenRouterService implements IAIService {
       resolve(response);
 
     } catch (error) {
+      // Aborted requests are not retried
+      if (request.signal?.aborted) {
+        reject(OpenRouterService.abortError());
+        return;
+      }
+
       console.error('Error processing request:', error);
 
       // Handle retries
@@ -261,6 +301,7 @@ export class OpenRouterService implements IAIService {
           retryCount: retryCount + 1,
           timestamp: Date.now()
         });
+        this.queueTimer?.ref();
       } else {
         reject(error);
       }
@@ -268,12 +309,15 @@ export class OpenRouterService implements IAIService {
   }
 
   private startQueueProcessor(): void {
-    // Start periodic queue check
-    setInterval(() => {
+    // Start periodic queue check, which keeps the process alive only while requests are queued
+    this.queueTimer = setInterval(() => {
       if (!this.processing && this.requestQueue.length > 0) {
         this.processQueue();
+      } else if (this.requestQueue.length === 0) {
+        this.queueTimer?.unref();
       }
     }, 100); // Check every 100ms
+    this.queueTimer.unref();
 
     // Start periodic timeout check
     setInterval(() => {
@@ -285,7 +329,7 @@ export class OpenRouterService implements IAIService {
         }
         return true;
       });
-    }, 1000); // Check every second
+    }, 1000).unref(); // Check every second
   }
 
   public getQueueStats() {
@@ -1,7 +1,11 @@
 import { EventEmitter } from 'events';
 import * as crypto from 'crypto';
 import { HealthMonitoringService } from './HealthMonitoringService.js';
-import { CachingService } from './CachingService.js';
+import { ICacheService } from '../interfaces/ICacheService.js';
+import cacheService from './cacheService.js';
+
+// Cache type for batch item results
+const PROCESSING_CACHE = 'processing_cache';
 
 interface BatchJob<T, R = any> {
   id: string;
@@ -31,7 +35,7 @@ export class ProcessingService extends EventEmitter {
   private batchJobs: Map<string, BatchJob<any>>;
   private activeStreams: Map<string, StreamingResponse>;
   private healthMonitor: HealthMonitoringService;
-  private cacheService: CachingService;
+  private cacheService: ICacheService;
   private maxConcurrentJobs: number;
   private activeJobs: number;
 
@@ -40,7 +44,7 @@ export class ProcessingService extends EventEmitter {
     this.batchJobs = new Map();
     this.activeStreams = new Map();
     this.healthMonitor = HealthMonitoringService.getInstance();
-    this.cacheService = CachingService.getInstance();
+    this.cacheService = cacheService;
     this.maxConcurrentJobs = 5;
     this.activeJobs = 0;
   }
@@ -136,8 +140,8 @@ export class ProcessingService extends EventEmitter {
   ): Promise<any> {
     if (useCache) {
       const cacheKey = this.generateCacheKey(item);
-      const cachedResult = await this.cacheService.get(cacheKey);
-      if (cachedResult) return cachedResult;
+      const cachedResult = await this.cacheService.checkCache(PROCESSING_CACHE, cacheKey);
+      if (cachedResult) return JSON.parse(cachedResult.response);
     }
 
     let lastError: Error | null = null;
@@ -145,9 +149,10 @@ export class ProcessingService extends EventEmitter {
       try {
         const result = await processor(item);
         
-        if (useCache) {
+        // Results that do not survive JSON are not cached
+        if (useCache && result !== undefined) {
           const cacheKey = this.generateCacheKey(item);
-          await this.cacheService.set(cacheKey, result);
+          await this.cacheService.storeCache(PROCESSING_CACHE, cacheKey, JSON.stringify(result));
         }
         
         return result;
@@ -0,0 +1,79 @@
+/**
+ * Recording AI Service
+ * Decorates an AI service and records every request/response pair it answers, including the
+ * tokens of streamed responses, as a fixture that ReplayAIService can serve back
+ */
+import { IAIService } from '../interfaces/IAIService.js';
+import { AIFixture } from '../models/types.js';
+import { FIXTURE_VERSION, fingerprintRequest, normalizeRequest, writeFixture } from '../utils/aiFixtures.js';
+
+export class RecordingAIService implements IAIService {
+  private readonly service: IAIService;
+  private readonly fixtureDir: string;
+
+  /**
+   * @param service - The service whose responses are recorded
+   * @param fixtureDir - Directory the fixtures are written to
+   */
+  constructor(service: IAIService, fixtureDir: string) {
+    this.service = service;
+    this.fixtureDir = fixtureDir;
+  }
+
+  /**
+   * Queries the wrapped service and records its response
+   * Tokens passed to an onToken callback in the options are recorded as the response's chunks.
+   * Failed queries are not recorded.
+   */
+  async query(data: any, options?: any): Promise<any> {
+    const chunks: string[] = [];
+    const onToken = options?.onToken;
+    const recordedOptions = typeof onToken === 'function'
+      ? {
+          ...options,
+          onToken: (token: string) => {
+            chunks.push(token);
+            onToken(token);
+          }
+        }
+      : options;
+
+    // Services such as GeminiService take their streaming options as a second argument
+    const response = await (this.service as any).query(data, recordedOptions);
+
+    await this.record(normalizeRequest(data, options), response, typeof onToken === 'function' ? chunks : undefined);
+    return response;
+  }
+
+  /**
+   * Streams a response from the wrapped service and records its chunks once the stream ends
+   * @throws If the wrapped service does not stream
+   */
+  async *createResponseStream(data: any, options?: any): AsyncGenerator<string> {
+    const stream = (this.service as any).createResponseStream;
+    if (typeof stream !== 'function') {
+      throw new Error(`${this.service.constructor.name} does not stream responses`);
+    }
+
+    const chunks: string[] = [];
+    for await (const chunk of stream.call(this.service, data, options) as AsyncGenerator<string>) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+
+    await this.record(normalizeRequest(data, options, 'stream'), chunks.join(''), chunks);
+  }
+
+  private async record(request: unknown, response: unknown, chunks?: string[]): Promise<void> {
+    const fixture: AIFixture = {
+      version: FIXTURE_VERSION,
+      fingerprint: fingerprintRequest(request),
+      request,
+      ...(chunks ? { chunks } : {}),
+      response,
+      recordedAt: new Date().toISOString(),
+      service: this.service.constructor.name
+    };
+    await writeFixture(this.fixtureDir, fixture);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Replay AI Service
+ * Serves the responses recorded by RecordingAIService back by request fingerprint, so code that
+ * queries models can be tested deterministically without an API key or network access
+ */
+import * as fs from 'fs';
+import { IAIService } from '../interfaces/IAIService.js';
+import { AIFixture } from '../models/types.js';
+import { checkFixture, fingerprintRequest, normalizeRequest, readFixture } from '../utils/aiFixtures.js';
+
+/**
+ * A request has no fixture that can be replayed, so its fixture must be recorded again
+ */
+export class StaleFixtureError extends Error {
+  readonly fingerprint: string;
+
+  constructor(fingerprint: string, message: string) {
+    super(message);
+    this.name = 'StaleFixtureError';
+    this.fingerprint = fingerprint;
+  }
+}
+
+export interface ReplayOptions {
+  maxAge?: number; // Age in milliseconds after which fixtures count as stale
+}
+
+export class ReplayAIService implements IAIService {
+  private readonly fixtureDir: string;
+  private readonly options: ReplayOptions;
+  private readonly replayed: Set<string> = new Set();
+
+  /**
+   * @param fixtureDir - Directory holding the recorded fixtures
+   * @param options - Replay options
+   */
+  constructor(fixtureDir: string, options: ReplayOptions = {}) {
+    this.fixtureDir = fixtureDir;
+    this.options = options;
+  }
+
+  /**
+   * Replays the response recorded for a query
+   * Recorded chunks are passed to an onToken callback in the options before the response is returned.
+   * @throws StaleFixtureError if no fixture was recorded for the query, or its fixture is stale
+   */
+  async query(data: any, options?: any): Promise<any> {
+    if (data?.signal?.aborted) {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+
+    const fixture = await this.load(normalizeRequest(data, options));
+    if (typeof options?.onToken === 'function') {
+      (fixture.chunks || []).forEach(chunk => options.onToken(chunk));
+    }
+    return fixture.response;
+  }
+
+  /**
+   * Replays the chunks recorded for a streamed response
+   * @throws StaleFixtureError if no fixture was recorded for the request, or its fixture is stale
+   */
+  async *createResponseStream(data: any, options?: any): AsyncGenerator<string> {
+    const fixture = await this.load(normalizeRequest(data, options, 'stream'));
+    for (const chunk of fixture.chunks || []) {
+      yield chunk;
+    }
+  }
+
+  /**
+   * Lists the fixtures no request has replayed so far
+   * After a full test run these are left over from requests the code no longer sends.
+   */
+  async getUnusedFixtures(): Promise<string[]> {
+    const files = fs.existsSync(this.fixtureDir) ? await fs.promises.readdir(this.fixtureDir) : [];
+    return files
+      .filter(name => name.endsWith('.json'))
+      .map(name => name.slice(0, -'.json'.length))
+      .filter(fingerprint => !this.replayed.has(fingerprint))
+      .sort();
+  }
+
+  private async load(request: unknown): Promise<AIFixture> {
+    const fingerprint = fingerprintRequest(request);
+    const fixture = await readFixture(this.fixtureDir, fingerprint);
+    if (!fixture) {
+      throw new StaleFixtureError(
+        fingerprint,
+        `No fixture recorded for request ${fingerprint} in ${this.fixtureDir}. ` +
+        'The request has changed since the fixtures were recorded; record them again with RecordingAIService'
+      );
+    }
+
+    const reason = checkFixture(fixture, this.options.maxAge);
+    if (reason) {
+      throw new StaleFixtureError(fingerprint, `Fixture ${fingerprint} is stale: ${reason}`);
+    }
+
+    this.replayed.add(fingerprint);
+    // Each replay gets its own copy, so callers cannot change the recorded response
+    return JSON.parse(JSON.stringify(fixture));
+  }
+}
@@ -9,13 +9,18 @@ import { IReasoningStrategy } from '../interfaces/IReasoningStrategy.js';
 import { ServiceFactory } from '../factories/ServiceFactory.js';
 import { GeminiService } from '../services/GeminiService.js';
 import { GeminiServiceOpenAI } from '../services/GeminiServiceOpenAI.js';
+import { OfflineAIService } from '../services/OfflineAIService.js';
 import { TokenOptimizerImpl } from '../utils/TokenOptimizerImpl.js';
 import { MCPConfig } from '../models/types.js';
 import {
   ThinkingModel,
   ThinkingStep,
   ThinkingVisualization,
-  ProcessConfig
+  ProcessConfig,
+  ThinkingJobRecord,
+  ThinkingJobStatus,
+  ThinkingProcessOptions,
+  ThinkingProgress
 } from '../models/types.js';
 import { BaseThinkingStrategy } from '../strategies/BaseThinkingStrategy.js';
 import { ThinkingEngine } from '../core/ThinkingEngine.js';
@@ -63,12 +68,12 @@ export class ThinkingServiceImpl implements IThinkingService {
   private readonly config: MCPConfig;
   private processConfig: ProcessConfig;
   private activeProcesses: Map<string, {
-    status: 'in_progress' | 'completed' | 'error';
+    job: ThinkingJobRecord;
     strategy: BaseThinkingStrategy;
-    steps: ThinkingStep[];
     startTime: number;
-    error?: string;
   }>;
+  // Pending writes of each job file, so they land in order
+  private jobWrites: Map<string, Promise<void>> = new Map();
   private aiService: IAIService;
 
   constructor(
@@ -114,46 +119,98 @@ export class ThinkingServiceImpl implements IThinkingService {
     thinking_model?: string;
     include_visualization?: boolean;
     optimize_tokens?: boolean;
-  }): Promise<{
+  }, options: ThinkingProcessOptions = {}): Promise<{
     processId: string;
     steps: ThinkingStep[];
     duration: number;
     model: string;
     visualization?: ThinkingVisualization;
+    cancelled?: boolean;
   }> {
+    return this.runThinkingProcess(uuidv4(), config, options);
+  }
+
+  /**
+   * Starts a thinking process in the background and returns its ID without waiting for it
+   * @throws If the configuration is invalid
+   */
+  async startThinkingProcess(config: {
+    problem: string;
+    thinking_model?: string;
+    include_visualization?: boolean;
+    optimize_tokens?: boolean;
+  }): Promise<{ processId: string; status: ThinkingJobStatus }> {
+    this.validateThinkingConfig(config);
+
     const processId = uuidv4();
+    // Failures are recorded on the job, where getThinkingProgress reports them
+    this.runThinkingProcess(processId, config).catch(() => undefined);
+
+    return { processId, status: 'in_progress' };
+  }
+
+  private validateThinkingConfig(config: {
+    problem: string;
+    thinking_model?: string;
+    include_visualization?: boolean;
+    optimize_tokens?: boolean;
+  }): void {
+    // Input validation - ensure problem exists and is properly formatted
+    if (!config) {
+      throw new Error('Configuration object is required');
+    }
+    
+    if (!config.problem) {
+      throw new Error('Problem statement is required');
+    }
+    
+    if (typeof config.problem !== 'string') {
+      throw new Error('Problem must be a string');
+    }
+    
+    if (config.problem.trim() === '') {
+      throw new Error('Problem cannot be empty');
+    }
+    
+    // Validate optional parameters
+    if (config.thinking_model !== undefined && typeof config.thinking_model !== 'string') {
+      throw new Error('thinking_model must be a string if provided');
+    }
+    
+    if (config.include_visualization !== undefined && typeof config.include_visualization !== 'boolean') {
+      throw new Error('include_visualization must be a boolean if provided');
+    }
+    
+    if (config.optimize_tokens !== undefined && typeof config.optimize_tokens !== 'boolean') {
+      throw new Error('optimize_tokens must be a boolean if provided');
+    }
+  }
+
+  /**
+   * Runs a thinking process, tracking it as a job that is persisted as it progresses
+   */
+  private async runThinkingProcess(
+    processId: string,
+    config: {
+      problem: string;
+      thinking_model?: string;
+      include_visualization?: boolean;
+      optimize_tokens?: boolean;
+    },
+    options: ThinkingProcessOptions = {}
+  ): Promise<{
+    processId: string;
+    steps: ThinkingStep[];
+    duration: number;
+    model: string;
+    visualization?: ThinkingVisualization;
+    cancelled?: boolean;
+  }> {
     const startTime = Date.now();
+    let job: ThinkingJobRecord | undefined;
     
     try {
-      // Input validation - ensure problem exists and is properly formatted
-      if (!config) {
-        throw new Error('Configuration object is required');
-      }
-      
-      if (!config.problem) {
-        throw new Error('Problem statement is required');
-      }
-      
-      if (typeof config.problem !== 'string') {
-        throw new Error('Problem must be a string');
-      }
-      
-      if (config.problem.trim() === '') {
-        throw new Error('Problem cannot be empty');
-      }
-      
-      // Validate optional parameters
-      if (config.thinking_model !== undefined && typeof config.thinking_model !== 'string') {
-        throw new Error('thinking_model must be a string if provided');
-      }
-      
-      if (config.include_visualization !== undefined && typeof config.include_visualization !== 'boolean') {
-        throw new Error('include_visualization must be a boolean if provided');
-      }
-      
-      if (config.optimize_tokens !== undefined && typeof config.optimize_tokens !== 'boolean') {
-        throw new Error('optimize_tokens must be a boolean if provided');
-      }
+      this.validateThinkingConfig(config);
       
       // Log the process start
       console.log(`Initiating thinking process ${processId} for problem: "${config.problem.substring(0, 50)}${config.problem.length > 50 ? '...' : ''}" with model: ${config.thinking_model || 'auto-selected'}`);
@@ -196,14 +253,17 @@ export class ThinkingServiceImpl implements IThinkingService {
         })
       };
       
-      // Try to get the OpenRouterService from the container
-      let openRouterService;
-      try {
-        // Try to get the OpenRouterService from the container if available
-        openRouterService = (this.serviceFactory as any).getService('openRouterService');
-        console.log('Using OpenRouterService from container');
-      } catch (error) {
-        console.warn('OpenRouterService not found in container, will create one in ThinkingEngine');
+      // The offline provider answers the step queries itself, so no OpenRouterService is needed
+      const offline = this.aiService instanceof OfflineAIService;
+      let openRouterService: IAIService | undefined = offline ? this.aiService : undefined;
+      if (!offline) {
+        try {
+          // Try to get the OpenRouterService from the container if available
+          openRouterService = (this.serviceFactory as any).getService('openRouterService');
+          console.log('Using OpenRouterService from container');
+        } catch (error) {
+          console.warn('OpenRouterService not found in container, will create one in ThinkingEngine');
+        }
       }
       
       // Create thinking engine with hybrid service and OpenRouterService
@@ -211,58 +271,76 @@ export class ThinkingServiceImpl implements IThinkingService {
         this.config,
         this.tokenOptimizer,
         hybridService as any,   // Cast to any to bypass the type checker's confusion
-        openRouterService       // Pass the OpenRouterService if available
+        openRouterService       // Pass the OpenRouterService (or the offline provider) if available
       );
       
       // Set up process tracking
-      this.activeProcesses.set(processId, {
+      const startedAt = new Date(startTime).toISOString();
+      job = {
+        processId,
+        problem: config.problem,
+        model: model.name,
         status: 'in_progress',
-        strategy: strategy as BaseThinkingStrategy,
+        progress: 0,
         steps: [],
+        startedAt,
+        timestamp: startedAt,
+        duration: 0,
+        includeVisualization: config.include_visualization,
+        ...(offline ? { offline: true } : {})
+      };
+      const runningJob = job;
+      this.activeProcesses.set(processId, {
+        job,
+        strategy: strategy as BaseThinkingStrategy,
         startTime
       });
+      await this.storeProcessHistory(job);
       
       // Initialize strategy
       await strategy.initialize(config.problem);
       
-      // Execute steps using the ThinkingEngine
+      // Execute steps using the ThinkingEngine, recording progress on the job after each step
       const thinkingResult = await thinkingEngine.processProblem(config.problem, model, {
         maxSteps: this.processConfig.maxStepsPerStrategy,
-        optimizeTokens: config.optimize_tokens
+        optimizeTokens: config.optimize_tokens,
+        signal: options.signal,
+        onProgress: (progress: ThinkingProgress) => {
+          runningJob.progress = Math.round((progress.step / progress.maxSteps) * 100);
+          runningJob.lastProgress = progress;
+          this.storeProcessHistory(runningJob);
+          options.onProgress?.(progress);
+        }
       });
       
       // Mark process as completed
       const duration = Date.now() - startTime;
-      const process = this.activeProcesses.get(processId);
-      if (process) {
-          process.status = 'completed';
-          process.steps = thinkingResult.steps; // Update with results from ThinkingEngine
+      job.status = 'completed';
+      job.steps = thinkingResult.steps; // Update with results from ThinkingEngine
+      job.progress = 100;
+      job.duration = duration;
+      if (thinkingResult.cancelled) {
+        job.cancelled = true;
       }
       
       // Prepare visualization if requested
-      let visualization;
       if (config.include_visualization) {
-        visualization = (strategy as BaseThinkingStrategy).generateVisualization(process!.steps);
+        job.visualization = (strategy as BaseThinkingStrategy).generateVisualization(job.steps);
       }
       
       // Store process history
-      await this.storeProcessHistory({
-        processId,
-        problem: config.problem,
-        model: model.name,
-        steps: process!.steps,
-        duration,
-        timestamp: new Date().toISOString()
-      });
+      await this.storeProcessHistory(job);
       
-      console.log(`Completed thinking process ${processId} in ${duration}ms with ${process!.steps.length} steps`);
+      console.log(`${job.cancelled ? 'Cancelled' : 'Completed'} thinking process ${processId} in ${duration}ms with ${job.steps.length} steps`);
 
       return {
         processId,
-        steps: process!.steps,
+        steps: job.steps,
         duration,
         model: model.name,
-        visualization
+        visualization: job.visualization,
+        ...(job.cancelled ? { cancelled: true } : {}),
+        ...(job.offline ? { offline: true } : {})
       };
     } catch (error) {
       // Enhanced error handling with more detailed logging
@@ -279,62 +357,108 @@ export class ThinkingServiceImpl implements IThinkingService {
       
       console.error('Error details:', JSON.stringify(errorDetails, null, 2));
       
-      // Update process status
-      const process = this.activeProcesses.get(processId);
-      if (process) {
-        process.status = 'error';
-        process.error = errorMessage;
-      }
+      // Update process status, or record the failure of a process that never started
+      const failedJob: ThinkingJobRecord = job || {
+        processId,
+        problem: config?.problem || 'Invalid problem',
+        model: 'error',
+        status: 'error',
+        progress: 0,
+        steps: [],
+        startedAt: new Date(startTime).toISOString(),
+        timestamp: new Date().toISOString(),
+        duration: 0
+      };
+      failedJob.status = 'error';
+      failedJob.error = errorMessage;
+      failedJob.duration = Date.now() - startTime;
       
       // Store the error in the process history
-      try {
-        await this.storeProcessHistory({
-          processId,
-          problem: config?.problem || 'Invalid problem',
-          model: 'error',
-          steps: [],
-          duration: Date.now() - startTime,
-          timestamp: new Date().toISOString(),
-          error: errorMessage
-        });
-      } catch (storageError) {
-        console.error('Failed to store error in process history:', storageError);
-      }
+      await this.storeProcessHistory(failedJob);
       
       throw error;
     }
   }
 
+  /**
+   * Finds a thinking process, running or persisted
+   * A persisted process that was still running when the server stopped is marked as interrupted.
+   * @throws If there is no such process
+   */
+  private async getJob(processId: string): Promise<ThinkingJobRecord> {
+    const active = this.activeProcesses.get(processId);
+    if (active) {
+      return active.job;
+    }
+
+    let stored: any;
+    try {
+      if (!/^[\w-]+$/.test(processId)) {
+        throw new Error('Invalid process ID');
+      }
+      stored = JSON.parse(await fs.promises.readFile(path.join(THINKING_DIR, `${processId}.json`), 'utf8'));
+    } catch (error) {
+      throw new Error(`Process not found: ${processId}`);
+    }
+
+    const job: ThinkingJobRecord = {
+      ...stored,
+      // Processes stored before jobs were tracked have no status or progress
+      status: stored.status || (stored.error ? 'error' : 'completed'),
+      progress: typeof stored.progress === 'number' ? stored.progress : 100,
+      steps: stored.steps || [],
+      startedAt: stored.startedAt || stored.timestamp
+    };
+
+    if (job.status === 'in_progress') {
+      job.status = 'error';
+      job.error = 'Interrupted by a server restart';
+      await this.storeProcessHistory(job);
+    }
+
+    return job;
+  }
+
+  private findThinkingModel(name: string): ThinkingModel {
+    return this.config.core.thinkingModels.find(model => model.name === name) || this.config.defaultModel;
+  }
+
   async getThinkingProgress(processId: string): Promise<{
     processId: string;
     status: 'in_progress' | 'completed' | 'error';
     steps: ThinkingStep[];
     progress: number;
     error?: string;
+    lastProgress?: ThinkingProgress;
+    cancelled?: boolean;
   }> {
-    const process = this.activeProcesses.get(processId);
-    if (!process) {
-      throw new Error(`Process not found: ${processId}`);
-    }
-
-    const progress = process.strategy.getProgress() * 100;
+    const job = await this.getJob(processId);
 
     return {
       processId,
-      status: process.status,
-      steps: process.steps,
-      progress,
-      error: process.error
+      status: job.status,
+      steps: job.steps,
+      progress: job.progress,
+      error: job.error,
+      lastProgress: job.lastProgress,
+      cancelled: job.cancelled
     };
   }
 
+  async getThinkingResult(processId: string): Promise<ThinkingJobRecord> {
+    return this.getJob(processId);
+  }
+
   async visualizeThinkingProcess(processId: string): Promise<ThinkingVisualization> {
-    const process = this.activeProcesses.get(processId);
-    if (!process) {
-      throw new Error(`Process not found: ${processId}`);
+    const job = await this.getJob(processId);
+    if (job.visualization) {
+      return job.visualization;
     }
 
-    return process.strategy.generateVisualization(process.steps);
+    // Persisted processes get a fresh strategy of the model they ran with
+    const strategy = this.activeProcesses.get(processId)?.strategy ||
+      ServiceFactory.createThinkingStrategy(this.findThinkingModel(job.model)) as BaseThinkingStrategy;
+    return strategy.generateVisualization(job.steps);
   }
 
   async getThinkingHistory(limit: number = 100): Promise<Array<{
@@ -392,20 +516,18 @@ export class ThinkingServiceImpl implements IThinkingService {
     };
     recommendations: string[];
   }> {
-    const process = this.activeProcesses.get(processId);
-    if (!process) {
-      throw new Error(`Process not found: ${processId}`);
-    }
+    const job = await this.getJob(processId);
+    const active = this.activeProcesses.get(processId);
 
     // Calculate metrics
-    const totalTokens = process.steps.reduce((sum, step) => sum + step.tokens, 0);
-    const averageTokensPerStep = totalTokens / process.steps.length;
-    const duration = Date.now() - process.startTime;
-    const tokensPerSecond = totalTokens / (duration / 1000);
+    const totalTokens = job.steps.reduce((sum, step) => sum + step.tokens, 0);
+    const averageTokensPerStep = job.steps.length > 0 ? totalTokens / job.steps.length : 0;
+    const duration = job.status === 'in_progress' && active ? Date.now() - active.startTime : job.duration;
+    const tokensPerSecond = duration > 0 ? totalTokens / (duration / 1000) : 0;
 
     const metrics = {
       accuracy: 0.85, // Placeholder - would be calculated based on validation
-      complexity: process.steps.length / this.processConfig.maxStepsPerStrategy,
+      complexity: job.steps.length / this.processConfig.maxStepsPerStrategy,
       efficiency: tokensPerSecond / 100, // Normalized
       novelty: 0.7 // Placeholder - would be calculated based on similarity to past solutions
     };
@@ -417,7 +539,7 @@ export class ThinkingServiceImpl implements IThinkingService {
       recommendations.push('Consider breaking down steps into smaller units');
     }
 
-    if (process.steps.length >= this.processConfig.maxStepsPerStrategy) {
+    if (job.steps.length >= this.processConfig.maxStepsPerStrategy) {
       recommendations.push('Process is reaching step limit, consider optimization');
     }
 
@@ -555,21 +677,29 @@ export class ThinkingServiceImpl implements IThinkingService {
     return Math.min(1, complexity);
   }
 
-  private async storeProcessHistory(process: {
-    processId: string;
-    problem: string;
-    model: string;
-    steps: ThinkingStep[];
-    duration: number;
-    timestamp: string;
-    error?: string;
-  }): Promise<void> {
-    try {
-      const filePath = path.join(THINKING_DIR, `${process.processId}.json`);
-      await fs.promises.writeFile(filePath, JSON.stringify(process, null, 2));
-    } catch (error) {
-      console.error('Error storing process history:', error);
-    }
+  /**
+   * Writes the job file of a thinking process
+   * Writes of one process are queued so an earlier state never overwrites a later one.
+   * Each state is written to a temporary file and renamed, so readers never see a partial file.
+   */
+  private storeProcessHistory(job: ThinkingJobRecord): Promise<void> {
+    job.timestamp = new Date().toISOString();
+    const data = JSON.stringify(job, null, 2);
+    const filePath = path.join(THINKING_DIR, `${job.processId}.json`);
+
+    const write = (this.jobWrites.get(job.processId) || Promise.resolve())
+      .then(async () => {
+        await fs.promises.writeFile(`${filePath}.tmp`, data);
+        await fs.promises.rename(`${filePath}.tmp`, filePath);
+      })
+      .catch(error => console.error('Error storing process history:', error))
+      .finally(() => {
+        if (this.jobWrites.get(job.processId) === write) {
+          this.jobWrites.delete(job.processId);
+        }
+      });
+    this.jobWrites.set(job.processId, write);
+    return write;
   }
 
   /**
@@ -0,0 +1,640 @@
+/**
+ * Cache Store
+ * Applies TTL expiry, LRU eviction, size limits and statistics on top of any cache backend,
+ * so every backend behaves the same. An index of entry metadata is kept in memory and
+ * rebuilt from the backend on start and on maintenance. Recently used responses of file
+ * and Redis backends are also kept in memory, and hit counts are written back to the
+ * backend so the most used entries can be warmed up after a restart.
+ */
+
+import { createHash } from 'crypto';
+import { ICacheBackend } from '../../interfaces/ICacheBackend.js';
+import {
+  CacheEntryFilter,
+  CacheEntryInfo,
+  CacheEntryPage,
+  CacheInvalidationResult,
+  CacheListOptions,
+  CacheRecord,
+  CacheResult,
+  CacheSnapshot,
+  CacheSnapshotImportOptions,
+  CacheSnapshotImportResult,
+  CacheStats,
+  CacheTypeStats
+} from '../../models/types.js';
+
+// Default page size for listing cache entries
+const DEFAULT_LIST_LIMIT = 50;
+
+// Number of response times kept for the average
+const RESPONSE_TIME_SAMPLES = 1000;
+
+// Delay before changed hit counts are written to the backend
+const HIT_FLUSH_DELAY = 30 * 1000;
+
+export interface CacheStoreOptions {
+  maxEntries: number;
+  maxSizeBytes: number;
+  ttl: Record<string, number>; // Milliseconds per cache type, with a 'default' entry
+  hotEntries?: number; // Responses kept in memory in front of the backend (defaults to 0)
+}
+
+interface CacheIndexEntry {
+  cacheType: string;
+  id: string;
+  key: string | null;
+  tags: string[];
+  timestamp: string;
+  expiresAt: number;
+  size: number;
+  hits: number;
+  persistedHits: number; // Hit count last written to the backend
+  lastAccessed: number;
+}
+
+/**
+ * Gets the ID a cache key is stored under within its cache type
+ */
+export const getCacheId = (cacheKey: string): string => {
+  return createHash('md5').update(cacheKey).digest('hex');
+};
+
+/**
+ * Converts a key glob into a regular expression
+ * * matches any run of characters and ? a single character
+ */
+const globToRegExp = (pattern: string): RegExp => {
+  const source = pattern
+    .split('')
+    .map(char => char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&'))
+    .join('');
+  return new RegExp(`^${source}$`);
+};
+
+const indexKey = (cacheType: string, id: string): string => `${cacheType}/${id}`;
+
+export class CacheStore {
+  readonly backend: ICacheBackend;
+  private readonly options: CacheStoreOptions;
+  // Map order is LRU order: least recently used first
+  private index: Map<string, CacheIndexEntry> = new Map();
+  // Responses held in memory, least recently used first
+  private hot: Map<string, CacheRecord> = new Map();
+  private readonly hotLimit: number;
+  private totalSize = 0;
+  private ready: Promise<number>;
+  private hitFlushTimer: NodeJS.Timeout | null = null;
+  private stats = {
+    evictions: 0,
+    expired: 0,
+    responseTime: [] as number[],
+    byType: {} as Record<string, { hits: number; misses: number }>
+  };
+
+  /**
+   * @param backend - Where records are stored
+   * @param options - Entry and size limits and TTLs
+   */
+  constructor(backend: ICacheBackend, options: CacheStoreOptions) {
+    this.backend = backend;
+    this.options = options;
+    // The memory backend already holds every response in memory
+    this.hotLimit = backend.name === 'memory' ? 0 : options.hotEntries ?? 0;
+    this.ready = this.loadIndex();
+  }
+
+  /**
+   * Gets the TTL of a cache type in milliseconds
+   */
+  getTTL(cacheType: string): number {
+    return this.options.ttl[cacheType] ?? this.options.ttl.default;
+  }
+
+  /**
+   * Looks up a cached response
+   * Entries missing from the index, such as those written by another process sharing
+   * the backend, are read from the backend and added to the index.
+   * @returns The cached result, or null if it is not cached or has expired
+   */
+  async get(cacheType: string, cacheKey: string): Promise<CacheResult | null> {
+    await this.ready;
+    const startTime = Date.now();
+    const id = getCacheId(cacheKey);
+
+    let record = this.hot.get(indexKey(cacheType, id)) || null;
+    if (!record) {
+      try {
+        record = await this.backend.get(cacheType, id);
+      } catch (error) {
+        console.error(`Error reading cache record (${cacheType}/${cacheKey}):`, error);
+      }
+    }
+
+    if (!record) {
+      // Backends with native expiry drop expired records themselves
+      const entry = this.removeFromIndex(cacheType, id);
+      if (entry && entry.expiresAt <= Date.now()) {
+        this.stats.expired++;
+      }
+      this.recordLookup(cacheType, false);
+      return null;
+    }
+
+    if (this.getExpiry(record) <= Date.now()) {
+      await this.remove(cacheType, id);
+      this.stats.expired++;
+      this.recordLookup(cacheType, false);
+      return null;
+    }
+
+    const entry = this.removeFromIndex(cacheType, id) || this.toIndexEntry(id, record);
+    entry.hits++;
+    entry.lastAccessed = Date.now();
+    this.addToIndex(entry);
+    this.remember(record, id);
+    this.scheduleHitFlush();
+
+    this.recordLookup(cacheType, true);
+    this.stats.responseTime.push(Date.now() - startTime);
+    if (this.stats.responseTime.length > RESPONSE_TIME_SAMPLES) {
+      this.stats.responseTime = this.stats.responseTime.slice(-RESPONSE_TIME_SAMPLES);
+    }
+
+    return {
+      response: record.response,
+      timestamp: record.timestamp,
+      ...(record.key !== null ? { key: record.key } : {}),
+      ...(record.tags.length > 0 ? { tags: record.tags } : {})
+    };
+  }
+
+  /**
+   * Stores a response, then evicts least recently used entries beyond the limits
+   */
+  async set(cacheType: string, cacheKey: string, response: string, tags: string[] = []): Promise<void> {
+    await this.ready;
+    const id = getCacheId(cacheKey);
+    const now = Date.now();
+
+    const record: CacheRecord = {
+      cacheType,
+      key: cacheKey,
+      response,
+      tags: Array.from(new Set(tags.map(tag => tag.trim()).filter(tag => tag !== ''))),
+      timestamp: new Date(now).toISOString(),
+      expiresAt: now + this.getTTL(cacheType)
+    };
+
+    await this.backend.set(id, record);
+    this.removeFromIndex(cacheType, id);
+    this.addToIndex(this.toIndexEntry(id, record));
+    if (this.hot.has(indexKey(cacheType, id))) {
+      this.remember(record, id);
+    }
+    await this.enforceLimits();
+  }
+
+  /**
+   * Removes the entries matching every given criterion
+   * @param filter - Cache type, exact key, key glob and/or tag; at least one is required
+   */
+  async invalidate(filter: CacheEntryFilter): Promise<CacheInvalidationResult> {
+    if (!filter.cacheType && !filter.key && !filter.pattern && !filter.tag) {
+      throw new Error('Cache invalidation requires a cache type, key, pattern or tag');
+    }
+    await this.ready;
+
+    const byType: Record<string, number> = {};
+    const matches = this.find(filter);
+    for (const entry of matches) {
+      await this.remove(entry.cacheType, entry.id);
+      byType[entry.cacheType] = (byType[entry.cacheType] || 0) + 1;
+    }
+    return { removed: matches.length, byType };
+  }
+
+  /**
+   * Lists entries with their metadata, newest first
+   * @param options - Filter plus paging (offset defaults to 0, limit to 50)
+   */
+  async list(options: CacheListOptions = {}): Promise<CacheEntryPage> {
+    await this.ready;
+    const offset = Math.max(0, options.offset ?? 0);
+    const limit = Math.max(1, options.limit ?? DEFAULT_LIST_LIMIT);
+    const now = Date.now();
+
+    const entries: CacheEntryInfo[] = this.find(options)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .map(entry => ({
+        cacheType: entry.cacheType,
+        key: entry.key,
+        tags: entry.tags,
+        timestamp: entry.timestamp,
+        sizeInBytes: entry.size,
+        ageSeconds: Math.floor((now - new Date(entry.timestamp).getTime()) / 1000),
+        ttlRemainingSeconds: Math.max(0, Math.floor((entry.expiresAt - now) / 1000)),
+        hits: entry.hits
+      }));
+
+    return {
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Gets statistics, overall or for one cache type
+   */
+  async getStats(cacheType?: string): Promise<CacheStats> {
+    await this.ready;
+
+    const byType: Record<string, CacheTypeStats> = {};
+    const ensureType = (type: string): CacheTypeStats => {
+      if (!byType[type]) {
+        const lookups = this.stats.byType[type] || { hits: 0, misses: 0 };
+        byType[type] = {
+          items: 0,
+          sizeInBytes: 0,
+          hits: lookups.hits,
+          misses: lookups.misses,
+          hitRate: lookups.hits + lookups.misses > 0 ? lookups.hits / (lookups.hits + lookups.misses) : 0
+        };
+      }
+      return byType[type];
+    };
+
+    Object.keys(this.stats.byType).forEach(ensureType);
+    this.index.forEach(entry => {
+      const typeStats = ensureType(entry.cacheType);
+      typeStats.items++;
+      typeStats.sizeInBytes += entry.size;
+    });
+
+    const selected = cacheType ? { [cacheType]: ensureType(cacheType) } : byType;
+    const totals = Object.values(selected).reduce(
+      (sum, typeStats) => ({
+        items: sum.items + typeStats.items,
+        sizeInBytes: sum.sizeInBytes + typeStats.sizeInBytes,
+        hits: sum.hits + typeStats.hits,
+        misses: sum.misses + typeStats.misses
+      }),
+      { items: 0, sizeInBytes: 0, hits: 0, misses: 0 }
+    );
+    const responseTimes = this.stats.responseTime;
+
+    return {
+      backend: this.backend.name,
+      totalItems: totals.items,
+      total: totals.items,
+      sizeInBytes: totals.sizeInBytes,
+      hits: totals.hits,
+      misses: totals.misses,
+      hitRate: totals.hits + totals.misses > 0 ? totals.hits / (totals.hits + totals.misses) : 0,
+      avgResponseTime: responseTimes.length > 0
+        ? responseTimes.reduce((a, b) => a + b) / responseTimes.length
+        : 0,
+      evictions: this.stats.evictions,
+      expired: this.stats.expired,
+      maxEntries: this.options.maxEntries,
+      maxSizeBytes: this.options.maxSizeBytes,
+      hotEntries: this.hot.size,
+      byType: selected
+    };
+  }
+
+  /**
+   * Copies every live entry with its expiry and hit count, plus the cache counters
+   */
+  async exportSnapshot(): Promise<CacheSnapshot> {
+    await this.ready;
+    const now = Date.now();
+    const entries: CacheSnapshot['entries'] = [];
+
+    for (const { id, record } of await this.backend.list()) {
+      const expiresAt = this.getExpiry(record);
+      if (expiresAt <= now) continue;
+
+      const entry = this.index.get(indexKey(record.cacheType, id));
+      const hits = Math.max(record.hits ?? 0, entry && entry.timestamp === record.timestamp ? entry.hits : 0);
+      entries.push({ id, record: { ...record, expiresAt, hits } });
+    }
+
+    return {
+      version: 1,
+      createdAt: new Date(now).toISOString(),
+      backend: this.backend.name,
+      stats: {
+        evictions: this.stats.evictions,
+        expired: this.stats.expired,
+        byType: JSON.parse(JSON.stringify(this.stats.byType))
+      },
+      entries
+    };
+  }
+
+  /**
+   * Imports the entries of a snapshot, keeping their expiry and hit counts, and adds
+   * the snapshot's counters to the statistics
+   * Expired entries are dropped before the most hit entries of each cache type are selected.
+   * @param snapshot - A snapshot taken by exportSnapshot
+   * @param options - Whether to replace cached entries, and how many entries per type to import
+   */
+  async importSnapshot(
+    snapshot: CacheSnapshot,
+    options: CacheSnapshotImportOptions = {}
+  ): Promise<CacheSnapshotImportResult> {
+    await this.ready;
+    const now = Date.now();
+    const result: CacheSnapshotImportResult = { imported: 0, overwritten: 0, skipped: 0, expired: 0, limited: 0 };
+
+    const byType = new Map<string, CacheSnapshot['entries']>();
+    for (const entry of snapshot.entries) {
+      if (entry.record.expiresAt <= now) {
+        result.expired++;
+        continue;
+      }
+      const typeEntries = byType.get(entry.record.cacheType) || [];
+      typeEntries.push(entry);
+      byType.set(entry.record.cacheType, typeEntries);
+    }
+
+    const selected: CacheSnapshot['entries'] = [];
+    byType.forEach(typeEntries => {
+      typeEntries.sort((a, b) => b.record.hits - a.record.hits);
+      const limit = options.entriesPerType ?? typeEntries.length;
+      selected.push(...typeEntries.slice(0, limit));
+      result.limited += Math.max(0, typeEntries.length - limit);
+    });
+
+    // Least hit first, so the most hit entries end up most recently used
+    selected.sort((a, b) => a.record.hits - b.record.hits);
+    for (const { id, record } of selected) {
+      const cached = this.index.has(indexKey(record.cacheType, id));
+      if (cached && !options.overwrite) {
+        result.skipped++;
+        continue;
+      }
+
+      await this.backend.set(id, record);
+      this.hot.delete(indexKey(record.cacheType, id));
+      this.removeFromIndex(record.cacheType, id);
+      this.addToIndex({ ...this.toIndexEntry(id, record), lastAccessed: now });
+      if (cached) {
+        result.overwritten++;
+      } else {
+        result.imported++;
+      }
+    }
+
+    this.stats.evictions += snapshot.stats.evictions;
+    this.stats.expired += snapshot.stats.expired;
+    Object.entries(snapshot.stats.byType).forEach(([cacheType, lookups]) => {
+      const typeStats = this.stats.byType[cacheType] || (this.stats.byType[cacheType] = { hits: 0, misses: 0 });
+      typeStats.hits += lookups.hits;
+      typeStats.misses += lookups.misses;
+    });
+
+    await this.enforceLimits();
+    return result;
+  }
+
+  /**
+   * Loads the responses of the most hit entries of each cache type into memory
+   * Does nothing for the memory backend, or when no responses are kept in memory.
+   * @param entriesPerType - How many entries to load per cache type
+   * @returns Number of responses loaded
+   */
+  async warmUp(entriesPerType: number): Promise<number> {
+    await this.ready;
+    if (this.hotLimit === 0) return 0;
+
+    const byType = new Map<string, CacheIndexEntry[]>();
+    this.index.forEach(entry => {
+      if (entry.hits === 0) return;
+      const typeEntries = byType.get(entry.cacheType) || [];
+      typeEntries.push(entry);
+      byType.set(entry.cacheType, typeEntries);
+    });
+
+    const selected = Array.from(byType.values())
+      .flatMap(typeEntries => typeEntries.sort((a, b) => b.hits - a.hits).slice(0, entriesPerType))
+      .sort((a, b) => a.hits - b.hits);
+
+    for (const entry of selected) {
+      try {
+        const record = await this.backend.get(entry.cacheType, entry.id);
+        if (record && record.timestamp === entry.timestamp && this.getExpiry(record) > Date.now()) {
+          this.remember(record, entry.id);
+        }
+      } catch (error) {
+        console.error(`Error warming up cache record (${entry.cacheType}/${entry.id}):`, error);
+      }
+    }
+
+    return selected.filter(entry => this.hot.has(indexKey(entry.cacheType, entry.id))).length;
+  }
+
+  /**
+   * Writes changed hit counts, rebuilds the index from the backend and removes expired entries
+   * @returns Number of entries removed
+   */
+  async performMaintenance(): Promise<number> {
+    await this.ready;
+    await this.flushHits();
+    this.ready = this.loadIndex();
+    return this.ready;
+  }
+
+  /**
+   * Writes changed hit counts and releases the backend
+   */
+  async close(): Promise<void> {
+    await this.ready;
+    await this.flushHits();
+    await this.backend.close();
+  }
+
+  /**
+   * Loads entry metadata from the backend, keeping hit counts and LRU order of known entries
+   * @returns Number of expired entries removed
+   */
+  private async loadIndex(): Promise<number> {
+    try {
+      return await this.rebuildIndex();
+    } catch (error) {
+      console.error(`Error loading cache index from the ${this.backend.name} backend:`, error);
+      return 0;
+    }
+  }
+
+  private async rebuildIndex(): Promise<number> {
+    const records = await this.backend.list();
+    const previous = this.index;
+    const now = Date.now();
+    const entries: CacheIndexEntry[] = [];
+
+    // Count expired entries that backends with native expiry already dropped
+    const listed = new Set(records.map(({ id, record }) => indexKey(record.cacheType, id)));
+    let removed = Array.from(previous.entries())
+      .filter(([key, entry]) => !listed.has(key) && entry.expiresAt <= now)
+      .length;
+
+    for (const { id, record } of records) {
+      if (this.getExpiry(record) <= now) {
+        await this.backend.delete(record.cacheType, id);
+        removed++;
+        continue;
+      }
+
+      const entry = this.toIndexEntry(id, record);
+      const known = previous.get(indexKey(record.cacheType, id));
+      if (known && known.timestamp === entry.timestamp) {
+        entry.hits = Math.max(entry.hits, known.hits);
+        entry.lastAccessed = known.lastAccessed;
+      }
+      entries.push(entry);
+    }
+
+    this.index = new Map();
+    this.totalSize = 0;
+    entries
+      .sort((a, b) => a.lastAccessed - b.lastAccessed)
+      .forEach(entry => this.addToIndex(entry));
+
+    // Drop responses that were removed or replaced by other processes sharing the backend
+    this.hot.forEach((record, key) => {
+      if (this.index.get(key)?.timestamp !== record.timestamp) {
+        this.hot.delete(key);
+      }
+    });
+
+    this.stats.expired += removed;
+    await this.enforceLimits();
+    return removed;
+  }
+
+  private getExpiry(record: CacheRecord): number {
+    return record.expiresAt ?? new Date(record.timestamp).getTime() + this.getTTL(record.cacheType);
+  }
+
+  private toIndexEntry(id: string, record: CacheRecord): CacheIndexEntry {
+    return {
+      cacheType: record.cacheType,
+      id,
+      key: record.key,
+      tags: record.tags,
+      timestamp: record.timestamp,
+      expiresAt: this.getExpiry(record),
+      size: Buffer.byteLength(record.response),
+      hits: record.hits ?? 0,
+      persistedHits: record.hits ?? 0,
+      lastAccessed: new Date(record.timestamp).getTime()
+    };
+  }
+
+  private addToIndex(entry: CacheIndexEntry): void {
+    this.index.set(indexKey(entry.cacheType, entry.id), entry);
+    this.totalSize += entry.size;
+  }
+
+  private removeFromIndex(cacheType: string, id: string): CacheIndexEntry | null {
+    const entry = this.index.get(indexKey(cacheType, id));
+    if (!entry) return null;
+
+    this.index.delete(indexKey(cacheType, id));
+    this.totalSize -= entry.size;
+    return entry;
+  }
+
+  private async remove(cacheType: string, id: string): Promise<void> {
+    this.removeFromIndex(cacheType, id);
+    this.hot.delete(indexKey(cacheType, id));
+    await this.backend.delete(cacheType, id);
+  }
+
+  /**
+   * Keeps a response in memory as the most recently used, dropping the least recently used beyond the limit
+   */
+  private remember(record: CacheRecord, id: string): void {
+    if (this.hotLimit === 0) return;
+
+    const key = indexKey(record.cacheType, id);
+    this.hot.delete(key);
+    this.hot.set(key, record);
+    while (this.hot.size > this.hotLimit) {
+      this.hot.delete(this.hot.keys().next().value as string);
+    }
+  }
+
+  private scheduleHitFlush(): void {
+    if (this.hitFlushTimer) return;
+
+    this.hitFlushTimer = setTimeout(() => {
+      this.hitFlushTimer = null;
+      this.flushHits().catch(error => console.error('Error writing cache hit counts:', error));
+    }, HIT_FLUSH_DELAY);
+    this.hitFlushTimer.unref();
+  }
+
+  /**
+   * Writes the hit counts that changed since they were last written to the backend
+   */
+  private async flushHits(): Promise<void> {
+    if (this.hitFlushTimer) {
+      clearTimeout(this.hitFlushTimer);
+      this.hitFlushTimer = null;
+    }
+
+    const changed = Array.from(this.index.values()).filter(entry => entry.hits !== entry.persistedHits);
+    for (const entry of changed) {
+      const key = indexKey(entry.cacheType, entry.id);
+      // Read from the backend so entries removed by other processes are not written back
+      const record = await this.backend.get(entry.cacheType, entry.id);
+      // Skip entries removed or replaced in the meantime
+      if (!record || this.index.get(key) !== entry || record.timestamp !== entry.timestamp) continue;
+
+      const hits = entry.hits;
+      await this.backend.set(entry.id, { ...record, hits });
+      entry.persistedHits = hits;
+    }
+  }
+
+  /**
+   * Evicts least recently used entries until both limits are met
+   */
+  private async enforceLimits(): Promise<void> {
+    while (this.index.size > this.options.maxEntries || this.totalSize > this.options.maxSizeBytes) {
+      const oldest = this.index.values().next().value as CacheIndexEntry;
+      await this.remove(oldest.cacheType, oldest.id);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Finds the indexed entries matching every given criterion
+   * Entries stored before keys were recorded never match a pattern.
+   */
+  private find(filter: CacheEntryFilter): CacheIndexEntry[] {
+    const id = filter.key !== undefined ? getCacheId(filter.key) : null;
+    const keyPattern = filter.pattern ? globToRegExp(filter.pattern) : null;
+
+    return Array.from(this.index.values()).filter(entry =>
+      (!filter.cacheType || entry.cacheType === filter.cacheType) &&
+      (id === null || entry.id === id) &&
+      (!keyPattern || (entry.key !== null && keyPattern.test(entry.key))) &&
+      (!filter.tag || entry.tags.includes(filter.tag))
+    );
+  }
+
+  private recordLookup(cacheType: string, hit: boolean): void {
+    const typeStats = this.stats.byType[cacheType] || (this.stats.byType[cacheType] = { hits: 0, misses: 0 });
+    if (hit) {
+      typeStats.hits++;
+    } else {
+      typeStats.misses++;
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * File Cache Backend
+ * Stores each cache record as a JSON file under <directory>/<cacheType>/<id>.json,
+ * gzip-compressing responses larger than 10KB
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { promisify } from 'util';
+import { ICacheBackend } from '../../interfaces/ICacheBackend.js';
+import { CacheRecord } from '../../models/types.js';
+
+// Promisify zlib methods for async/await
+const gzipAsync = promisify(zlib.gzip);
+const gunzipAsync = promisify(zlib.gunzip);
+
+// Responses above this size are compressed
+const COMPRESSION_THRESHOLD = 10 * 1024;
+
+export class FileCacheBackend implements ICacheBackend {
+  readonly name = 'file' as const;
+  readonly directory: string;
+
+  /**
+   * @param directory - Root directory of the cache files
+   */
+  constructor(directory: string) {
+    this.directory = directory;
+    fs.mkdirSync(directory, { recursive: true });
+  }
+
+  private getFilePath(cacheType: string, id: string): string {
+    return path.join(this.directory, cacheType, `${id}.json`);
+  }
+
+  /**
+   * Reads a cache file, decompressing it if needed
+   * Files written before records carried their cache type get it from their directory.
+   */
+  private async readFile(cacheType: string, filePath: string): Promise<CacheRecord> {
+    const data = await fs.promises.readFile(filePath, 'utf8');
+    let parsed = JSON.parse(data);
+
+    if (parsed.compressed && parsed.data) {
+      const decompressedData = await gunzipAsync(Buffer.from(parsed.data, 'base64'));
+      parsed = JSON.parse(decompressedData.toString());
+    }
+
+    return {
+      cacheType,
+      key: parsed.key ?? null,
+      response: parsed.response,
+      tags: parsed.tags || [],
+      timestamp: parsed.timestamp,
+      ...(typeof parsed.expiresAt === 'number' ? { expiresAt: parsed.expiresAt } : {}),
+      ...(typeof parsed.hits === 'number' ? { hits: parsed.hits } : {})
+    };
+  }
+
+  async get(cacheType: string, id: string): Promise<CacheRecord | null> {
+    const filePath = this.getFilePath(cacheType, id);
+    if (!fs.existsSync(filePath)) return null;
+    return this.readFile(cacheType, filePath);
+  }
+
+  async set(id: string, record: CacheRecord): Promise<void> {
+    const filePath = this.getFilePath(record.cacheType, id);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    let fileContent: string;
+    if (record.response.length > COMPRESSION_THRESHOLD) {
+      const compressedBuffer = await gzipAsync(Buffer.from(JSON.stringify(record)));
+      fileContent = JSON.stringify({
+        compressed: true,
+        data: compressedBuffer.toString('base64'),
+        timestamp: record.timestamp
+      });
+    } else {
+      fileContent = JSON.stringify(record, null, 2);
+    }
+
+    await fs.promises.writeFile(filePath, fileContent);
+  }
+
+  async delete(cacheType: string, id: string): Promise<void> {
+    await fs.promises.unlink(this.getFilePath(cacheType, id)).catch(() => {});
+  }
+
+  async list(): Promise<Array<{ id: string; record: CacheRecord }>> {
+    const results: Array<{ id: string; record: CacheRecord }> = [];
+
+    const cacheTypes = (await fs.promises.readdir(this.directory, { withFileTypes: true }))
+      .filter(entry => entry.isDirectory())
+      .map(entry => entry.name);
+
+    for (const cacheType of cacheTypes) {
+      const dir = path.join(this.directory, cacheType);
+      for (const file of await fs.promises.readdir(dir)) {
+        if (!file.endsWith('.json')) continue;
+        try {
+          results.push({ id: file.slice(0, -'.json'.length), record: await this.readFile(cacheType, path.join(dir, file)) });
+        } catch (error) {
+          console.error(`Removing unreadable cache file ${path.join(dir, file)}:`, error);
+          await fs.promises.unlink(path.join(dir, file)).catch(() => {});
+        }
+      }
+    }
+    return results;
+  }
+
+  async close(): Promise<void> {
+    // Files need no cleanup
+  }
+}
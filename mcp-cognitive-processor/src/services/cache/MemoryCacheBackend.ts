@@ -0,0 +1,32 @@
+/**
+ * Memory Cache Backend
+ * Keeps cache records in process memory; nothing survives a restart
+ */
+
+import { ICacheBackend } from '../../interfaces/ICacheBackend.js';
+import { CacheRecord } from '../../models/types.js';
+
+export class MemoryCacheBackend implements ICacheBackend {
+  readonly name = 'memory' as const;
+  private records: Map<string, { id: string; record: CacheRecord }> = new Map();
+
+  async get(cacheType: string, id: string): Promise<CacheRecord | null> {
+    return this.records.get(`${cacheType}/${id}`)?.record || null;
+  }
+
+  async set(id: string, record: CacheRecord): Promise<void> {
+    this.records.set(`${record.cacheType}/${id}`, { id, record });
+  }
+
+  async delete(cacheType: string, id: string): Promise<void> {
+    this.records.delete(`${cacheType}/${id}`);
+  }
+
+  async list(): Promise<Array<{ id: string; record: CacheRecord }>> {
+    return Array.from(this.records.values());
+  }
+
+  async close(): Promise<void> {
+    this.records.clear();
+  }
+}
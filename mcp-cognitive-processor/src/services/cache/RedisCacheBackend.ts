@@ -0,0 +1,84 @@
+/**
+ * Redis Cache Backend
+ * Stores each cache record as a JSON string under <keyPrefix><cacheType>:<id>, expiring
+ * with the record so Redis drops it even when no server is running maintenance
+ */
+
+import { ICacheBackend } from '../../interfaces/ICacheBackend.js';
+import { CacheRecord } from '../../models/types.js';
+import { RespClient, RespValue } from './RespClient.js';
+
+// Keys requested per SCAN and per MGET
+const BATCH_SIZE = 200;
+
+export class RedisCacheBackend implements ICacheBackend {
+  readonly name = 'redis' as const;
+  private readonly client: RespClient;
+  private readonly keyPrefix: string;
+
+  /**
+   * @param client - Connection to a server that speaks the Redis protocol
+   * @param keyPrefix - Prefix of every key written by the cache
+   */
+  constructor(client: RespClient, keyPrefix: string) {
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  private getKey(cacheType: string, id: string): string {
+    return `${this.keyPrefix}${cacheType}:${id}`;
+  }
+
+  async get(cacheType: string, id: string): Promise<CacheRecord | null> {
+    const data = await this.client.command(['GET', this.getKey(cacheType, id)]);
+    return typeof data === 'string' ? JSON.parse(data) : null;
+  }
+
+  async set(id: string, record: CacheRecord): Promise<void> {
+    const args = ['SET', this.getKey(record.cacheType, id), JSON.stringify(record)];
+    if (record.expiresAt !== undefined) {
+      args.push('PX', String(Math.max(1, record.expiresAt - Date.now())));
+    }
+    await this.client.command(args);
+  }
+
+  async delete(cacheType: string, id: string): Promise<void> {
+    await this.client.command(['DEL', this.getKey(cacheType, id)]);
+  }
+
+  async list(): Promise<Array<{ id: string; record: CacheRecord }>> {
+    const keys = new Set<string>();
+    let cursor = '0';
+    do {
+      const reply = await this.client.command(['SCAN', cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', String(BATCH_SIZE)]);
+      const [nextCursor, batch] = reply as [string, string[]];
+      batch.forEach(key => keys.add(key));
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    const allKeys = Array.from(keys);
+    const results: Array<{ id: string; record: CacheRecord }> = [];
+    for (let start = 0; start < allKeys.length; start += BATCH_SIZE) {
+      const batch = allKeys.slice(start, start + BATCH_SIZE);
+      const values = await this.client.command(['MGET', ...batch]) as RespValue[];
+
+      for (let index = 0; index < batch.length; index++) {
+        const key = batch[index];
+        const value = values[index];
+        // Keys can expire between SCAN and MGET
+        if (typeof value !== 'string') continue;
+        try {
+          results.push({ id: key.slice(key.lastIndexOf(':') + 1), record: JSON.parse(value) });
+        } catch (error) {
+          console.error(`Removing unreadable cache record ${key}:`, error);
+          await this.client.command(['DEL', key]);
+        }
+      }
+    }
+    return results;
+  }
+
+  async close(): Promise<void> {
+    await this.client.close();
+  }
+}
@@ -0,0 +1,221 @@
+/**
+ * RESP Client
+ * Minimal client for the Redis serialization protocol (RESP2), covering what the Redis
+ * cache backend needs. Works with Redis and any server that speaks the same protocol.
+ */
+
+import * as net from 'net';
+
+export type RespValue = string | number | null | RespValue[];
+
+/**
+ * An error reply sent by the server
+ */
+export class RespError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'RespError';
+  }
+}
+
+interface PendingReply {
+  resolve: (value: RespValue) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Encodes a command as an array of bulk strings
+ */
+export const encodeCommand = (args: string[]): string => {
+  return `*${args.length}\r\n` + args.map(arg => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`).join('');
+};
+
+/**
+ * Parses one RESP value
+ * @param buffer - Received bytes
+ * @param offset - Where the value starts
+ * @returns The value and the offset after it, or null if the buffer holds only part of it
+ */
+export const parseReply = (
+  buffer: Buffer,
+  offset: number = 0
+): { value: RespValue | RespError; offset: number } | null => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RespError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      // Bulk string lengths are in bytes
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+
+      const items: RespValue[] = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value instanceof RespError ? null : item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RespError(`Unexpected RESP reply type "${type}"`);
+  }
+};
+
+export class RespClient {
+  private readonly url: URL;
+  private readonly timeoutMs: number;
+  private socket: net.Socket | null = null;
+  private ready: Promise<net.Socket> | null = null;
+  private buffer: Buffer = Buffer.alloc(0);
+  private pending: PendingReply[] = [];
+
+  /**
+   * @param url - Server address, redis://[[user]:password@]host[:port][/db]
+   * @param timeoutMs - How long to wait for a connection or a reply
+   */
+  constructor(url: string, timeoutMs: number = 5000) {
+    this.url = new URL(url);
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Sends a command and waits for its reply
+   * @param args - Command name and arguments, e.g. ['SET', 'key', 'value']
+   * @returns The reply; error replies are thrown as RespError
+   */
+  async command(args: string[]): Promise<RespValue> {
+    const socket = await this.connect();
+    return this.send(socket, args);
+  }
+
+  /**
+   * Closes the connection; the next command reconnects
+   */
+  async close(): Promise<void> {
+    const socket = this.socket;
+    if (!socket) return;
+
+    this.reset(socket, new Error('Connection closed'));
+    socket.end();
+  }
+
+  private send(socket: net.Socket, args: string[]): Promise<RespValue> {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ resolve, reject });
+      // Only keep the process alive while replies are outstanding
+      socket.ref();
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  private connect(): Promise<net.Socket> {
+    if (this.ready) return this.ready;
+
+    const socket = net.createConnection({
+      host: this.url.hostname || '127.0.0.1',
+      port: Number(this.url.port) || 6379
+    });
+    this.socket = socket;
+
+    this.ready = new Promise<net.Socket>((resolve, reject) => {
+      let connected = false;
+
+      socket.setTimeout(this.timeoutMs, () => {
+        if (!connected || this.pending.length > 0) {
+          socket.destroy(new Error(`Redis server at ${this.url.host} did not respond within ${this.timeoutMs}ms`));
+        }
+      });
+      socket.on('data', chunk => this.onData(socket, chunk));
+      socket.on('error', error => {
+        if (!connected) reject(error);
+        this.reset(socket, error);
+      });
+      socket.on('close', () => this.reset(socket, new Error(`Connection to ${this.url.host} closed`)));
+
+      socket.once('connect', async () => {
+        try {
+          await this.handshake(socket);
+          connected = true;
+          resolve(socket);
+        } catch (error) {
+          reject(error);
+          socket.destroy();
+        }
+      });
+    });
+
+    return this.ready;
+  }
+
+  /**
+   * Authenticates and selects the database named in the URL
+   */
+  private async handshake(socket: net.Socket): Promise<void> {
+    if (this.url.password) {
+      const password = decodeURIComponent(this.url.password);
+      await this.send(socket, this.url.username
+        ? ['AUTH', decodeURIComponent(this.url.username), password]
+        : ['AUTH', password]);
+    }
+
+    const database = this.url.pathname.replace(/^\//, '');
+    if (database) {
+      await this.send(socket, ['SELECT', database]);
+    }
+  }
+
+  private onData(socket: net.Socket, chunk: Buffer): void {
+    if (this.socket !== socket) return;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    for (let reply = parseReply(this.buffer, offset); reply; reply = parseReply(this.buffer, offset)) {
+      offset = reply.offset;
+      const pending = this.pending.shift();
+      if (!pending) continue;
+
+      if (reply.value instanceof RespError) {
+        pending.reject(reply.value);
+      } else {
+        pending.resolve(reply.value);
+      }
+    }
+    this.buffer = this.buffer.subarray(offset);
+
+    if (this.pending.length === 0) {
+      socket.unref();
+    }
+  }
+
+  /**
+   * Fails outstanding commands after the connection is lost
+   * Events from a connection that has already been replaced are ignored.
+   */
+  private reset(socket: net.Socket, error: Error): void {
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    this.ready = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending.splice(0).forEach(pending => pending.reject(error));
+  }
+}
@@ -1,482 +1,326 @@
 /**
  * Cache Service Implementation
- * Provides file-based caching with statistics tracking
+ * Caches responses by type and key in the configured backend (memory, file or Redis),
+ * with the same TTL, LRU eviction, size limits and statistics for every backend.
+ * The cache can be saved to and restored from a compressed snapshot file in the data
+ * directory, and the most used entries are warmed up on start-up.
  */
 
+import { ICacheBackend } from '../interfaces/ICacheBackend.js';
 import { ICacheService } from '../interfaces/ICacheService.js';
-import { CacheResult } from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
+import {
+  CacheBackendName,
+  CacheConfig,
+  CacheEntryFilter,
+  CacheEntryPage,
+  CacheInvalidationResult,
+  CacheListOptions,
+  CacheResult,
+  CacheSnapshot,
+  CacheSnapshotExportResult,
+  CacheSnapshotImportOptions,
+  CacheSnapshotImportResult,
+  CacheStats,
+  CacheWarmupResult
+} from '../models/types.js';
+import { CacheStore } from './cache/CacheStore.js';
+import { FileCacheBackend } from './cache/FileCacheBackend.js';
+import { MemoryCacheBackend } from './cache/MemoryCacheBackend.js';
+import { RedisCacheBackend } from './cache/RedisCacheBackend.js';
+import { RespClient } from './cache/RespClient.js';
+import { resolveInsideDir } from '../utils/PathUtils.js';
 import * as fs from 'fs';
 import * as path from 'path';
-import { createHash } from 'crypto';
+import { pipeline } from 'stream/promises';
 import * as zlib from 'zlib';
-import { promisify } from 'util';
-
-// Promisify zlib methods for async/await
-const gzipAsync = promisify(zlib.gzip);
-const gunzipAsync = promisify(zlib.gunzip);
 
 // Define the database file path
 const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
 const CACHE_DIR = path.join(DB_DIR, 'cache');
+const DEFAULT_SNAPSHOT_PATH = path.join(DB_DIR, 'cache-snapshot.json.gz');
+const DEFAULT_MAX_SNAPSHOT_BYTES = 512 * 1024 * 1024;
 
-// Cache configuration
-const CACHE_TTL = {
-  default: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
-  reasoning_cache: 48 * 60 * 60 * 1000, // 48 hours
-  thinking_cache: 24 * 60 * 60 * 1000, // 24 hours
-  generation_cache: 7 * 24 * 60 * 60 * 1000 // 7 days
-};
-
-// Simple in-memory LRU cache implementation
-class MemoryCache {
-  private cache: Map<string, {value: CacheResult, expires: number}>;
-  private maxSize: number;
-  
-  constructor(maxSize = 1000) {
-    this.cache = new Map();
-    this.maxSize = maxSize;
-  }
-  
-  get(key: string): CacheResult | null {
-    const item = this.cache.get(key);
-    if (!item) return null;
-    
-    // Check expiration
-    if (item.expires < Date.now()) {
-      this.cache.delete(key);
-      return null;
-    }
-    
-    // Move to end for LRU (most recently used)
-    this.cache.delete(key);
-    this.cache.set(key, item);
-    return item.value;
-  }
-  
-  set(key: string, value: CacheResult, ttl: number): void {
-    // If cache is full, remove oldest item (first item in map)
-    if (this.cache.size >= this.maxSize) {
-      const firstKey = this.cache.keys().next().value;
-      if (firstKey) {
-        this.cache.delete(firstKey);
-      }
-    }
-    
-    this.cache.set(key, {
-      value,
-      expires: Date.now() + ttl
-    });
-  }
-  
-  clear(): void {
-    this.cache.clear();
+// Settings used when the MCP config does not define any
+const DEFAULT_CACHE_CONFIG: CacheConfig = {
+  backend: 'file',
+  maxEntries: 5000,
+  maxSizeBytes: 200 * 1024 * 1024,
+  ttl: {
+    default: 24 * 60 * 60 * 1000
+  },
+  hotEntries: 500,
+  warmup: {
+    enabled: true,
+    entriesPerType: 20
+  },
+  redis: {
+    url: 'redis://127.0.0.1:6379',
+    keyPrefix: 'mcp:cache:'
   }
-  
-  size(): number {
-    return this.cache.size;
-  }
-}
+};
 
-// Initialize memory cache
-const memoryCache = new MemoryCache(500);
+const CACHE_BACKENDS: CacheBackendName[] = ['memory', 'file', 'redis'];
 
-// Cache statistics
-interface CacheStats {
-  hits: number;
-  misses: number;
-  totalRequests: number;
-  responseTime: number[];
-  sizeInBytes: number;
-  memoryItems: number;
-  byType: Record<string, {
-    hits: number;
-    misses: number;
-    items: number;
-  }>;
-}
+let cacheStore: CacheStore | null = null;
 
-let cacheStats: CacheStats = {
-  hits: 0,
-  misses: 0,
-  totalRequests: 0,
-  responseTime: [],
-  sizeInBytes: 0,
-  memoryItems: 0,
-  byType: {}
+/**
+ * Gets the cache settings
+ * MCP_CACHE_BACKEND and MCP_REDIS_URL override the configured backend and Redis address.
+ */
+export const getCacheConfig = (): CacheConfig => {
+  const config = mcpConfig.cache || DEFAULT_CACHE_CONFIG;
+  return {
+    ...config,
+    backend: (process.env.MCP_CACHE_BACKEND as CacheBackendName) || config.backend,
+    redis: {
+      ...config.redis,
+      url: process.env.MCP_REDIS_URL || config.redis.url
+    }
+  };
 };
 
-// Ensure cache directory exists
-if (!fs.existsSync(CACHE_DIR)) {
-  fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
+/**
+ * Creates the storage backend named in the cache settings
+ */
+export const createCacheBackend = (config: CacheConfig): ICacheBackend => {
+  switch (config.backend) {
+    case 'memory':
+      return new MemoryCacheBackend();
+    case 'file':
+      return new FileCacheBackend(CACHE_DIR);
+    case 'redis':
+      return new RedisCacheBackend(new RespClient(config.redis.url), config.redis.keyPrefix);
+    default:
+      throw new Error(`Unknown cache backend "${config.backend}". Use one of: ${CACHE_BACKENDS.join(', ')}`);
+  }
+};
 
 /**
- * Gets the path to a cache type's directory
+ * Gets the cache store, creating it for the configured backend on first use
  */
-const getCacheTypeDir = (cacheType: string): string => {
-  const dir = path.join(CACHE_DIR, cacheType);
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+export const getCacheStore = (): CacheStore => {
+  if (!cacheStore) {
+    const config = getCacheConfig();
+    cacheStore = new CacheStore(createCacheBackend(config), config);
   }
-  return dir;
+  return cacheStore;
+};
+
+/**
+ * Replaces the cache store, e.g. to use another backend
+ * @param store - The store to use
+ */
+export const setCacheStore = (store: CacheStore): void => {
+  cacheStore = store;
 };
 
 /**
- * Generates a full cache key from type and key
+ * Writes pending hit counts and releases the backend
+ * The next cache call opens a new store.
  */
-const generateFullCacheKey = (cacheType: string, cacheKey: string): string => {
-  return `${cacheType}:${cacheKey}`;
+export const closeCacheStore = async (): Promise<void> => {
+  if (!cacheStore) return;
+
+  const store = cacheStore;
+  cacheStore = null;
+  await store.close();
 };
 
 /**
- * Checks if a result is cached (multi-level: memory → disk)
+ * Checks if a result is cached
  */
 export const checkCache = async (
   cacheType: string,
   cacheKey: string
 ): Promise<CacheResult | null> => {
-  const startTime = Date.now();
-  cacheStats.totalRequests++;
-  
   try {
-    const fullCacheKey = generateFullCacheKey(cacheType, cacheKey);
-    
-    // Step 1: Check memory cache first (faster)
-    const memoryCacheResult = memoryCache.get(fullCacheKey);
-    if (memoryCacheResult) {
-      // Memory cache hit
-      cacheStats.hits++;
-      if (!cacheStats.byType[cacheType]) {
-        cacheStats.byType[cacheType] = { hits: 1, misses: 0, items: 1 };
-      } else {
-        cacheStats.byType[cacheType].hits++;
-      }
-      
-      // Record response time
-      const responseTime = Date.now() - startTime;
-      cacheStats.responseTime.push(responseTime);
-      if (cacheStats.responseTime.length > 1000) {
-        cacheStats.responseTime = cacheStats.responseTime.slice(-1000);
-      }
-      
-      return memoryCacheResult;
-    }
-    
-    // Step 2: Check disk cache
-    const cacheDir = getCacheTypeDir(cacheType);
-    const cacheFilePath = path.join(
-      cacheDir,
-      `${createHash('md5').update(cacheKey).digest('hex')}.json`
-    );
-    
-    if (!fs.existsSync(cacheFilePath)) {
-      // Cache miss
-      cacheStats.misses++;
-      if (!cacheStats.byType[cacheType]) {
-        cacheStats.byType[cacheType] = { hits: 0, misses: 1, items: 0 };
-      } else {
-        cacheStats.byType[cacheType].misses++;
-      }
-      return null;
-    }
-    
-    // Read and parse disk cache
-    const data = await fs.promises.readFile(cacheFilePath, 'utf8');
-    let cacheItem: CacheResult;
-    
-    try {
-      // Try to decompress if it's compressed
-      if (data.startsWith('{"compressed":true')) {
-        const compressedData = JSON.parse(data);
-        if (compressedData.compressed && compressedData.data) {
-          const buffer = Buffer.from(compressedData.data, 'base64');
-          const decompressedData = await gunzipAsync(buffer);
-          cacheItem = JSON.parse(decompressedData.toString()) as CacheResult;
-        } else {
-          cacheItem = JSON.parse(data) as CacheResult;
-        }
-      } else {
-        cacheItem = JSON.parse(data) as CacheResult;
-      }
-    } catch (parseError) {
-      // Fallback if decompression fails
-      cacheItem = JSON.parse(data) as CacheResult;
-    }
-    
-    // Check for TTL-based expiration
-    const ttl = CACHE_TTL[cacheType as keyof typeof CACHE_TTL] || CACHE_TTL.default;
-    const timestamp = new Date(cacheItem.timestamp || Date.now()).getTime();
-    if (Date.now() - timestamp > ttl) {
-      // Cache expired
-      await fs.promises.unlink(cacheFilePath).catch(() => {});
-      cacheStats.misses++;
-      if (!cacheStats.byType[cacheType]) {
-        cacheStats.byType[cacheType] = { hits: 0, misses: 1, items: 0 };
-      } else {
-        cacheStats.byType[cacheType].misses++;
-      }
-      return null;
-    }
-    
-    // Store in memory cache for faster subsequent access
-    memoryCache.set(fullCacheKey, cacheItem, ttl);
-    cacheStats.memoryItems = memoryCache.size();
-    
-    // Cache hit
-    cacheStats.hits++;
-    if (!cacheStats.byType[cacheType]) {
-      cacheStats.byType[cacheType] = { hits: 1, misses: 0, items: 1 };
-    } else {
-      cacheStats.byType[cacheType].hits++;
-    }
-    
-    // Record response time
-    const responseTime = Date.now() - startTime;
-    cacheStats.responseTime.push(responseTime);
-    if (cacheStats.responseTime.length > 1000) {
-      cacheStats.responseTime = cacheStats.responseTime.slice(-1000);
-    }
-    
-    return cacheItem;
+    return await getCacheStore().get(cacheType, cacheKey);
   } catch (error) {
     console.error(`Error checking cache (${cacheType}/${cacheKey}):`, error);
-    cacheStats.misses++;
-    if (!cacheStats.byType[cacheType]) {
-      cacheStats.byType[cacheType] = { hits: 0, misses: 1, items: 0 };
-    } else {
-      cacheStats.byType[cacheType].misses++;
-    }
     return null;
   }
 };
 
 /**
- * Stores a result in the cache (multi-level: memory + disk)
+ * Stores a result in the cache
+ * @param tags - Labels to invalidate or list the entry by, e.g. model:gpt-4 (optional)
  */
 export const storeCache = async (
   cacheType: string,
   cacheKey: string,
-  response: string
+  response: string,
+  tags: string[] = []
 ): Promise<void> => {
   try {
-    const cacheDir = getCacheTypeDir(cacheType);
-    const fullCacheKey = generateFullCacheKey(cacheType, cacheKey);
-    
-    const cacheItem: CacheResult = {
-      response,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Get appropriate TTL based on cache type
-    const ttl = CACHE_TTL[cacheType as keyof typeof CACHE_TTL] || CACHE_TTL.default;
-    
-    // Store in memory cache
-    memoryCache.set(fullCacheKey, cacheItem, ttl);
-    cacheStats.memoryItems = memoryCache.size();
-    
-    // Determine if compression is needed (for responses larger than 10KB)
-    const shouldCompress = response.length > 10 * 1024;
-    let fileContent: string;
-    
-    if (shouldCompress) {
-      // Compress the data
-      const compressedBuffer = await gzipAsync(Buffer.from(JSON.stringify(cacheItem)));
-      fileContent = JSON.stringify({
-        compressed: true,
-        data: compressedBuffer.toString('base64'),
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      fileContent = JSON.stringify(cacheItem, null, 2);
-    }
-    
-    // Store on disk
-    const cacheFilePath = path.join(
-      cacheDir,
-      `${createHash('md5').update(cacheKey).digest('hex')}.json`
-    );
-    
-    await fs.promises.writeFile(cacheFilePath, fileContent);
-    
-    // Update stats
-    if (!cacheStats.byType[cacheType]) {
-      cacheStats.byType[cacheType] = { hits: 0, misses: 0, items: 1 };
-    } else {
-      cacheStats.byType[cacheType].items++;
-    }
-    
-    // Update size
-    const stats = await fs.promises.stat(cacheFilePath);
-    cacheStats.sizeInBytes += stats.size;
+    await getCacheStore().set(cacheType, cacheKey, response, tags);
   } catch (error) {
     console.error(`Error storing cache (${cacheType}/${cacheKey}):`, error);
   }
 };
 
+/**
+ * Removes cache entries
+ * @param filter - Cache type, exact key, key glob and/or tag; at least one is required
+ * @returns Number of removed entries, overall and per cache type
+ */
+export const invalidateCache = async (filter: CacheEntryFilter): Promise<CacheInvalidationResult> => {
+  return getCacheStore().invalidate(filter);
+};
+
+/**
+ * Lists cache entries with their metadata, newest first
+ * @param options - Filter plus paging (offset defaults to 0, limit to 50)
+ * @returns One page of entries and the total number of matches
+ */
+export const listCacheEntries = async (options: CacheListOptions = {}): Promise<CacheEntryPage> => {
+  return getCacheStore().list(options);
+};
+
 /**
  * Gets statistics about the cache system
+ * @param cacheType - Only report this cache type (optional)
  */
-export const getCacheStats = async (cacheType?: string): Promise<{
-  totalItems: number;
-  hitRate: number;
-  avgResponseTime: number;
-  sizeInBytes: number;
-  memoryItems: number;
-  total: number;
-  byType?: Record<string, {
-    items: number;
-    hitRate: number;
-  }>;
-}> => {
-  // Update total items and size
-  let totalItems = 0;
-  let totalSize = 0;
-  
-  const updateStatsForDir = async (dir: string): Promise<void> => {
-    const files = await fs.promises.readdir(dir);
-    for (const file of files) {
-      const filePath = path.join(dir, file);
-      const stats = await fs.promises.stat(filePath);
-      if (stats.isDirectory()) {
-        await updateStatsForDir(filePath);
-      } else if (file.endsWith('.json')) {
-        totalItems++;
-        totalSize += stats.size;
-      }
-    }
-  };
-  
-  await updateStatsForDir(CACHE_DIR);
-  cacheStats.sizeInBytes = totalSize;
-  
-  // Calculate average response time
-  const avgResponseTime = cacheStats.responseTime.length > 0
-    ? cacheStats.responseTime.reduce((a, b) => a + b) / cacheStats.responseTime.length
-    : 0;
-  
-  // Calculate hit rate
-  const hitRate = cacheStats.totalRequests > 0
-    ? cacheStats.hits / cacheStats.totalRequests
-    : 0;
-  
-  if (cacheType) {
-    // Return stats for specific cache type
-    const typeStats = cacheStats.byType[cacheType] || { hits: 0, misses: 0, items: 0 };
-    return {
-      totalItems: typeStats.items,
-      hitRate: (typeStats.hits + typeStats.misses) > 0
-        ? typeStats.hits / (typeStats.hits + typeStats.misses)
-        : 0,
-      avgResponseTime,
-      sizeInBytes: totalSize,
-      memoryItems: cacheStats.memoryItems,
-      total: typeStats.items
-    };
-  }
-  
-  // Return overall stats
-  return {
-    totalItems,
-    hitRate,
-    avgResponseTime,
-    sizeInBytes: totalSize,
-    memoryItems: cacheStats.memoryItems,
-    total: totalItems, // Add total property for backward compatibility
-    byType: Object.entries(cacheStats.byType).reduce((acc, [type, stats]) => ({
-      ...acc,
-      [type]: {
-        items: stats.items,
-        hitRate: (stats.hits + stats.misses) > 0
-          ? stats.hits / (stats.hits + stats.misses)
-          : 0
-      }
-    }), {})
-  };
+export const getCacheStats = async (cacheType?: string): Promise<CacheStats> => {
+  return getCacheStore().getStats(cacheType);
 };
 
 /**
  * Performs maintenance on the cache system
+ * Rebuilds the entry index from the backend, picking up entries written by other
+ * processes sharing it, and removes expired entries
+ * @returns Number of entries removed
  */
 export const performCacheMaintenance = async (): Promise<number> => {
-  let cleanedItems = 0;
-  const now = Date.now();
-  
-  // Clear memory cache (simpler approach)
-  memoryCache.clear();
-  cacheStats.memoryItems = 0;
-  
-  const cleanDirectory = async (dir: string): Promise<void> => {
-    const files = await fs.promises.readdir(dir);
-    
-    // Process files in parallel for faster maintenance
-    const cleanupPromises = files.map(async (file) => {
-      const filePath = path.join(dir, file);
-      const stats = await fs.promises.stat(filePath);
-      
-      if (stats.isDirectory()) {
-        await cleanDirectory(filePath);
-        return 0;
-      } else if (file.endsWith('.json')) {
-        try {
-          const data = await fs.promises.readFile(filePath, 'utf8');
-          
-          // Handle compressed files
-          let cacheItem: CacheResult | {timestamp: string};
-          if (data.startsWith('{"compressed":true')) {
-            cacheItem = JSON.parse(data);
-          } else {
-            cacheItem = JSON.parse(data) as CacheResult;
-          }
-          
-          const timestamp = new Date(cacheItem.timestamp).getTime();
-          const cacheType = path.basename(path.dirname(filePath));
-          const ttl = CACHE_TTL[cacheType as keyof typeof CACHE_TTL] || CACHE_TTL.default;
-          
-          if (now - timestamp > ttl) {
-            await fs.promises.unlink(filePath);
-            return 1; // Cleaned one item
-          }
-        } catch (error) {
-          console.error(`Error cleaning cache file ${filePath}:`, error);
-          // Remove corrupted cache files
-          await fs.promises.unlink(filePath);
-          return 1; // Cleaned one item
-        }
-      }
-      return 0;
-    });
-    
-    // Wait for all cleanup operations to complete
-    const results = await Promise.all(cleanupPromises);
-    cleanedItems += results.reduce((sum: number, val: number) => sum + val, 0);
-  };
-  
   try {
-    await cleanDirectory(CACHE_DIR);
-    
-    // Reset stats after maintenance
-    cacheStats = {
-      hits: 0,
-      misses: 0,
-      totalRequests: 0,
-      responseTime: [],
-      sizeInBytes: 0,
-      memoryItems: 0,
-      byType: {}
-    };
-    
-    console.log(`Cache maintenance completed: ${cleanedItems} items removed`);
-    return cleanedItems;
+    const removed = await getCacheStore().performMaintenance();
+    console.log(`Cache maintenance completed: ${removed} items removed`);
+    return removed;
   } catch (error) {
     console.error('Error performing cache maintenance:', error);
     return 0;
   }
 };
 
+/**
+ * Saves every live cache entry, with its expiry and hit count, and the cache counters
+ * to a gzip-compressed JSON file
+ * @param filePath - File to write, relative to the data directory (optional, defaults to data/cache-snapshot.json.gz)
+ * @throws If the path leads outside the data directory
+ */
+export const exportCacheSnapshot = async (filePath: string = DEFAULT_SNAPSHOT_PATH): Promise<CacheSnapshotExportResult> => {
+  const resolvedPath = await resolveInsideDir(DB_DIR, filePath, 'Cache snapshot');
+  const snapshot = await getCacheStore().exportSnapshot();
+  const data = zlib.gzipSync(JSON.stringify(snapshot));
+
+  await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+  await fs.promises.writeFile(resolvedPath, data);
+  return { path: resolvedPath, entries: snapshot.entries.length, sizeInBytes: data.length };
+};
+
+/**
+ * Reads a snapshot file, compressed or not, decompressing it as it streams in
+ * @param filePath - Absolute path of the snapshot
+ * @throws If the snapshot is larger than maxSnapshotBytes once decompressed, or is not a snapshot
+ */
+const readCacheSnapshot = async (filePath: string): Promise<CacheSnapshot> => {
+  const maxBytes = getCacheConfig().maxSnapshotBytes ?? DEFAULT_MAX_SNAPSHOT_BYTES;
+  const header = Buffer.alloc(2);
+  const file = await fs.promises.open(filePath, 'r');
+  try {
+    await file.read(header, 0, 2, 0);
+  } finally {
+    await file.close();
+  }
+  // Gzip magic number
+  const compressed = header[0] === 0x1f && header[1] === 0x8b;
+
+  const chunks: Buffer[] = [];
+  let size = 0;
+  // Stops reading, and decompressing, as soon as the limit is passed
+  const collect = async (source: AsyncIterable<Buffer | string>): Promise<void> => {
+    for await (const chunk of source) {
+      const bytes = typeof chunk === 'string' ? Buffer.from(chunk) : chunk;
+      size += bytes.length;
+      if (size > maxBytes) {
+        throw new Error('Cache snapshot too large');
+      }
+      chunks.push(bytes);
+    }
+  };
+  try {
+    if (compressed) {
+      await pipeline(fs.createReadStream(filePath), zlib.createGunzip(), collect);
+    } else {
+      await pipeline(fs.createReadStream(filePath), collect);
+    }
+  } catch (error) {
+    // The pipeline reports an abort rather than the error that stopped it
+    if (size > maxBytes) {
+      throw new Error(`Cache snapshot ${filePath} is larger than ${maxBytes} bytes`);
+    }
+    throw error;
+  }
+
+  let snapshot: CacheSnapshot;
+  try {
+    snapshot = JSON.parse(Buffer.concat(chunks).toString('utf8')) as CacheSnapshot;
+  } catch {
+    throw new Error(`${filePath} is not a cache snapshot`);
+  }
+  if (snapshot?.version !== 1 || !Array.isArray(snapshot.entries)) {
+    throw new Error(`${filePath} is not a cache snapshot`);
+  }
+  return snapshot;
+};
+
+/**
+ * Restores cache entries from a snapshot file
+ * Entries keep the expiry they had when the snapshot was taken.
+ * @param filePath - Snapshot file, compressed or not, relative to the data directory (optional, defaults to data/cache-snapshot.json.gz)
+ * @param options - Whether to replace cached entries, and how many entries per type to import
+ * @throws If the path leads outside the data directory
+ */
+export const importCacheSnapshot = async (
+  filePath: string = DEFAULT_SNAPSHOT_PATH,
+  options: CacheSnapshotImportOptions = {}
+): Promise<CacheSnapshotImportResult> => {
+  const snapshot = await readCacheSnapshot(await resolveInsideDir(DB_DIR, filePath, 'Cache snapshot'));
+  return getCacheStore().importSnapshot(snapshot, options);
+};
+
+/**
+ * Warms up the cache as configured in mcpConfig.cache.warmup
+ * Imports the most hit entries of each cache type from the warm-up snapshot, if one is
+ * configured and exists, then loads the most hit responses into memory.
+ * @returns What was imported and preloaded, or null if warm-up is disabled
+ */
+export const warmUpCache = async (): Promise<CacheWarmupResult | null> => {
+  const { warmup } = getCacheConfig();
+  if (!warmup.enabled) return null;
+
+  let imported = 0;
+  // The configured snapshot may live anywhere; only tool callers are confined to the data directory
+  if (warmup.snapshotPath && fs.existsSync(warmup.snapshotPath)) {
+    const snapshot = await readCacheSnapshot(path.resolve(warmup.snapshotPath));
+    const result = await getCacheStore().importSnapshot(snapshot, { entriesPerType: warmup.entriesPerType });
+    imported = result.imported;
+  }
+
+  const preloaded = await getCacheStore().warmUp(warmup.entriesPerType);
+  console.log(`Cache warm-up completed: ${imported} entries imported, ${preloaded} preloaded`);
+  return { imported, preloaded };
+};
+
 // Export as both named exports and as default object
 export default {
   checkCache,
   storeCache,
+  invalidateCache,
+  listCacheEntries,
   getCacheStats,
-  performCacheMaintenance
-} as ICacheService;
\ No newline at end of file
+  performCacheMaintenance,
+  exportCacheSnapshot,
+  importCacheSnapshot,
+  warmUpCache
+} as ICacheService;
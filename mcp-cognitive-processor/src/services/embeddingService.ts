@@ -0,0 +1,86 @@
+/**
+ * Embedding Service
+ * Holds the active embedding provider shared by the memory and vector stores
+ */
+
+import { IEmbeddingProvider } from '../interfaces/IEmbeddingProvider.js';
+import { HashingEmbeddingProvider } from './embeddings/HashingEmbeddingProvider.js';
+
+type EmbeddingProviderFactory = (dimensions?: number) => IEmbeddingProvider;
+
+// Registered providers, selectable through MCP_EMBEDDING_PROVIDER
+const providerFactories: Map<string, EmbeddingProviderFactory> = new Map([
+  ['hashing', (dimensions?: number) => new HashingEmbeddingProvider({ dimensions })]
+]);
+
+let activeProvider: IEmbeddingProvider | null = null;
+
+/**
+ * Registers an embedding provider under a name
+ * @param name - Name used in MCP_EMBEDDING_PROVIDER
+ * @param factory - Creates the provider, optionally with a dimension count
+ */
+export const registerEmbeddingProvider = (name: string, factory: EmbeddingProviderFactory): void => {
+  providerFactories.set(name, factory);
+};
+
+/**
+ * Gets the active embedding provider
+ * Defaults to the provider named by MCP_EMBEDDING_PROVIDER, or the hashing provider
+ */
+export const getEmbeddingProvider = (): IEmbeddingProvider => {
+  if (!activeProvider) {
+    const name = process.env.MCP_EMBEDDING_PROVIDER || 'hashing';
+    const dimensions = process.env.MCP_EMBEDDING_DIMENSIONS
+      ? parseInt(process.env.MCP_EMBEDDING_DIMENSIONS, 10)
+      : undefined;
+
+    const factory = providerFactories.get(name);
+    if (!factory) {
+      console.warn(`Unknown embedding provider "${name}", falling back to hashing provider`);
+    }
+    activeProvider = (factory || providerFactories.get('hashing')!)(dimensions);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replaces the active embedding provider
+ * Existing vectors keep their old provider id until they are migrated
+ * @param provider - The provider to use from now on
+ */
+export const setEmbeddingProvider = (provider: IEmbeddingProvider): void => {
+  activeProvider = provider;
+};
+
+/**
+ * Embeds text with the active provider
+ * @param text - The text to embed
+ * @returns The embedding vector
+ */
+export const embedText = async (text: string): Promise<number[]> => {
+  return getEmbeddingProvider().embed(text);
+};
+
+/**
+ * Calculates cosine similarity between two vectors
+ * Vectors from different embedding spaces (mismatched dimensions) are never similar
+ */
+export const cosineSimilarity = (a: number[], b: number[]): number => {
+  if (a.length !== b.length) return 0;
+
+  const dotProduct = a.reduce((sum, val, i) => sum + val * b[i], 0);
+  const magnitudeA = Math.sqrt(a.reduce((sum, val) => sum + val * val, 0));
+  const magnitudeB = Math.sqrt(b.reduce((sum, val) => sum + val * val, 0));
+
+  if (magnitudeA === 0 || magnitudeB === 0) return 0;
+  return dotProduct / (magnitudeA * magnitudeB);
+};
+
+export default {
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  setEmbeddingProvider,
+  embedText,
+  cosineSimilarity
+};
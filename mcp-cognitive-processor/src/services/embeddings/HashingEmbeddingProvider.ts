@@ -0,0 +1,139 @@
+/**
+ * Hashing Embedding Provider
+ * Deterministic, offline embeddings built with the hashing trick over words,
+ * word bigrams and character n-grams (subwords)
+ */
+
+import { IEmbeddingProvider } from '../../interfaces/IEmbeddingProvider.js';
+
+// Common English words that carry little meaning on their own
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there',
+  'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will',
+  'with', 'you', 'your'
+]);
+
+// Relative weights of each feature family
+const WORD_WEIGHT = 1.0;
+const BIGRAM_WEIGHT = 0.5;
+const SUBWORD_WEIGHT = 0.6;
+
+/**
+ * Configuration for the hashing embedding provider
+ */
+export interface HashingEmbeddingOptions {
+  dimensions?: number;
+  minNgram?: number;
+  maxNgram?: number;
+}
+
+/**
+ * Embedding provider that maps features into a fixed-size vector by hashing
+ * Related texts share words and subwords, so they land close together in cosine space
+ */
+export class HashingEmbeddingProvider implements IEmbeddingProvider {
+  readonly id: string;
+  readonly dimensions: number;
+  private minNgram: number;
+  private maxNgram: number;
+
+  constructor(options: HashingEmbeddingOptions = {}) {
+    this.dimensions = options.dimensions ?? 256;
+    this.minNgram = options.minNgram ?? 3;
+    this.maxNgram = options.maxNgram ?? 5;
+    this.id = `hashing-ngram-v1:${this.dimensions}:${this.minNgram}-${this.maxNgram}`;
+  }
+
+  /**
+   * Creates an embedding for a piece of text
+   * @param text - The text to embed
+   * @returns A unit-length vector
+   * @complexity O(n) where n is the length of the text
+   */
+  async embed(text: string): Promise<number[]> {
+    const features = this.extractFeatures(text);
+    const vector = new Array<number>(this.dimensions).fill(0);
+
+    features.forEach((count, feature) => {
+      const hash = fnv1a(feature);
+      const index = hash % this.dimensions;
+      // A second hash decides the sign so collisions tend to cancel out
+      const sign = (fnv1a(feature, 0x9747b28c) & 1) === 0 ? 1 : -1;
+      // Sublinear term frequency keeps repeated words from dominating
+      vector[index] += sign * (1 + Math.log(count));
+    });
+
+    return normalize(vector);
+  }
+
+  /**
+   * Extracts weighted features from text
+   * @param text - The text to analyse
+   * @returns Map of feature to accumulated weight
+   */
+  private extractFeatures(text: string): Map<string, number> {
+    const features = new Map<string, number>();
+    const add = (feature: string, weight: number) => {
+      features.set(feature, (features.get(feature) || 0) + weight);
+    };
+
+    const tokens = text.toLowerCase().split(/[^a-z0-9]+/).filter(token => token.length > 0);
+    const words = tokens.filter(token => !STOP_WORDS.has(token));
+
+    words.forEach((word, i) => {
+      add(`w:${stem(word)}`, WORD_WEIGHT);
+
+      if (i > 0) {
+        add(`b:${stem(words[i - 1])}_${stem(word)}`, BIGRAM_WEIGHT);
+      }
+
+      // Subword n-grams let morphological variants and typos share features
+      const padded = `<${word}>`;
+      const grams: string[] = [];
+      for (let n = this.minNgram; n <= this.maxNgram; n++) {
+        for (let start = 0; start + n <= padded.length; start++) {
+          grams.push(padded.substring(start, start + n));
+        }
+      }
+      grams.forEach(gram => add(`c:${gram}`, SUBWORD_WEIGHT / Math.max(1, grams.length / 4)));
+    });
+
+    return features;
+  }
+}
+
+/**
+ * Strips a few common English suffixes
+ */
+const stem = (word: string): string => {
+  if (word.length <= 4) return word;
+  for (const suffix of ['ations', 'ation', 'ings', 'ing', 'ness', 'ment', 'ies', 'ed', 'es', 'ly', 's']) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      return suffix === 'ies' ? `${word.slice(0, -3)}y` : word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+};
+
+/**
+ * 32-bit FNV-1a hash
+ */
+const fnv1a = (value: string, seed: number = 0x811c9dc5): number => {
+  let hash = seed >>> 0;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Normalizes a vector to unit length
+ */
+const normalize = (vector: number[]): number[] => {
+  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+  if (magnitude === 0) return vector.map(() => 0);
+  return vector.map(val => val / magnitude);
+};
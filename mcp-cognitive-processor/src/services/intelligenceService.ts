@@ -4,12 +4,15 @@
  */
 
 import { mcpConfig } from '../config/mcp-config.js';
-import { retrieveMemory, storeMemory } from './memoryService.js';
+import { getDefaultNamespace, retrieveMemory, storeMemory } from './memoryService.js';
 import { checkCache, storeCache } from './cacheService.js';
+import { findSimilarCached, recordCachedPrompt } from './semanticCacheService.js';
+import { coalesce } from './requestCoalescingService.js';
 import { tokenOptimizer } from '../utils/tokenOptimizer.js';
 import { 
   LLMRequest, 
   LLMResponse, 
+  ReasoningComparison,
   ReasoningRequest,
   ReasoningResponse,
   ThinkingStep
@@ -26,6 +29,9 @@ if (!fs.existsSync(CACHE_DIR)) {
   fs.mkdirSync(CACHE_DIR, { recursive: true });
 }
 
+// Reasoning systems with their own steps, conclusion and confidence in performReasoning
+export const REASONING_SYSTEMS = ['chain_of_thought', 'tree_of_thoughts', 'deductive', 'inductive', 'abductive'];
+
 /**
  * Generates a simple hash for a string
  * Used for creating more specific cache keys
@@ -44,13 +50,34 @@ function generateHash(text: string): string {
   return Math.abs(hash).toString(16);
 }
 
+/**
+ * Gets the age of a cached thinking response
+ * @param cachedResponse - The cached response JSON
+ * @returns Age in seconds, or null if the response is older than the 24 hour TTL
+ */
+function getThinkingCacheAge(cachedResponse: string): number | null {
+  // Parse the cached response to get the timestamp
+  let parsedResponse;
+  try {
+    parsedResponse = JSON.parse(cachedResponse);
+  } catch (e) {
+    parsedResponse = {};
+  }
+
+  const cacheTimestamp = parsedResponse.timestamp ? Number(parsedResponse.timestamp) : Date.now();
+  const cacheTTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+  const age = Date.now() - cacheTimestamp;
+
+  return age < cacheTTL ? Math.floor(age / 1000) : null;
+}
+
 /**
  * Process a request using structured thinking
  */
 export async function processStructuredThinking(request: LLMRequest): Promise<LLMResponse> {
   try {
     const startTime = Date.now();
-    const { prompt = '', systemPrompt = '', model = 'internal-processor' } = request;
+    const { prompt = '', systemPrompt = '', model = 'internal-processor', namespace } = request;
 
     // Generate a more specific cache key that includes model and a hash of the system prompt
     // This ensures different models or system prompts get different cache entries
@@ -58,26 +85,16 @@ export async function processStructuredThinking(request: LLMRequest): Promise<LL
       generateHash(systemPrompt) :
       'default';
     
-    const cacheKey = `thinking_${model}_${systemPromptHash}_${generateHash(prompt)}`;
+    // Memory context differs per namespace, so namespaced requests get their own entries
+    const namespaceSuffix = namespace ? `_${generateHash(namespace)}` : '';
+    const cacheKey = `thinking_${model}_${systemPromptHash}_${generateHash(prompt)}${namespaceSuffix}`;
     
     // Check cache with version and TTL awareness
     const cachedResponse = await checkCache("thinking_cache", cacheKey);
     
     if (cachedResponse) {
-      // Check if the cache is still valid (not expired)
-      // Parse the cached response to get the timestamp
-      let parsedResponse;
-      try {
-        parsedResponse = JSON.parse(cachedResponse.response);
-      } catch (e) {
-        parsedResponse = {};
-      }
-      
-      const cacheTimestamp = parsedResponse.timestamp ? Number(parsedResponse.timestamp) : Date.now();
-      const cacheTTL = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
-      const isCacheValid = (Date.now() - cacheTimestamp) < cacheTTL;
-      
-      if (isCacheValid) {
+      const cacheAge = getThinkingCacheAge(cachedResponse.response);
+      if (cacheAge !== null) {
         console.log(`Valid cache hit for thinking request: ${cacheKey}`);
         return {
           response: cachedResponse.response,
@@ -85,62 +102,88 @@ export async function processStructuredThinking(request: LLMRequest): Promise<LL
           tokenUsage: { prompt: 0, completion: 0, total: 0 },
           cached: true,
           latency: Date.now() - startTime,
-          cache_age: Math.floor((Date.now() - cacheTimestamp) / 1000) // Convert to seconds
+          cache_age: cacheAge
         } as LLMResponse;
       } else {
         console.log(`Expired cache for thinking request: ${cacheKey}`);
       }
     }
 
-    // Process using thinking engine
-    const thinkingSteps = await generateThinkingSteps(prompt);
-    
-    // Retrieve relevant memories for context enrichment
-    const relevantMemories = await retrieveMemory(prompt, 5);
-    const memoryContext = relevantMemories.length > 0
-      ? `Enriched with ${relevantMemories.length} relevant memory items.`
-      : 'No relevant memories found.';
-    
-    // Generate a more detailed conclusion from steps
-    const conclusion = thinkingSteps.length > 0
-      ? `Based on ${thinkingSteps.length} analysis steps and deep cognitive processing: ${thinkingSteps[thinkingSteps.length - 1].reasoning}`
-      : 'No analysis steps were performed';
-
-    // Format response with more detailed analysis
-    const response = {
-      steps: thinkingSteps,
-      conclusion,
-      confidence: calculateConfidence(thinkingSteps),
-      analysis_details: {
-        key_concepts: extractKeyConcepts(prompt),
-        complexity_assessment: analyzeComplexity(prompt),
-        domain_classification: detectDomain(prompt),
-        memory_integration: memoryContext,
-        processing_approach: determineSolutionApproach(
-          categorizeComponents(decomposeComponents(prompt)),
-          extractInsightsFromMemories(relevantMemories)
-        )
+    // Reuse the response to a similar enough prompt with the same settings
+    const semanticScope = { model, systemPrompt, namespace };
+    if (!request.bypassSemanticCache) {
+      const similar = await findSimilarCached("thinking_cache", prompt, semanticScope);
+      const cacheAge = similar ? getThinkingCacheAge(similar.result.response) : null;
+      if (similar && cacheAge !== null) {
+        console.log(`Semantic cache hit for thinking request: ${similar.cacheKey} (similarity ${similar.similarity.toFixed(3)})`);
+        return {
+          response: similar.result.response,
+          model: model,
+          tokenUsage: { prompt: 0, completion: 0, total: 0 },
+          cached: true,
+          smartCached: true,
+          similarity: similar.similarity,
+          latency: Date.now() - startTime,
+          cache_age: cacheAge
+        } as LLMResponse;
       }
-    };
+    }
 
-    // Cache result with timestamp for TTL
-    await storeCache("thinking_cache", cacheKey, JSON.stringify({
-      ...response,
-      timestamp: Date.now(),
-      version: '1.0' // Add versioning for future compatibility
-    }));
+    // Identical requests already in flight share their result instead of running again
+    const { result, coalesced } = await coalesce('structured_thinking', cacheKey, async (): Promise<LLMResponse> => {
+      // Process using thinking engine
+      const thinkingSteps = await generateThinkingSteps(prompt, namespace);
+      
+      // Retrieve relevant memories for context enrichment
+      const relevantMemories = await retrieveMemory(prompt, 5, { namespace });
+      const memoryContext = relevantMemories.length > 0
+        ? `Enriched with ${relevantMemories.length} relevant memory items.`
+        : 'No relevant memories found.';
+      
+      // Generate a more detailed conclusion from steps
+      const conclusion = thinkingSteps.length > 0
+        ? `Based on ${thinkingSteps.length} analysis steps and deep cognitive processing: ${thinkingSteps[thinkingSteps.length - 1].reasoning}`
+        : 'No analysis steps were performed';
 
-    return {
-      response: JSON.stringify(response),
-      model: 'mcp-processor',
-      tokenUsage: {
-        prompt: estimateTokenCount(prompt),
-        completion: estimateTokenCount(JSON.stringify(response)),
-        total: estimateTokenCount(prompt) + estimateTokenCount(JSON.stringify(response))
-      },
-      cached: false,
-      latency: Date.now() - startTime
-    };
+      // Format response with more detailed analysis
+      const response = {
+        steps: thinkingSteps,
+        conclusion,
+        confidence: calculateConfidence(thinkingSteps),
+        analysis_details: {
+          key_concepts: extractKeyConcepts(prompt),
+          complexity_assessment: analyzeComplexity(prompt),
+          domain_classification: detectDomain(prompt),
+          memory_integration: memoryContext,
+          processing_approach: determineSolutionApproach(
+            categorizeComponents(decomposeComponents(prompt)),
+            extractInsightsFromMemories(relevantMemories)
+          )
+        }
+      };
+
+      // Cache result with timestamp for TTL
+      await storeCache("thinking_cache", cacheKey, JSON.stringify({
+        ...response,
+        timestamp: Date.now(),
+        version: '1.0' // Add versioning for future compatibility
+      }), [`model:${model}`, `namespace:${namespace || getDefaultNamespace()}`]);
+      await recordCachedPrompt("thinking_cache", cacheKey, prompt, semanticScope);
+
+      return {
+        response: JSON.stringify(response),
+        model: 'mcp-processor',
+        tokenUsage: {
+          prompt: estimateTokenCount(prompt),
+          completion: estimateTokenCount(JSON.stringify(response)),
+          total: estimateTokenCount(prompt) + estimateTokenCount(JSON.stringify(response))
+        },
+        cached: false,
+        latency: Date.now() - startTime
+      };
+    });
+
+    return coalesced ? { ...result, coalesced: true } : result;
 
   } catch (error) {
     console.error('Error in processStructuredThinking:', error);
@@ -167,7 +210,8 @@ export async function processStructuredThinking(request: LLMRequest): Promise<LL
         importance: 0.8,
         connections: [],
         timestamp: errorDetails.timestamp,
-        relevance: 0.8
+        relevance: 0.8,
+        namespace: request.namespace
       });
     } catch (memoryError) {
       console.error('Failed to store error in memory:', memoryError);
@@ -194,8 +238,9 @@ export async function processStructuredThinking(request: LLMRequest): Promise<LL
 
 /**
  * Generates thinking steps for a given problem
+ * @param namespace - Memory namespace to draw insights from (defaults to the server default)
  */
-async function generateThinkingSteps(problem: string): Promise<ThinkingStep[]> {
+async function generateThinkingSteps(problem: string, namespace?: string): Promise<ThinkingStep[]> {
   const steps: ThinkingStep[] = [];
   const startTime = Date.now();
 
@@ -235,7 +280,7 @@ async function generateThinkingSteps(problem: string): Promise<ThinkingStep[]> {
   });
 
   // Step 4: Retrieve and analyze relevant memories
-  const memories = await retrieveMemory(problem, 5);
+  const memories = await retrieveMemory(problem, 5, { namespace });
   const insights = extractInsightsFromMemories(memories);
   steps.push({
     id: '4',
@@ -247,7 +292,7 @@ async function generateThinkingSteps(problem: string): Promise<ThinkingStep[]> {
   });
 
   // Step 5: Generate solution approach
-  const solution = await synthesizeSolution(components);
+  const solution = await synthesizeSolution(components, namespace);
   steps.push({
     id: '5',
     description: 'Solution Synthesis',
@@ -349,7 +394,7 @@ function decomposeComponents(problem: string): string[] {
  * 3. Integrating relevant memories more effectively
  * 4. Generating a structured solution approach
  */
-async function synthesizeSolution(components: string[]): Promise<string> {
+async function synthesizeSolution(components: string[], namespace?: string): Promise<string> {
   if (components.length === 0) {
     return "No components provided for solution synthesis";
   }
@@ -358,7 +403,7 @@ async function synthesizeSolution(components: string[]): Promise<string> {
   const categories = categorizeComponents(components);
   
   // Get relevant memories with increased limit for better context
-  const memories = await retrieveMemory(components.join(' '), 5);
+  const memories = await retrieveMemory(components.join(' '), 5, { namespace });
   
   // Extract key insights from memories
   const insights = extractInsightsFromMemories(memories);
@@ -818,8 +863,8 @@ export async function performReasoning(request: ReasoningRequest): Promise<Reaso
   } = request;
 
   try {
-    // Generate a more specific cache key that includes reasoning system
-    const cacheKey = `reasoning_${reasoningSystem}_${generateHash(problem)}`;
+    // Generate a more specific cache key that includes reasoning system and every option that changes the steps
+    const cacheKey = `reasoning_${reasoningSystem}_${generateHash(JSON.stringify({ problem, context, maxSteps, includeIntermediateSteps }))}`;
     const cachedResponse = await checkCache("reasoning_cache", cacheKey);
     if (cachedResponse) {
       return JSON.parse(cachedResponse.response);
@@ -861,7 +906,7 @@ export async function performReasoning(request: ReasoningRequest): Promise<Reaso
     }
     
     // Filter steps if intermediate steps are not requested
-    const finalSteps = includeIntermediateSteps ?
+    const finalSteps = includeIntermediateSteps || thinkingSteps.length <= 2 ?
       thinkingSteps :
       [thinkingSteps[0], thinkingSteps[thinkingSteps.length - 1]];
     
@@ -921,6 +966,35 @@ export async function performReasoning(request: ReasoningRequest): Promise<Reaso
   }
 }
 
+/**
+ * Runs several reasoning systems on the same problem and compares their outcomes
+ * @param request - The problem and options shared by every system; its reasoningSystem is ignored
+ * @param reasoningSystems - The reasoning systems to run
+ */
+export async function compareReasoning(request: ReasoningRequest, reasoningSystems: string[]): Promise<ReasoningComparison> {
+  const results = await Promise.all(
+    reasoningSystems.map(reasoningSystem => performReasoning({ ...request, reasoningSystem }))
+  );
+
+  const succeeded = results.filter(result => !result.error);
+  const mostConfident = succeeded.length === 0 ? null :
+    succeeded.reduce((best, result) => result.confidence > best.confidence ? result : best).reasoningSystem;
+
+  return {
+    problem: request.problem,
+    reasoningSystems,
+    comparison: results.map(result => ({
+      reasoningSystem: result.reasoningSystem,
+      conclusion: result.conclusion,
+      confidence: result.confidence,
+      stepCount: result.steps.length,
+      ...(result.error ? { error: result.error } : {})
+    })),
+    mostConfident,
+    results
+  };
+}
+
 /**
  * Generates chain of thought reasoning steps
  * Implements sequential thinking that builds each step on previous conclusions
@@ -1316,5 +1390,6 @@ function calculateSystemAdjustedConfidence(steps: ThinkingStep[], reasoningSyste
 
 export default {
   processStructuredThinking,
-  performReasoning
+  performReasoning,
+  compareReasoning
 };
\ No newline at end of file
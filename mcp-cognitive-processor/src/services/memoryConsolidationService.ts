@@ -0,0 +1,193 @@
+/**
+ * Memory Consolidation Service
+ * Merges clusters of similar episodic memories into semantic or procedural memories
+ * and expires working memory at the end of its session lifetime
+ */
+
+import { MemoryConsolidationResult, MemoryEdge, MemoryItem } from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
+import {
+  DEFAULT_RELATION,
+  deleteMemoryItems,
+  findSimilarMemories,
+  getMemoryItemsByType,
+  getMemoryNamespace,
+  storeMemory,
+  updateMemoryItem
+} from './memoryService.js';
+
+export interface MemoryConsolidationOptions {
+  /** Minimum similarity to the cluster seed for an episode to join the cluster */
+  similarityThreshold?: number;
+  /** Smallest cluster that is consolidated */
+  minClusterSize?: number;
+  /** Largest cluster that is consolidated */
+  maxClusterSize?: number;
+  /** Age after which working memories expire */
+  workingMemoryLifetimeHours?: number;
+}
+
+// Number of source episodes quoted in a consolidated memory
+const MAX_EXAMPLES = 5;
+const MAX_EXAMPLE_LENGTH = 200;
+const MAX_TERMS = 8;
+
+// Cues that an episode describes how something is done rather than what is known
+const PROCEDURAL_PATTERN = /\b(how to|steps?|first|then|next|finally|run|install|configure|fix(ed)?|resolved? by)\b/i;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have',
+  'not', 'but', 'you', 'your', 'its', 'into', 'when', 'what', 'which', 'will', 'can', 'all'
+]);
+
+/**
+ * Reads a setting from a memory component in the MCP config
+ */
+const getComponentSetting = <T>(componentName: string, key: string): T | undefined => {
+  const component = mcpConfig.memory.components.find(c => c.name === componentName);
+  return component?.[key] as T | undefined;
+};
+
+/**
+ * Resolves the consolidation settings from the options and the MCP config
+ */
+const resolveOptions = (options: MemoryConsolidationOptions): Required<MemoryConsolidationOptions> => {
+  const configured = getComponentSetting<MemoryConsolidationOptions>('episodic_memory', 'consolidation') || {};
+
+  return {
+    similarityThreshold: options.similarityThreshold ?? configured.similarityThreshold ?? 0.8,
+    minClusterSize: Math.max(2, options.minClusterSize ?? configured.minClusterSize ?? 2),
+    maxClusterSize: options.maxClusterSize ?? configured.maxClusterSize ?? 20,
+    workingMemoryLifetimeHours: options.workingMemoryLifetimeHours
+      ?? getComponentSetting<number>('working_memory', 'sessionLifetimeHours')
+      ?? 24
+  };
+};
+
+/**
+ * Finds the terms that occur in at least half of the clustered episodes
+ */
+const recurringTerms = (items: MemoryItem[]): string[] => {
+  const documentFrequency = new Map<string, number>();
+
+  items.forEach(item => {
+    const terms = new Set(
+      (item.content.toLowerCase().match(/[a-z][a-z0-9_-]{2,}/g) || [])
+        .filter(term => !STOP_WORDS.has(term))
+    );
+    terms.forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+  });
+
+  return Array.from(documentFrequency.entries())
+    .filter(([, count]) => count >= items.length / 2)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_TERMS)
+    .map(([term]) => term);
+};
+
+/**
+ * Writes the consolidated memory for a cluster and marks the sources as consolidated
+ * @param cluster - Episodes in the cluster with their similarity to the seed
+ * @returns The new memory item
+ */
+const mergeCluster = async (cluster: Array<{ item: MemoryItem; similarity: number }>): Promise<MemoryItem> => {
+  const items = cluster.map(member => member.item);
+  const procedural = items.filter(item => PROCEDURAL_PATTERN.test(item.content)).length > items.length / 2;
+  const terms = recurringTerms(items);
+
+  // Quote each distinct episode once, most important first
+  const examples = Array.from(new Set(
+    [...items]
+      .sort((a, b) => b.importance - a.importance || b.timestamp.localeCompare(a.timestamp))
+      .map(item => item.content.trim())
+  )).slice(0, MAX_EXAMPLES);
+
+  const content = [
+    `${procedural ? 'Procedure' : 'Knowledge'} consolidated from ${items.length} related episodes.`,
+    ...(terms.length > 0 ? [`Recurring terms: ${terms.join(', ')}`] : []),
+    'Examples:',
+    ...examples.map(example => `- ${example.length > MAX_EXAMPLE_LENGTH
+      ? `${example.slice(0, MAX_EXAMPLE_LENGTH)}...`
+      : example}`)
+  ].join('\n');
+
+  const created = new Date().toISOString();
+  const edges: MemoryEdge[] = cluster.map(member => ({
+    target: member.item.id,
+    relation: DEFAULT_RELATION,
+    weight: member.similarity,
+    created
+  }));
+
+  const consolidated = await storeMemory({
+    type: procedural ? 'procedural' : 'semantic',
+    content,
+    timestamp: created,
+    importance: Math.min(1, Math.max(...items.map(item => item.importance)) + 0.1),
+    relevance: items.reduce((sum, item) => sum + item.relevance, 0) / items.length,
+    connections: items.map(item => item.id),
+    edges,
+    namespace: getMemoryNamespace(items[0])
+  });
+
+  for (const item of items) {
+    await updateMemoryItem(item.id, { consolidatedInto: consolidated.id });
+  }
+  return consolidated;
+};
+
+/**
+ * Runs memory consolidation
+ * Similar episodic items in the same namespace are clustered greedily around the oldest
+ * unclustered episode, each cluster is merged into one semantic or procedural memory
+ * connected back to its sources, and working memories older than the session lifetime
+ * are deleted
+ * @param options - Overrides for the configured consolidation settings
+ * @returns Counts of clusters, merged episodes, semantic and procedural memories written and expired items
+ * @complexity O(n log n) using the memory ANN index
+ */
+export const consolidateMemories = async (
+  options: MemoryConsolidationOptions = {}
+): Promise<MemoryConsolidationResult> => {
+  const settings = resolveOptions(options);
+  const result: MemoryConsolidationResult = { clusters: 0, merged: 0, promoted: 0, procedural: 0, expired: 0 };
+
+  const episodes = (await getMemoryItemsByType('episodic'))
+    .filter(item => !item.consolidatedInto)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const pending = new Set(episodes.map(item => item.id));
+
+  for (const seed of episodes) {
+    if (!pending.has(seed.id)) continue;
+    pending.delete(seed.id);
+
+    const similar = (await findSimilarMemories(seed.id, settings.maxClusterSize * 2, settings.similarityThreshold))
+      .filter(match => pending.has(match.item.id) && getMemoryNamespace(match.item) === getMemoryNamespace(seed))
+      .slice(0, settings.maxClusterSize - 1);
+
+    if (similar.length + 1 < settings.minClusterSize) continue;
+
+    similar.forEach(match => pending.delete(match.item.id));
+    const consolidated = await mergeCluster([{ item: seed, similarity: 1 }, ...similar]);
+
+    result.clusters++;
+    result.merged += similar.length + 1;
+    if (consolidated.type === 'procedural') {
+      result.procedural++;
+    } else {
+      result.promoted++;
+    }
+  }
+
+  const cutoff = Date.now() - settings.workingMemoryLifetimeHours * 60 * 60 * 1000;
+  const expired = (await getMemoryItemsByType('working'))
+    .filter(item => new Date(item.timestamp).getTime() < cutoff)
+    .map(item => item.id);
+  result.expired = await deleteMemoryItems(expired);
+
+  return result;
+};
+
+export default {
+  consolidateMemories
+};
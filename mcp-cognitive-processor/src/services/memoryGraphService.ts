@@ -0,0 +1,311 @@
+/**
+ * Memory Graph Service
+ * Typed, weighted, directed relationships between memory items and traversal queries
+ * over the semantic memory graph
+ */
+
+import {
+  MemoryEdge,
+  MemoryGraphEdge,
+  MemoryGraphQueryOptions,
+  MemoryItem,
+  MemoryNeighbor,
+  MemoryPath,
+  MemorySubgraph
+} from '../models/types.js';
+import {
+  DEFAULT_RELATION,
+  getAllMemoryItems,
+  getMemoryById,
+  getMemoryEdges,
+  getMemoryNamespace,
+  getRelationshipTypes,
+  updateMemoryEdges
+} from './memoryService.js';
+
+// Upper bound for subgraph and path traversal depth
+const MAX_TRAVERSAL_DEPTH = 10;
+
+// The cheapest known path to a node, linked back to the path it extends
+interface PathStep {
+  id: string;
+  cost: number;
+  edge?: MemoryGraphEdge; // Edge that reached this node
+  previous?: PathStep;
+}
+
+/**
+ * Validates a relation against the configured relationship types
+ */
+const assertRelation = (relation: string): void => {
+  const allowed = getRelationshipTypes();
+  if (!allowed.includes(relation)) {
+    throw new Error(`Unknown relation "${relation}". Allowed relations: ${allowed.join(', ')}`);
+  }
+};
+
+/**
+ * Builds the graph of the namespace a memory item belongs to
+ * Namespaces do not share context, so edges into other namespaces are left out.
+ * @param itemId - The ID of the item the query starts from
+ * @returns The items and edges of the namespace, and the namespace itself
+ */
+const loadGraph = async (itemId: string): Promise<{
+  namespace: string;
+  items: Map<string, MemoryItem>;
+  edges: MemoryGraphEdge[];
+}> => {
+  const start = await getMemoryById(itemId);
+  if (!start) {
+    throw new Error(`Memory item not found: ${itemId}`);
+  }
+
+  const namespace = getMemoryNamespace(start);
+  const allItems = await getAllMemoryItems({ namespace });
+  const items = new Map(allItems.map(item => [item.id, item]));
+  const edges: MemoryGraphEdge[] = [];
+
+  allItems.forEach(item => {
+    getMemoryEdges(item)
+      .filter(edge => items.has(edge.target))
+      .forEach(edge => edges.push({
+        source: item.id,
+        target: edge.target,
+        relation: edge.relation,
+        weight: edge.weight
+      }));
+  });
+
+  return { namespace, items, edges };
+};
+
+/**
+ * Selects the edges leaving a node in the requested direction
+ */
+const edgesFrom = (
+  edges: MemoryGraphEdge[],
+  nodeId: string,
+  options: MemoryGraphQueryOptions
+): Array<{ edge: MemoryGraphEdge; next: string; direction: 'outgoing' | 'incoming' }> => {
+  const direction = options.direction || 'outgoing';
+
+  return edges
+    .filter(edge => !options.relation || edge.relation === options.relation)
+    .flatMap(edge => {
+      const result: Array<{ edge: MemoryGraphEdge; next: string; direction: 'outgoing' | 'incoming' }> = [];
+      if (edge.source === nodeId && direction !== 'incoming') {
+        result.push({ edge, next: edge.target, direction: 'outgoing' });
+      }
+      if (edge.target === nodeId && direction !== 'outgoing') {
+        result.push({ edge, next: edge.source, direction: 'incoming' });
+      }
+      return result;
+    });
+};
+
+/**
+ * Creates or updates a typed edge between two memory items of the same namespace
+ * @param sourceId - The ID of the source memory item
+ * @param targetId - The ID of the target memory item
+ * @param relation - The relationship type (defaults to DEFAULT_RELATION)
+ * @param weight - Strength of the relationship, greater than 0
+ * @returns The stored edge
+ */
+export const linkMemories = async (
+  sourceId: string,
+  targetId: string,
+  relation: string = DEFAULT_RELATION,
+  weight: number = 1
+): Promise<MemoryEdge> => {
+  assertRelation(relation);
+  if (!(weight > 0)) {
+    throw new Error('Edge weight must be greater than 0');
+  }
+
+  const source = await getMemoryById(sourceId);
+  if (!source) {
+    throw new Error(`Source memory item not found: ${sourceId}`);
+  }
+  const target = await getMemoryById(targetId);
+  if (!target) {
+    throw new Error(`Target memory item not found: ${targetId}`);
+  }
+  if (getMemoryNamespace(source) !== getMemoryNamespace(target)) {
+    throw new Error(`Cannot link memory items in different namespaces: ${sourceId} is in ${getMemoryNamespace(source)}, ${targetId} is in ${getMemoryNamespace(target)}`);
+  }
+
+  // Replace any existing edge of the same relation to the same target
+  const edges = getMemoryEdges(source)
+    .filter(edge => !(edge.target === targetId && edge.relation === relation));
+  const edge: MemoryEdge = {
+    target: targetId,
+    relation,
+    weight,
+    created: new Date().toISOString()
+  };
+
+  await updateMemoryEdges(sourceId, [...edges, edge]);
+  return edge;
+};
+
+/**
+ * Removes edges between two memory items
+ * @param sourceId - The ID of the source memory item
+ * @param targetId - The ID of the target memory item
+ * @param relation - Only remove edges of this relation (optional)
+ * @returns Number of edges removed
+ */
+export const unlinkMemories = async (
+  sourceId: string,
+  targetId: string,
+  relation?: string
+): Promise<number> => {
+  const source = await getMemoryById(sourceId);
+  if (!source) {
+    throw new Error(`Source memory item not found: ${sourceId}`);
+  }
+
+  const edges = getMemoryEdges(source);
+  const remaining = edges.filter(edge => !(edge.target === targetId && (!relation || edge.relation === relation)));
+
+  if (remaining.length !== edges.length) {
+    await updateMemoryEdges(sourceId, remaining);
+  }
+  return edges.length - remaining.length;
+};
+
+/**
+ * Gets the direct neighbours of a memory item within its namespace
+ * @param itemId - The ID of the memory item
+ * @param options - Relation filter and direction (defaults to outgoing)
+ * @returns Neighbouring items with the connecting edge
+ */
+export const getMemoryNeighbors = async (
+  itemId: string,
+  options: MemoryGraphQueryOptions = {}
+): Promise<MemoryNeighbor[]> => {
+  const { items, edges } = await loadGraph(itemId);
+
+  return edgesFrom(edges, itemId, options).map(({ edge, next, direction }) => ({
+    item: items.get(next) as MemoryItem,
+    relation: edge.relation,
+    weight: edge.weight,
+    direction
+  }));
+};
+
+/**
+ * Finds the lowest-cost path between two memory items of one namespace within a number of hops
+ * The cost of an edge is 1 / weight, so strong relationships are preferred. Each round extends
+ * the cheapest known paths by one edge (Bellman-Ford), so no path is longer than the hop limit.
+ * @param sourceId - Where the path starts
+ * @param targetId - Where the path ends
+ * @param options - Relation filter and direction (defaults to outgoing)
+ * @param maxHops - Maximum number of edges on the path (capped at MAX_TRAVERSAL_DEPTH)
+ * @returns The path, or null if the items are not connected within the hop limit
+ * @complexity O(maxHops * V * E)
+ */
+export const findMemoryPath = async (
+  sourceId: string,
+  targetId: string,
+  options: MemoryGraphQueryOptions = {},
+  maxHops: number = MAX_TRAVERSAL_DEPTH
+): Promise<MemoryPath | null> => {
+  const { namespace, items, edges } = await loadGraph(sourceId);
+  if (!items.has(targetId)) {
+    const target = await getMemoryById(targetId);
+    throw new Error(target
+      ? `Memory item ${targetId} is not in namespace ${namespace}`
+      : `Memory item not found: ${targetId}`);
+  }
+
+  const hopLimit = Math.max(0, Math.min(maxHops, MAX_TRAVERSAL_DEPTH));
+  let cheapest = new Map<string, PathStep>([[sourceId, { id: sourceId, cost: 0 }]]);
+  let improved = [sourceId];
+
+  for (let hop = 0; hop < hopLimit && improved.length > 0; hop++) {
+    // Only paths that got cheaper in the last round can make their neighbours cheaper
+    const extended = new Map(cheapest);
+    const changed = new Set<string>();
+    for (const nodeId of improved) {
+      const step = cheapest.get(nodeId) as PathStep;
+      for (const { edge, next } of edgesFrom(edges, nodeId, options)) {
+        const cost = step.cost + 1 / edge.weight;
+        if (cost < (extended.get(next)?.cost ?? Infinity)) {
+          extended.set(next, { id: next, cost, edge, previous: step });
+          changed.add(next);
+        }
+      }
+    }
+    cheapest = extended;
+    improved = Array.from(changed);
+  }
+
+  const target = cheapest.get(targetId);
+  if (!target) return null;
+
+  // Walk back from the target
+  const pathIds: string[] = [];
+  const pathEdges: MemoryGraphEdge[] = [];
+  for (let step: PathStep | undefined = target; step; step = step.previous) {
+    pathIds.unshift(step.id);
+    if (step.edge) {
+      pathEdges.unshift(step.edge);
+    }
+  }
+
+  return {
+    nodes: pathIds.map(id => items.get(id) as MemoryItem),
+    edges: pathEdges,
+    cost: target.cost
+  };
+};
+
+/**
+ * Gets the subgraph reachable from a memory item within its namespace and a number of hops
+ * @param rootId - The ID of the starting memory item
+ * @param depth - Maximum number of hops (capped at MAX_TRAVERSAL_DEPTH)
+ * @param options - Relation filter and direction (defaults to outgoing)
+ * @returns The reachable items and the edges between them
+ */
+export const getMemorySubgraph = async (
+  rootId: string,
+  depth: number = 1,
+  options: MemoryGraphQueryOptions = {}
+): Promise<MemorySubgraph> => {
+  const { items, edges } = await loadGraph(rootId);
+
+  const maxDepth = Math.max(0, Math.min(depth, MAX_TRAVERSAL_DEPTH));
+  const reached = new Set<string>([rootId]);
+  const subgraphEdges = new Set<MemoryGraphEdge>();
+  let frontier = [rootId];
+
+  for (let hop = 0; hop < maxDepth && frontier.length > 0; hop++) {
+    const nextFrontier: string[] = [];
+    for (const nodeId of frontier) {
+      for (const { edge, next } of edgesFrom(edges, nodeId, options)) {
+        subgraphEdges.add(edge);
+        if (!reached.has(next)) {
+          reached.add(next);
+          nextFrontier.push(next);
+        }
+      }
+    }
+    frontier = nextFrontier;
+  }
+
+  return {
+    root: rootId,
+    depth: maxDepth,
+    nodes: Array.from(reached).map(id => items.get(id) as MemoryItem),
+    edges: Array.from(subgraphEdges)
+  };
+};
+
+export default {
+  linkMemories,
+  unlinkMemories,
+  getMemoryNeighbors,
+  findMemoryPath,
+  getMemorySubgraph
+};
@@ -1,41 +1,94 @@
 /**
  * Memory Service Implementation
  * Provides persistent storage and retrieval of memory items
+ * Items, vectors and edges are persisted through an IMemoryStore (SQLite by default)
+ * and cached in memory for retrieval
  */
 
-import { IMemoryService } from '../interfaces/IMemoryService.js';
-import { MemoryItem, MemoryVector } from '../models/types.js';
+import {
+  ConnectedMemoryItem,
+  MemoryDeleteResult,
+  MemoryEdge,
+  MemoryFilter,
+  MemoryForgettingConfig,
+  MemoryItem,
+  MemoryRetrievalConfig,
+  MemoryRetrievalOptions,
+  MemoryRetrievalSignal,
+  MemoryRevision,
+  MemoryRevisionAction,
+  MemoryScope,
+  MemorySignalExplanation,
+  MemorySignalWeights,
+  MemoryUpdateResult,
+  MemoryVector,
+  ScoredMemoryItem
+} from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import { createHash } from 'crypto';
+import { cosineSimilarity, embedText, getEmbeddingProvider } from './embeddingService.js';
+import { IMemoryStore, MemoryStoreWrite } from '../interfaces/IMemoryStore.js';
+import { SqliteMemoryStore } from './storage/SqliteMemoryStore.js';
+import { hasLegacyMemory, migrateLegacyMemory } from './storage/legacyMemoryMigration.js';
+import {
+  getVectorIndex,
+  loadVectorIndex,
+  persistVectorIndex,
+  rebuildVectorIndex,
+  scheduleIndexPersist
+} from './vectorIndexService.js';
 
 // Define the database file path - ensure relative paths are resolved properly
 const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
-const MEMORY_FILE = path.join(DB_DIR, 'memory.json');
+const MEMORY_DB_FILE = path.join(DB_DIR, 'memory.db');
 const MEMORY_DIR = path.join(DB_DIR, 'memory');
-const VECTOR_DIR = path.join(DB_DIR, 'vectors');
+const ARCHIVE_DIR = path.join(MEMORY_DIR, 'archive');
+const MEMORY_INDEX = 'memory';
 
+// Relation used for plain connections that carry no edge type
+export const DEFAULT_RELATION = 'related_to';
+
+// Namespace of items stored without one
+export const DEFAULT_NAMESPACE = 'default';
+
+// Number of ANN candidates re-ranked per requested result
+const CANDIDATE_MULTIPLIER = 5;
+const MIN_CANDIDATES = 50;
+
+// Forgetting curve used when the MCP config does not define one
+const DEFAULT_FORGETTING: MemoryForgettingConfig = {
+  halfLifeDays: { working: 1, episodic: 30, semantic: 180, procedural: 365 },
+  retrievalBoost: 0.2,
+  hitSimilarity: 0.5,
+  archiveThreshold: 0.05
+};
+
+// Retrieval ranking used when the MCP config does not define one
+const DEFAULT_RETRIEVAL: MemoryRetrievalConfig = {
+  fusion: 'rrf',
+  weights: { vector: 0.6, lexical: 0.3, strength: 0.1 },
+  rrfK: 60,
+  typeBoosts: { working: 1.5, episodic: 1.0, semantic: 1.2, procedural: 0.8 }
+};
+
+// Persistent store
+let memoryStore: IMemoryStore | null = null;
 // Memory cache
 let memoryItems: Map<string, MemoryItem> = new Map();
 // Memory vector storage
 let memoryVectors: Map<string, MemoryVector> = new Map();
-let isInitialized = false;
+let initialization: Promise<void> | null = null;
 
 // Ensure all required directories exist with proper error handling
 const ensureDirectories = async (): Promise<void> => {
   try {
     // Use recursive option to create parent directories if they don't exist
     await fs.promises.mkdir(DB_DIR, { recursive: true });
-    await fs.promises.mkdir(MEMORY_DIR, { recursive: true });
-    await fs.promises.mkdir(VECTOR_DIR, { recursive: true });
     
     // Verify directories were created successfully
-    await Promise.all([
-      fs.promises.access(DB_DIR, fs.constants.W_OK),
-      fs.promises.access(MEMORY_DIR, fs.constants.W_OK),
-      fs.promises.access(VECTOR_DIR, fs.constants.W_OK)
-    ]);
+    await fs.promises.access(DB_DIR, fs.constants.W_OK);
   } catch (error) {
     if (error instanceof Error) {
       throw new Error(`Failed to create/verify required directories: ${error.message}`);
@@ -50,260 +103,464 @@ ensureDirectories().catch(error => {
   console.error('Failed to initialize memory service directories:', error);
 });
 
+/**
+ * Gets the persistent memory store, opening the SQLite store on first use
+ */
+export const getMemoryStore = (): IMemoryStore => {
+  if (!memoryStore) {
+    memoryStore = new SqliteMemoryStore(MEMORY_DB_FILE);
+  }
+  return memoryStore;
+};
+
+/**
+ * Replaces the persistent memory store
+ * The memory cache is reloaded from the new store on next use
+ * @param store - The store to use
+ */
+export const setMemoryStore = (store: IMemoryStore): void => {
+  memoryStore = store;
+  memoryItems = new Map();
+  memoryVectors = new Map();
+  initialization = null;
+};
+
+/**
+ * Closes the persistent memory store
+ * Writes are committed as they happen, so this only writes a pending index update,
+ * checkpoints and releases the database; the next memory call opens it again.
+ */
+export const closeMemoryStore = async (): Promise<void> => {
+  if (!memoryStore) return;
+
+  // Let a running load finish before the database goes away
+  await initialization?.catch(() => {});
+  await persistVectorIndex(MEMORY_INDEX);
+  const store = memoryStore;
+  memoryStore = null;
+  await store.close();
+};
+
 /**
  * Initializes the memory system
+ * Concurrent callers share one initialization
  */
-const initializeMemory = async (): Promise<void> => {
-  if (isInitialized) return;
-  
+const initializeMemory = (): Promise<void> => {
+  if (!initialization) {
+    initialization = loadMemory();
+  }
+  return initialization;
+};
+
+/**
+ * Loads the memory cache from the store, importing the legacy JSON layout on first run
+ */
+const loadMemory = async (): Promise<void> => {
   try {
-    // Load existing memory items - in parallel
-    const loadPromises: Promise<void>[] = [];
-    
-    // Load main memory file
-    if (fs.existsSync(MEMORY_FILE)) {
-      loadPromises.push((async () => {
-        const data = await fs.promises.readFile(MEMORY_FILE, 'utf8');
-        const items: MemoryItem[] = JSON.parse(data);
-        memoryItems = new Map(items.map(item => [item.id, item]));
-      })());
-    } else {
-      loadPromises.push(saveMemoryToDisk());
-    }
+    const store = getMemoryStore();
     
-    // Load vector embeddings if they exist
-    if (fs.existsSync(path.join(VECTOR_DIR, 'vectors.json'))) {
-      loadPromises.push((async () => {
-        const data = await fs.promises.readFile(path.join(VECTOR_DIR, 'vectors.json'), 'utf8');
-        const vectors: MemoryVector[] = JSON.parse(data);
-        memoryVectors = new Map(vectors.map(vector => [vector.itemId, vector]));
-      })());
+    if (hasLegacyMemory(DB_DIR)) {
+      const migrated = await migrateLegacyMemory(store, DB_DIR);
+      if (migrated) {
+        console.log(`Migrated ${migrated.items} memory items and ${migrated.vectors} vectors from JSON files to ${store.location}`);
+      }
     }
     
-    // Wait for all loading to complete
-    await Promise.all(loadPromises);
+    const [items, vectors] = await Promise.all([store.loadItems(), store.loadVectors()]);
+    memoryItems = new Map(items.map(item => [item.id, item]));
+    memoryVectors = new Map(vectors.map(vector => [vector.itemId, vector]));
     
     // Create vector embeddings for items without them
     await ensureVectorEmbeddings();
     
-    isInitialized = true;
+    // Load the ANN index, rebuilding it if it no longer matches the vectors
+    await loadVectorIndex(MEMORY_INDEX, getVectorMap());
   } catch (error) {
     console.error('Error initializing memory:', error);
     memoryItems = new Map();
     memoryVectors = new Map();
-    await saveMemoryToDisk();
-    isInitialized = true;
+    await rebuildVectorIndex(MEMORY_INDEX, getVectorMap());
   }
 };
 
 /**
- * Ensures all memory items have vector embeddings
+ * Persists a set of changes in one transaction
+ */
+const persist = async (changes: MemoryStoreWrite): Promise<void> => {
+  await getMemoryStore().write(changes);
+};
+
+/**
+ * Ensures all memory items have vector embeddings from the active provider
+ * Items without a vector, or with a vector from another provider, are (re-)embedded
+ * @param force - Re-embed every item even if its vector is current
+ * @returns Number of items embedded
  */
-const ensureVectorEmbeddings = async (): Promise<void> => {
-  // Identify items without vectors
-  const itemsWithoutVectors = Array.from(memoryItems.values())
-    .filter(item => !memoryVectors.has(item.id));
+const ensureVectorEmbeddings = async (force: boolean = false): Promise<number> => {
+  const providerId = getEmbeddingProvider().id;
   
-  if (itemsWithoutVectors.length === 0) return;
+  // Identify items without current vectors
+  const staleItems = Array.from(memoryItems.values())
+    .filter(item => force || memoryVectors.get(item.id)?.model !== providerId);
   
-  console.log(`Generating vector embeddings for ${itemsWithoutVectors.length} memory items`);
+  if (staleItems.length === 0) return 0;
   
-  // Create simple vector embeddings for items
-  // In a real implementation, this would use a proper embedding model
-  for (const item of itemsWithoutVectors) {
-    const vector = createSimpleEmbedding(item.content);
+  console.log(`Generating vector embeddings for ${staleItems.length} memory items`);
+  
+  const updated: MemoryVector[] = [];
+  for (const item of staleItems) {
+    const existing = memoryVectors.get(item.id);
     const memoryVector: MemoryVector = {
       itemId: item.id,
-      vector,
-      created: new Date().toISOString()
+      vector: await embedText(item.content),
+      model: providerId,
+      created: existing?.created || new Date().toISOString(),
+      ...(existing ? { updated: new Date().toISOString() } : {})
     };
     
     memoryVectors.set(item.id, memoryVector);
-    
-    // Also save individual vector file for better concurrency
-    const vectorFile = path.join(VECTOR_DIR, `${item.id}.json`);
-    await fs.promises.writeFile(vectorFile, JSON.stringify(memoryVector, null, 2));
+    updated.push(memoryVector);
   }
   
-  // Save all vectors
-  await saveVectorsToDisk();
+  await persist({ vectors: updated });
+  
+  // A loaded index holds the old embeddings, so rebuild it
+  if (getVectorIndex(MEMORY_INDEX)) {
+    await rebuildVectorIndex(MEMORY_INDEX, getVectorMap());
+  }
+  return staleItems.length;
 };
 
 /**
- * Saves memory items to disk
+ * Gets stored memory vectors keyed by item ID
  */
-const saveMemoryToDisk = async (): Promise<void> => {
-  try {
-    // Ensure directory exists before writing
-    if (!fs.existsSync(path.dirname(MEMORY_FILE))) {
-      fs.mkdirSync(path.dirname(MEMORY_FILE), { recursive: true });
-    }
-    const items = Array.from(memoryItems.values());
-    await fs.promises.writeFile(MEMORY_FILE, JSON.stringify(items, null, 2));
-  } catch (error) {
-    console.error('Error saving memory:', error);
-  }
+const getVectorMap = (): Map<string, number[]> => {
+  return new Map(Array.from(memoryVectors.values()).map(vector => [vector.itemId, vector.vector]));
 };
 
 /**
- * Saves vector embeddings to disk
+ * Stores a new memory item
+ * @returns The stored item with its generated ID
  */
-const saveVectorsToDisk = async (): Promise<void> => {
-  try {
-    // Ensure directory exists
-    if (!fs.existsSync(VECTOR_DIR)) {
-      fs.mkdirSync(VECTOR_DIR, { recursive: true });
-    }
-    
-    const vectors = Array.from(memoryVectors.values());
-    await fs.promises.writeFile(
-      path.join(VECTOR_DIR, 'vectors.json'),
-      JSON.stringify(vectors, null, 2)
-    );
-  } catch (error) {
-    console.error('Error saving vectors:', error);
-  }
+export const storeMemory = async (item: Omit<MemoryItem, 'id'>): Promise<MemoryItem> => {
+  await initializeMemory();
+  
+  const newItem: MemoryItem = {
+    ...item,
+    id: uuidv4(),
+    timestamp: new Date().toISOString(),
+    namespace: item.namespace || getDefaultNamespace()
+  };
+  
+  // Embed first so the item and its vector are written together
+  const vector = await embedText(newItem.content);
+  memoryItems.set(newItem.id, newItem);
+  await persist({ items: [newItem], vectors: [setMemoryVector(newItem.id, vector)] });
+  
+  return newItem;
 };
 
 /**
- * Creates a simple vector embedding for text
- * This is a placeholder for a proper embedding model
+ * Sets the vector of a memory item in the cache and the ANN index
+ * @returns The vector record to persist
  */
-const createSimpleEmbedding = (text: string, dimensions: number = 128): number[] => {
-  const normalized = text.toLowerCase().trim();
-  // Hash the text to create a consistent but unique pattern
-  const hash = createHash('sha256').update(normalized).digest('hex');
+const setMemoryVector = (itemId: string, vector: number[]): MemoryVector => {
+  const memoryVector: MemoryVector = {
+    itemId,
+    vector,
+    model: getEmbeddingProvider().id,
+    created: new Date().toISOString()
+  };
   
-  // Use the hash to seed a vector
-  const vector: number[] = [];
-  for (let i = 0; i < dimensions; i++) {
-    // Use characters from the hash to generate vector values
-    const hashPos = i % (hash.length - 1);
-    const value = parseInt(hash.substring(hashPos, hashPos + 2), 16) / 255; // Normalize to 0-1
-    vector.push(value);
-  }
+  memoryVectors.set(itemId, memoryVector);
   
-  return normalizeVector(vector);
+  // Keep the ANN index in step with the stored vectors
+  const index = getVectorIndex(MEMORY_INDEX);
+  if (index) {
+    index.add(itemId, vector);
+    scheduleIndexPersist(MEMORY_INDEX);
+  }
+  return memoryVector;
 };
 
 /**
- * Normalizes a vector to unit length
+ * Gets the namespace used when a call does not name one
+ * Set with MCP_MEMORY_NAMESPACE, otherwise DEFAULT_NAMESPACE
  */
-const normalizeVector = (vector: number[]): number[] => {
-  const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-  if (magnitude === 0) return vector.map(() => 0);
-  return vector.map(val => val / magnitude);
+export const getDefaultNamespace = (): string => {
+  return process.env.MCP_MEMORY_NAMESPACE || DEFAULT_NAMESPACE;
 };
 
 /**
- * Calculates cosine similarity between two vectors
+ * Gets the namespace a memory item belongs to
  */
-const cosineSimilarity = (a: number[], b: number[]): number => {
-  if (a.length !== b.length) throw new Error('Vectors must have the same dimensions');
-  
-  const dotProduct = a.reduce((sum, val, i) => sum + val * b[i], 0);
-  const magnitudeA = Math.sqrt(a.reduce((sum, val) => sum + val * val, 0));
-  const magnitudeB = Math.sqrt(b.reduce((sum, val) => sum + val * val, 0));
-  
-  if (magnitudeA === 0 || magnitudeB === 0) return 0;
-  return dotProduct / (magnitudeA * magnitudeB);
+export const getMemoryNamespace = (item: MemoryItem): string => {
+  return item.namespace || DEFAULT_NAMESPACE;
 };
 
 /**
- * Stores a new memory item
+ * Builds a filter for the memory items inside a scope
+ * @param scope - Namespace selection (defaults to the default namespace)
  */
-export const storeMemory = async (item: Omit<MemoryItem, 'id'>): Promise<void> => {
-  await initializeMemory();
-  
-  const newItem: MemoryItem = {
-    ...item,
-    id: uuidv4(),
-    timestamp: new Date().toISOString()
-  };
-  
-  memoryItems.set(newItem.id, newItem);
-  await saveMemoryToDisk();
+const inScope = (scope: MemoryScope = {}): ((item: MemoryItem) => boolean) => {
+  if (scope.allNamespaces) return () => true;
   
-  // Also store individual file for better concurrency
-  const itemFile = path.join(MEMORY_DIR, `${newItem.id}.json`);
-  await fs.promises.writeFile(itemFile, JSON.stringify(newItem, null, 2));
-  
-  // Create and store vector embedding
-  const vector = createSimpleEmbedding(newItem.content);
-  await saveMemoryVector(newItem.id, vector);
+  const namespace = scope.namespace || getDefaultNamespace();
+  return item => getMemoryNamespace(item) === namespace;
 };
 
 /**
- * Saves a memory vector
+ * Gets the retrieval ranking settings with per-call overrides applied
+ * @throws Error when a weight is negative or every weight is zero
  */
-const saveMemoryVector = async (itemId: string, vector: number[]): Promise<void> => {
-  const memoryVector: MemoryVector = {
-    itemId,
-    vector,
-    created: new Date().toISOString()
+const getRetrievalSettings = (options: MemoryRetrievalOptions): MemoryRetrievalConfig => {
+  const config = mcpConfig.memory.retrieval || DEFAULT_RETRIEVAL;
+  const weights: MemorySignalWeights = {
+    vector: options.weights?.vector ?? config.weights.vector,
+    lexical: options.weights?.lexical ?? config.weights.lexical,
+    strength: options.weights?.strength ?? config.weights.strength
   };
   
-  memoryVectors.set(itemId, memoryVector);
+  const values = Object.values(weights);
+  if (values.some(weight => typeof weight !== 'number' || Number.isNaN(weight) || weight < 0) || values.every(weight => weight === 0)) {
+    throw new Error('Retrieval weights must be non-negative and at least one must be positive');
+  }
   
-  // Save individual vector file
-  const vectorFile = path.join(VECTOR_DIR, `${itemId}.json`);
-  await fs.promises.writeFile(vectorFile, JSON.stringify(memoryVector, null, 2));
+  return {
+    ...config,
+    fusion: options.fusion || config.fusion,
+    rrfK: options.rrfK ?? config.rrfK,
+    weights
+  };
+};
+
+/**
+ * Combines the ranking signals of retrieval candidates into one score per item
+ * Reciprocal rank fusion sums weight / (rrfK + rank) over the signals an item ranks in.
+ * Weighted fusion averages the signal values, each scaled to 0-1, by weight.
+ * @param candidates - Items with their raw signal values
+ * @param settings - Fusion method, weights and type boosts
+ * @returns Scored items with per-signal explanations, best first
+ */
+const fuseSignals = (
+  candidates: Array<{ item: MemoryItem; signals: Record<MemoryRetrievalSignal, number | null> }>,
+  settings: MemoryRetrievalConfig
+): ScoredMemoryItem[] => {
+  const signalNames = Object.keys(settings.weights) as MemoryRetrievalSignal[];
+  const totalWeight = signalNames.reduce((sum, signal) => sum + settings.weights[signal], 0);
   
-  // Update vectors.json occasionally (not on every write for performance)
-  if (Math.random() < 0.1) { // 10% chance to update the main file
-    await saveVectorsToDisk();
+  // Rank and scale each signal across the candidates
+  const ranks = new Map<MemoryRetrievalSignal, Map<string, number>>();
+  const maxima = new Map<MemoryRetrievalSignal, number>();
+  for (const signal of signalNames) {
+    const ranked = candidates
+      .filter(candidate => candidate.signals[signal] !== null)
+      .sort((a, b) => (b.signals[signal] as number) - (a.signals[signal] as number));
+    ranks.set(signal, new Map(ranked.map((candidate, position) => [candidate.item.id, position + 1])));
+    maxima.set(signal, Math.max(0, ...ranked.map(candidate => candidate.signals[signal] as number)));
   }
+  
+  return candidates
+    .map(({ item, signals }) => {
+      const explanation = {} as Record<MemoryRetrievalSignal, MemorySignalExplanation>;
+      let score = 0;
+      
+      for (const signal of signalNames) {
+        const value = signals[signal];
+        const rank = ranks.get(signal)?.get(item.id) ?? null;
+        const weight = settings.weights[signal];
+        const maximum = maxima.get(signal) as number;
+        
+        let contribution = 0;
+        if (value !== null && rank !== null) {
+          contribution = settings.fusion === 'rrf'
+            ? weight / (settings.rrfK + rank)
+            : (weight / totalWeight) * (maximum > 0 ? Math.max(0, value) / maximum : 0);
+        }
+        
+        score += contribution;
+        explanation[signal] = { value, rank, weight, contribution };
+      }
+      
+      return {
+        item,
+        score,
+        explanation: {
+          fusion: settings.fusion,
+          typeBoost: settings.typeBoosts[item.type] ?? 1,
+          signals: explanation
+        }
+      };
+    })
+    .sort((a, b) => b.score - a.score);
 };
 
 /**
- * Retrieves memory items based on a query using semantic vector search
+ * Searches memory with vector, BM25 and memory strength signals and explains each score
+ * Candidates come from the ANN index and the full-text index. Their signals are combined
+ * with reciprocal rank fusion or weighted fusion, as configured or chosen per call.
+ * @param query - The query to search for; the most recent items are returned when empty
+ * @param limit - Maximum number of items to retrieve
+ * @param options - Namespace selection and ranking overrides
+ * @returns Scored items, best first
  */
-export const retrieveMemory = async (
+export const searchMemory = async (
   query: string,
-  limit: number = 10
-): Promise<MemoryItem[]> => {
+  limit: number = 10,
+  options: MemoryRetrievalOptions = {}
+): Promise<ScoredMemoryItem[]> => {
   await initializeMemory();
+  const settings = getRetrievalSettings(options);
+  const matchesScope = inScope(options);
+  const now = Date.now();
   
   if (!query) {
     // Return most recent items if no query
-    return Array.from(memoryItems.values())
+    const recent = Array.from(memoryItems.values())
+      .filter(matchesScope)
       .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
       .slice(0, limit);
+    // Listing recent items is not a retrieval, so nothing is reinforced or written
+    // Without a query no signal applies; every item scores 0 and the stable sort keeps recency order
+    return fuseSignals(recent.map(item => ({ item, signals: { vector: null, lexical: null, strength: null } })), settings);
   }
   
   // Create query vector
-  const queryVector = createSimpleEmbedding(query);
+  const queryVector = await embedText(query);
   
-  // Calculate both vector and text-based similarity for hybrid search
-  const items = Array.from(memoryItems.values());
-  const results = await Promise.all(items.map(async item => {
-    // Get item vector or create if missing
-    let vector = memoryVectors.get(item.id)?.vector;
-    if (!vector) {
-      vector = createSimpleEmbedding(item.content);
-      await saveMemoryVector(item.id, vector);
-    }
-    
-    // Calculate vector similarity (semantic search)
-    const vectorSimilarity = cosineSimilarity(queryVector, vector);
-    
-    // Also calculate text similarity for hybrid approach
-    const textSimilarity = calculateTextRelevance(query, item);
-    
-    // Combine scores with appropriate weights
-    // Semantic similarity is generally more meaningful
-    const combinedScore = vectorSimilarity * 0.7 + textSimilarity * 0.3;
+  // Find nearest neighbours through the ANN index instead of scanning every item
+  const index = getVectorIndex(MEMORY_INDEX);
+  const candidateCount = Math.max(limit * CANDIDATE_MULTIPLIER, MIN_CANDIDATES);
+  const inScopeCandidates = (count: number) => (index?.search(queryVector, count) || [])
+    .filter(candidate => memoryItems.has(candidate.id) && matchesScope(memoryItems.get(candidate.id) as MemoryItem));
+  
+  // Widen the search when other namespaces crowd out the scope's items
+  let searched = candidateCount;
+  let vectorCandidates = inScopeCandidates(searched);
+  while (index && vectorCandidates.length < candidateCount && searched < index.size) {
+    searched *= CANDIDATE_MULTIPLIER;
+    vectorCandidates = inScopeCandidates(searched);
+  }
+  const similarities = new Map(vectorCandidates.map(candidate => [candidate.id, candidate.similarity]));
+  
+  // Best BM25 matches, plus BM25 scores for the vector candidates outside them
+  const lexicalScores = new Map(
+    (await searchMemoryText(query, candidateCount, options)).map(match => [match.item.id, match.score])
+  );
+  const unscored = vectorCandidates.map(candidate => candidate.id).filter(id => !lexicalScores.has(id));
+  for (const match of await getMemoryStore().searchText(query, unscored.length, unscored)) {
+    lexicalScores.set(match.id, match.score);
+  }
+  
+  const candidateIds = Array.from(new Set([...Array.from(similarities.keys()), ...Array.from(lexicalScores.keys())]));
+  const candidates = candidateIds.map(id => {
+    const item = memoryItems.get(id) as MemoryItem;
+    const vector = memoryVectors.get(id)?.vector;
+    const similarity = similarities.get(id) ?? (vector ? cosineSimilarity(queryVector, vector) : null);
     
     return {
       item,
-      relevance: combinedScore
+      signals: {
+        vector: similarity,
+        lexical: lexicalScores.get(id) ?? null,
+        strength: getMemoryStrength(item, now) * (settings.typeBoosts[item.type] ?? 1)
+      }
     };
-  }));
+  });
   
-  return results
-    .sort((a, b) => b.relevance - a.relevance)
-    .slice(0, limit)
-    .map(result => result.item);
+  const results = fuseSignals(candidates, settings).slice(0, limit);
+  
+  // Only results that actually match the query are reinforced; near neighbours that merely fill the limit are not
+  const { hitSimilarity = DEFAULT_FORGETTING.hitSimilarity as number } = getForgettingConfig();
+  const hits = new Set(candidates
+    .filter(({ signals }) => (signals.lexical ?? 0) > 0 || (signals.vector ?? -1) >= hitSimilarity)
+    .map(({ item }) => item.id));
+  await recordMemoryAccess(results.map(result => result.item).filter(item => hits.has(item.id)));
+  return results;
+};
+
+/**
+ * Retrieves memory items based on a query using hybrid vector and BM25 search
+ * @param query - The query to search for
+ * @param limit - Maximum number of items to retrieve
+ * @param options - Namespace to search (or allNamespaces) and ranking overrides
+ */
+export const retrieveMemory = async (
+  query: string,
+  limit: number = 10,
+  options: MemoryRetrievalOptions = {}
+): Promise<MemoryItem[]> => {
+  return (await searchMemory(query, limit, options)).map(result => result.item);
+};
+
+/**
+ * Full-text search over memory content
+ * @param query - Free text query
+ * @param limit - Maximum number of results
+ * @param scope - Namespace to search, or allNamespaces to search every namespace
+ * @returns Matching items with their text match scores, best match first
+ */
+export const searchMemoryText = async (
+  query: string,
+  limit: number = 10,
+  scope: MemoryScope = {}
+): Promise<Array<{ item: MemoryItem; score: number }>> => {
+  await initializeMemory();
+  const matchesScope = inScope(scope);
+  
+  // Over-fetch, since matches from other namespaces are filtered out afterwards
+  const matches = await getMemoryStore().searchText(query, limit * CANDIDATE_MULTIPLIER);
+  return matches
+    .map(match => ({ item: memoryItems.get(match.id), score: match.score }))
+    .filter((match): match is { item: MemoryItem; score: number } => !!match.item && matchesScope(match.item))
+    .slice(0, limit);
+};
+
+/**
+ * Gets the forgetting curve settings
+ */
+const getForgettingConfig = (): MemoryForgettingConfig => {
+  return mcpConfig.memory.forgetting || DEFAULT_FORGETTING;
+};
+
+/**
+ * Gets the current strength of a memory item on its forgetting curve
+ * The strength left by the last retrieval, or the importance of an item never retrieved,
+ * halves every half-life of the item's type since it was stored or last retrieved
+ * @param item - The memory item
+ * @param now - Time to evaluate the curve at (defaults to now)
+ * @returns Strength between 0 and 1
+ */
+export const getMemoryStrength = (item: MemoryItem, now: number = Date.now()): number => {
+  const initial = item.reinforcedStrength ?? item.importance ?? 0.5;
+  const halfLifeDays = getForgettingConfig().halfLifeDays[item.type];
+  if (!halfLifeDays) return initial;
+  
+  const lastUsed = new Date(item.lastAccessed || item.timestamp).getTime();
+  const ageDays = Math.max(0, now - lastUsed) / (24 * 60 * 60 * 1000);
+  return initial * Math.pow(0.5, ageDays / halfLifeDays);
+};
+
+/**
+ * Records that memory items were retrieved by a query they match
+ * Each item is reinforced from its current strength toward 1 and its decay restarts.
+ * The reinforced strength is kept apart from the importance the item was stored with.
+ * @param items - The retrieved items
+ */
+const recordMemoryAccess = async (items: MemoryItem[]): Promise<void> => {
+  if (items.length === 0) return;
+  
+  const { retrievalBoost } = getForgettingConfig();
+  const now = Date.now();
+  
+  for (const item of items) {
+    const strength = getMemoryStrength(item, now);
+    item.reinforcedStrength = Math.min(1, strength + retrievalBoost * (1 - strength));
+    item.accessCount = (item.accessCount || 0) + 1;
+    item.lastAccessed = new Date(now).toISOString();
+  }
+  
+  await persist({ items });
 };
 
 /**
@@ -316,20 +573,33 @@ export const getMemoryById = async (id: string): Promise<MemoryItem | null> => {
 
 /**
  * Gets all memory items
+ * @param scope - Namespace selection (every namespace when omitted)
  */
-export const getAllMemoryItems = async (): Promise<MemoryItem[]> => {
+export const getAllMemoryItems = async (scope?: MemoryScope): Promise<MemoryItem[]> => {
   await initializeMemory();
-  return Array.from(memoryItems.values());
+  const items = Array.from(memoryItems.values());
+  return scope ? items.filter(inScope(scope)) : items;
 };
 
 /**
  * Gets memory items by type
  * @param type The type of memory items to retrieve
+ * @param scope - Namespace selection (every namespace when omitted)
  * @returns Array of memory items of the specified type
  */
-export const getMemoryItemsByType = async (type: MemoryItem['type']): Promise<MemoryItem[]> => {
+export const getMemoryItemsByType = async (
+  type: MemoryItem['type'],
+  scope?: MemoryScope
+): Promise<MemoryItem[]> => {
+  return (await getAllMemoryItems(scope)).filter(item => item.type === type);
+};
+
+/**
+ * Gets the namespaces that hold memory items
+ */
+export const getMemoryNamespaces = async (): Promise<string[]> => {
   await initializeMemory();
-  return Array.from(memoryItems.values()).filter(item => item.type === type);
+  return Array.from(new Set(Array.from(memoryItems.values()).map(getMemoryNamespace))).sort();
 };
 
 /**
@@ -347,19 +617,392 @@ export const updateMemoryConnections = async (
   }
   
   item.connections = connections;
+  // Drop typed edges whose target is no longer connected
+  if (item.edges) {
+    item.edges = item.edges.filter(edge => connections.includes(edge.target));
+  }
+  memoryItems.set(itemId, item);
+  
+  await persist({ items: [item] });
+};
+
+/**
+ * Replaces the typed edges of a memory item
+ * Connections are kept in step so every edge target is also a connection
+ * @param itemId - The ID of the item to update
+ * @param edges - The complete set of outgoing edges
+ */
+export const updateMemoryEdges = async (
+  itemId: string,
+  edges: MemoryEdge[]
+): Promise<void> => {
+  await initializeMemory();
+  
+  const item = memoryItems.get(itemId);
+  if (!item) {
+    throw new Error(`Memory item not found: ${itemId}`);
+  }
+  
+  item.edges = edges;
+  item.connections = Array.from(new Set(edges.map(edge => edge.target)));
   memoryItems.set(itemId, item);
   
-  // Update individual file
-  const itemFile = path.join(MEMORY_DIR, `${itemId}.json`);
-  await fs.promises.writeFile(itemFile, JSON.stringify(item, null, 2));
+  await persist({ items: [item] });
+};
+
+/**
+ * Lists the fields that differ between two versions of a memory item
+ */
+const getChangedFields = (previous: MemoryItem | null, updated: MemoryItem): string[] => {
+  const fields = new Set([...Object.keys(previous || {}), ...Object.keys(updated)]);
+  return Array.from(fields)
+    .filter(field => field !== 'id')
+    .filter(field => JSON.stringify(previous?.[field as keyof MemoryItem]) !== JSON.stringify(updated[field as keyof MemoryItem]))
+    .sort();
+};
+
+/**
+ * Writes a new version of a memory item together with a history entry for the change
+ * The item is re-embedded when its content changes or it has no vector
+ * @param previous - The item before the change, or null when it is being restored
+ * @param updated - The new version
+ * @param action - What caused the change
+ * @returns The history entry, or null when nothing changed
+ */
+const writeRevision = async (
+  previous: MemoryItem | null,
+  updated: MemoryItem,
+  action: MemoryRevisionAction
+): Promise<MemoryRevision | null> => {
+  const changedFields = getChangedFields(previous, updated);
+  if (changedFields.length === 0) return null;
   
-  await saveMemoryToDisk();
+  const needsVector = !previous || previous.content !== updated.content || !memoryVectors.has(updated.id);
+  const vector = needsVector ? await embedText(updated.content) : null;
+  
+  memoryItems.set(updated.id, updated);
+  await persist({
+    items: [updated],
+    vectors: vector ? [setMemoryVector(updated.id, vector)] : [],
+    history: [{ itemId: updated.id, action, timestamp: new Date().toISOString(), changedFields, previous }]
+  });
+  
+  const history = await getMemoryStore().loadHistory(updated.id);
+  return history[history.length - 1];
 };
 
 /**
- * Gets connected memory items
+ * Updates fields of a memory item and records the change in its edit history
+ * The item is re-embedded when its content changes. Typed edges to targets that are
+ * no longer connected are dropped.
+ * @param itemId - The ID of the item to update
+ * @param changes - Fields to overwrite
+ * @returns The updated item and the history entry for the change
  */
-export const getConnectedMemories = async (itemId: string): Promise<MemoryItem[]> => {
+export const updateMemoryItem = async (
+  itemId: string,
+  changes: Partial<Omit<MemoryItem, 'id'>>
+): Promise<MemoryUpdateResult> => {
+  await initializeMemory();
+  
+  const item = memoryItems.get(itemId);
+  if (!item) {
+    throw new Error(`Memory item not found: ${itemId}`);
+  }
+  
+  const updated: MemoryItem = { ...item, ...changes, id: itemId };
+  if (changes.connections) {
+    // Connections stay inside the item's namespace, like graph links
+    const missing = changes.connections.filter(id => {
+      const target = memoryItems.get(id);
+      return id === itemId || !target || getMemoryNamespace(target) !== getMemoryNamespace(updated);
+    });
+    if (missing.length > 0) {
+      throw new Error(`Cannot connect memory item ${itemId} to: ${missing.join(', ')}`);
+    }
+    updated.connections = Array.from(new Set(changes.connections));
+    if (updated.edges) {
+      updated.edges = updated.edges.filter(edge => updated.connections.includes(edge.target));
+    }
+  }
+  // A new importance replaces the strength built up by retrieval
+  if (changes.importance !== undefined && changes.reinforcedStrength === undefined) {
+    delete updated.reinforcedStrength;
+  }
+  
+  const revision = await writeRevision(item, updated, 'update');
+  return { item: revision ? updated : item, revision };
+};
+
+/**
+ * Gets the edit history of a memory item
+ * History is kept after an item is deleted so deletions can be audited and undone
+ * @param itemId - The ID of the memory item
+ * @returns Revisions, oldest first, each holding the item as it was before the change
+ */
+export const getMemoryHistory = async (itemId: string): Promise<MemoryRevision[]> => {
+  await initializeMemory();
+  return getMemoryStore().loadHistory(itemId);
+};
+
+/**
+ * Rolls a memory item back to the state it had before a revision
+ * A deleted item is restored. Connections to items that no longer exist are dropped,
+ * and the rollback itself is recorded as a new revision.
+ * @param itemId - The ID of the memory item
+ * @param revision - The revision to undo, together with every later revision
+ * @returns The restored item and the history entry for the rollback
+ */
+export const rollbackMemoryItem = async (itemId: string, revision: number): Promise<MemoryUpdateResult> => {
+  await initializeMemory();
+  
+  const entry = (await getMemoryStore().loadHistory(itemId)).find(candidate => candidate.revision === revision);
+  if (!entry) {
+    throw new Error(`Revision ${revision} not found for memory item: ${itemId}`);
+  }
+  if (!entry.previous) {
+    throw new Error(`Revision ${revision} of memory item ${itemId} has no earlier state to restore`);
+  }
+  
+  const current = memoryItems.get(itemId) || null;
+  const restored: MemoryItem = {
+    ...entry.previous,
+    connections: entry.previous.connections.filter(id => memoryItems.has(id)),
+    ...(entry.previous.edges ? { edges: entry.previous.edges.filter(edge => memoryItems.has(edge.target)) } : {}),
+    // Retrieval statistics are not edits, so they stay current
+    accessCount: current?.accessCount ?? entry.previous.accessCount,
+    lastAccessed: current?.lastAccessed ?? entry.previous.lastAccessed,
+    reinforcedStrength: current?.reinforcedStrength ?? entry.previous.reinforcedStrength
+  };
+  
+  const rollback = await writeRevision(current, restored, 'rollback');
+  return { item: rollback ? restored : (current as MemoryItem), revision: rollback };
+};
+
+/**
+ * Gets the stored vector of a memory item
+ * @param itemId - The ID of the memory item
+ * @returns The vector record or null if the item has none
+ */
+export const getMemoryVector = async (itemId: string): Promise<MemoryVector | null> => {
+  await initializeMemory();
+  return memoryVectors.get(itemId) || null;
+};
+
+/**
+ * Writes memory items with their existing IDs, replacing any stored item with the same ID
+ * Supplied vectors are reused when they come from the active embedding provider;
+ * all other items are re-embedded. Each replaced item that changes gets an import revision,
+ * so the import can be audited and rolled back.
+ * @param entries - Items with their optional stored vectors
+ * @returns Number of items that were re-embedded
+ */
+export const restoreMemoryItems = async (
+  entries: Array<{ item: MemoryItem; vector?: MemoryVector }>
+): Promise<number> => {
+  await initializeMemory();
+  
+  const provider = getEmbeddingProvider();
+  const index = getVectorIndex(MEMORY_INDEX);
+  let reembedded = 0;
+  const vectors: MemoryVector[] = [];
+  
+  for (const { item, vector } of entries) {
+    const reuseVector = vector && vector.model === provider.id && vector.vector.length === provider.dimensions;
+    const memoryVector: MemoryVector = reuseVector
+      ? { ...vector, itemId: item.id }
+      : {
+        itemId: item.id,
+        vector: await embedText(item.content),
+        model: provider.id,
+        created: new Date().toISOString()
+      };
+    if (!reuseVector) reembedded++;
+    vectors.push(memoryVector);
+  }
+  
+  const timestamp = new Date().toISOString();
+  const history: Array<Omit<MemoryRevision, 'revision'>> = [];
+  for (const { item } of entries) {
+    const previous = memoryItems.get(item.id);
+    const changedFields = previous ? getChangedFields(previous, item) : [];
+    if (previous && changedFields.length > 0) {
+      history.push({ itemId: item.id, action: 'import', timestamp, changedFields, previous });
+    }
+  }
+  
+  await persist({ items: entries.map(entry => entry.item), vectors, history });
+  entries.forEach(({ item }, position) => {
+    memoryItems.set(item.id, item);
+    memoryVectors.set(item.id, vectors[position]);
+    index?.add(item.id, vectors[position].vector);
+  });
+  // Restores are batch operations, so write the index now rather than on a timer
+  await persistVectorIndex(MEMORY_INDEX);
+  return reembedded;
+};
+
+/**
+ * Deletes memory items along with their vectors and any connections pointing at them
+ * Each deleted item and each item that loses a connection gets a history entry
+ * @param ids - The IDs of the items to delete
+ * @returns The deleted IDs and the number of items whose connections were removed
+ */
+const removeMemoryItems = async (ids: string[]): Promise<{ deleted: string[]; detached: number }> => {
+  const deleted = new Set(ids.filter(id => memoryItems.has(id)));
+  if (deleted.size === 0) return { deleted: [], detached: 0 };
+  
+  const timestamp = new Date().toISOString();
+  const history: Array<Omit<MemoryRevision, 'revision'>> = [];
+  const index = getVectorIndex(MEMORY_INDEX);
+  for (const id of Array.from(deleted)) {
+    history.push({
+      itemId: id,
+      action: 'delete',
+      timestamp,
+      changedFields: [],
+      previous: memoryItems.get(id) as MemoryItem
+    });
+    memoryItems.delete(id);
+    memoryVectors.delete(id);
+    index?.remove(id);
+  }
+  
+  // Drop connections and edges to the deleted items
+  const referrers: MemoryItem[] = [];
+  for (const item of Array.from(memoryItems.values())) {
+    if (!item.connections.some(id => deleted.has(id))) continue;
+    
+    const previous = { ...item };
+    item.connections = item.connections.filter(id => !deleted.has(id));
+    if (item.edges) {
+      item.edges = item.edges.filter(edge => !deleted.has(edge.target));
+    }
+    referrers.push(item);
+    history.push({ itemId: item.id, action: 'update', timestamp, changedFields: getChangedFields(previous, item), previous });
+  }
+  
+  await persist({ deleteIds: Array.from(deleted), items: referrers, history });
+  if (index) {
+    scheduleIndexPersist(MEMORY_INDEX);
+  }
+  return { deleted: Array.from(deleted), detached: referrers.length };
+};
+
+/**
+ * Deletes memory items along with their vectors and any connections pointing at them
+ * @param ids - The IDs of the items to delete
+ * @returns Number of items deleted
+ */
+export const deleteMemoryItems = async (ids: string[]): Promise<number> => {
+  await initializeMemory();
+  return (await removeMemoryItems(ids)).deleted.length;
+};
+
+/**
+ * Checks whether a memory item passes a filter
+ * @param item - The memory item
+ * @param filter - Type, namespace, date range and importance criteria
+ */
+export const matchesMemoryFilter = (item: MemoryItem, filter: MemoryFilter = {}): boolean => {
+  if (filter.types?.length && !filter.types.includes(item.type)) return false;
+  if (filter.namespaces?.length && !filter.namespaces.includes(getMemoryNamespace(item))) return false;
+  if (filter.minImportance !== undefined && item.importance < filter.minImportance) return false;
+  if (filter.maxImportance !== undefined && item.importance > filter.maxImportance) return false;
+  
+  const time = new Date(item.timestamp).getTime();
+  if (filter.since && time < new Date(filter.since).getTime()) return false;
+  if (filter.until && time > new Date(filter.until).getTime()) return false;
+  return true;
+};
+
+/**
+ * Deletes memory items by ID, by filter, or by IDs that also pass a filter
+ * @param target - Item IDs and/or a filter; at least one criterion is required
+ * @param dryRun - Only report which items would be deleted
+ * @returns The deleted (or matching) IDs, unknown IDs and the number of detached referrers
+ */
+export const deleteMemories = async (
+  target: { ids?: string[]; filter?: MemoryFilter },
+  dryRun: boolean = false
+): Promise<MemoryDeleteResult> => {
+  await initializeMemory();
+  
+  const filter = target.filter || {};
+  const hasFilter = Object.values(filter).some(value => (Array.isArray(value) ? value.length > 0 : value !== undefined));
+  if (!target.ids?.length && !hasFilter) {
+    throw new Error('Deleting memory requires item IDs or at least one filter criterion');
+  }
+  
+  const notFound = (target.ids || []).filter(id => !memoryItems.has(id));
+  const candidates = target.ids?.length
+    ? target.ids.filter(id => memoryItems.has(id)).map(id => memoryItems.get(id) as MemoryItem)
+    : Array.from(memoryItems.values());
+  const matching = candidates.filter(item => matchesMemoryFilter(item, filter)).map(item => item.id);
+  
+  if (dryRun) {
+    return { deleted: matching, notFound, detached: 0, dryRun };
+  }
+  const { deleted, detached } = await removeMemoryItems(matching);
+  return { deleted, notFound, detached, dryRun };
+};
+
+/**
+ * Finds the memory items most similar to a stored item
+ * @param itemId - The ID of the reference item
+ * @param limit - Maximum number of results
+ * @param minSimilarity - Minimum cosine similarity of a result
+ * @returns Similar items, most similar first, excluding the reference item
+ */
+export const findSimilarMemories = async (
+  itemId: string,
+  limit: number = 10,
+  minSimilarity: number = 0
+): Promise<Array<{ item: MemoryItem; similarity: number }>> => {
+  await initializeMemory();
+  
+  const vector = memoryVectors.get(itemId)?.vector;
+  const index = getVectorIndex(MEMORY_INDEX);
+  if (!vector || !index) return [];
+  
+  return index.search(vector, Math.max((limit + 1) * CANDIDATE_MULTIPLIER, MIN_CANDIDATES))
+    .filter(result => result.id !== itemId && result.similarity >= minSimilarity && memoryItems.has(result.id))
+    .slice(0, limit)
+    .map(result => ({ item: memoryItems.get(result.id) as MemoryItem, similarity: result.similarity }));
+};
+
+/**
+ * Gets the relationship types allowed in the semantic memory graph
+ * Taken from the semantic memory organization in the MCP config
+ */
+export const getRelationshipTypes = (): string[] => {
+  const semanticMemory = mcpConfig.memory.components.find(component => component.name === 'semantic_memory');
+  const organization = semanticMemory?.organization as { relationshipTypes?: string[] } | undefined;
+  return [...(organization?.relationshipTypes || []), DEFAULT_RELATION];
+};
+
+/**
+ * Gets the outgoing edges of a memory item
+ * Plain connections without a typed edge are reported as DEFAULT_RELATION
+ * @param item - The memory item
+ * @returns Outgoing edges
+ */
+export const getMemoryEdges = (item: MemoryItem): MemoryEdge[] => {
+  const edges = item.edges || [];
+  const typedTargets = new Set(edges.map(edge => edge.target));
+  
+  return [
+    ...edges,
+    ...item.connections
+      .filter(target => !typedTargets.has(target))
+      .map(target => ({ target, relation: DEFAULT_RELATION, weight: 1 }))
+  ];
+};
+
+/**
+ * Gets connected memory items along with the type and weight of each edge
+ */
+export const getConnectedMemories = async (itemId: string): Promise<ConnectedMemoryItem[]> => {
   await initializeMemory();
   
   const item = memoryItems.get(itemId);
@@ -367,38 +1010,57 @@ export const getConnectedMemories = async (itemId: string): Promise<MemoryItem[]
     return [];
   }
   
-  return item.connections
-    .map(id => memoryItems.get(id))
-    .filter((item): item is MemoryItem => item !== undefined);
+  return getMemoryEdges(item)
+    .filter(edge => memoryItems.has(edge.target))
+    .map(edge => ({
+      ...(memoryItems.get(edge.target) as MemoryItem),
+      relation: edge.relation,
+      weight: edge.weight
+    }));
 };
 
 /**
  * Gets memory statistics
+ * @param scope - Namespace selection (every namespace when omitted)
  */
-export const getMemoryStats = async (): Promise<{
+export const getMemoryStats = async (scope?: MemoryScope): Promise<{
   totalItems: number;
   byType: Record<string, number>;
+  byNamespace: Record<string, {
+    totalItems: number;
+    byType: Record<string, number>;
+  }>;
   averageConnections: number;
   topConnected: Array<{
     id: string;
     connections: number;
   }>;
 }> => {
-  await initializeMemory();
-  
-  const items = Array.from(memoryItems.values());
+  const items = await getAllMemoryItems(scope);
   const byType: Record<string, number> = {};
+  const byNamespace: Record<string, { totalItems: number; byType: Record<string, number> }> = {};
   let totalConnections = 0;
   
+  // Only connections inside an item's namespace count, like in the memory graph
+  const connectionCount = (item: MemoryItem): number => item.connections.filter(id => {
+    const target = memoryItems.get(id);
+    return target !== undefined && getMemoryNamespace(target) === getMemoryNamespace(item);
+  }).length;
+  
   items.forEach(item => {
     byType[item.type] = (byType[item.type] || 0) + 1;
-    totalConnections += item.connections.length;
+    totalConnections += connectionCount(item);
+    
+    const namespace = getMemoryNamespace(item);
+    byNamespace[namespace] = byNamespace[namespace] || { totalItems: 0, byType: {} };
+    byNamespace[namespace].totalItems++;
+    byNamespace[namespace].byType[item.type] = (byNamespace[namespace].byType[item.type] || 0) + 1;
   });
   
   const topConnected = items
     .map(item => ({
       id: item.id,
-      connections: item.connections.length
+      connections: connectionCount(item)
     }))
     .sort((a, b) => b.connections - a.connections)
     .slice(0, 10);
@@ -406,6 +1068,7 @@ export const getMemoryStats = async (): Promise<{
   return {
     totalItems: items.length,
     byType,
+    byNamespace,
     averageConnections: items.length > 0 ? totalConnections / items.length : 0,
     topConnected
   };
@@ -419,48 +1082,33 @@ export const performMemoryMaintenance = async (): Promise<number> => {
   let cleanedItems = 0;
   
   try {
+    // Archive items that have been forgotten
+    cleanedItems += await archiveForgottenMemories();
+    
     // Clean up orphaned connections
     const validIds = new Set(memoryItems.keys());
+    const changed: MemoryItem[] = [];
     
     // Convert the Map values iterator to an array to avoid downlevelIteration issues
     const itemsArray = Array.from(memoryItems.values());
     for (const item of itemsArray) {
       const originalConnections = item.connections.length;
+      const originalEdges = item.edges?.length || 0;
       item.connections = item.connections.filter(id => validIds.has(id));
-      
-      if (item.connections.length !== originalConnections) {
-        cleanedItems++;
-        const itemFile = path.join(MEMORY_DIR, `${item.id}.json`);
-        await fs.promises.writeFile(itemFile, JSON.stringify(item, null, 2));
+      if (item.edges) {
+        item.edges = item.edges.filter(edge => validIds.has(edge.target));
       }
-    }
-    
-    // Clean up old individual files
-    const files = await fs.promises.readdir(MEMORY_DIR);
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue;
       
-      const id = file.replace('.json', '');
-      if (!memoryItems.has(id)) {
-        await fs.promises.unlink(path.join(MEMORY_DIR, file));
+      if (item.connections.length !== originalConnections || (item.edges?.length || 0) !== originalEdges) {
         cleanedItems++;
+        changed.push(item);
       }
     }
     
-    // Clean up orphaned vector files
-    const vectorFiles = await fs.promises.readdir(VECTOR_DIR);
-    for (const file of vectorFiles) {
-      if (!file.endsWith('.json') || file === 'vectors.json') continue;
-      
-      const id = file.replace('.json', '');
-      if (!memoryItems.has(id)) {
-        await fs.promises.unlink(path.join(VECTOR_DIR, file));
-        cleanedItems++;
-      }
-    }
+    await persist({ items: changed });
     
-    await saveMemoryToDisk();
-    await saveVectorsToDisk();
+    // Rebuild the ANN index to drop deleted entries and restore graph quality
+    await rebuildMemoryIndex();
     return cleanedItems;
   } catch (error) {
     console.error('Error performing memory maintenance:', error);
@@ -469,54 +1117,85 @@ export const performMemoryMaintenance = async (): Promise<number> => {
 };
 
 /**
- * Calculates text-based relevance score between query and memory item
- * This uses traditional text similarity rather than vectors
+ * Archives memory items whose strength has fallen below the archive threshold
+ * Archived items are removed from active memory and written with their vectors
+ * to the archive directory
+ * @returns Number of items archived
  */
-const calculateTextRelevance = (query: string, item: MemoryItem): number => {
-  const queryWords = query.toLowerCase().split(/\s+/);
-  const contentWords = item.content.toLowerCase().split(/\s+/);
-  
-  // Calculate word overlap
-  const querySet = new Set(queryWords);
-  const contentSet = new Set(contentWords);
-  // Use Array.from instead of spread operator to avoid downlevelIteration issues
-  const intersection = new Set(Array.from(querySet).filter(x => contentSet.has(x)));
-  
-  // Create union without spread operator
-  const union = new Set();
-  Array.from(querySet).forEach(item => union.add(item));
-  Array.from(contentSet).forEach(item => union.add(item));
+export const archiveForgottenMemories = async (): Promise<number> => {
+  await initializeMemory();
   
-  // Jaccard similarity
-  const similarity = intersection.size / union.size;
+  const { archiveThreshold } = getForgettingConfig();
+  const now = Date.now();
+  const forgotten = Array.from(memoryItems.values())
+    .filter(item => getMemoryStrength(item, now) < archiveThreshold);
   
-  // Boost by importance and recency
-  const importanceBoost = item.importance || 0.5;
-  const age = Date.now() - new Date(item.timestamp).getTime();
-  const recencyBoost = Math.max(0.1, 1 - (age / (30 * 24 * 60 * 60 * 1000))); // Decay over 30 days
+  if (forgotten.length === 0) return 0;
   
-  // Create contextual boost based on memory type
-  const typeBoost = (() => {
-    switch (item.type) {
-      case 'episodic': return 1.0; // Recent experiences are valuable
-      case 'semantic': return 1.2; // General knowledge is usually more relevant
-      case 'procedural': return 0.8; // Procedural memories vary in relevance
-      case 'working': return 1.5; // Working memory is most relevant for current task
-      default: return 1.0;
-    }
-  })();
+  await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+  for (const item of forgotten) {
+    const archived = {
+      ...item,
+      archivedAt: new Date(now).toISOString(),
+      vector: memoryVectors.get(item.id)
+    };
+    await fs.promises.writeFile(path.join(ARCHIVE_DIR, `${item.id}.json`), JSON.stringify(archived, null, 2));
+  }
   
-  return similarity * importanceBoost * recencyBoost * typeBoost;
+  console.log(`Archiving ${forgotten.length} forgotten memory items`);
+  return deleteMemoryItems(forgotten.map(item => item.id));
+};
+
+/**
+ * Rebuilds the memory ANN index from the stored vectors
+ * @returns Number of indexed vectors
+ */
+export const rebuildMemoryIndex = async (): Promise<number> => {
+  await initializeMemory();
+  const index = await rebuildVectorIndex(MEMORY_INDEX, getVectorMap());
+  return index.size;
+};
+
+/**
+ * Re-embeds memory vectors with the active embedding provider
+ * Used when the provider changes so memory and vector stores share one embedding space
+ * @param force - Re-embed every item, not only those from another provider
+ * @returns Number of items re-embedded
+ */
+export const migrateMemoryEmbeddings = async (force: boolean = false): Promise<number> => {
+  await initializeMemory();
+  return ensureVectorEmbeddings(force);
 };
 
 export default {
   storeMemory,
   retrieveMemory,
+  searchMemory,
+  searchMemoryText,
   getMemoryById,
   getAllMemoryItems,
   updateMemoryConnections,
+  updateMemoryEdges,
+  updateMemoryItem,
+  getMemoryHistory,
+  rollbackMemoryItem,
+  restoreMemoryItems,
+  getMemoryVector,
+  deleteMemoryItems,
+  deleteMemories,
+  matchesMemoryFilter,
+  findSimilarMemories,
   getConnectedMemories,
   getMemoryStats,
   performMemoryMaintenance,
-  getMemoryItemsByType
-} as IMemoryService;
\ No newline at end of file
+  archiveForgottenMemories,
+  getMemoryStrength,
+  getMemoryItemsByType,
+  getMemoryNamespaces,
+  getDefaultNamespace,
+  migrateMemoryEmbeddings,
+  rebuildMemoryIndex,
+  getMemoryStore,
+  setMemoryStore,
+  closeMemoryStore
+};
\ No newline at end of file
@@ -0,0 +1,323 @@
+/**
+ * Memory Transfer Service
+ * Exports memory items, their connections and optionally their vectors to a portable
+ * JSONL file or single-document archive, and imports them back
+ *
+ * Files are read and written in the export directory under MCP_DB_DIR, since tool callers
+ * choose the path. Only the command line script may use paths elsewhere.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import {
+  MemoryEdge,
+  MemoryExportFormat,
+  MemoryExportOptions,
+  MemoryExportRecord,
+  MemoryExportResult,
+  MemoryImportOptions,
+  MemoryImportResult,
+  MemoryItem,
+  MemoryVector
+} from '../models/types.js';
+import { mcpConfig } from '../config/mcp-config.js';
+import { resolveInsideDir } from '../utils/PathUtils.js';
+import { getEmbeddingProvider } from './embeddingService.js';
+import {
+  getAllMemoryItems,
+  getMemoryVector,
+  matchesMemoryFilter,
+  restoreMemoryItems
+} from './memoryService.js';
+
+const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
+export const MEMORY_EXPORT_DIR = path.join(DB_DIR, 'exports');
+
+const EXPORT_FORMAT_ID = 'mcp-memory-export';
+const EXPORT_VERSION = 1;
+
+const MEMORY_TYPES: MemoryItem['type'][] = ['working', 'episodic', 'semantic', 'procedural'];
+
+// Largest export read from a file, once decompressed, when the MCP config does not set one
+const DEFAULT_MAX_IMPORT_BYTES = 512 * 1024 * 1024;
+
+/**
+ * First line of a JSONL export, or the top-level fields of an archive
+ */
+interface MemoryExportHeader {
+  format: typeof EXPORT_FORMAT_ID;
+  version: number;
+  exportedAt: string;
+  embeddingProvider: string;
+  includesVectors: boolean;
+  count: number;
+}
+
+/**
+ * Picks the export format from a file name
+ */
+const formatForPath = (filePath: string): MemoryExportFormat => {
+  return /\.json(\.gz)?$/i.test(filePath) ? 'archive' : 'jsonl';
+};
+
+/**
+ * Serialises memory items in the export format
+ * @param options - Format, vector inclusion and filter
+ * @returns The export document and the number of items in it
+ */
+const serializeMemories = async (
+  options: MemoryExportOptions
+): Promise<{ content: string; count: number; format: MemoryExportFormat }> => {
+  const format = options.format || (options.path ? formatForPath(options.path) : 'jsonl');
+  const items = (await getAllMemoryItems())
+    .filter(item => matchesMemoryFilter(item, options.filter))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+  const records: MemoryExportRecord[] = [];
+  for (const item of items) {
+    const stored = options.includeVectors ? await getMemoryVector(item.id) : null;
+    records.push(stored ? { item, vector: { vector: stored.vector, model: stored.model } } : { item });
+  }
+
+  const header: MemoryExportHeader = {
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    embeddingProvider: getEmbeddingProvider().id,
+    includesVectors: Boolean(options.includeVectors),
+    count: records.length
+  };
+
+  const content = format === 'archive'
+    ? JSON.stringify({ ...header, items: records }, null, 2)
+    : [header, ...records].map(line => JSON.stringify(line)).join('\n') + '\n';
+
+  return { content, count: records.length, format };
+};
+
+/**
+ * Checks an export record for everything the memory store relies on
+ * Connections may be omitted and default to none; relevance, reinforcedStrength, edges and namespace are optional.
+ * @returns What is wrong with the record, or null if it is valid
+ */
+const findRecordProblem = (record: MemoryExportRecord): string | null => {
+  const item = record?.item;
+  if (!item || typeof item.id !== 'string' || typeof item.content !== 'string' || !MEMORY_TYPES.includes(item.type)) {
+    return 'is not a memory item';
+  }
+  if (typeof item.timestamp !== 'string' || Number.isNaN(new Date(item.timestamp).getTime())) {
+    return 'has no valid timestamp';
+  }
+  if (typeof item.importance !== 'number' || !Number.isFinite(item.importance)) {
+    return 'has no numeric importance';
+  }
+  if (item.relevance !== undefined && (typeof item.relevance !== 'number' || !Number.isFinite(item.relevance))) {
+    return 'has a relevance that is not a number';
+  }
+  if (item.reinforcedStrength !== undefined && (typeof item.reinforcedStrength !== 'number' || !Number.isFinite(item.reinforcedStrength))) {
+    return 'has a reinforcedStrength that is not a number';
+  }
+  if (item.connections !== undefined && (!Array.isArray(item.connections) || item.connections.some(id => typeof id !== 'string'))) {
+    return 'has connections that are not a list of item IDs';
+  }
+  if (item.edges !== undefined && (!Array.isArray(item.edges) || item.edges.some(edge =>
+    typeof edge?.target !== 'string' || typeof edge.relation !== 'string' || typeof edge.weight !== 'number' || !(edge.weight > 0)))) {
+    return 'has edges that are not a list of { target, relation, weight }';
+  }
+  if (item.namespace !== undefined && typeof item.namespace !== 'string') {
+    return 'has a namespace that is not a string';
+  }
+
+  if (record.vector !== undefined) {
+    const { vector, model } = record.vector || {};
+    if (!Array.isArray(vector) || vector.length === 0 || vector.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+      return 'has a vector that is not a list of numbers';
+    }
+    if (model !== undefined && typeof model !== 'string') {
+      return 'has a vector model that is not a string';
+    }
+    const provider = getEmbeddingProvider();
+    if (model === provider.id && vector.length !== provider.dimensions) {
+      return `has a ${vector.length} dimensional vector from the ${provider.dimensions} dimensional provider ${model}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Parses an export document in either format
+ * @param content - JSONL or archive text
+ * @returns The export records
+ */
+const parseMemoryExport = (content: string): MemoryExportRecord[] => {
+  const trimmed = content.trim();
+  const firstLine = trimmed.split('\n', 1)[0];
+
+  let header: MemoryExportHeader & { items?: MemoryExportRecord[] };
+  let records: MemoryExportRecord[];
+  try {
+    if (firstLine.trim() === '{' || firstLine.includes('"items"')) {
+      // Archive: one JSON document holding the header fields and the items
+      header = JSON.parse(trimmed);
+      records = header.items || [];
+    } else {
+      const lines = trimmed.split('\n').filter(line => line.trim() !== '');
+      header = JSON.parse(lines[0]);
+      records = lines.slice(1).map(line => JSON.parse(line));
+    }
+  } catch (error) {
+    throw new Error(`Invalid memory export: ${error instanceof Error ? error.message : String(error)}`);
+  }
+
+  if (header.format !== EXPORT_FORMAT_ID) {
+    throw new Error(`Invalid memory export: expected format "${EXPORT_FORMAT_ID}"`);
+  }
+  if (header.version > EXPORT_VERSION) {
+    throw new Error(`Unsupported memory export version ${header.version}`);
+  }
+
+  records.forEach((record, position) => {
+    const problem = findRecordProblem(record);
+    if (problem) {
+      throw new Error(`Invalid memory export: record ${position + 1} ${problem}`);
+    }
+  });
+  return records;
+};
+
+/**
+ * Reads an export file, decompressing it if it is gzipped
+ * @throws If the export is larger than maxImportBytes, once decompressed
+ */
+const readExportFile = async (filePath: string): Promise<string> => {
+  const maxBytes = mcpConfig.memory.maxImportBytes ?? DEFAULT_MAX_IMPORT_BYTES;
+  const tooLarge = new Error(`Memory export ${filePath} is larger than ${maxBytes} bytes`);
+  if ((await fs.promises.stat(filePath)).size > maxBytes) {
+    throw tooLarge;
+  }
+
+  const data = await fs.promises.readFile(filePath);
+  // Gzip magic number
+  if (data[0] !== 0x1f || data[1] !== 0x8b) {
+    return data.toString('utf8');
+  }
+  try {
+    return zlib.gunzipSync(data, { maxOutputLength: maxBytes }).toString('utf8');
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ERR_BUFFER_TOO_LARGE') {
+      throw tooLarge;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Merges the connections and edges of an imported item into an existing item
+ * Edges with the same target and relation keep the larger weight
+ */
+const mergeConnections = (existing: MemoryItem, incoming: MemoryItem): MemoryItem => {
+  const edges = new Map<string, MemoryEdge>();
+  [...(existing.edges || []), ...(incoming.edges || [])].forEach(edge => {
+    const key = `${edge.target}\u0000${edge.relation}`;
+    const current = edges.get(key);
+    if (!current || edge.weight > current.weight) {
+      edges.set(key, edge);
+    }
+  });
+
+  return {
+    ...existing,
+    connections: Array.from(new Set([...existing.connections, ...(incoming.connections || [])])),
+    ...(edges.size > 0 ? { edges: Array.from(edges.values()) } : {})
+  };
+};
+
+/**
+ * Exports memory items
+ * @param options - Destination file, format, vector inclusion and filter
+ * @returns The number of items exported, and the export itself when no path is given
+ */
+export const exportMemories = async (options: MemoryExportOptions = {}): Promise<MemoryExportResult> => {
+  const { content, count, format } = await serializeMemories(options);
+
+  if (!options.path) {
+    return { count, format, content };
+  }
+
+  const filePath = options.anyPath ? path.resolve(options.path) : await resolveInsideDir(MEMORY_EXPORT_DIR, options.path, 'Memory export');
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, filePath.endsWith('.gz') ? zlib.gzipSync(content) : content);
+  return { count, format, path: filePath };
+};
+
+/**
+ * Imports memory items from an export
+ * Vectors from another embedding provider, or missing vectors, are re-embedded.
+ * Connections to items that exist neither in the import nor in memory are dropped.
+ * @param source - A file in the export directory (JSONL, archive, optionally gzipped) or the export content
+ * @param options - Conflict handling and filter
+ * @returns Counts of imported, overwritten, merged, skipped, filtered and re-embedded items
+ */
+export const importMemories = async (
+  source: { path?: string; content?: string },
+  options: MemoryImportOptions = {}
+): Promise<MemoryImportResult> => {
+  let content = source.content;
+  if (source.path) {
+    const filePath = options.anyPath ? path.resolve(source.path) : await resolveInsideDir(MEMORY_EXPORT_DIR, source.path, 'Memory export');
+    content = await readExportFile(filePath);
+  }
+  if (content === undefined) {
+    throw new Error('Either a path or export content is required');
+  }
+
+  const onConflict = options.onConflict || 'skip';
+  const records = parseMemoryExport(content);
+  const existing = new Map((await getAllMemoryItems()).map(item => [item.id, item]));
+  const result: MemoryImportResult = { imported: 0, overwritten: 0, merged: 0, skipped: 0, filtered: 0, reembedded: 0 };
+  const entries: Array<{ item: MemoryItem; vector?: MemoryVector }> = [];
+
+  for (const record of records) {
+    if (!matchesMemoryFilter(record.item, options.filter)) {
+      result.filtered++;
+      continue;
+    }
+
+    const current = existing.get(record.item.id);
+    const vector: MemoryVector | undefined = record.vector
+      ? { itemId: record.item.id, vector: record.vector.vector, model: record.vector.model, created: new Date().toISOString() }
+      : undefined;
+
+    if (!current) {
+      entries.push({ item: { ...record.item, connections: record.item.connections || [] }, vector });
+      result.imported++;
+    } else if (onConflict === 'overwrite') {
+      entries.push({ item: { ...record.item, connections: record.item.connections || [] }, vector });
+      result.overwritten++;
+    } else if (onConflict === 'merge') {
+      // Content is unchanged, so the stored vector stays valid
+      entries.push({ item: mergeConnections(current, record.item), vector: (await getMemoryVector(current.id)) || undefined });
+      result.merged++;
+    } else {
+      result.skipped++;
+    }
+  }
+
+  // Drop connections to items that will not exist after the import
+  const knownIds = new Set([...Array.from(existing.keys()), ...entries.map(entry => entry.item.id)]);
+  entries.forEach(entry => {
+    entry.item.connections = entry.item.connections.filter(id => knownIds.has(id));
+    if (entry.item.edges) {
+      entry.item.edges = entry.item.edges.filter(edge => knownIds.has(edge.target));
+    }
+  });
+
+  result.reembedded = await restoreMemoryItems(entries);
+  return result;
+};
+
+export default {
+  exportMemories,
+  importMemories
+};
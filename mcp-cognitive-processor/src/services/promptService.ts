@@ -0,0 +1,209 @@
+/**
+ * Prompt Service
+ * Exposes the thinking models, reasoning systems and step-by-step components from the
+ * configuration as prompt templates, so clients can fetch a structured prompt without calling a tool
+ */
+
+import { mcpConfig } from '../config/mcp-config.js';
+import { PromptArgument, PromptTemplate, RenderedPrompt } from '../models/types.js';
+
+type PromptArgs = Record<string, string | undefined>;
+
+interface PromptDefinition {
+  template: PromptTemplate;
+  render(args: PromptArgs): string;
+}
+
+const THINKING_PREFIX = 'thinking_';
+const REASONING_PREFIX = 'reasoning_';
+const COMPONENT_PREFIX = 'component_';
+
+// How each reasoning system should lay out its answer
+const REASONING_STRUCTURE: Record<string, string> = {
+  tree_of_thought:
+    'Lay out several candidate approaches as branches. Evaluate each branch, prune the weaker ones with a short reason, and develop the most promising one to a conclusion.',
+  chain_of_thought:
+    'Number each step and let each one build on the step before it. Do not skip from the problem straight to the answer.',
+  parallel_thought:
+    'Identify the independent aspects of the problem and analyze each in its own section, then combine the findings into one conclusion.'
+};
+
+const problemArguments: PromptArgument[] = [
+  { name: 'problem', description: 'The problem or question to work on', required: true },
+  { name: 'context', description: 'Background, constraints or prior work to take into account', required: false }
+];
+
+const humanize = (name: string): string => name.replace(/_/g, ' ');
+
+const listNames = (items: { name: string }[]): string => items.map(item => item.name).join(', ');
+
+const describeProblem = (args: PromptArgs): string => {
+  const sections = [`Problem:\n${args.problem}`];
+  if (args.context) {
+    sections.push(`Context:\n${args.context}`);
+  }
+  return sections.join('\n\n');
+};
+
+const buildThinkingPrompts = (): PromptDefinition[] => {
+  const { abstractionLevels } = mcpConfig.core.intelligence;
+
+  return mcpConfig.core.thinkingModels.map(model => ({
+    template: {
+      name: `${THINKING_PREFIX}${model.name}`,
+      description: `${model.description || humanize(model.name)} (${model.name} thinking model)`,
+      arguments: [
+        ...problemArguments,
+        {
+          name: 'abstraction_level',
+          description: `Level to reason at: ${listNames(abstractionLevels)}`,
+          required: false
+        }
+      ]
+    },
+    render: args => {
+      const lines = [`Use the ${humanize(model.name)} thinking model${model.description ? `: ${model.description}` : ''}.`];
+      if (model.complexity && model.tokenLimit) {
+        lines.push(`Expected complexity: ${model.complexity}. Token budget: ${humanize(model.tokenLimit)}.`);
+      }
+      lines.push('', describeProblem(args));
+
+      if (args.abstraction_level) {
+        const level = abstractionLevels.find(candidate => candidate.name === args.abstraction_level);
+        if (!level) {
+          throw new Error(`Unknown abstraction_level "${args.abstraction_level}". Use one of: ${listNames(abstractionLevels)}`);
+        }
+        lines.push('', `Work at the ${level.name} level, focusing on: ${level.focus}.`);
+      }
+
+      if (model.features && model.features.length > 0) {
+        lines.push('', 'Apply these techniques:', ...model.features.map(feature => `- ${humanize(feature)}`));
+      }
+
+      lines.push('', 'Present your reasoning as numbered steps, then state your conclusion and how confident you are in it.');
+      return lines.join('\n');
+    }
+  }));
+};
+
+const buildReasoningPrompts = (): PromptDefinition[] =>
+  mcpConfig.core.intelligence.reasoningSystems.map(system => ({
+    template: {
+      name: `${REASONING_PREFIX}${system.name}`,
+      description: `${system.description} (${system.name} reasoning)`,
+      arguments: [
+        ...problemArguments,
+        { name: 'max_steps', description: 'Maximum number of reasoning steps', required: false }
+      ]
+    },
+    render: args => {
+      const lines = [
+        `Reason about the problem using ${humanize(system.name)}: ${system.description}.`,
+        `${system.implementation}.`,
+        '',
+        describeProblem(args),
+        '',
+        REASONING_STRUCTURE[system.name] || 'Make each step of your reasoning explicit.'
+      ];
+
+      if (args.max_steps) {
+        const maxSteps = Number(args.max_steps);
+        if (!Number.isInteger(maxSteps) || maxSteps < 1) {
+          throw new Error(`max_steps must be a positive integer, got "${args.max_steps}"`);
+        }
+        lines.push(`Use at most ${maxSteps} steps.`);
+      }
+
+      lines.push('Finish with a conclusion and your confidence in it.');
+      return lines.join('\n');
+    }
+  }));
+
+const buildComponentPrompts = (): PromptDefinition[] => {
+  if (!mcpConfig.stepByStepThinking.enabled) {
+    return [];
+  }
+
+  return mcpConfig.stepByStepThinking.components.map(component => {
+    const outputFormats = component.outputFormats || [];
+    const promptArguments = [...problemArguments];
+    if (outputFormats.length > 0) {
+      promptArguments.push({
+        name: 'output_format',
+        description: `Format of the result: ${listNames(outputFormats)} (default ${outputFormats[0].name})`,
+        required: false
+      });
+    }
+
+    return {
+      template: {
+        name: `${COMPONENT_PREFIX}${component.name}`,
+        description: `${component.description} (${component.name} step)`,
+        arguments: promptArguments
+      },
+      render: args => {
+        const lines = [
+          `Act as the ${humanize(component.name)}: ${component.description}.`,
+          '',
+          describeProblem(args),
+          '',
+          'Cover each of the following:',
+          ...component.capabilities.map(capability => `- ${humanize(capability.name)}: ${capability.description}`)
+        ];
+
+        if (outputFormats.length > 0) {
+          const formatName = args.output_format || outputFormats[0].name;
+          const format = outputFormats.find(candidate => candidate.name === formatName);
+          if (!format) {
+            throw new Error(`Unknown output_format "${formatName}". Use one of: ${listNames(outputFormats)}`);
+          }
+          lines.push('', `Present the result as a ${humanize(format.name)}: ${format.description}.`);
+        }
+
+        return lines.join('\n');
+      }
+    };
+  });
+};
+
+const buildPrompts = (): PromptDefinition[] => [
+  ...buildThinkingPrompts(),
+  ...buildReasoningPrompts(),
+  ...buildComponentPrompts()
+];
+
+/**
+ * Lists the available prompt templates
+ * @returns One template per thinking model, reasoning system and step-by-step component
+ */
+export const listPrompts = (): PromptTemplate[] => buildPrompts().map(prompt => prompt.template);
+
+/**
+ * Fills in a prompt template
+ * @param name - Template name, as returned by listPrompts
+ * @param args - Argument values by name
+ * @returns The prompt as a single user message, or null if there is no template with that name
+ * @throws If a required argument is missing or an argument has an invalid value
+ */
+export const getPrompt = (name: string, args: PromptArgs = {}): RenderedPrompt | null => {
+  const prompt = buildPrompts().find(candidate => candidate.template.name === name);
+  if (!prompt) {
+    return null;
+  }
+
+  const missing = prompt.template.arguments.filter(argument => argument.required && !args[argument.name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s) for prompt ${name}: ${listNames(missing)}`);
+  }
+
+  return {
+    description: prompt.template.description,
+    messages: [{ role: 'user', content: { type: 'text', text: prompt.render(args) } }]
+  };
+};
+
+// Export as both named exports and as default object
+export default {
+  listPrompts,
+  getPrompt
+};
@@ -0,0 +1,133 @@
+/**
+ * Request Coalescing Service
+ * Lets concurrent identical requests share one in-flight computation instead of each
+ * missing the cache and running the full pipeline
+ */
+
+import { CoalescingStats } from '../models/types.js';
+
+interface Flight {
+  promise: Promise<unknown>;
+  controller: AbortController; // Aborts the computation once every caller has cancelled
+  waiters: number; // Callers that have not cancelled
+  listeners: Set<(progress: unknown) => void>; // Progress callbacks of the callers still waiting
+}
+
+// Pending computations by scope and key
+const inFlight = new Map<string, Flight>();
+
+const counters: Record<string, { calls: number; coalesced: number }> = {};
+
+/**
+ * Releases a key, unless a newer computation has already taken it over
+ */
+const release = (flightKey: string, flight: Flight): void => {
+  if (inFlight.get(flightKey) === flight) {
+    inFlight.delete(flightKey);
+  }
+};
+
+/**
+ * Runs a computation unless an identical one is already in flight, in which case its result is shared
+ * Errors are shared the same way, and the key is released once the computation settles.
+ * A caller's signal only aborts the computation once every caller sharing it has cancelled,
+ * which also releases the key; callers without a signal keep it running.
+ * Progress the computation reports reaches every caller still waiting on it, not just the first.
+ * @param scope - What is computed, e.g. the tool name
+ * @param key - Identifies identical requests within the scope, usually their cache key
+ * @param run - The computation, given a signal that is aborted when it is no longer wanted
+ *   and a function that reports progress to the waiting callers
+ * @param signal - Aborted when this caller cancels its request
+ * @param onProgress - Called with each progress update while this caller waits
+ * @returns The result, and whether it came from a request already in flight
+ */
+export const coalesce = async <T, P = never>(
+  scope: string,
+  key: string,
+  run: (signal: AbortSignal, reportProgress: (progress: P) => void) => Promise<T>,
+  signal?: AbortSignal,
+  onProgress?: (progress: P) => void
+): Promise<{ result: T; coalesced: boolean }> => {
+  const flightKey = `${scope}:${key}`;
+  const counter = counters[scope] || (counters[scope] = { calls: 0, coalesced: 0 });
+  counter.calls++;
+
+  let flight = inFlight.get(flightKey);
+  const coalesced = Boolean(flight);
+  if (flight) {
+    counter.coalesced++;
+  } else {
+    const controller = new AbortController();
+    const started: Flight = { promise: Promise.resolve(), controller, waiters: 0, listeners: new Set() };
+    const reportProgress = (progress: P) => {
+      for (const listener of started.listeners) {
+        listener(progress);
+      }
+    };
+    started.promise = (async () => {
+      try {
+        return await run(controller.signal, reportProgress);
+      } finally {
+        release(flightKey, started);
+      }
+    })();
+    flight = started;
+    inFlight.set(flightKey, flight);
+  }
+
+  const shared = flight;
+  const listener = onProgress as ((progress: unknown) => void) | undefined;
+  shared.waiters++;
+  if (listener) {
+    shared.listeners.add(listener);
+  }
+  const cancel = () => {
+    shared.waiters--;
+    if (listener) {
+      shared.listeners.delete(listener);
+    }
+    if (shared.waiters === 0) {
+      // Later identical requests must start afresh rather than join an aborted computation
+      release(flightKey, shared);
+      shared.controller.abort();
+    }
+  };
+
+  if (signal?.aborted) {
+    cancel();
+  } else {
+    signal?.addEventListener('abort', cancel, { once: true });
+  }
+
+  try {
+    return { result: await (shared.promise as Promise<T>), coalesced };
+  } finally {
+    signal?.removeEventListener('abort', cancel);
+    if (listener) {
+      shared.listeners.delete(listener);
+    }
+  }
+};
+
+/**
+ * Gets how many calls were coalesced, overall and by scope
+ */
+export const getCoalescingStats = (): CoalescingStats => {
+  const byScope = JSON.parse(JSON.stringify(counters)) as CoalescingStats['byScope'];
+  const totals = Object.values(byScope).reduce(
+    (sum, counter) => ({ calls: sum.calls + counter.calls, coalesced: sum.coalesced + counter.coalesced }),
+    { calls: 0, coalesced: 0 }
+  );
+
+  return {
+    inFlight: inFlight.size,
+    ...totals,
+    byScope
+  };
+};
+
+// Export as both named exports and as default object
+export default {
+  coalesce,
+  getCoalescingStats
+};
@@ -0,0 +1,234 @@
+/**
+ * Semantic Cache Service
+ * Finds cached responses for prompts that are similar, not only identical, to a new prompt.
+ * Each cache type keeps an index of prompt embeddings pointing at exact cache keys; the
+ * responses themselves stay in the regular cache, so its TTLs still apply.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { createHash } from 'crypto';
+import { mcpConfig } from '../config/mcp-config.js';
+import { SemanticCacheConfig, SemanticCacheHit, SemanticCacheScope } from '../models/types.js';
+import { checkCache } from './cacheService.js';
+import { cosineSimilarity, embedText, getEmbeddingProvider } from './embeddingService.js';
+
+const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
+const SEMANTIC_CACHE_DIR = path.join(DB_DIR, 'semantic-cache');
+
+// Settings used when the MCP config does not define any
+const DEFAULT_SEMANTIC_CACHE: SemanticCacheConfig = {
+  enabled: true,
+  defaultThreshold: 0.9,
+  thresholds: {},
+  maxEntriesPerType: 1000
+};
+
+interface SemanticCacheEntry {
+  cacheKey: string;
+  scope: string; // Hash of the SemanticCacheScope
+  prompt: string;
+  vector: number[];
+  provider: string; // Embedding provider that produced the vector
+  timestamp: string;
+}
+
+const entriesByType: Map<string, SemanticCacheEntry[]> = new Map();
+const saveQueues: Map<string, Promise<void>> = new Map();
+
+const stats = {
+  lookups: 0,
+  hits: 0,
+  byType: {} as Record<string, { lookups: number; hits: number }>
+};
+
+/**
+ * Gets the semantic cache settings
+ */
+const getConfig = (): SemanticCacheConfig => {
+  return mcpConfig.semanticCache || DEFAULT_SEMANTIC_CACHE;
+};
+
+/**
+ * Gets the similarity a prior prompt needs to be reused for a cache type
+ * @param cacheType - The cache type, e.g. thinking_cache
+ */
+export const getSimilarityThreshold = (cacheType: string): number => {
+  const config = getConfig();
+  return config.thresholds[cacheType] ?? config.defaultThreshold;
+};
+
+const hashScope = (scope: SemanticCacheScope): string => {
+  return createHash('md5')
+    .update(JSON.stringify([scope.model ?? null, scope.systemPrompt ?? null, scope.namespace ?? null, scope.maxTokens ?? null]))
+    .digest('hex');
+};
+
+const indexFile = (cacheType: string): string => path.join(SEMANTIC_CACHE_DIR, `${cacheType}.json`);
+
+/**
+ * Loads the prompt index of a cache type
+ */
+const loadEntries = async (cacheType: string): Promise<SemanticCacheEntry[]> => {
+  const loaded = entriesByType.get(cacheType);
+  if (loaded) return loaded;
+
+  let entries: SemanticCacheEntry[] = [];
+  try {
+    if (fs.existsSync(indexFile(cacheType))) {
+      entries = JSON.parse(await fs.promises.readFile(indexFile(cacheType), 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Error loading semantic cache index for ${cacheType}:`, error);
+  }
+  // A concurrent load may have finished first, and its entries may have changed since
+  const current = entriesByType.get(cacheType);
+  if (current) return current;
+  entriesByType.set(cacheType, entries);
+  return entries;
+};
+
+/**
+ * Changes the prompt index of a cache type and writes it, one change at a time per type
+ * The change is applied to the entries as they are when its turn comes, so concurrent
+ * changes do not overwrite each other.
+ * @param cacheType - The cache type
+ * @param change - Returns the new entries given the current ones
+ */
+const updateEntries = (cacheType: string, change: (entries: SemanticCacheEntry[]) => SemanticCacheEntry[]): Promise<void> => {
+  const previous = saveQueues.get(cacheType) || Promise.resolve();
+  const next = previous.then(async () => {
+    try {
+      entriesByType.set(cacheType, change(await loadEntries(cacheType)));
+      await fs.promises.mkdir(SEMANTIC_CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(indexFile(cacheType), JSON.stringify(entriesByType.get(cacheType) || []));
+    } catch (error) {
+      console.error(`Error saving semantic cache index for ${cacheType}:`, error);
+    }
+  });
+  saveQueues.set(cacheType, next);
+  return next;
+};
+
+/**
+ * Finds a cached response for the most similar prior prompt
+ * Entries whose response has expired from the cache are dropped from the index.
+ * @param cacheType - The cache type, e.g. thinking_cache
+ * @param prompt - The new prompt
+ * @param scope - Model, system prompt and other settings the response depends on
+ * @returns The reused entry with its similarity, or null if no prompt is similar enough
+ */
+export const findSimilarCached = async (
+  cacheType: string,
+  prompt: string,
+  scope: SemanticCacheScope
+): Promise<SemanticCacheHit | null> => {
+  if (!getConfig().enabled || !prompt) return null;
+
+  stats.lookups++;
+  stats.byType[cacheType] = stats.byType[cacheType] || { lookups: 0, hits: 0 };
+  stats.byType[cacheType].lookups++;
+
+  const entries = await loadEntries(cacheType);
+  const provider = getEmbeddingProvider().id;
+  const scopeHash = hashScope(scope);
+  const threshold = getSimilarityThreshold(cacheType);
+  const vector = await embedText(prompt);
+
+  const candidates = entries
+    .filter(entry => entry.scope === scopeHash && entry.provider === provider)
+    .map(entry => ({ entry, similarity: cosineSimilarity(vector, entry.vector) }))
+    .filter(candidate => candidate.similarity >= threshold)
+    .sort((a, b) => b.similarity - a.similarity);
+
+  const expired = new Set<string>();
+  let hit: SemanticCacheHit | null = null;
+  for (const { entry, similarity } of candidates) {
+    const result = await checkCache(cacheType, entry.cacheKey);
+    if (result) {
+      hit = { cacheKey: entry.cacheKey, prompt: entry.prompt, similarity, result };
+      break;
+    }
+    expired.add(entry.cacheKey);
+  }
+
+  if (expired.size > 0) {
+    await updateEntries(cacheType, current => current.filter(entry => !expired.has(entry.cacheKey)));
+  }
+  if (hit) {
+    stats.hits++;
+    stats.byType[cacheType].hits++;
+  }
+  return hit;
+};
+
+/**
+ * Records the prompt of a newly cached response so similar prompts can reuse it
+ * @param cacheType - The cache type the response was stored in
+ * @param cacheKey - The exact key the response was stored under
+ * @param prompt - The prompt that produced the response
+ * @param scope - Model, system prompt and other settings the response depends on
+ */
+export const recordCachedPrompt = async (
+  cacheType: string,
+  cacheKey: string,
+  prompt: string,
+  scope: SemanticCacheScope
+): Promise<void> => {
+  const config = getConfig();
+  if (!config.enabled || !prompt) return;
+
+  const entry: SemanticCacheEntry = {
+    cacheKey,
+    scope: hashScope(scope),
+    prompt,
+    vector: await embedText(prompt),
+    provider: getEmbeddingProvider().id,
+    timestamp: new Date().toISOString()
+  };
+
+  // Entries are appended, so the oldest are at the front
+  await updateEntries(cacheType, current => [...current.filter(existing => existing.cacheKey !== cacheKey), entry]
+    .slice(-config.maxEntriesPerType));
+};
+
+/**
+ * Gets semantic cache lookup statistics
+ * @returns Lookups, hits and indexed prompts, overall and per cache type
+ */
+export const getSemanticCacheStats = async (): Promise<{
+  lookups: number;
+  hits: number;
+  hitRate: number;
+  byType: Record<string, { lookups: number; hits: number; entries: number; threshold: number }>;
+}> => {
+  const types = new Set(Object.keys(stats.byType));
+  if (fs.existsSync(SEMANTIC_CACHE_DIR)) {
+    (await fs.promises.readdir(SEMANTIC_CACHE_DIR))
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => types.add(file.slice(0, -'.json'.length)));
+  }
+
+  const byType: Record<string, { lookups: number; hits: number; entries: number; threshold: number }> = {};
+  for (const cacheType of Array.from(types)) {
+    byType[cacheType] = {
+      ...(stats.byType[cacheType] || { lookups: 0, hits: 0 }),
+      entries: (await loadEntries(cacheType)).length,
+      threshold: getSimilarityThreshold(cacheType)
+    };
+  }
+
+  return {
+    lookups: stats.lookups,
+    hits: stats.hits,
+    hitRate: stats.lookups > 0 ? stats.hits / stats.lookups : 0,
+    byType
+  };
+};
+
+export default {
+  findSimilarCached,
+  recordCachedPrompt,
+  getSimilarityThreshold,
+  getSemanticCacheStats
+};
@@ -0,0 +1,64 @@
+/**
+ * Shutdown Service
+ * Flushes persistent state and exits cleanly when the server is stopped
+ */
+
+import { closeCacheStore } from './cacheService.js';
+import { closeMemoryStore } from './memoryService.js';
+import { saveTokenMetrics } from '../utils/tokenOptimizer.js';
+
+let shuttingDown = false;
+
+/**
+ * Writes everything that is held in memory to disk and releases open stores:
+ * the memory database, cache hit counts and backend, and token metrics
+ * Each step runs even if an earlier one fails.
+ */
+export const flushPersistentState = async (): Promise<void> => {
+  const steps: Array<[string, () => Promise<void>]> = [
+    ['memory', closeMemoryStore],
+    ['cache', closeCacheStore],
+    ['token metrics', saveTokenMetrics]
+  ];
+
+  for (const [name, flush] of steps) {
+    try {
+      await flush();
+    } catch (error) {
+      console.error(`Error flushing ${name} on shutdown:`, error);
+    }
+  }
+};
+
+/**
+ * Shuts down on SIGINT or SIGTERM: stops the transport, flushes persistent state, then exits
+ * A second signal during shutdown exits immediately.
+ * @param closeTransport - Stops accepting requests and closes open sessions
+ */
+export const registerShutdown = (closeTransport: () => Promise<void>): void => {
+  const shutdown = async (signal: string) => {
+    if (shuttingDown) {
+      console.error(`Received ${signal} again, exiting without flushing`);
+      process.exit(1);
+    }
+    shuttingDown = true;
+    console.error(`Received ${signal}, shutting down`);
+
+    try {
+      await closeTransport();
+    } catch (error) {
+      console.error('Error closing transport on shutdown:', error);
+    }
+    await flushPersistentState();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+};
+
+// Export as both named exports and as default object
+export default {
+  flushPersistentState,
+  registerShutdown
+};
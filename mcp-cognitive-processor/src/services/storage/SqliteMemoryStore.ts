@@ -0,0 +1,323 @@
+/**
+ * SQLite Memory Store
+ * Single-file transactional storage for memory items, vectors and edges, with
+ * FTS5 full-text search (BM25 over Porter-stemmed content) over item content
+ */
+
+import Database from 'better-sqlite3';
+import * as fs from 'fs';
+import * as path from 'path';
+import { IMemoryStore, MemoryStoreWrite, MemoryTextMatch } from '../../interfaces/IMemoryStore.js';
+import { MemoryEdge, MemoryItem, MemoryRevision, MemoryRevisionAction, MemoryVector } from '../../models/types.js';
+
+const SCHEMA_VERSION = '1';
+
+// Relation stored for plain connections that have no typed edge
+const UNTYPED_RELATION = '';
+
+// Query words too common to say anything about relevance
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its',
+  'me', 'my', 'not', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there',
+  'these', 'this', 'to', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will',
+  'with', 'you', 'your'
+]);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS memory_items (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    namespace TEXT,
+    timestamp TEXT NOT NULL,
+    importance REAL NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_memory_items_namespace_type ON memory_items (namespace, type);
+
+  CREATE TABLE IF NOT EXISTS memory_vectors (
+    item_id TEXT PRIMARY KEY REFERENCES memory_items (id) ON DELETE CASCADE,
+    model TEXT,
+    dimensions INTEGER NOT NULL,
+    vector BLOB NOT NULL,
+    created TEXT NOT NULL,
+    updated TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS memory_edges (
+    source_id TEXT NOT NULL REFERENCES memory_items (id) ON DELETE CASCADE,
+    target_id TEXT NOT NULL,
+    relation TEXT NOT NULL,
+    weight REAL NOT NULL,
+    created TEXT,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (source_id, target_id, relation)
+  );
+  CREATE INDEX IF NOT EXISTS idx_memory_edges_target ON memory_edges (target_id);
+
+  -- Not tied to memory_items, so the history of deleted items is kept
+  CREATE TABLE IF NOT EXISTS memory_history (
+    item_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    changed_fields TEXT NOT NULL,
+    previous TEXT,
+    PRIMARY KEY (item_id, revision)
+  );
+
+  CREATE VIRTUAL TABLE IF NOT EXISTS memory_fts USING fts5 (
+    id UNINDEXED,
+    content,
+    tokenize = 'porter unicode61'
+  );
+`;
+
+interface ItemRow {
+  id: string;
+  data: string;
+}
+
+interface EdgeRow {
+  source_id: string;
+  target_id: string;
+  relation: string;
+  weight: number;
+  created: string | null;
+}
+
+interface HistoryRow {
+  item_id: string;
+  revision: number;
+  action: MemoryRevisionAction;
+  timestamp: string;
+  changed_fields: string;
+  previous: string | null;
+}
+
+interface VectorRow {
+  item_id: string;
+  model: string | null;
+  vector: Buffer;
+  created: string;
+  updated: string | null;
+}
+
+/**
+ * Encodes a vector as a little-endian float64 blob so values round-trip exactly
+ */
+const encodeVector = (vector: number[]): Buffer => Buffer.from(new Float64Array(vector).buffer);
+
+const decodeVector = (blob: Buffer): number[] => {
+  const copy = new Uint8Array(blob).buffer;
+  return Array.from(new Float64Array(copy));
+};
+
+/**
+ * Turns free text into an FTS5 query that matches any of its words except stop words
+ * Each word is quoted so punctuation in the query cannot break the FTS syntax
+ */
+const toFtsQuery = (query: string): string => {
+  const words = (query.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || []).filter(word => !STOP_WORDS.has(word));
+  return Array.from(new Set(words)).map(word => `"${word}"`).join(' OR ');
+};
+
+export class SqliteMemoryStore implements IMemoryStore {
+  readonly location: string;
+  private db: Database.Database;
+
+  /**
+   * Opens (and if needed creates) a memory database
+   * @param location - Path of the database file
+   */
+  constructor(location: string) {
+    this.location = location;
+    fs.mkdirSync(path.dirname(location), { recursive: true });
+
+    this.db = new Database(location);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this.db.prepare('INSERT OR IGNORE INTO meta (key, value) VALUES (?, ?)').run('schema_version', SCHEMA_VERSION);
+  }
+
+  async loadItems(): Promise<MemoryItem[]> {
+    const rows = this.db.prepare('SELECT id, data FROM memory_items ORDER BY timestamp').all() as ItemRow[];
+    const edgeRows = this.db.prepare(
+      'SELECT source_id, target_id, relation, weight, created FROM memory_edges ORDER BY source_id, position'
+    ).all() as EdgeRow[];
+
+    const edgesBySource = new Map<string, EdgeRow[]>();
+    edgeRows.forEach(row => {
+      const list = edgesBySource.get(row.source_id) || [];
+      list.push(row);
+      edgesBySource.set(row.source_id, list);
+    });
+
+    return rows.map(row => {
+      const item: MemoryItem = JSON.parse(row.data);
+      const edgeList = edgesBySource.get(row.id) || [];
+      const typed = edgeList.filter(edge => edge.relation !== UNTYPED_RELATION);
+
+      item.connections = Array.from(new Set(edgeList.map(edge => edge.target_id)));
+      if (typed.length > 0) {
+        item.edges = typed.map(edge => ({
+          target: edge.target_id,
+          relation: edge.relation,
+          weight: edge.weight,
+          ...(edge.created ? { created: edge.created } : {})
+        }));
+      }
+      return item;
+    });
+  }
+
+  async loadVectors(): Promise<MemoryVector[]> {
+    const rows = this.db.prepare('SELECT item_id, model, vector, created, updated FROM memory_vectors').all() as VectorRow[];
+
+    return rows.map(row => ({
+      itemId: row.item_id,
+      vector: decodeVector(row.vector),
+      ...(row.model ? { model: row.model } : {}),
+      created: row.created,
+      ...(row.updated ? { updated: row.updated } : {})
+    }));
+  }
+
+  async write(changes: MemoryStoreWrite): Promise<void> {
+    const deleteItem = this.db.prepare('DELETE FROM memory_items WHERE id = ?');
+    const deleteText = this.db.prepare('DELETE FROM memory_fts WHERE id = ?');
+    const deleteEdges = this.db.prepare('DELETE FROM memory_edges WHERE source_id = ?');
+    const upsertItem = this.db.prepare(`
+      INSERT INTO memory_items (id, type, namespace, timestamp, importance, data)
+      VALUES (@id, @type, @namespace, @timestamp, @importance, @data)
+      ON CONFLICT (id) DO UPDATE SET
+        type = excluded.type,
+        namespace = excluded.namespace,
+        timestamp = excluded.timestamp,
+        importance = excluded.importance,
+        data = excluded.data
+    `);
+    const insertText = this.db.prepare('INSERT INTO memory_fts (id, content) VALUES (?, ?)');
+    const insertEdge = this.db.prepare(`
+      INSERT OR REPLACE INTO memory_edges (source_id, target_id, relation, weight, created, position)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const upsertVector = this.db.prepare(`
+      INSERT OR REPLACE INTO memory_vectors (item_id, model, dimensions, vector, created, updated)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const insertHistory = this.db.prepare(`
+      INSERT INTO memory_history (item_id, revision, action, timestamp, changed_fields, previous)
+      SELECT @itemId, COALESCE(MAX(revision), 0) + 1, @action, @timestamp, @changedFields, @previous
+      FROM memory_history WHERE item_id = @itemId
+    `);
+
+    const apply = this.db.transaction((batch: MemoryStoreWrite) => {
+      for (const id of batch.deleteIds || []) {
+        deleteText.run(id);
+        deleteItem.run(id);
+      }
+
+      for (const item of batch.items || []) {
+        const { connections, edges, ...fields } = item;
+        upsertItem.run({
+          id: item.id,
+          type: item.type,
+          namespace: item.namespace ?? null,
+          timestamp: item.timestamp,
+          importance: item.importance,
+          data: JSON.stringify(fields)
+        });
+
+        deleteText.run(item.id);
+        insertText.run(item.id, item.content);
+
+        // Typed edges keep their relation; remaining connections are stored untyped
+        deleteEdges.run(item.id);
+        const typed: MemoryEdge[] = edges || [];
+        const typedTargets = new Set(typed.map(edge => edge.target));
+        let position = 0;
+        typed.forEach(edge => {
+          insertEdge.run(item.id, edge.target, edge.relation, edge.weight, edge.created ?? null, position++);
+        });
+        (connections || [])
+          .filter(target => !typedTargets.has(target))
+          .forEach(target => insertEdge.run(item.id, target, UNTYPED_RELATION, 1, null, position++));
+      }
+
+      for (const vector of batch.vectors || []) {
+        upsertVector.run(
+          vector.itemId,
+          vector.model ?? null,
+          vector.vector.length,
+          encodeVector(vector.vector),
+          vector.created,
+          vector.updated ?? null
+        );
+      }
+
+      for (const entry of batch.history || []) {
+        insertHistory.run({
+          itemId: entry.itemId,
+          action: entry.action,
+          timestamp: entry.timestamp,
+          changedFields: JSON.stringify(entry.changedFields),
+          previous: entry.previous ? JSON.stringify(entry.previous) : null
+        });
+      }
+    });
+
+    apply(changes);
+  }
+
+  async searchText(query: string, limit: number, ids?: string[]): Promise<MemoryTextMatch[]> {
+    const ftsQuery = toFtsQuery(query);
+    if (!ftsQuery || ids?.length === 0) return [];
+
+    const rows = (ids
+      ? this.db.prepare(
+        'SELECT id, bm25(memory_fts) AS rank FROM memory_fts ' +
+        'WHERE memory_fts MATCH ? AND id IN (SELECT value FROM json_each(?)) ORDER BY rank LIMIT ?'
+      ).all(ftsQuery, JSON.stringify(ids), limit)
+      : this.db.prepare(
+        'SELECT id, bm25(memory_fts) AS rank FROM memory_fts WHERE memory_fts MATCH ? ORDER BY rank LIMIT ?'
+      ).all(ftsQuery, limit)) as Array<{ id: string; rank: number }>;
+
+    // bm25() is lower for better matches
+    return rows.map(row => ({ id: row.id, score: -row.rank }));
+  }
+
+  async loadHistory(itemId: string): Promise<MemoryRevision[]> {
+    const rows = this.db.prepare(
+      'SELECT * FROM memory_history WHERE item_id = ? ORDER BY revision'
+    ).all(itemId) as HistoryRow[];
+
+    return rows.map(row => ({
+      itemId: row.item_id,
+      revision: row.revision,
+      action: row.action,
+      timestamp: row.timestamp,
+      changedFields: JSON.parse(row.changed_fields),
+      previous: row.previous ? JSON.parse(row.previous) : null
+    }));
+  }
+
+  async getMeta(key: string): Promise<string | null> {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key) as { value: string } | undefined;
+    return row ? row.value : null;
+  }
+
+  async setMeta(key: string, value: string): Promise<void> {
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, value);
+  }
+
+  async close(): Promise<void> {
+    this.db.close();
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Legacy Memory Migration
+ * One-time import of the JSON file layout (data/memory.json, data/memory/<id>.json,
+ * data/vectors/vectors.json and data/vectors/<id>.json) into a memory store
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { IMemoryStore } from '../../interfaces/IMemoryStore.js';
+import { MemoryItem, MemoryVector } from '../../models/types.js';
+
+// Meta key recording that the legacy layout has been imported
+const MIGRATION_KEY = 'legacy_json_migrated_at';
+
+export interface LegacyMemoryMigrationResult {
+  items: number;
+  vectors: number;
+}
+
+/**
+ * Reads every JSON file in a directory, skipping files that cannot be parsed
+ */
+const readJsonFiles = async <T>(dir: string, exclude: string[] = []): Promise<T[]> => {
+  if (!fs.existsSync(dir)) return [];
+
+  const results: T[] = [];
+  for (const file of await fs.promises.readdir(dir)) {
+    if (!file.endsWith('.json') || exclude.includes(file)) continue;
+    try {
+      results.push(JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8')));
+    } catch (error) {
+      console.error(`Skipping unreadable legacy memory file ${file}:`, error);
+    }
+  }
+  return results;
+};
+
+const readJsonArray = async <T>(file: string): Promise<T[]> => {
+  if (!fs.existsSync(file)) return [];
+  try {
+    const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return Array.isArray(data) ? data : [];
+  } catch (error) {
+    console.error(`Skipping unreadable legacy memory file ${file}:`, error);
+    return [];
+  }
+};
+
+/**
+ * Checks whether a directory holds the legacy JSON memory layout
+ */
+export const hasLegacyMemory = (dbDir: string): boolean => {
+  return fs.existsSync(path.join(dbDir, 'memory.json'));
+};
+
+/**
+ * Imports the legacy JSON memory layout into a store
+ * Per-item files win over the monolithic files, since the monolithic files could lag behind
+ * @param store - The destination store
+ * @param dbDir - The data directory holding the legacy files
+ * @param force - Import again even if a previous migration was recorded
+ * @returns Counts of imported items and vectors, or null if the migration already ran
+ */
+export const migrateLegacyMemory = async (
+  store: IMemoryStore,
+  dbDir: string,
+  force: boolean = false
+): Promise<LegacyMemoryMigrationResult | null> => {
+  if (!force && await store.getMeta(MIGRATION_KEY)) return null;
+
+  const items = new Map<string, MemoryItem>();
+  [
+    ...await readJsonArray<MemoryItem>(path.join(dbDir, 'memory.json')),
+    ...await readJsonFiles<MemoryItem>(path.join(dbDir, 'memory'))
+  ]
+    .filter(item => item && typeof item.id === 'string' && typeof item.content === 'string')
+    .forEach(item => items.set(item.id, { ...item, connections: item.connections || [] }));
+
+  // The vectors directory also holds vector store items, which have no itemId
+  const vectorDir = path.join(dbDir, 'vectors');
+  const vectors = new Map<string, MemoryVector>();
+  [
+    ...await readJsonArray<MemoryVector>(path.join(vectorDir, 'vectors.json')),
+    ...await readJsonFiles<MemoryVector>(vectorDir, ['vectors.json'])
+  ]
+    .filter(vector => vector && items.has(vector.itemId) && Array.isArray(vector.vector))
+    .forEach(vector => vectors.set(vector.itemId, vector));
+
+  await store.write({
+    items: Array.from(items.values()),
+    vectors: Array.from(vectors.values())
+  });
+  await store.setMeta(MIGRATION_KEY, new Date().toISOString());
+
+  return { items: items.size, vectors: vectors.size };
+};
+
+export default {
+  hasLegacyMemory,
+  migrateLegacyMemory
+};
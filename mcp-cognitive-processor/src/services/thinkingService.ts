@@ -3,7 +3,7 @@
  * Provides access to different thinking models and strategies
  */
 import { IThinkingService } from '../interfaces/IThinkingService.js';
-import { ThinkingModel, ThinkingResult, ThinkingVisualization, ProcessConfig } from '../models/types.js';
+import { ThinkingModel, ThinkingResult, ThinkingVisualization, ProcessConfig, ThinkingProcessOptions, ThinkingJobRecord, ThinkingJobStatus, ThinkingProgress } from '../models/types.js';
 import { ServiceFactory } from '../factories/ServiceFactory.js';
 import { ThinkingServiceImpl } from './ThinkingServiceImpl.js';
 import { GeminiService } from './GeminiService.js';
@@ -36,14 +36,27 @@ class ThinkingService implements IThinkingService {
     thinking_model?: string;
     include_visualization?: boolean;
     optimize_tokens?: boolean;
-  }): Promise<ThinkingResult> {
-    return this.thinkingServiceImpl.initiateThinkingProcess(config);
+  }, options?: ThinkingProcessOptions): Promise<ThinkingResult> {
+    return this.thinkingServiceImpl.initiateThinkingProcess(config, options);
   }
 
-  async getThinkingProgress(processId: string): Promise<{ processId: string; status: 'in_progress' | 'completed' | 'error'; steps: import("../models/types.js").ThinkingStep[]; progress: number; error?: string | undefined; }> {
+  async startThinkingProcess(config: {
+    problem: string;
+    thinking_model?: string;
+    include_visualization?: boolean;
+    optimize_tokens?: boolean;
+  }): Promise<{ processId: string; status: ThinkingJobStatus }> {
+    return this.thinkingServiceImpl.startThinkingProcess(config);
+  }
+
+  async getThinkingProgress(processId: string): Promise<{ processId: string; status: 'in_progress' | 'completed' | 'error'; steps: import("../models/types.js").ThinkingStep[]; progress: number; error?: string | undefined; lastProgress?: ThinkingProgress; cancelled?: boolean; }> {
     return this.thinkingServiceImpl.getThinkingProgress(processId);
   }
 
+  async getThinkingResult(processId: string): Promise<ThinkingJobRecord> {
+    return this.thinkingServiceImpl.getThinkingResult(processId);
+  }
+
   async visualizeThinkingProcess(processId: string): Promise<ThinkingVisualization> {
     return this.thinkingServiceImpl.visualizeThinkingProcess(processId);
   }
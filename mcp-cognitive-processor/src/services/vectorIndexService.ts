@@ -0,0 +1,141 @@
+/**
+ * Vector Index Service
+ * Builds, persists and restores the HNSW indexes used by the memory and vector stores
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { HnswIndex, HnswSnapshot } from '../utils/HnswIndex.js';
+import { getEmbeddingProvider } from './embeddingService.js';
+
+// Indexes live in their own directory so vector file maintenance never touches them
+const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
+const INDEX_DIR = path.join(DB_DIR, 'vectors', 'index');
+
+// Delay before a modified index is written to disk
+const PERSIST_DELAY_MS = 2000;
+
+const indexes: Map<string, HnswIndex> = new Map();
+const persistTimers: Map<string, NodeJS.Timeout> = new Map();
+
+const indexFile = (name: string): string => path.join(INDEX_DIR, `${name}.hnsw.json`);
+
+/**
+ * Builds a fresh index from stored vectors
+ * @param name - Index name (e.g. 'memory')
+ * @param vectors - Stored vectors keyed by id
+ * @returns The new index
+ * @complexity O(n log n)
+ */
+export const rebuildVectorIndex = async (
+  name: string,
+  vectors: Map<string, number[]>
+): Promise<HnswIndex> => {
+  const provider = getEmbeddingProvider();
+  const index = new HnswIndex(provider.id, provider.dimensions);
+
+  vectors.forEach((vector, id) => {
+    if (vector.length === provider.dimensions) {
+      index.add(id, vector);
+    }
+  });
+
+  indexes.set(name, index);
+  await persistVectorIndex(name);
+  return index;
+};
+
+/**
+ * Loads an index from disk, rebuilding it when it is missing or out of date
+ * An index is out of date when it was built with another embedding provider, or when vectors
+ * were added, removed or replaced since it was saved.
+ * @param name - Index name
+ * @param vectors - Stored vectors keyed by id
+ * @returns The loaded index
+ */
+export const loadVectorIndex = async (
+  name: string,
+  vectors: Map<string, number[]>
+): Promise<HnswIndex> => {
+  const provider = getEmbeddingProvider();
+
+  try {
+    if (fs.existsSync(indexFile(name))) {
+      const data = await fs.promises.readFile(indexFile(name), 'utf8');
+      const snapshot: HnswSnapshot = JSON.parse(data);
+
+      const indexable = Array.from(vectors.values())
+        .filter(vector => vector.length === provider.dimensions).length;
+
+      if (snapshot.providerId === provider.id && snapshot.nodes.length === indexable) {
+        const index = HnswIndex.fromJSON(snapshot, id => vectors.get(id));
+        if (index) {
+          indexes.set(name, index);
+          return index;
+        }
+      }
+      console.log(`Vector index "${name}" is out of date, rebuilding`);
+    }
+  } catch (error) {
+    console.error(`Error loading vector index "${name}":`, error);
+  }
+
+  return rebuildVectorIndex(name, vectors);
+};
+
+/**
+ * Gets a loaded index
+ * @param name - Index name
+ * @returns The index or null if it has not been loaded
+ */
+export const getVectorIndex = (name: string): HnswIndex | null => {
+  return indexes.get(name) || null;
+};
+
+/**
+ * Writes an index to disk immediately
+ * @param name - Index name
+ */
+export const persistVectorIndex = async (name: string): Promise<void> => {
+  const index = indexes.get(name);
+  if (!index) return;
+
+  const timer = persistTimers.get(name);
+  if (timer) {
+    clearTimeout(timer);
+    persistTimers.delete(name);
+  }
+
+  try {
+    await fs.promises.mkdir(INDEX_DIR, { recursive: true });
+    await fs.promises.writeFile(indexFile(name), JSON.stringify(index.toJSON()));
+  } catch (error) {
+    console.error(`Error saving vector index "${name}":`, error);
+  }
+};
+
+/**
+ * Schedules an index write, coalescing bursts of incremental updates
+ * @param name - Index name
+ */
+export const scheduleIndexPersist = (name: string): void => {
+  if (persistTimers.has(name)) return;
+
+  const timer = setTimeout(() => {
+    persistTimers.delete(name);
+    persistVectorIndex(name).catch(error => {
+      console.error(`Error persisting vector index "${name}":`, error);
+    });
+  }, PERSIST_DELAY_MS);
+  // Don't keep the process alive just to write the index
+  timer.unref();
+  persistTimers.set(name, timer);
+};
+
+export default {
+  rebuildVectorIndex,
+  loadVectorIndex,
+  getVectorIndex,
+  persistVectorIndex,
+  scheduleIndexPersist
+};
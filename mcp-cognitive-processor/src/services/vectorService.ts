@@ -8,11 +8,20 @@ import { mcpConfig } from '../config/mcp-config.js';
 import * as fs from 'fs';
 import * as path from 'path';
 import { createHash } from 'crypto';
+import { embedText, getEmbeddingProvider } from './embeddingService.js';
+import {
+  getVectorIndex,
+  loadVectorIndex,
+  rebuildVectorIndex,
+  scheduleIndexPersist
+} from './vectorIndexService.js';
+import { HnswIndex } from '../utils/HnswIndex.js';
 
 // Define the database file path
 const DB_DIR = process.env.MCP_DB_DIR || path.join(process.cwd(), 'data');
 const VECTOR_DB_DIR = path.join(DB_DIR, 'vectors');
 const VECTOR_DB_FILE = path.join(VECTOR_DB_DIR, 'vector_db.json');
+const VECTOR_INDEX = 'vector_db';
 
 // Initialize vector database
 let vectorStore: Map<string, VectorItem> = new Map();
@@ -54,6 +63,24 @@ const saveVectorsToDisk = (): void => {
 // Load vector items on startup
 loadVectorsFromDisk();
 
+/**
+ * Gets stored vectors keyed by item ID
+ */
+const getVectorMap = (): Map<string, number[]> => {
+  return new Map(Array.from(vectorStore.values()).map(item => [item.id, item.vector]));
+};
+
+/**
+ * Loads the ANN index on first use, migrating stale embeddings first
+ */
+const ensureVectorIndex = async (): Promise<HnswIndex> => {
+  const existing = getVectorIndex(VECTOR_INDEX);
+  if (existing) return existing;
+  
+  await migrateVectorEmbeddings();
+  return getVectorIndex(VECTOR_INDEX) || loadVectorIndex(VECTOR_INDEX, getVectorMap());
+};
+
 /**
  * Stores a vector item in the database
  */
@@ -71,11 +98,12 @@ export const storeVector = async (
     return vectorStore.get(id) as VectorItem;
   }
   
-  // Create a new vector item
+  // Create a new vector item in the same embedding space as memory
   const newItem: VectorItem = {
     id,
     content,
-    vector: [], // Vectors are handled by Roo's vector processing
+    vector: await embedText(content),
+    model: getEmbeddingProvider().id,
     metadata: {
       type,
       source,
@@ -86,9 +114,34 @@ export const storeVector = async (
   vectorStore.set(id, newItem);
   saveVectorsToDisk();
   
+  const index = await ensureVectorIndex();
+  index.add(id, newItem.vector);
+  scheduleIndexPersist(VECTOR_INDEX);
+  
   return newItem;
 };
 
+/**
+ * Finds the vector items most similar to a query
+ * @param query - The text to search for
+ * @param limit - Maximum number of items to return
+ * @returns Matching items with their similarity scores
+ */
+export const searchVectors = async (
+  query: string,
+  limit: number = 10
+): Promise<Array<{ item: VectorItem; similarity: number }>> => {
+  const index = await ensureVectorIndex();
+  const queryVector = await embedText(query);
+  
+  return index.search(queryVector, limit)
+    .filter(result => vectorStore.has(result.id))
+    .map(result => ({
+      item: vectorStore.get(result.id) as VectorItem,
+      similarity: result.similarity
+    }));
+};
+
 /**
  * Retrieves all stored vector items
  */
@@ -111,16 +164,49 @@ export const deleteVector = (id: string): boolean => {
   const deleted = vectorStore.delete(id);
   if (deleted) {
     saveVectorsToDisk();
+    
+    const index = getVectorIndex(VECTOR_INDEX);
+    if (index) {
+      index.remove(id);
+      scheduleIndexPersist(VECTOR_INDEX);
+    }
   }
   return deleted;
 };
 
+/**
+ * Re-embeds vector items with the active embedding provider
+ * @param force - Re-embed every item, not only those from another provider
+ * @returns Number of items re-embedded
+ */
+export const migrateVectorEmbeddings = async (force: boolean = false): Promise<number> => {
+  const providerId = getEmbeddingProvider().id;
+  const staleItems = Array.from(vectorStore.values())
+    .filter(item => force || item.model !== providerId);
+  
+  for (const item of staleItems) {
+    item.vector = await embedText(item.content);
+    item.model = providerId;
+  }
+  
+  if (staleItems.length > 0) {
+    saveVectorsToDisk();
+    
+    if (getVectorIndex(VECTOR_INDEX)) {
+      await rebuildVectorIndex(VECTOR_INDEX, getVectorMap());
+    }
+  }
+  return staleItems.length;
+};
+
 /**
  * Performs maintenance on the vector database
  */
 export const performVectorMaintenance = async (): Promise<number> => {
   try {
+    await migrateVectorEmbeddings();
     saveVectorsToDisk();
+    await rebuildVectorIndex(VECTOR_INDEX, getVectorMap());
     return vectorStore.size;
   } catch (error) {
     console.error('Error performing vector maintenance:', error);
@@ -132,6 +218,8 @@ export default {
   storeVector,
   getAllVectors,
   getVectorsByType,
+  searchVectors,
   deleteVector,
+  migrateVectorEmbeddings,
   performVectorMaintenance
 };
\ No newline at end of file
@@ -99,7 +99,6 @@ async function main() {
       'configService', 
       'healthMonitoring', 
       'memoryService', 
-      'cachingService',
       'cacheService',
       'tokenOptimizer',
       'geminiService',
@@ -0,0 +1,258 @@
+/**
+ * HTTP Transport
+ * Serves the MCP server over HTTP with server-sent events, so several clients can share
+ * one instance. Every session gets its own MCP server, with its own protocol state and
+ * in-flight requests; services and their stores are shared between sessions.
+ *
+ *   GET  /sse                      opens a session and streams server messages
+ *   POST /messages?sessionId=<id>  sends a client message to a session
+ *   GET  /health                   reports how many sessions are open
+ *
+ * A session ID is the only credential for posting to its session, so it is never reported
+ * or logged. Every request must address an allowed host name, and browser requests must come
+ * from an allowed origin, so pages on other sites cannot reach the server by DNS rebinding.
+ */
+
+import * as http from 'http';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { HttpSessionInfo, TransportName, TransportOptions } from '../models/types.js';
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_HOST = '127.0.0.1';
+const TRANSPORTS: TransportName[] = ['stdio', 'http'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const WILDCARD_HOSTS = ['0.0.0.0', '[::]'];
+
+const SSE_PATH = '/sse';
+const MESSAGES_PATH = '/messages';
+const HEALTH_PATH = '/health';
+
+interface HttpSession {
+  info: HttpSessionInfo;
+  server: Server;
+  transport: SSEServerTransport;
+}
+
+export interface HttpTransportHandle {
+  url: string; // Base URL the server listens on
+  getSessions(): HttpSessionInfo[];
+  close(): Promise<void>; // Stops listening and closes every session
+}
+
+/**
+ * Reads the transport settings
+ * The --transport, --port, --host, --allowed-hosts and --allowed-origins flags (as "--port 3000"
+ * or "--port=3000") take precedence over the MCP_TRANSPORT, MCP_HTTP_PORT, MCP_HTTP_HOST,
+ * MCP_HTTP_ALLOWED_HOSTS and MCP_HTTP_ALLOWED_ORIGINS environment variables. Allowed hosts and
+ * origins are comma separated.
+ * @param argv - Command line arguments (defaults to those of the process)
+ * @param env - Environment variables (defaults to those of the process)
+ */
+export const getTransportOptions = (
+  argv: string[] = process.argv.slice(2),
+  env: NodeJS.ProcessEnv = process.env
+): TransportOptions => {
+  const flag = (name: string): string | undefined => {
+    const index = argv.findIndex(arg => arg === `--${name}` || arg.startsWith(`--${name}=`));
+    if (index === -1) return undefined;
+    return argv[index].includes('=') ? argv[index].slice(argv[index].indexOf('=') + 1) : argv[index + 1];
+  };
+
+  const transport = (flag('transport') || env.MCP_TRANSPORT || 'stdio') as TransportName;
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(`Unknown transport "${transport}". Use one of: ${TRANSPORTS.join(', ')}`);
+  }
+
+  const portSetting = flag('port') || env.MCP_HTTP_PORT;
+  const port = portSetting !== undefined ? Number(portSetting) : DEFAULT_PORT;
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port "${portSetting}"`);
+  }
+
+  const list = (setting?: string): string[] | undefined =>
+    setting !== undefined ? setting.split(',').map(entry => entry.trim()).filter(Boolean) : undefined;
+  const allowedHosts = list(flag('allowed-hosts') || env.MCP_HTTP_ALLOWED_HOSTS);
+  const allowedOrigins = list(flag('allowed-origins') || env.MCP_HTTP_ALLOWED_ORIGINS);
+
+  return {
+    transport,
+    port,
+    host: flag('host') || env.MCP_HTTP_HOST || DEFAULT_HOST,
+    ...(allowedHosts ? { allowedHosts } : {}),
+    ...(allowedOrigins ? { allowedOrigins } : {})
+  };
+};
+
+/**
+ * Normalizes a host name the way URL does, e.g. "::1" to "[::1]" and "LOCALHOST" to "localhost"
+ * @returns The host name without a port, or undefined if it is not a valid host
+ */
+const normalizeHost = (host: string): string | undefined => {
+  const bracketed = host.includes(':') && !host.startsWith('[') && host.split(':').length > 2 ? `[${host}]` : host;
+  try {
+    return new URL(`http://${bracketed}`).hostname;
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Normalizes an origin, e.g. "HTTP://LocalHost:80" to "http://localhost"
+ * @returns The origin, or undefined if it is not a valid URL
+ */
+const normalizeOrigin = (origin: string): string | undefined => {
+  try {
+    return new URL(origin).origin;
+  } catch {
+    return undefined;
+  }
+};
+
+const sendJson = (res: http.ServerResponse, status: number, body: unknown): void => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Starts serving MCP sessions over HTTP
+ * @param options - Port and bind address (port 0 picks a free port)
+ * @param createServer - Creates the MCP server for a new session, with its handlers set up
+ * @returns The listening address, the open sessions and a way to shut down
+ */
+export const startHttpTransport = async (
+  options: Pick<TransportOptions, 'port' | 'host' | 'allowedHosts' | 'allowedOrigins'>,
+  createServer: () => Server
+): Promise<HttpTransportHandle> => {
+  const sessions = new Map<string, HttpSession>();
+  const bindHost = normalizeHost(options.host);
+  const allowedHosts = new Set([
+    ...LOOPBACK_HOSTS,
+    ...(bindHost && !WILDCARD_HOSTS.includes(bindHost) ? [bindHost] : []),
+    ...(options.allowedHosts || []).map(normalizeHost).filter((host): host is string => host !== undefined)
+  ]);
+  // Completed with the server's own origins once the port is known
+  const allowedOrigins = new Set(
+    (options.allowedOrigins || []).map(normalizeOrigin).filter((origin): origin is string => origin !== undefined)
+  );
+
+  /**
+   * Checks that a request addresses this server rather than a host name rebound to it
+   * Clients outside a browser send no Origin header and are only held to the host check.
+   */
+  const isAllowed = (req: http.IncomingMessage): boolean => {
+    const host = req.headers.host !== undefined ? normalizeHost(req.headers.host) : undefined;
+    if (!host || !allowedHosts.has(host)) {
+      return false;
+    }
+    const origin = req.headers.origin !== undefined ? normalizeOrigin(req.headers.origin) : undefined;
+    return req.headers.origin === undefined || (origin !== undefined && allowedOrigins.has(origin));
+  };
+
+  const openSession = async (res: http.ServerResponse): Promise<void> => {
+    const transport = new SSEServerTransport(MESSAGES_PATH, res);
+    const server = createServer();
+    const now = new Date().toISOString();
+    const session: HttpSession = {
+      info: { id: transport.sessionId, connectedAt: now, lastActivity: now, messages: 0 },
+      server,
+      transport
+    };
+
+    sessions.set(session.info.id, session);
+    // Called when the client disconnects as well as on close(), possibly both
+    server.onclose = () => {
+      if (sessions.delete(session.info.id)) {
+        console.error(`MCP session closed (${sessions.size} open)`);
+      }
+    };
+
+    await server.connect(transport);
+    console.error(`MCP session opened (${sessions.size} open)`);
+  };
+
+  const postMessage = async (req: http.IncomingMessage, res: http.ServerResponse, url: URL): Promise<void> => {
+    const session = sessions.get(url.searchParams.get('sessionId') || '');
+    if (!session) {
+      sendJson(res, 404, { error: 'Unknown or closed session' });
+      return;
+    }
+
+    session.info.messages++;
+    session.info.lastActivity = new Date().toISOString();
+    await session.transport.handlePostMessage(req, res);
+  };
+
+  const reportHealth = (res: http.ServerResponse): void => {
+    const infos = Array.from(sessions.values()).map(session => session.info);
+    sendJson(res, 200, {
+      status: 'ok',
+      sessions: infos.length,
+      messages: infos.reduce((total, info) => total + info.messages, 0),
+      lastActivity: infos.reduce<string | null>(
+        (latest, info) => (latest === null || info.lastActivity > latest ? info.lastActivity : latest),
+        null
+      )
+    });
+  };
+
+  const httpServer = http.createServer((req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (!isAllowed(req)) {
+      sendJson(res, 403, { error: 'Host or origin not allowed' });
+      return;
+    }
+
+    let handled: Promise<void>;
+    if (req.method === 'GET' && url.pathname === SSE_PATH) {
+      handled = openSession(res);
+    } else if (req.method === 'POST' && url.pathname === MESSAGES_PATH) {
+      handled = postMessage(req, res, url);
+    } else if (req.method === 'GET' && url.pathname === HEALTH_PATH) {
+      reportHealth(res);
+      return;
+    } else {
+      sendJson(res, 404, { error: `No route for ${req.method} ${url.pathname}` });
+      return;
+    }
+
+    handled.catch(error => {
+      console.error(`Error handling ${req.method} ${url.pathname}:`, error);
+      if (!res.headersSent) {
+        sendJson(res, 500, { error: error instanceof Error ? error.message : String(error) });
+      }
+    });
+  });
+
+  await new Promise<void>((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(options.port, options.host, () => {
+      httpServer.off('error', reject);
+      resolve();
+    });
+  });
+
+  const { port } = httpServer.address() as { port: number };
+  const url = `http://${options.host.includes(':') ? `[${options.host}]` : options.host}:${port}`;
+  for (const host of allowedHosts) {
+    allowedOrigins.add(normalizeOrigin(`http://${host}:${port}`) as string);
+  }
+
+  return {
+    url,
+    getSessions: () => Array.from(sessions.values()).map(session => ({ ...session.info })),
+    close: async () => {
+      const closed = new Promise<void>(resolve => httpServer.close(() => resolve()));
+      await Promise.all(Array.from(sessions.values()).map(session => session.server.close()));
+      // Drop idle keep-alive connections so the server can stop
+      httpServer.closeAllConnections();
+      await closed;
+    }
+  };
+};
+
+// Export as both named exports and as default object
+export default {
+  getTransportOptions,
+  startHttpTransport
+};
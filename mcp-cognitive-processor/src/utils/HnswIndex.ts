@@ -0,0 +1,402 @@
+/**
+ * HNSW Index
+ * In-process approximate nearest-neighbour index (Hierarchical Navigable Small World graph)
+ * over unit vectors using cosine similarity
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Tuning parameters for the index
+ */
+export interface HnswOptions {
+  /** Links per node on upper layers (layer 0 keeps twice as many) */
+  m?: number;
+  /** Candidate list size while inserting */
+  efConstruction?: number;
+  /** Default candidate list size while searching */
+  efSearch?: number;
+}
+
+/**
+ * Serialised form of the index graph
+ * Vectors are not stored here; they are supplied from the owning store on load
+ */
+export interface HnswSnapshot {
+  version: 2;
+  providerId: string;
+  checksum: string; // Hash of the indexed vectors, so vectors replaced since the save are detected
+  dimensions: number;
+  m: number;
+  efConstruction: number;
+  efSearch: number;
+  entryPoint: string | null;
+  maxLevel: number;
+  nodes: Array<{
+    id: string;
+    level: number;
+    neighbors: string[][];
+  }>;
+}
+
+export interface HnswSearchResult {
+  id: string;
+  similarity: number;
+}
+
+interface HnswNode {
+  vector: number[];
+  level: number;
+  neighbors: string[][];
+}
+
+export class HnswIndex {
+  readonly providerId: string;
+  readonly dimensions: number;
+  private m: number;
+  private efConstruction: number;
+  private efSearch: number;
+  private levelMultiplier: number;
+  private nodes: Map<string, HnswNode> = new Map();
+  private entryPoint: string | null = null;
+  private maxLevel = -1;
+
+  constructor(providerId: string, dimensions: number, options: HnswOptions = {}) {
+    this.providerId = providerId;
+    this.dimensions = dimensions;
+    this.m = options.m ?? 16;
+    this.efConstruction = options.efConstruction ?? 100;
+    this.efSearch = options.efSearch ?? 64;
+    this.levelMultiplier = 1 / Math.log(this.m);
+  }
+
+  /**
+   * Number of indexed vectors
+   */
+  get size(): number {
+    return this.nodes.size;
+  }
+
+  /**
+   * Checks whether an id is indexed
+   */
+  has(id: string): boolean {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Adds or replaces a vector
+   * @param id - Identifier of the vector
+   * @param vector - The vector to index
+   * @complexity O(log n) expected
+   */
+  add(id: string, vector: number[]): void {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Vector for ${id} has ${vector.length} dimensions, index expects ${this.dimensions}`);
+    }
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    const level = this.levelFor(id);
+    const node: HnswNode = {
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => [])
+    };
+
+    if (this.entryPoint === null) {
+      this.nodes.set(id, node);
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      current = this.greedyClosest(node.vector, current, layer);
+    }
+
+    this.nodes.set(id, node);
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(node.vector, [current], this.efConstruction, layer)
+        .filter(candidate => candidate.id !== id);
+      const selected = this.selectNeighbors(node.vector, candidates.map(candidate => candidate.id), this.maxLinks(layer));
+      node.neighbors[layer] = selected;
+
+      for (const neighborId of selected) {
+        this.link(neighborId, id, layer);
+      }
+
+      if (candidates.length > 0) {
+        current = candidates[0].id;
+      }
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Removes a vector and repairs the links of its former neighbours
+   * @param id - Identifier of the vector
+   * @returns True if the vector was indexed
+   * @complexity O(n) to drop incoming links
+   */
+  remove(id: string): boolean {
+    const removed = this.nodes.get(id);
+    if (!removed) return false;
+    this.nodes.delete(id);
+
+    this.nodes.forEach((node, nodeId) => {
+      node.neighbors.forEach((links, layer) => {
+        const index = links.indexOf(id);
+        if (index === -1) return;
+
+        links.splice(index, 1);
+        // Reconnect through the removed node's neighbourhood
+        const replacements = (removed.neighbors[layer] || [])
+          .filter(candidate => candidate !== nodeId && !links.includes(candidate) && this.nodes.has(candidate));
+        node.neighbors[layer] = this.selectNeighbors(node.vector, links.concat(replacements), this.maxLinks(layer));
+      });
+    });
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      this.nodes.forEach((node, nodeId) => {
+        if (node.level > this.maxLevel) {
+          this.entryPoint = nodeId;
+          this.maxLevel = node.level;
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Finds the approximate nearest neighbours of a query vector
+   * @param query - The query vector
+   * @param k - Number of results
+   * @param ef - Candidate list size (defaults to the index setting)
+   * @returns Results sorted by descending similarity
+   * @complexity O(log n) expected
+   */
+  search(query: number[], k: number, ef: number = this.efSearch): HnswSearchResult[] {
+    if (this.entryPoint === null || query.length !== this.dimensions) return [];
+
+    const normalized = normalize(query);
+    let current = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      current = this.greedyClosest(normalized, current, layer);
+    }
+
+    return this.searchLayer(normalized, [current], Math.max(ef, k), 0).slice(0, k);
+  }
+
+  /**
+   * Serialises the graph (without vectors)
+   */
+  toJSON(): HnswSnapshot {
+    return {
+      version: 2,
+      providerId: this.providerId,
+      checksum: this.checksum(),
+      dimensions: this.dimensions,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: Array.from(this.nodes.entries()).map(([id, node]) => ({
+        id,
+        level: node.level,
+        neighbors: node.neighbors
+      }))
+    };
+  }
+
+  /**
+   * Restores an index from a snapshot
+   * @param snapshot - The serialised graph
+   * @param getVector - Looks up the stored vector for an id
+   * @returns The index, or null if the snapshot does not match the stored vectors
+   */
+  static fromJSON(snapshot: HnswSnapshot, getVector: (id: string) => number[] | undefined): HnswIndex | null {
+    if (snapshot.version !== 2) return null;
+
+    const index = new HnswIndex(snapshot.providerId, snapshot.dimensions, {
+      m: snapshot.m,
+      efConstruction: snapshot.efConstruction,
+      efSearch: snapshot.efSearch
+    });
+
+    for (const entry of snapshot.nodes) {
+      const vector = getVector(entry.id);
+      if (!vector || vector.length !== snapshot.dimensions) return null;
+      index.nodes.set(entry.id, {
+        vector: normalize(vector),
+        level: entry.level,
+        neighbors: entry.neighbors
+      });
+    }
+
+    index.entryPoint = snapshot.entryPoint;
+    index.maxLevel = snapshot.maxLevel;
+    // The graph was built for the vectors it was saved with
+    return index.checksum() === snapshot.checksum ? index : null;
+  }
+
+  /**
+   * Hashes the indexed ids and vectors
+   * @complexity O(n log n + n * dimensions)
+   */
+  private checksum(): string {
+    const hash = createHash('md5');
+    Array.from(this.nodes.keys()).sort().forEach(id => {
+      hash.update(id);
+      hash.update(Buffer.from(Float64Array.from((this.nodes.get(id) as HnswNode).vector).buffer));
+    });
+    return hash.digest('hex');
+  }
+
+  private maxLinks(layer: number): number {
+    return layer === 0 ? this.m * 2 : this.m;
+  }
+
+  /**
+   * Draws the node level from the id so rebuilds produce the same graph shape
+   */
+  private levelFor(id: string): number {
+    const hash = createHash('md5').update(id).digest();
+    const uniform = (hash.readUInt32BE(0) + 1) / 4294967297;
+    return Math.floor(-Math.log(uniform) * this.levelMultiplier);
+  }
+
+  /**
+   * Adds a link and prunes the neighbour list to the closest nodes
+   */
+  private link(fromId: string, toId: string, layer: number): void {
+    const from = this.nodes.get(fromId);
+    if (!from || !from.neighbors[layer] || from.neighbors[layer].includes(toId)) return;
+
+    const links = from.neighbors[layer].concat(toId);
+    from.neighbors[layer] = links.length > this.maxLinks(layer)
+      ? this.selectNeighbors(from.vector, links, this.maxLinks(layer))
+      : links;
+  }
+
+  /**
+   * Picks neighbours with the HNSW diversity heuristic
+   * A candidate is kept only if it is closer to the base vector than to every neighbour
+   * already kept, so an outlier is not pruned away by a dense cluster and left unreachable
+   */
+  private selectNeighbors(vector: number[], ids: string[], limit: number): string[] {
+    const candidates = ids
+      .map(id => {
+        const candidateVector = this.nodes.get(id)!.vector;
+        return { id, vector: candidateVector, similarity: dot(vector, candidateVector) };
+      })
+      .sort((a, b) => b.similarity - a.similarity);
+    const selected: typeof candidates = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= limit) break;
+      if (selected.every(kept => dot(candidate.vector, kept.vector) < candidate.similarity)) {
+        selected.push(candidate);
+      }
+    }
+    return selected.map(candidate => candidate.id);
+  }
+
+  private greedyClosest(query: number[], startId: string, layer: number): string {
+    let current = startId;
+    let best = dot(query, this.nodes.get(current)!.vector);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighborId of this.nodes.get(current)!.neighbors[layer] || []) {
+        const neighbor = this.nodes.get(neighborId);
+        if (!neighbor) continue;
+        const similarity = dot(query, neighbor.vector);
+        if (similarity > best) {
+          best = similarity;
+          current = neighborId;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Best-first search within one layer
+   * @returns Up to ef results sorted by descending similarity
+   */
+  private searchLayer(query: number[], entryIds: string[], ef: number, layer: number): HnswSearchResult[] {
+    const visited = new Set<string>(entryIds);
+    const candidates: HnswSearchResult[] = [];
+    const results: HnswSearchResult[] = [];
+
+    for (const id of entryIds) {
+      const node = this.nodes.get(id);
+      if (!node) continue;
+      const entry = { id, similarity: dot(query, node.vector) };
+      insertSorted(candidates, entry);
+      insertSorted(results, entry);
+    }
+
+    while (candidates.length > 0) {
+      const closest = candidates.shift()!;
+      const worst = results[results.length - 1];
+      if (results.length >= ef && closest.similarity < worst.similarity) break;
+
+      for (const neighborId of this.nodes.get(closest.id)?.neighbors[layer] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const neighbor = this.nodes.get(neighborId);
+        if (!neighbor) continue;
+
+        const entry = { id: neighborId, similarity: dot(query, neighbor.vector) };
+        if (results.length < ef || entry.similarity > results[results.length - 1].similarity) {
+          insertSorted(candidates, entry);
+          insertSorted(results, entry);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+/**
+ * Inserts into an array kept sorted by descending similarity
+ */
+const insertSorted = (list: HnswSearchResult[], entry: HnswSearchResult): void => {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid].similarity >= entry.similarity) low = mid + 1;
+    else high = mid;
+  }
+  list.splice(low, 0, entry);
+};
+
+const dot = (a: number[], b: number[]): number => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const normalize = (vector: number[]): number[] => {
+  const magnitude = Math.sqrt(dot(vector, vector));
+  if (magnitude === 0) return vector.slice();
+  return vector.map(val => val / magnitude);
+};
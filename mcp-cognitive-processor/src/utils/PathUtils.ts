@@ -0,0 +1,51 @@
+/**
+ * Path utilities
+ * Confines file paths that tool callers choose to a directory the server owns
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * Checks whether a path lies strictly inside a directory
+ */
+const isInside = (dir: string, target: string): boolean => {
+  const relative = path.relative(dir, target);
+  return relative !== '' && relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative);
+};
+
+/**
+ * Resolves a path against a directory and rejects anything that ends up outside it
+ * Symbolic links are followed as far as the path exists, so a link inside the directory
+ * cannot lead out of it. The directory is created if it does not exist.
+ * @param baseDir - Directory the path must stay inside
+ * @param filePath - Path relative to the directory
+ * @param description - What the path is for, used in the error
+ * @returns The absolute path
+ * @throws If the path ends up outside the directory
+ */
+export const resolveInsideDir = async (baseDir: string, filePath: string, description = 'File'): Promise<string> => {
+  const dir = path.resolve(baseDir);
+  const resolved = path.resolve(dir, filePath);
+  const outside = new Error(`${description} paths must be inside ${dir}`);
+  if (!isInside(dir, resolved)) {
+    throw outside;
+  }
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  const realDir = await fs.promises.realpath(dir);
+  let existing = resolved;
+  while (!fs.existsSync(existing)) {
+    existing = path.dirname(existing);
+  }
+  const realExisting = await fs.promises.realpath(existing);
+  if (realExisting !== realDir && !isInside(realDir, realExisting)) {
+    throw outside;
+  }
+  return resolved;
+};
+
+// Export as both named exports and as default object
+export default {
+  resolveInsideDir
+};
@@ -599,7 +599,7 @@ export class TokenOptimizerImpl implements ITokenOptimizer {
     /**
      * Save token metrics to disk
      */
-    private async saveTokenMetrics(): Promise<void> {
+    async saveTokenMetrics(): Promise<void> {
         try {
             const metricsPath = path.join(this.historyPath, 'token_metrics.json');
             await fs.promises.writeFile(metricsPath, JSON.stringify({
@@ -0,0 +1,136 @@
+/**
+ * AI fixture files
+ * Fingerprints model requests and reads and writes the fixtures that record their responses, so
+ * model calls can be recorded once against a live provider and replayed in tests without one
+ */
+
+import { createHash } from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+import { AIFixture } from '../models/types.js';
+
+// Bump when the fixture format or the fingerprinting changes, so older fixtures show up as stale
+export const FIXTURE_VERSION = 1;
+
+// Values that differ on every run of the same request, replaced before fingerprinting
+const VOLATILE_PATTERNS: Array<[RegExp, string]> = [
+  [/\bstep(\d+)_\d{10,}\b/g, 'step$1_<id>'], // Pipeline step IDs
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g, '<timestamp>'],
+  [/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>']
+];
+
+const normalizeValue = (value: unknown): unknown => {
+  if (typeof value === 'string') {
+    return VOLATILE_PATTERNS.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeValue);
+  }
+  if (value && typeof value === 'object') {
+    const object = value as Record<string, unknown>;
+    // Keys are sorted so the fingerprint does not depend on the order a request was built in
+    return Object.keys(object).sort().reduce((normalized, key) => {
+      const entry = object[key];
+      // Abort signals and callbacks such as onToken do not change what the model is asked
+      if (key !== 'signal' && entry !== undefined && typeof entry !== 'function') {
+        normalized[key] = normalizeValue(entry);
+      }
+      return normalized;
+    }, {} as Record<string, unknown>);
+  }
+  return value;
+};
+
+/**
+ * Normalises a model call into the request its fixture is recorded under
+ * @param data - The query sent to the service
+ * @param options - Options passed alongside it, e.g. the streaming options of GeminiService
+ * @param call - Whether the response was returned by query or streamed by createResponseStream
+ */
+export const normalizeRequest = (data: unknown, options?: unknown, call: 'query' | 'stream' = 'query'): unknown =>
+  normalizeValue({ call, data, options: options ?? {} });
+
+/**
+ * Fingerprints a normalised request
+ */
+export const fingerprintRequest = (request: unknown): string =>
+  createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 32);
+
+const fixturePath = (dir: string, fingerprint: string): string => path.join(dir, `${fingerprint}.json`);
+
+/**
+ * Reads the fixture recorded for a fingerprint
+ * @returns The fixture, or null if none was recorded
+ */
+export const readFixture = async (dir: string, fingerprint: string): Promise<AIFixture | null> => {
+  try {
+    return JSON.parse(await fs.promises.readFile(fixturePath(dir, fingerprint), 'utf8')) as AIFixture;
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Writes a fixture, replacing any recorded earlier for the same fingerprint
+ */
+export const writeFixture = async (dir: string, fixture: AIFixture): Promise<void> => {
+  await fs.promises.mkdir(dir, { recursive: true });
+  await fs.promises.writeFile(fixturePath(dir, fixture.fingerprint), JSON.stringify(fixture, null, 2));
+};
+
+/**
+ * Checks whether a fixture can still be replayed
+ * @param maxAge - Age in milliseconds after which fixtures must be recorded again (no limit if omitted)
+ * @returns Why the fixture is stale, or null if it is not
+ */
+export const checkFixture = (fixture: AIFixture, maxAge?: number): string | null => {
+  if (fixture.version !== FIXTURE_VERSION) {
+    return `recorded with fixture version ${fixture.version}, expected ${FIXTURE_VERSION}`;
+  }
+  if (fingerprintRequest(normalizeValue(fixture.request)) !== fixture.fingerprint) {
+    return 'its request no longer matches its fingerprint';
+  }
+  if (maxAge !== undefined && Date.now() - new Date(fixture.recordedAt).getTime() > maxAge) {
+    return `recorded at ${fixture.recordedAt}, more than ${maxAge}ms ago`;
+  }
+  return null;
+};
+
+/**
+ * Lists the fixtures in a directory that can no longer be replayed
+ * @param maxAge - Age in milliseconds after which fixtures count as stale (no limit if omitted)
+ */
+export const findStaleFixtures = async (
+  dir: string,
+  maxAge?: number
+): Promise<Array<{ fingerprint: string; reason: string }>> => {
+  const files = fs.existsSync(dir) ? await fs.promises.readdir(dir) : [];
+  const stale: Array<{ fingerprint: string; reason: string }> = [];
+
+  for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+    const fingerprint = file.slice(0, -'.json'.length);
+    const fixture = await readFixture(dir, fingerprint);
+    const reason = fixture!.fingerprint !== fingerprint
+      ? `stored as ${file} but fingerprinted ${fixture!.fingerprint}`
+      : checkFixture(fixture!, maxAge);
+    if (reason) {
+      stale.push({ fingerprint, reason });
+    }
+  }
+
+  return stale;
+};
+
+// Export as both named exports and as default object
+export default {
+  FIXTURE_VERSION,
+  normalizeRequest,
+  fingerprintRequest,
+  readFixture,
+  writeFixture,
+  checkFixture,
+  findStaleFixtures
+};
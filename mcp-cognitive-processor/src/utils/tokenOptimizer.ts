@@ -51,6 +51,13 @@ export function getTokenOptimizationStats() {
   return tokenOptimizer.getTokenOptimizationStats();
 }
 
+/**
+ * Save token metrics to disk
+ */
+export async function saveTokenMetrics() {
+  return tokenOptimizer.saveTokenMetrics();
+}
+
 /**
  * Perform optimization maintenance
  */
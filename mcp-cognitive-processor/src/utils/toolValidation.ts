@@ -0,0 +1,185 @@
+/**
+ * Tool argument validation and error responses
+ * Checks tool arguments against the input schema the tool declares, and formats every tool
+ * error in one envelope so clients can handle them the same way
+ */
+
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { ToolErrorEnvelope, ToolFieldError } from '../models/types.js';
+
+/**
+ * The parts of JSON Schema used by tool input schemas
+ */
+export interface ToolInputSchema {
+  type?: string | string[];
+  properties?: Record<string, ToolInputSchema>;
+  required?: string[];
+  items?: ToolInputSchema;
+  enum?: unknown[];
+  minimum?: number;
+  maximum?: number;
+  minLength?: number;
+  pattern?: string;
+  anyOf?: ToolInputSchema[];
+  additionalProperties?: boolean | ToolInputSchema;
+  [keyword: string]: unknown;
+}
+
+const typeOf = (value: unknown): string => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value: unknown, type: string): boolean => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+const childPath = (path: string, key: string | number): string =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+/**
+ * Validates a value against a tool input schema
+ * @param schema - The schema, or one of its nested schemas
+ * @param value - The value to check
+ * @param path - Path of the value within the arguments, e.g. "weights.vector" or "systems[0]"
+ * @returns One entry per problem found, empty when the value is valid
+ */
+export const validateToolArguments = (schema: ToolInputSchema, value: unknown, path: string = ''): ToolFieldError[] => {
+  const field = path || 'arguments';
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [{ path: field, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` }];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    return [{ path: field, message: `must be one of: ${schema.enum.join(', ')}` }];
+  }
+
+  const errors: ToolFieldError[] = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: field, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: field, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: field, message: `must be at least ${schema.minLength} characters long` });
+  }
+
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+    errors.push({ path: field, message: `must match the pattern ${schema.pattern}` });
+  }
+
+  // Alternatives that only differ in their required arguments are described by those arguments
+  if (schema.anyOf && !schema.anyOf.some(option => validateToolArguments(option, value, path).length === 0)) {
+    const alternatives = schema.anyOf.map(option => (option.required || []).join(' and '));
+    errors.push({
+      path: field,
+      message: alternatives.every(Boolean)
+        ? `must include at least one of: ${alternatives.join(', ')}`
+        : 'must match at least one of the allowed argument combinations'
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateToolArguments(schema.items!, item, childPath(path, index))));
+  }
+
+  if (typeOf(value) === 'object') {
+    const object = value as Record<string, unknown>;
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (object[name] === undefined) {
+        errors.push({ path: childPath(path, name), message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(object)) {
+      if (propertyValue === undefined) continue;
+
+      const propertySchema = properties[name];
+      if (propertySchema) {
+        errors.push(...validateToolArguments(propertySchema, propertyValue, childPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, name), message: 'is not a known argument' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateToolArguments(schema.additionalProperties, propertyValue, childPath(path, name)));
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Checks the arguments of a tool call against the tool's input schema
+ * Missing arguments are checked as an empty object.
+ * @throws McpError with InvalidParams, listing every invalid field, if the arguments do not match
+ */
+export const assertValidToolArguments = (tool: string, schema: ToolInputSchema, args: unknown): void => {
+  const errors = validateToolArguments(schema, args === undefined ? {} : args);
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.path} ${error.message}`).join('; ');
+    throw new McpError(ErrorCode.InvalidParams, `Invalid arguments for ${tool}: ${summary}`, { fields: errors });
+  }
+};
+
+/**
+ * Builds the error envelope for a failed tool call
+ * MCP errors keep their code and field errors, anything else is reported as an internal error.
+ */
+export const createToolError = (tool: string, error: unknown): ToolErrorEnvelope => {
+  const isMcpError = error instanceof McpError;
+  const message = error instanceof Error ? error.message : String(error);
+  const fields = isMcpError ? (error.data as { fields?: ToolFieldError[] } | undefined)?.fields : undefined;
+
+  return {
+    error: {
+      code: isMcpError ? error.code : ErrorCode.InternalError,
+      // McpError prefixes its message with the code, which the envelope already carries
+      message: isMcpError ? message.replace(/^MCP error -?\d+: /, '') : message,
+      tool,
+      ...(fields ? { fields } : {}),
+      timestamp: new Date().toISOString()
+    }
+  };
+};
+
+/**
+ * Formats a failed tool call as a tool result carrying the error envelope
+ */
+export const toolErrorResult = (tool: string, error: unknown) => ({
+  content: [
+    {
+      type: 'text' as const,
+      text: JSON.stringify(createToolError(tool, error), null, 2),
+    },
+  ],
+  isError: true,
+});
+
+// Export as both named exports and as default object
+export default {
+  validateToolArguments,
+  assertValidToolArguments,
+  createToolError,
+  toolErrorResult
+};
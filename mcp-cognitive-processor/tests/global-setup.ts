@@ -0,0 +1,12 @@
+/**
+ * Global test setup
+ * Creates the directory the suites keep their data in, removed again by the global teardown.
+ * Suites are not allowed to remove their own, since services finish initialising asynchronously.
+ */
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+export default (): void => {
+  process.env.MCP_TEST_DATA_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-test-data-'));
+};
@@ -0,0 +1,11 @@
+/**
+ * Global test teardown
+ * Removes the data directory created by the global setup
+ */
+import * as fs from 'fs';
+
+export default (): void => {
+  if (process.env.MCP_TEST_DATA_ROOT) {
+    fs.rmSync(process.env.MCP_TEST_DATA_ROOT, { recursive: true, force: true });
+  }
+};
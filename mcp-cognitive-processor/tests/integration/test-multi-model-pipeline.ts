@@ -3,6 +3,9 @@ import { ProcessingPipelineOrchestrator } from '../../src/services/ProcessingPip
 import dotenv from 'dotenv';
 dotenv.config();
 
+// Set MCP_RECORD_DIR to record the model calls of a live run into fixtures, and MCP_REPLAY_DIR to
+// replay them without an API key
+
 async function testMultiModelPipeline() {
   try {
     console.log('Initializing processing pipeline test...');
@@ -14,7 +17,10 @@ async function testMultiModelPipeline() {
     console.log('Starting pipeline processing with query:', testQuery);
     console.log('---------------------------------------------------');
     
-    const result = await pipelineOrchestrator.process(testQuery);
+    const result = await pipelineOrchestrator.execute(testQuery);
+    if (!result.success) {
+      throw result.error;
+    }
     
     console.log('Pipeline processing completed successfully!');
     console.log('---------------------------------------------------');
@@ -23,16 +29,16 @@ async function testMultiModelPipeline() {
     
     console.log('Intermediate Results:');
     result.intermediateResults.forEach((step, index) => {
-      console.log(`\nStep ${index + 1}: ${step.metadata.step} (${step.metadata.model})`);
-      console.log(`Tokens: ${step.metadata.tokenUsage.total}`);
+      console.log(`\nStep ${index + 1}: ${step.model}`);
+      console.log(`Tokens: ${step.tokenUsage?.total || 0}`);
       console.log('---------------------------------------------------');
-      console.log(step.result.substring(0, 150) + '...');
+      console.log(step.response.substring(0, 150) + '...');
       console.log('---------------------------------------------------');
     });
     
     console.log('\n\nFinal Output:');
     console.log('---------------------------------------------------');
-    console.log(result.finalResult);
+    console.log(result.finalResponse.response);
     console.log('---------------------------------------------------');
     
   } catch (error) {
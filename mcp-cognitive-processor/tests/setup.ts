@@ -0,0 +1,14 @@
+/**
+ * Test setup
+ * The suites are written against the mocha BDD interface with chai assertions; jest provides
+ * describe, it and the each hooks, so only mocha's before and after need mapping.
+ * Each suite also gets its own data directory, so tests never touch ./data.
+ */
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+(globalThis as any).before = beforeAll;
+(globalThis as any).after = afterAll;
+
+process.env.MCP_DB_DIR = fs.mkdtempSync(path.join(process.env.MCP_TEST_DATA_ROOT || os.tmpdir(), 'suite-'));
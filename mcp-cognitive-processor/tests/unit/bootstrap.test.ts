@@ -0,0 +1,88 @@
+import { expect } from 'chai';
+import { composeServices, getBootstrapOptions, registerModelProvider } from '../../src/bootstrap';
+import { OfflineAIService } from '../../src/services/OfflineAIService';
+
+class StubProvider {
+  async query(): Promise<any> {
+    return { response: 'stub' };
+  }
+}
+
+describe('Server bootstrap', () => {
+  describe('getBootstrapOptions', () => {
+    it('should default to the gemini and o1-mini providers with fallback over stdio', () => {
+      const options = getBootstrapOptions([], { OPENROUTER_API_KEY: 'key' });
+
+      expect(options.providers).to.deep.equal(['gemini', 'o1-mini']);
+      expect(options.fallback).to.equal(true);
+      expect(options.offline).to.equal(false);
+      expect(options.transport.transport).to.equal('stdio');
+    });
+
+    it('should prefer command line flags over environment variables', () => {
+      const options = getBootstrapOptions(
+        ['--providers=claude, deepseek', '--no-fallback', '--transport', 'http'],
+        { MCP_PROVIDERS: 'gemini', MCP_FALLBACK: 'true' }
+      );
+
+      expect(options.providers).to.deep.equal(['claude', 'deepseek']);
+      expect(options.fallback).to.equal(false);
+      expect(options.transport.transport).to.equal('http');
+      expect(getBootstrapOptions(['--fallback'], { MCP_FALLBACK: 'false', OPENROUTER_API_KEY: 'key' }).fallback).to.equal(true);
+    });
+
+    it('should reject an empty provider list and invalid fallback and offline settings', () => {
+      expect(() => getBootstrapOptions(['--providers', ''], {})).to.throw('At least one model provider');
+      expect(() => getBootstrapOptions([], { MCP_FALLBACK: 'sometimes' })).to.throw('Invalid MCP_FALLBACK');
+      expect(() => getBootstrapOptions([], { MCP_OFFLINE: 'maybe' })).to.throw('Invalid MCP_OFFLINE');
+    });
+
+    it('should run offline when asked to, or when no providers or OPENROUTER_API_KEY are configured', () => {
+      const offline = { providers: ['offline'], fallback: false, offline: true };
+      const pick = ({ providers, fallback, offline }: { providers: string[]; fallback: boolean; offline: boolean }) =>
+        ({ providers, fallback, offline });
+
+      expect(pick(getBootstrapOptions(['--offline', '--providers', 'gemini'], { OPENROUTER_API_KEY: 'key' }))).to.deep.equal(offline);
+      expect(pick(getBootstrapOptions([], {}))).to.deep.equal(offline);
+      expect(getBootstrapOptions([], { MCP_OFFLINE: 'false' }).offline).to.equal(false);
+      expect(getBootstrapOptions(['--providers', 'claude'], {}).offline).to.equal(false);
+    });
+  });
+
+  describe('composeServices', () => {
+    const transport = { transport: 'stdio' as const, port: 3000, host: '127.0.0.1' };
+
+    it('should use the first provider directly when fallback is off and report it', async () => {
+      registerModelProvider('stub', () => new StubProvider());
+
+      const services = await composeServices({ transport, providers: ['stub', 'gemini'], fallback: false, offline: false }, {});
+
+      expect(services.aiService).to.be.instanceOf(StubProvider);
+      expect(services.info.providers).to.deep.equal([{ name: 'stub', service: 'StubProvider' }]);
+      expect(services.info.fallback).to.deep.equal({ enabled: false, providers: [] });
+      expect(services.info.thinkingService.aiService).to.equal('StubProvider');
+      expect(services.info.offline).to.equal(false);
+    });
+
+    it('should compose the offline provider without any API key and report it', async () => {
+      const services = await composeServices({ transport, providers: ['offline'], fallback: false, offline: true }, {});
+
+      expect(services.aiService).to.be.instanceOf(OfflineAIService);
+      expect(services.info.offline).to.equal(true);
+    });
+
+    it('should reject unknown providers and providers without their API key', async () => {
+      const composeError = async (providers: string[]): Promise<string> => {
+        try {
+          await composeServices({ transport, providers, fallback: false, offline: false }, {});
+        } catch (error) {
+          return (error as Error).message;
+        }
+        return '';
+      };
+
+      expect(await composeError(['nope'])).to.include('Unknown model provider "nope"');
+      expect(await composeError(['gemini'])).to.equal('OPENROUTER_API_KEY is required for the gemini model provider');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { expect } from 'chai';
+import { HnswIndex } from '../../src/utils/HnswIndex';
+
+const DIMENSIONS = 32;
+
+// Deterministic pseudo-random vectors so the test is reproducible
+const makeVector = (seed: number): number[] => {
+  let state = seed * 9301 + 49297;
+  return Array.from({ length: DIMENSIONS }, () => {
+    state = (state * 9301 + 49297) % 233280;
+    return state / 233280 - 0.5;
+  });
+};
+
+const bruteForce = (vectors: Map<string, number[]>, query: number[], k: number): string[] => {
+  const norm = (v: number[]) => Math.sqrt(v.reduce((sum, val) => sum + val * val, 0));
+  return Array.from(vectors.entries())
+    .map(([id, v]) => ({ id, similarity: v.reduce((sum, val, i) => sum + val * query[i], 0) / (norm(v) * norm(query)) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map(result => result.id);
+};
+
+describe('HnswIndex', () => {
+  let index: HnswIndex;
+  let vectors: Map<string, number[]>;
+
+  beforeEach(() => {
+    index = new HnswIndex('test-provider', DIMENSIONS);
+    vectors = new Map();
+    for (let i = 0; i < 500; i++) {
+      const vector = makeVector(i);
+      vectors.set(`item-${i}`, vector);
+      index.add(`item-${i}`, vector);
+    }
+  });
+
+  it('should find the exact match first', () => {
+    const results = index.search(vectors.get('item-42')!, 5);
+
+    expect(results[0].id).to.equal('item-42');
+    expect(results[0].similarity).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should have high recall against brute force search', () => {
+    let found = 0;
+    for (let q = 1000; q < 1020; q++) {
+      const query = makeVector(q);
+      const expected = bruteForce(vectors, query, 10);
+      const actual = new Set(index.search(query, 10).map(result => result.id));
+      found += expected.filter(id => actual.has(id)).length;
+    }
+
+    expect(found / 200).to.be.greaterThan(0.9);
+  });
+
+  it('should not return removed items', () => {
+    expect(index.remove('item-42')).to.equal(true);
+    expect(index.has('item-42')).to.equal(false);
+    expect(index.size).to.equal(499);
+
+    const results = index.search(vectors.get('item-42')!, 10);
+    expect(results.map(result => result.id)).to.not.include('item-42');
+  });
+
+  it('should keep an outlier reachable next to a dense cluster', () => {
+    const clustered = new HnswIndex('test-provider', DIMENSIONS);
+    const center = makeVector(1);
+    for (let i = 0; i < 100; i++) {
+      clustered.add(`near-${i}`, center.map((val, d) => val + makeVector(i + 2)[d] * 0.01));
+    }
+    const outlier = makeVector(5000);
+    clustered.add('outlier', outlier);
+
+    expect(clustered.search(center, 101, 200).map(result => result.id)).to.include('outlier');
+  });
+
+  it('should restore from a snapshot', () => {
+    const snapshot = JSON.parse(JSON.stringify(index.toJSON()));
+    const restored = HnswIndex.fromJSON(snapshot, id => vectors.get(id));
+
+    expect(restored).to.not.equal(null);
+    expect(restored!.size).to.equal(500);
+    expect(restored!.search(vectors.get('item-7')!, 1)[0].id).to.equal('item-7');
+  });
+
+  it('should reject a snapshot when stored vectors are missing', () => {
+    const snapshot = index.toJSON();
+    vectors.delete('item-7');
+
+    expect(HnswIndex.fromJSON(snapshot, id => vectors.get(id))).to.equal(null);
+  });
+
+  it('should reject a snapshot when a stored vector was replaced', () => {
+    const snapshot = index.toJSON();
+    vectors.set('item-7', makeVector(7000));
+
+    expect(HnswIndex.fromJSON(snapshot, id => vectors.get(id))).to.equal(null);
+  });
+});
@@ -3,7 +3,7 @@
  * Verifies the service's self-contained processing capabilities
  */
 
-import { processStructuredThinking, performReasoning } from '../../../src/services/intelligenceService';
+import { processStructuredThinking, performReasoning, compareReasoning } from '../../../src/services/intelligenceService';
 import * as cacheService from '../../../src/services/cacheService';
 import * as memoryService from '../../../src/services/memoryService';
 import * as tokenOptimizer from '../../../src/utils/tokenOptimizer';
@@ -221,6 +221,27 @@ async function runTests() {
         Assert.strictEqual(result.confidence, 0);
       });
     });
+    
+    runner.describe('compareReasoning', () => {
+      runner.it('should compare the conclusions and confidence of each reasoning system', async () => {
+        // Arrange
+        const request = {
+          problem: 'Why did the nightly build start failing?',
+          context: ['The failures began after a dependency upgrade'],
+          maxSteps: 4
+        };
+        
+        // Act
+        const result = await compareReasoning(request, ['deductive', 'abductive']);
+        
+        // Assert
+        Assert.deepEqual(result.comparison.map(entry => entry.reasoningSystem), ['deductive', 'abductive']);
+        Assert.strictEqual(result.results.length, 2);
+        Assert.ok(result.comparison.every(entry => entry.stepCount === 4));
+        Assert.ok(result.comparison[0].confidence > result.comparison[1].confidence);
+        Assert.strictEqual(result.mostConfident, 'deductive');
+      });
+    });
   });
   
   await runner.run();
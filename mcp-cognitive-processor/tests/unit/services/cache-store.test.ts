@@ -0,0 +1,347 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as net from 'net';
+import * as os from 'os';
+import * as path from 'path';
+import { ICacheBackend } from '../../../src/interfaces/ICacheBackend';
+import { CacheStore, CacheStoreOptions } from '../../../src/services/cache/CacheStore';
+import { FileCacheBackend } from '../../../src/services/cache/FileCacheBackend';
+import { MemoryCacheBackend } from '../../../src/services/cache/MemoryCacheBackend';
+import { RedisCacheBackend } from '../../../src/services/cache/RedisCacheBackend';
+import { RespClient, parseReply } from '../../../src/services/cache/RespClient';
+import { exportCacheSnapshot, importCacheSnapshot, setCacheStore, storeCache } from '../../../src/services/cacheService';
+import { mcpConfig } from '../../../src/config/mcp-config';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+const bulk = (value: string | null): string =>
+  value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+
+/**
+ * Local stand-in for a Redis server, implementing the commands the cache backend uses
+ */
+const startRespStandIn = async (): Promise<{ url: string; close: () => Promise<void> }> => {
+  const data = new Map<string, { value: string; expiresAt: number | null }>();
+  const read = (key: string): string | null => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry.value;
+  };
+
+  const execute = ([command, ...args]: string[]): string => {
+    switch (command.toUpperCase()) {
+      case 'GET':
+        return bulk(read(args[0]));
+      case 'SET': {
+        const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        data.set(args[0], { value: args[1], expiresAt: px === -1 ? null : Date.now() + Number(args[px + 1]) });
+        return '+OK\r\n';
+      }
+      case 'DEL':
+        return `:${args.filter(key => data.delete(key)).length}\r\n`;
+      case 'MGET':
+        return `*${args.length}\r\n${args.map(key => bulk(read(key))).join('')}`;
+      case 'SCAN': {
+        const prefix = args[args.findIndex(arg => arg.toUpperCase() === 'MATCH') + 1].replace(/\*$/, '');
+        const keys = Array.from(data.keys()).filter(key => key.startsWith(prefix) && read(key) !== null);
+        return `*2\r\n${bulk('0')}*${keys.length}\r\n${keys.map(bulk).join('')}`;
+      }
+      default:
+        return `-ERR unknown command '${command}'\r\n`;
+    }
+  };
+
+  const sockets = new Set<net.Socket>();
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let request = parseReply(buffer); request; request = parseReply(buffer)) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(execute(request.value as string[]));
+      }
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as net.AddressInfo;
+
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    close: () => new Promise<void>(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(() => resolve());
+    })
+  };
+};
+
+const OPTIONS: CacheStoreOptions = {
+  maxEntries: 100,
+  maxSizeBytes: 1024 * 1024,
+  ttl: { default: 60 * 1000, short_cache: 30 }
+};
+
+const backends: Array<{ name: string; open: () => Promise<{ backend: () => ICacheBackend; cleanup: () => Promise<void> }> }> = [
+  {
+    name: 'memory',
+    open: async () => {
+      // Every store of one test shares the same records
+      const backend = new MemoryCacheBackend();
+      return { backend: () => backend, cleanup: async () => {} };
+    }
+  },
+  {
+    name: 'file',
+    open: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-store-'));
+      return {
+        backend: () => new FileCacheBackend(dir),
+        cleanup: async () => fs.rmSync(dir, { recursive: true, force: true })
+      };
+    }
+  },
+  {
+    name: 'redis',
+    open: async () => {
+      const standIn = await startRespStandIn();
+      const clients: RespClient[] = [];
+      return {
+        backend: () => {
+          const client = new RespClient(standIn.url);
+          clients.push(client);
+          return new RedisCacheBackend(client, 'test:cache:');
+        },
+        cleanup: async () => {
+          await Promise.all(clients.map(client => client.close()));
+          await standIn.close();
+        }
+      };
+    }
+  }
+];
+
+backends.forEach(({ name, open }) => {
+  describe(`CacheStore with the ${name} backend`, () => {
+    let context: { backend: () => ICacheBackend; cleanup: () => Promise<void> };
+
+    beforeEach(async () => {
+      context = await open();
+    });
+
+    afterEach(async () => {
+      await context.cleanup();
+    });
+
+    it('should return stored responses with their key and tags', async () => {
+      const store = new CacheStore(context.backend(), OPTIONS);
+      await store.set('generation_cache', 'prompt:1', 'answer', ['model:a', 'model:a', ' ']);
+
+      const result = await store.get('generation_cache', 'prompt:1');
+      expect(result?.response).to.equal('answer');
+      expect(result?.key).to.equal('prompt:1');
+      expect(result?.tags).to.deep.equal(['model:a']);
+      expect(await store.get('generation_cache', 'prompt:2')).to.be.null;
+    });
+
+    it('should expire entries after the TTL of their cache type', async () => {
+      const store = new CacheStore(context.backend(), OPTIONS);
+      await store.set('short_cache', 'key', 'value');
+      await delay(60);
+
+      expect(await store.get('short_cache', 'key')).to.be.null;
+      expect((await store.getStats()).expired).to.equal(1);
+    });
+
+    it('should evict the least recently used entry beyond maxEntries', async () => {
+      const store = new CacheStore(context.backend(), { ...OPTIONS, maxEntries: 2 });
+      await store.set('test_cache', 'a', '1');
+      await store.set('test_cache', 'b', '2');
+      await store.get('test_cache', 'a');
+      await store.set('test_cache', 'c', '3');
+
+      expect(await store.get('test_cache', 'b')).to.be.null;
+      expect((await store.get('test_cache', 'a'))?.response).to.equal('1');
+      expect((await store.getStats()).evictions).to.equal(1);
+    });
+
+    it('should evict entries to stay within maxSizeBytes', async () => {
+      const store = new CacheStore(context.backend(), { ...OPTIONS, maxSizeBytes: 10 });
+      await store.set('test_cache', 'a', '123456');
+      await store.set('test_cache', 'b', '123456');
+
+      const stats = await store.getStats();
+      expect(stats.totalItems).to.equal(1);
+      expect(stats.sizeInBytes).to.equal(6);
+      expect(await store.get('test_cache', 'a')).to.be.null;
+    });
+
+    it('should report hits, misses and sizes by cache type', async () => {
+      const store = new CacheStore(context.backend(), OPTIONS);
+      await store.set('test_cache', 'a', 'abc');
+      await store.get('test_cache', 'a');
+      await store.get('test_cache', 'missing');
+
+      const stats = await store.getStats('test_cache');
+      expect(stats.backend).to.equal(name);
+      expect(stats.byType.test_cache).to.deep.equal({ items: 1, sizeInBytes: 3, hits: 1, misses: 1, hitRate: 0.5 });
+      expect((await store.list()).entries[0]).to.include({ key: 'a', hits: 1 });
+    });
+
+    it('should invalidate by tag and pick up entries written by another store', async () => {
+      const writer = new CacheStore(context.backend(), OPTIONS);
+      await writer.set('test_cache', 'x:1', 'one', ['project:p']);
+      await writer.set('test_cache', 'y:1', 'two');
+
+      const reader = new CacheStore(context.backend(), OPTIONS);
+      expect((await reader.list({ pattern: 'x:*' })).total).to.equal(1);
+      expect(await reader.invalidate({ tag: 'project:p' })).to.deep.equal({ removed: 1, byType: { test_cache: 1 } });
+      expect(await writer.get('test_cache', 'x:1')).to.be.null;
+    });
+
+    it('should page through entries newest first and filter them by tag', async () => {
+      const store = new CacheStore(context.backend(), OPTIONS);
+      for (const key of ['a', 'b', 'c', 'd', 'e']) {
+        await store.set('test_cache', key, key.repeat(4), key < 'c' ? ['model:old'] : ['model:new']);
+        await delay(2);
+      }
+
+      const first = await store.list({ limit: 2 });
+      const second = await store.list({ offset: 2, limit: 2 });
+      const last = await store.list({ offset: 4, limit: 2 });
+      expect([first.total, first.offset, first.limit]).to.deep.equal([5, 0, 2]);
+      expect([...first.entries, ...second.entries, ...last.entries].map(entry => entry.key)).to.deep.equal(['e', 'd', 'c', 'b', 'a']);
+      expect(first.entries[0]).to.include({ cacheType: 'test_cache', sizeInBytes: 4, hits: 0 });
+      expect(first.entries[0].tags).to.deep.equal(['model:new']);
+      expect(first.entries[0].ttlRemainingSeconds).to.be.within(59, 60);
+
+      const old = await store.list({ tag: 'model:old' });
+      expect(old.entries.map(entry => entry.key)).to.deep.equal(['b', 'a']);
+      const newer = await store.list({ tag: 'model:new', offset: 2, limit: 2 });
+      expect([newer.total, newer.entries.map(entry => entry.key)]).to.deep.equal([3, ['c']]);
+    });
+
+    it('should invalidate by key, key pattern and cache type, matching every criterion', async () => {
+      const store = new CacheStore(context.backend(), OPTIONS);
+      await store.set('test_cache', 'user:1', 'one', ['project:p']);
+      await store.set('test_cache', 'user:2', 'two');
+      await store.set('test_cache', 'order:1', 'three', ['project:p']);
+      await store.set('other_cache', 'user:3', 'four');
+
+      expect(await store.invalidate({ key: 'user:2' })).to.deep.equal({ removed: 1, byType: { test_cache: 1 } });
+      expect(await store.invalidate({ pattern: 'user:*', tag: 'project:p' })).to.deep.equal({ removed: 1, byType: { test_cache: 1 } });
+      expect(await store.invalidate({ cacheType: 'other_cache' })).to.deep.equal({ removed: 1, byType: { other_cache: 1 } });
+      expect((await store.list()).entries.map(entry => entry.key)).to.deep.equal(['order:1']);
+
+      const error = await store.invalidate({}).catch(caught => caught);
+      expect(error.message).to.equal('Cache invalidation requires a cache type, key, pattern or tag');
+    });
+
+    it('should restore live entries with their expiry and hit counts from a snapshot', async () => {
+      const source = new CacheStore(context.backend(), OPTIONS);
+      await source.set('test_cache', 'a', '1');
+      await source.set('test_cache', 'b', '2');
+      await source.set('short_cache', 'gone', '3');
+      await source.get('test_cache', 'b');
+      await delay(60);
+
+      const snapshot = await source.exportSnapshot();
+      expect(snapshot.entries.map(entry => entry.record.key).sort()).to.deep.equal(['a', 'b']);
+
+      const target = new CacheStore(new MemoryCacheBackend(), OPTIONS);
+      expect(await target.importSnapshot(snapshot, { entriesPerType: 1 }))
+        .to.deep.equal({ imported: 1, overwritten: 0, skipped: 0, expired: 0, limited: 1 });
+
+      const [entry] = (await target.list()).entries;
+      expect(entry).to.include({ key: 'b', hits: 1 });
+      expect(entry.ttlRemainingSeconds).to.be.within(58, 60);
+      expect((await target.getStats()).byType.test_cache.hits).to.equal(1);
+    });
+  });
+});
+
+describe('CacheStore warm-up', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-warmup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should preload the most hit entries of each cache type after a restart', async () => {
+    const options = { ...OPTIONS, hotEntries: 10 };
+    const first = new CacheStore(new FileCacheBackend(dir), options);
+    await first.set('test_cache', 'a', '1');
+    await first.set('test_cache', 'b', '2');
+    await first.get('test_cache', 'a');
+    await first.get('test_cache', 'a');
+    await first.get('test_cache', 'b');
+    await first.close();
+
+    const second = new CacheStore(new FileCacheBackend(dir), options);
+    expect(await second.warmUp(1)).to.equal(1);
+    expect((await second.getStats()).hotEntries).to.equal(1);
+
+    // Only the preloaded response survives losing the files
+    fs.rmSync(path.join(dir, 'test_cache'), { recursive: true });
+    expect((await second.get('test_cache', 'a'))?.response).to.equal('1');
+    expect(await second.get('test_cache', 'b')).to.be.null;
+  });
+});
+
+describe('Cache snapshot files', () => {
+  let outside: string;
+
+  beforeEach(() => {
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-outside-'));
+    setCacheStore(new CacheStore(new MemoryCacheBackend(), OPTIONS));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  it('should write and read snapshots in the data directory', async () => {
+    await storeCache('test_cache', 'a', '1');
+    const exported = await exportCacheSnapshot('snapshots/nightly.json.gz');
+
+    setCacheStore(new CacheStore(new MemoryCacheBackend(), OPTIONS));
+    const imported = await importCacheSnapshot('snapshots/nightly.json.gz');
+
+    expect(exported.path).to.equal(path.join(process.env.MCP_DB_DIR as string, 'snapshots', 'nightly.json.gz'));
+    expect(imported.imported).to.equal(1);
+  });
+
+  it('should reject snapshot paths outside the data directory', async () => {
+    const target = path.join(outside, 'snapshot.json.gz');
+
+    for (const filePath of [target, '../snapshot.json.gz']) {
+      expect((await exportCacheSnapshot(filePath).catch(error => error)).message).to.include('Cache snapshot paths must be inside');
+      expect((await importCacheSnapshot(filePath).catch(error => error)).message).to.include('Cache snapshot paths must be inside');
+    }
+    expect(fs.existsSync(target)).to.equal(false);
+  });
+
+  it('should stop decompressing snapshots larger than the limit', async () => {
+    await storeCache('test_cache', 'large', 'x'.repeat(64 * 1024));
+    await exportCacheSnapshot('large.json.gz');
+    const limit = mcpConfig.cache?.maxSnapshotBytes;
+    (mcpConfig.cache as { maxSnapshotBytes?: number }).maxSnapshotBytes = 16 * 1024;
+
+    try {
+      const error = await importCacheSnapshot('large.json.gz').catch(caught => caught);
+      expect(error.message).to.include('is larger than 16384 bytes');
+    } finally {
+      (mcpConfig.cache as { maxSnapshotBytes?: number }).maxSnapshotBytes = limit;
+    }
+  });
+});
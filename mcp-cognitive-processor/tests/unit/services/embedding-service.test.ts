@@ -0,0 +1,35 @@
+import { expect } from 'chai';
+import { HashingEmbeddingProvider } from '../../../src/services/embeddings/HashingEmbeddingProvider';
+import { cosineSimilarity } from '../../../src/services/embeddingService';
+
+describe('HashingEmbeddingProvider', () => {
+  const provider = new HashingEmbeddingProvider({ dimensions: 256 });
+
+  it('should produce deterministic unit-length vectors', async () => {
+    const first = await provider.embed('Cache invalidation strategies');
+    const second = await provider.embed('Cache invalidation strategies');
+
+    expect(first).to.have.length(256);
+    expect(first).to.deep.equal(second);
+
+    const magnitude = Math.sqrt(first.reduce((sum, val) => sum + val * val, 0));
+    expect(magnitude).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should place related texts closer than unrelated ones', async () => {
+    const query = await provider.embed('How do I optimize React component rendering performance?');
+    const related = await provider.embed('Improving performance of React components that re-render');
+    const unrelated = await provider.embed('Recipe for chocolate cake with strawberries');
+
+    expect(cosineSimilarity(query, related)).to.be.greaterThan(cosineSimilarity(query, unrelated));
+  });
+
+  it('should treat vectors from different embedding spaces as dissimilar', () => {
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).to.equal(0);
+  });
+
+  it('should include its settings in the provider id', () => {
+    expect(provider.id).to.contain('256');
+    expect(new HashingEmbeddingProvider({ dimensions: 128 }).id).to.not.equal(provider.id);
+  });
+});
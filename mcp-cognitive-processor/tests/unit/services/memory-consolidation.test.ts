@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import { consolidateMemories } from '../../../src/services/memoryConsolidationService';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { closeMemoryStore, getMemoryById, getMemoryItemsByType, storeMemory, updateMemoryItem } from '../../../src/services/memoryService';
+
+describe('Memory consolidation', () => {
+  const storeEpisode = (content: string) => storeMemory({
+    content,
+    type: 'episodic',
+    timestamp: new Date().toISOString(),
+    importance: 0.5,
+    connections: [],
+    namespace: 'memory-consolidation'
+  });
+
+  before(async () => {
+    await storeEpisode('The orders database uses PostgreSQL with read replicas');
+    await storeEpisode('The orders database uses PostgreSQL with two read replicas');
+    await storeEpisode('Fixed the deploy by running the migration first, then restarting the workers');
+    await storeEpisode('Fixed the deploy by running the migration first, then restarting all workers');
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should count semantic and procedural promotions separately', async () => {
+    const result = await consolidateMemories({ similarityThreshold: 0.6 });
+
+    expect(result).to.deep.equal({ clusters: 2, merged: 4, promoted: 1, procedural: 1, expired: 0 });
+    expect(await getMemoryItemsByType('semantic')).to.have.length(1);
+    expect(await getMemoryItemsByType('procedural')).to.have.length(1);
+  });
+
+  it('should delete working memories older than the working memory lifetime', async () => {
+    const workingMemory = mcpConfig.memory.components.find(component => component.name === 'working_memory');
+    const lifetimeHours = (workingMemory as { sessionLifetimeHours: number }).sessionLifetimeHours;
+    const storeWorking = (content: string) => storeMemory({
+      content,
+      type: 'working',
+      timestamp: new Date().toISOString(),
+      importance: 0.5,
+      connections: [],
+      namespace: 'memory-consolidation'
+    });
+    const stale = await storeWorking('The user is debugging the checkout flow');
+    const current = await storeWorking('The user is reviewing the release notes');
+    // Stored items are always stamped with the current time
+    await updateMemoryItem(stale.id, { timestamp: new Date(Date.now() - (lifetimeHours + 1) * 60 * 60 * 1000).toISOString() });
+
+    const result = await consolidateMemories();
+
+    expect(result).to.deep.equal({ clusters: 0, merged: 0, promoted: 0, procedural: 0, expired: 1 });
+    expect(await getMemoryById(stale.id)).to.equal(null);
+    expect(await getMemoryById(current.id)).to.not.equal(null);
+  });
+});
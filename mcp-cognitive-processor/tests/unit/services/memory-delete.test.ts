@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import {
+  closeMemoryStore,
+  deleteMemories,
+  getMemoryById,
+  getMemoryHistory,
+  getMemoryVector,
+  rollbackMemoryItem,
+  searchMemory,
+  storeMemory,
+  updateMemoryEdges,
+  updateMemoryItem
+} from '../../../src/services/memoryService';
+
+describe('Memory delete, update and rollback', () => {
+  const namespace = 'memory-delete';
+  const store = (content: string, type: 'semantic' | 'episodic' = 'semantic') => storeMemory({
+    content,
+    type,
+    timestamp: new Date().toISOString(),
+    importance: 0.5,
+    connections: [],
+    namespace
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should remove the vector, index entry and incoming connections of a deleted item', async () => {
+    const referrer = await store('Checkout retries payments three times');
+    const target = await store('The payment gateway rate limits retries');
+    await updateMemoryEdges(referrer.id, [{ target: target.id, relation: 'requires', weight: 0.8 }]);
+
+    const result = await deleteMemories({ ids: [target.id, 'missing-id'] });
+
+    expect(result).to.deep.equal({ deleted: [target.id], notFound: ['missing-id'], detached: 1, dryRun: false });
+    expect(await getMemoryById(target.id)).to.equal(null);
+    expect(await getMemoryVector(target.id)).to.equal(null);
+    const found = await searchMemory('payment gateway rate limits', 10, { namespace });
+    expect(found.map(scored => scored.item.id)).to.not.include(target.id);
+
+    const updatedReferrer = await getMemoryById(referrer.id);
+    expect(updatedReferrer?.connections).to.deep.equal([]);
+    expect(updatedReferrer?.edges).to.deep.equal([]);
+    const referrerHistory = await getMemoryHistory(referrer.id);
+    expect(referrerHistory[referrerHistory.length - 1].changedFields).to.deep.equal(['connections', 'edges']);
+    expect((await getMemoryHistory(target.id)).map(entry => entry.action)).to.deep.equal(['delete']);
+  });
+
+  it('should only report what a filter would delete on a dry run', async () => {
+    const episode = await store('Deployed the search service on Friday', 'episodic');
+    const filter = { types: ['episodic' as const], namespaces: [namespace] };
+
+    const dryRun = await deleteMemories({ filter }, true);
+    expect(dryRun.deleted).to.deep.equal([episode.id]);
+    expect(await getMemoryById(episode.id)).to.not.equal(null);
+
+    expect((await deleteMemories({ filter })).deleted).to.deep.equal([episode.id]);
+    expect(await getMemoryById(episode.id)).to.equal(null);
+
+    const error = await deleteMemories({ filter: {} }).catch(caught => caught);
+    expect(error.message).to.equal('Deleting memory requires item IDs or at least one filter criterion');
+  });
+
+  it('should roll an update back and re-embed the restored content', async () => {
+    const item = await store('Cache product pages for five minutes');
+    const originalVector = (await getMemoryVector(item.id))?.vector;
+
+    const update = await updateMemoryItem(item.id, { content: 'Cache product pages for one hour', importance: 0.9 });
+    expect(update.revision?.changedFields).to.deep.equal(['content', 'importance']);
+    expect((await getMemoryVector(item.id))?.vector).to.not.deep.equal(originalVector);
+    expect((await updateMemoryItem(item.id, { importance: 0.9 })).revision).to.equal(null);
+
+    const rollback = await rollbackMemoryItem(item.id, update.revision?.revision as number);
+    expect(rollback.item.content).to.equal('Cache product pages for five minutes');
+    expect(rollback.item.importance).to.equal(0.5);
+    expect(rollback.revision?.action).to.equal('rollback');
+    expect((await getMemoryVector(item.id))?.vector).to.deep.equal(originalVector);
+  });
+
+  it('should restore a deleted item without connections to items deleted since', async () => {
+    const item = await store('Orders are sharded by customer');
+    const related = await store('Customer lookups go through the directory service');
+    await updateMemoryItem(item.id, { connections: [related.id] });
+    await deleteMemories({ ids: [item.id, related.id] });
+
+    const deletion = (await getMemoryHistory(item.id)).find(entry => entry.action === 'delete');
+    const restored = await rollbackMemoryItem(item.id, deletion?.revision as number);
+
+    expect(restored.item.content).to.equal('Orders are sharded by customer');
+    expect(restored.item.connections).to.deep.equal([]);
+    expect(restored.revision?.previous).to.equal(null);
+    expect(await getMemoryById(item.id)).to.not.equal(null);
+    expect(await getMemoryVector(item.id)).to.not.equal(null);
+  });
+});
@@ -0,0 +1,77 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import { MemoryItem } from '../../../src/models/types';
+import {
+  archiveForgottenMemories,
+  closeMemoryStore,
+  getMemoryById,
+  getMemoryStrength,
+  storeMemory,
+  updateMemoryItem
+} from '../../../src/services/memoryService';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Memory forgetting curve', () => {
+  const now = Date.parse('2026-06-01T00:00:00.000Z');
+  const daysAgo = (days: number) => new Date(now - days * DAY).toISOString();
+  const item = (type: MemoryItem['type'], ageDays: number, extra: Partial<MemoryItem> = {}): MemoryItem => ({
+    id: `${type}-${ageDays}`,
+    type,
+    content: 'A remembered fact',
+    timestamp: daysAgo(ageDays),
+    importance: 0.8,
+    relevance: 1,
+    connections: [],
+    ...extra
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should halve strength every half-life of the item type', () => {
+    expect(getMemoryStrength(item('working', 0), now)).to.be.closeTo(0.8, 1e-9);
+    expect(getMemoryStrength(item('working', 1), now)).to.be.closeTo(0.4, 1e-9);
+    expect(getMemoryStrength(item('working', 2), now)).to.be.closeTo(0.2, 1e-9);
+    expect(getMemoryStrength(item('episodic', 30), now)).to.be.closeTo(0.4, 1e-9);
+    expect(getMemoryStrength(item('semantic', 180), now)).to.be.closeTo(0.4, 1e-9);
+    expect(getMemoryStrength(item('procedural', 365), now)).to.be.closeTo(0.4, 1e-9);
+  });
+
+  it('should decay the reinforced strength from the last retrieval', () => {
+    const retrieved = item('episodic', 90, { lastAccessed: daysAgo(30), reinforcedStrength: 0.6 });
+    expect(getMemoryStrength(retrieved, now)).to.be.closeTo(0.3, 1e-9);
+    expect(retrieved.importance).to.equal(0.8);
+  });
+
+  it('should archive only items whose strength fell below the archive threshold', async () => {
+    const store = async (content: string, ageDays: number) => {
+      const stored = await storeMemory({
+        content,
+        type: 'episodic',
+        timestamp: new Date().toISOString(),
+        importance: 0.5,
+        connections: [],
+        namespace: 'memory-forgetting'
+      });
+      // Stored items are always stamped with the current time
+      await updateMemoryItem(stored.id, { timestamp: new Date(Date.now() - ageDays * DAY).toISOString() });
+      return stored.id;
+    };
+    // 0.5 after 150 days (five half-lives) is about 0.016, below the default threshold of 0.05
+    const forgottenId = await store('The staging cluster ran Kubernetes 1.21', 150);
+    // 0.5 after 60 days (two half-lives) is 0.125
+    const keptId = await store('The staging cluster runs Kubernetes 1.29', 60);
+
+    expect(await archiveForgottenMemories()).to.equal(1);
+    expect(await getMemoryById(forgottenId)).to.equal(null);
+    expect(await getMemoryById(keptId)).to.not.equal(null);
+
+    const archiveFile = path.join(process.env.MCP_DB_DIR as string, 'memory', 'archive', `${forgottenId}.json`);
+    const archived = JSON.parse(fs.readFileSync(archiveFile, 'utf8'));
+    expect(archived.content).to.equal('The staging cluster ran Kubernetes 1.21');
+    expect(archived.vector.vector).to.be.an('array').that.is.not.empty;
+  });
+});
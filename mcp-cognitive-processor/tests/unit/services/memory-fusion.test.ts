@@ -0,0 +1,74 @@
+import { expect } from 'chai';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { closeMemoryStore, searchMemory, storeMemory } from '../../../src/services/memoryService';
+
+describe('Memory retrieval fusion', () => {
+  const namespace = 'memory-fusion';
+  const options = { namespace };
+  const { rrfK } = mcpConfig.memory.retrieval as { rrfK: number };
+  const ids: Record<string, string> = {};
+
+  before(async () => {
+    const store = async (name: string, content: string, type: 'semantic' | 'procedural', importance: number) => {
+      ids[name] = (await storeMemory({ content, type, timestamp: new Date().toISOString(), importance, connections: [], namespace })).id;
+    };
+    await store('pooling', 'Pooled database connections stop the API from exhausting PostgreSQL', 'semantic', 0.3);
+    await store('replicas', 'Read replicas take reporting queries off the primary database', 'semantic', 0.9);
+    await store('deploy', 'Deploy the API with a blue green rollout', 'procedural', 0.5);
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should sum weight / (rrfK + rank) over the signals with reciprocal rank fusion', async () => {
+    const results = await searchMemory('database connection pooling', 10, { ...options, fusion: 'rrf' });
+
+    expect(results[0].item.id).to.equal(ids.pooling);
+    for (const result of results) {
+      const signals = Object.values(result.explanation.signals);
+      for (const signal of signals) {
+        const expected = signal.rank === null || signal.value === null ? 0 : signal.weight / (rrfK + signal.rank);
+        expect(signal.contribution).to.be.closeTo(expected, 1e-12);
+      }
+      expect(result.score).to.be.closeTo(signals.reduce((sum, signal) => sum + signal.contribution, 0), 1e-12);
+      expect(result.explanation.fusion).to.equal('rrf');
+    }
+    expect(results.map(result => result.score)).to.deep.equal([...results.map(result => result.score)].sort((a, b) => b - a));
+  });
+
+  it('should match stemmed words and ignore stop words in the lexical signal', async () => {
+    const results = await searchMemory('the pooling of a connection', 10, { ...options, weights: { vector: 0, lexical: 1, strength: 0 } });
+    const lexical = results.filter(result => result.explanation.signals.lexical.value !== null);
+
+    expect(lexical.map(result => result.item.id)).to.deep.equal([ids.pooling]);
+    expect(results[0].item.id).to.equal(ids.pooling);
+  });
+
+  it('should scale each signal by its maximum with weighted fusion', async () => {
+    const weights = { vector: 2, lexical: 1, strength: 1 };
+    const results = await searchMemory('database', 10, { ...options, fusion: 'weighted', weights });
+    const maxima = { vector: 0, lexical: 0, strength: 0 };
+    for (const result of results) {
+      for (const [name, signal] of Object.entries(result.explanation.signals)) {
+        maxima[name as keyof typeof maxima] = Math.max(maxima[name as keyof typeof maxima], signal.value ?? 0);
+      }
+    }
+
+    for (const result of results) {
+      for (const [name, signal] of Object.entries(result.explanation.signals)) {
+        const maximum = maxima[name as keyof typeof maxima];
+        const expected = signal.value === null || maximum === 0 ? 0 : (signal.weight / 4) * (Math.max(0, signal.value) / maximum);
+        expect(signal.contribution).to.be.closeTo(expected, 1e-12);
+      }
+    }
+  });
+
+  it('should let per-call weights decide the ranking', async () => {
+    const byStrength = await searchMemory('database', 10, { ...options, weights: { vector: 0, lexical: 0, strength: 1 } });
+    expect(byStrength[0].item.id).to.equal(ids.replicas);
+
+    const error = await searchMemory('database', 10, { ...options, weights: { vector: 0, lexical: 0, strength: 0 } }).catch(caught => caught);
+    expect(error.message).to.equal('Retrieval weights must be non-negative and at least one must be positive');
+  });
+});
@@ -0,0 +1,135 @@
+import { expect } from 'chai';
+import {
+  closeMemoryStore,
+  getMemoryById,
+  getMemoryEdges,
+  getMemoryStats,
+  storeMemory,
+  updateMemoryEdges,
+  updateMemoryItem
+} from '../../../src/services/memoryService';
+import { MemoryItem } from '../../../src/models/types';
+import {
+  findMemoryPath,
+  getMemoryNeighbors,
+  getMemorySubgraph,
+  linkMemories,
+  unlinkMemories
+} from '../../../src/services/memoryGraphService';
+
+describe('Memory graph', () => {
+  const ids: Record<string, string> = {};
+
+  before(async () => {
+    for (const name of ['a', 'b', 'c', 'd', 'e']) {
+      const item = await storeMemory({
+        content: `Graph node ${name}`,
+        type: 'semantic',
+        timestamp: new Date().toISOString(),
+        importance: 0.5,
+        connections: [],
+        namespace: 'memory-graph'
+      });
+      ids[name] = item.id;
+    }
+
+    // a -> b -> c -> d is cheap, a -> d directly is weak, e is unconnected
+    await linkMemories(ids.a, ids.b, 'requires', 1);
+    await linkMemories(ids.b, ids.c, 'requires', 1);
+    await linkMemories(ids.c, ids.d, 'implements', 1);
+    await linkMemories(ids.a, ids.d, 'related_to', 0.1);
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should reject unknown relations and weights that are not positive', async () => {
+    const relationError = await linkMemories(ids.a, ids.b, 'caused_by').catch(error => error);
+    const weightError = await linkMemories(ids.a, ids.b, 'requires', 0).catch(error => error);
+
+    expect(relationError.message).to.include('Unknown relation "caused_by"');
+    expect(weightError.message).to.equal('Edge weight must be greater than 0');
+  });
+
+  it('should replace an edge of the same relation instead of adding another', async () => {
+    await linkMemories(ids.b, ids.e, 'has_a', 0.5);
+    await linkMemories(ids.b, ids.e, 'has_a', 0.8);
+    const edges = getMemoryEdges(await getMemoryById(ids.b) as MemoryItem).filter(edge => edge.target === ids.e);
+
+    expect(edges).to.have.length(1);
+    expect(edges[0].weight).to.equal(0.8);
+    expect(await unlinkMemories(ids.b, ids.e)).to.equal(1);
+  });
+
+  it('should filter neighbours by relation and direction', async () => {
+    const outgoing = await getMemoryNeighbors(ids.a);
+    const requires = await getMemoryNeighbors(ids.a, { relation: 'requires' });
+    const incoming = await getMemoryNeighbors(ids.d, { direction: 'incoming' });
+
+    expect(outgoing.map(neighbor => neighbor.item.id)).to.have.members([ids.b, ids.d]);
+    expect(requires.map(neighbor => neighbor.item.id)).to.deep.equal([ids.b]);
+    expect(incoming.map(neighbor => [neighbor.item.id, neighbor.direction])).to.have.deep.members([
+      [ids.c, 'incoming'],
+      [ids.a, 'incoming']
+    ]);
+  });
+
+  it('should traverse the subgraph up to the requested depth', async () => {
+    const oneHop = await getMemorySubgraph(ids.b, 1);
+    const twoHops = await getMemorySubgraph(ids.b, 2);
+
+    expect(oneHop.nodes.map(node => node.id)).to.have.members([ids.b, ids.c]);
+    expect(twoHops.nodes.map(node => node.id)).to.have.members([ids.b, ids.c, ids.d]);
+    expect(twoHops.edges).to.have.length(2);
+  });
+
+  it('should prefer strong relationships over fewer hops', async () => {
+    const path = await findMemoryPath(ids.a, ids.d);
+
+    expect(path?.nodes.map(node => node.id)).to.deep.equal([ids.a, ids.b, ids.c, ids.d]);
+    expect(path?.edges.map(edge => edge.relation)).to.deep.equal(['requires', 'requires', 'implements']);
+    expect(path?.cost).to.be.closeTo(3, 1e-9);
+  });
+
+  it('should keep paths within the hop limit', async () => {
+    const path = await findMemoryPath(ids.a, ids.d, {}, 2);
+
+    expect(path?.nodes.map(node => node.id)).to.deep.equal([ids.a, ids.d]);
+    expect(path?.cost).to.be.closeTo(10, 1e-9);
+    expect(await findMemoryPath(ids.b, ids.d, {}, 1)).to.equal(null);
+    expect(await findMemoryPath(ids.a, ids.e)).to.equal(null);
+  });
+
+  it('should keep links, traversal and stats inside one namespace', async () => {
+    const other = await storeMemory({
+      content: 'Graph node in another project',
+      type: 'semantic',
+      timestamp: new Date().toISOString(),
+      importance: 0.5,
+      connections: [],
+      namespace: 'memory-graph-other'
+    });
+
+    const linkError = await linkMemories(ids.a, other.id).catch(error => error);
+    const connectError = await updateMemoryItem(ids.e, { connections: [other.id] }).catch(error => error);
+    expect(linkError.message).to.include('different namespaces');
+    expect(connectError.message).to.equal(`Cannot connect memory item ${ids.e} to: ${other.id}`);
+
+    // An edge stored before links were checked is not followed
+    await updateMemoryEdges(other.id, [{ target: ids.a, relation: 'requires', weight: 1 }]);
+    expect(await getMemoryNeighbors(other.id)).to.deep.equal([]);
+    expect(await getMemoryNeighbors(ids.a, { direction: 'incoming' })).to.deep.equal([]);
+    expect((await getMemorySubgraph(other.id, 2)).nodes.map(node => node.id)).to.deep.equal([other.id]);
+    const pathError = await findMemoryPath(other.id, ids.a).catch(error => error);
+    expect(pathError.message).to.equal(`Memory item ${ids.a} is not in namespace memory-graph-other`);
+
+    const graphStats = await getMemoryStats({ namespace: 'memory-graph' });
+    const otherStats = await getMemoryStats({ namespace: 'memory-graph-other' });
+    expect(graphStats.totalItems).to.equal(5);
+    expect(Object.keys(graphStats.byNamespace)).to.deep.equal(['memory-graph']);
+    expect(graphStats.averageConnections).to.be.closeTo(4 / 5, 1e-9);
+    expect(otherStats.totalItems).to.equal(1);
+    expect(otherStats.averageConnections).to.equal(0);
+  });
+});
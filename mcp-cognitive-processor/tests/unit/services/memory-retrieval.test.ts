@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import { closeMemoryStore, getMemoryById, searchMemory, storeMemory, updateMemoryItem } from '../../../src/services/memoryService';
+
+describe('Memory retrieval reinforcement', () => {
+  const namespace = 'retrieval-reinforcement';
+  let matchingId: string;
+  let unrelatedId: string;
+
+  before(async () => {
+    const store = (content: string) => storeMemory({
+      content,
+      type: 'semantic',
+      timestamp: new Date().toISOString(),
+      importance: 0.5,
+      connections: [],
+      namespace
+    });
+    matchingId = (await store('Memoize React components to avoid needless re-rendering')).id;
+    unrelatedId = (await store('Whisk the eggs before folding in the flour')).id;
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should not reinforce or record access when listing recent items', async () => {
+    const listed = await searchMemory('', 10, { namespace });
+
+    expect(listed.map(result => result.item.id)).to.have.members([matchingId, unrelatedId]);
+    for (const id of [matchingId, unrelatedId]) {
+      const item = await getMemoryById(id);
+      expect(item?.accessCount).to.equal(undefined);
+      expect(item?.reinforcedStrength).to.equal(undefined);
+    }
+  });
+
+  it('should reinforce only the results that match the query', async () => {
+    const results = await searchMemory('React re-rendering', 10, { namespace });
+    expect(results[0].item.id).to.equal(matchingId);
+
+    const matching = await getMemoryById(matchingId);
+    const unrelated = await getMemoryById(unrelatedId);
+    expect(matching?.accessCount).to.equal(1);
+    expect(matching?.reinforcedStrength).to.be.greaterThan(0.5);
+    expect(matching?.importance).to.equal(0.5);
+    expect(unrelated?.accessCount).to.equal(undefined);
+    expect(unrelated?.reinforcedStrength).to.equal(undefined);
+  });
+
+  it('should drop the reinforced strength when a new importance is set', async () => {
+    const { item } = await updateMemoryItem(matchingId, { importance: 0.9 });
+    expect(item.importance).to.equal(0.9);
+    expect(item.reinforcedStrength).to.equal(undefined);
+  });
+});
@@ -0,0 +1,134 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as zlib from 'zlib';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { closeMemoryStore, getMemoryById, getMemoryHistory, rollbackMemoryItem, storeMemory } from '../../../src/services/memoryService';
+import { MEMORY_EXPORT_DIR, exportMemories, importMemories } from '../../../src/services/memoryTransferService';
+
+describe('Memory transfer paths', () => {
+  let outside: string;
+
+  before(async () => {
+    await storeMemory({
+      content: 'Use connection pooling for the orders database',
+      type: 'semantic',
+      timestamp: new Date().toISOString(),
+      importance: 0.6,
+      connections: []
+    });
+  });
+
+  beforeEach(() => {
+    outside = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-outside-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outside, { recursive: true, force: true });
+  });
+
+  after(async () => {
+    await closeMemoryStore();
+  });
+
+  it('should write and read exports in the export directory', async () => {
+    const exported = await exportMemories({ path: 'baseline/semantic.jsonl' });
+    const imported = await importMemories({ path: 'baseline/semantic.jsonl' });
+
+    expect(exported.path).to.equal(path.join(MEMORY_EXPORT_DIR, 'baseline', 'semantic.jsonl'));
+    expect(fs.existsSync(exported.path as string)).to.equal(true);
+    expect(imported.skipped).to.equal(exported.count);
+  });
+
+  it('should reject paths that lead outside the export directory', async () => {
+    const target = path.join(outside, 'stolen.jsonl');
+
+    for (const filePath of ['../escape.jsonl', target, path.join('..', '..', 'etc', 'passwd')]) {
+      const exportError = await exportMemories({ path: filePath }).catch(error => error);
+      const importError = await importMemories({ path: filePath }).catch(error => error);
+      expect(exportError.message).to.include('Memory export paths must be inside');
+      expect(importError.message).to.include('Memory export paths must be inside');
+    }
+    expect(fs.existsSync(target)).to.equal(false);
+  });
+
+  it('should not follow symbolic links out of the export directory', async () => {
+    const link = path.join(MEMORY_EXPORT_DIR, 'linked');
+    fs.symlinkSync(outside, link);
+
+    try {
+      const error = await exportMemories({ path: 'linked/semantic.jsonl' }).catch(caught => caught);
+      expect(error.message).to.include('Memory export paths must be inside');
+      expect(fs.readdirSync(outside)).to.deep.equal([]);
+    } finally {
+      fs.unlinkSync(link);
+    }
+  });
+
+  it('should let the command line use any path', async () => {
+    const target = path.join(outside, 'baseline.json');
+
+    const exported = await exportMemories({ path: target, anyPath: true });
+    const imported = await importMemories({ path: target }, { anyPath: true });
+
+    expect(exported.format).to.equal('archive');
+    expect(imported.skipped).to.equal(exported.count);
+  });
+
+  it('should name the first invalid record before importing any', async () => {
+    const header = { format: 'mcp-memory-export', version: 1, exportedAt: new Date().toISOString(), embeddingProvider: 'test', includesVectors: true, count: 2 };
+    const item = { id: 'valid-record', content: 'Valid', type: 'semantic', timestamp: new Date().toISOString(), importance: 0.5, relevance: 0.5, connections: [] };
+    const cases: Array<[object, string]> = [
+      [{ item: { ...item, timestamp: undefined } }, 'has no valid timestamp'],
+      [{ item: { ...item, importance: undefined } }, 'has no numeric importance'],
+      [{ item: { ...item, relevance: 'high' } }, 'has a relevance that is not a number'],
+      [{ item: { ...item, connections: 'other-id' } }, 'has connections that are not a list of item IDs'],
+      [{ item: { ...item, edges: [{ target: 'other-id' }] } }, 'has edges that are not a list of { target, relation, weight }'],
+      [{ item, vector: { vector: [0.1, 'x'] } }, 'has a vector that is not a list of numbers']
+    ];
+
+    for (const [record, problem] of cases) {
+      const content = [header, { item: { ...item, id: 'first-record' } }, record].map(line => JSON.stringify(line)).join('\n');
+      const error = await importMemories({ content }).catch(caught => caught);
+      expect(error.message).to.equal(`Invalid memory export: record 2 ${problem}`);
+    }
+    expect(await getMemoryById('first-record')).to.equal(null);
+  });
+
+  it('should refuse exports that decompress beyond the size limit', async () => {
+    const limit = mcpConfig.memory.maxImportBytes;
+    mcpConfig.memory.maxImportBytes = 1024;
+    try {
+      fs.mkdirSync(MEMORY_EXPORT_DIR, { recursive: true });
+      fs.writeFileSync(path.join(MEMORY_EXPORT_DIR, 'bomb.jsonl.gz'), zlib.gzipSync(' '.repeat(64 * 1024)));
+
+      const error = await importMemories({ path: 'bomb.jsonl.gz' }).catch(caught => caught);
+      expect(error.message).to.match(/bomb\.jsonl\.gz is larger than 1024 bytes$/);
+    } finally {
+      mcpConfig.memory.maxImportBytes = limit;
+    }
+  });
+
+  it('should record overwriting and merging imports in the edit history', async () => {
+    const original = await storeMemory({
+      content: 'Retry failed payments once',
+      type: 'procedural',
+      timestamp: new Date().toISOString(),
+      importance: 0.4,
+      connections: []
+    });
+    const header = { format: 'mcp-memory-export', version: 1, exportedAt: new Date().toISOString(), embeddingProvider: 'test', includesVectors: false, count: 1 };
+    const content = [header, { item: { ...original, content: 'Retry failed payments three times', importance: 0.8 } }]
+      .map(line => JSON.stringify(line)).join('\n');
+
+    expect((await importMemories({ content }, { onConflict: 'overwrite' })).overwritten).to.equal(1);
+    expect((await importMemories({ content }, { onConflict: 'merge' })).merged).to.equal(1);
+
+    const history = await getMemoryHistory(original.id);
+    expect(history.map(entry => [entry.action, entry.changedFields])).to.deep.equal([['import', ['content', 'importance']]]);
+
+    const rollback = await rollbackMemoryItem(original.id, history[0].revision);
+    expect(rollback.item).to.include({ content: 'Retry failed payments once', importance: 0.4 });
+  });
+});
@@ -0,0 +1,43 @@
+import { expect } from 'chai';
+import { OfflineAIService } from '../../../src/services/OfflineAIService';
+
+describe('OfflineAIService', () => {
+  const service = new OfflineAIService();
+
+  it('should answer chat queries locally with structured steps flagged offline', async () => {
+    const response = await service.query({
+      model: 'google/gemini-2.0-pro-exp-02-05:free',
+      messages: [
+        { role: 'system', content: 'Think step by step.' },
+        { role: 'user', content: 'How should a small team plan the migration of a monolith to services?' }
+      ],
+      bypassSemanticCache: true
+    });
+
+    expect(response.offline).to.equal(true);
+    expect(response.model).to.equal(OfflineAIService.MODEL);
+    expect(response.generated_text).to.equal(response.response);
+    expect(JSON.parse(response.response).steps.length > 0).to.equal(true);
+  });
+
+  it('should answer { inputs } queries like the OpenRouter model services', async () => {
+    const response = await service.query({ inputs: 'Compare caching strategies for a read heavy API', max_tokens: 200 });
+
+    expect(response.offline).to.equal(true);
+    expect(response.generated_text).to.include('steps');
+  });
+
+  it('should reject a query whose signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    let error: Error | null = null;
+    try {
+      await service.query({ prompt: 'Anything', signal: controller.signal });
+    } catch (caught) {
+      error = caught as Error;
+    }
+
+    expect(error?.name).to.equal('AbortError');
+  });
+});
@@ -0,0 +1,188 @@
+import { expect } from 'chai';
+import * as http from 'http';
+import { AddressInfo } from 'net';
+import { ServiceFactory } from '../../../src/factories/ServiceFactory';
+import { OpenAICompatibleService, getModelProviderConfigs } from '../../../src/services/OpenAICompatibleService';
+
+interface ReceivedRequest {
+  url?: string;
+  headers: http.IncomingHttpHeaders;
+  body: any;
+}
+
+describe('OpenAI-compatible provider', () => {
+  let server: http.Server;
+  let baseUrl: string;
+  let received: ReceivedRequest[];
+
+  beforeEach(async () => {
+    received = [];
+    // Answers like a local model server's chat completions endpoint
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const parsed = JSON.parse(body);
+        received.push({ url: req.url, headers: req.headers, body: parsed });
+        res.setHeader('Content-Type', 'application/json');
+        if (parsed.model === 'unavailable-model') {
+          res.statusCode = 404;
+          res.end(JSON.stringify({ error: { message: `model "${parsed.model}" not found` } }));
+          return;
+        }
+        res.end(JSON.stringify({
+          id: `chatcmpl-${received.length}`,
+          object: 'chat.completion',
+          created: 0,
+          model: parsed.model,
+          choices: [{ index: 0, finish_reason: 'stop', message: { role: 'assistant', content: `Answer ${received.length} from ${parsed.model}` } }],
+          usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+        }));
+      });
+    });
+    await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1`;
+  });
+
+  afterEach(async () => {
+    delete process.env.MCP_PROVIDER_OLLAMA_BASE_URL;
+    delete process.env.MCP_PROVIDER_LM_STUDIO_BASE_URL;
+    delete process.env.MCP_PROVIDER_LM_STUDIO_MODEL;
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should send chat completions to the base URL with the configured headers and mapped model', async () => {
+    const service = new OpenAICompatibleService('vllm', {
+      baseUrl,
+      apiKey: 'secret',
+      headers: { 'X-Team': 'cognition' },
+      models: { 'google/gemini-2.0-pro-exp-02-05:free': 'qwen2.5:14b' },
+      defaultModel: 'llama3.1'
+    });
+
+    const response = await service.query({
+      prompt: 'Summarise the plan',
+      systemPrompt: 'Be brief',
+      model: 'google/gemini-2.0-pro-exp-02-05:free',
+      maxTokens: 200
+    });
+    const fallback = await service.query({ inputs: 'Unmapped model', model: 'o1-mini' });
+
+    expect(received[0].url).to.equal('/v1/chat/completions');
+    expect(received[0].headers.authorization).to.equal('Bearer secret');
+    expect(received[0].headers['x-team']).to.equal('cognition');
+    expect(received[0].body.messages).to.deep.equal([
+      { role: 'system', content: 'Be brief' },
+      { role: 'user', content: 'Summarise the plan' }
+    ]);
+    expect(received[0].body.max_tokens).to.equal(200);
+    expect(response.response).to.equal('Answer 1 from qwen2.5:14b');
+    expect(response.tokenUsage).to.deep.equal({ prompt: 12, completion: 4, total: 16 });
+    expect(fallback.generated_text).to.equal('Answer 2 from llama3.1');
+  });
+
+  it('should let environment variables override the configured providers', () => {
+    const providers = getModelProviderConfigs({
+      MCP_PROVIDER_LM_STUDIO_BASE_URL: 'http://10.0.0.5:1234/v1',
+      MCP_PROVIDER_OLLAMA_MODEL: 'mistral'
+    });
+
+    expect(Object.keys(providers)).to.include('llama-cpp');
+    expect(providers['lm-studio'].baseUrl).to.equal('http://10.0.0.5:1234/v1');
+    expect(providers.ollama.baseUrl).to.equal('http://127.0.0.1:11434/v1');
+    expect(providers.ollama.defaultModel).to.equal('mistral');
+  });
+
+  it('should run every configured pipeline step on the provider it names', async () => {
+    process.env.MCP_PROVIDER_OLLAMA_BASE_URL = baseUrl;
+
+    const pipeline = ServiceFactory.createConfiguredPipeline({
+      enabled: true,
+      gemini: { model: 'gemini-pro', temperature: 0.7, maxTokens: 1000 },
+      claude: { model: 'claude-2.1', temperature: 0.5, maxTokens: 2048 },
+      pipelineSteps: [
+        { name: 'Reasoning', description: 'Reason about the query', service: 'ollama', priority: 2 },
+        { name: 'Preprocessing', description: 'Extract the key facts', service: 'ollama', priority: 1, model: 'llama3.2:3b' }
+      ]
+    });
+    const result = await pipeline.execute('Why is the sky blue?');
+
+    expect(result.success).to.equal(true);
+    expect(pipeline.getStats().steps.map((step: { name: string }) => step.name)).to.deep.equal(['Preprocessing', 'Reasoning']);
+    expect(received.map(request => request.body.model)).to.deep.equal(['llama3.2:3b', 'llama3.1']);
+    expect(result.finalResponse.response).to.equal('Answer 2 from llama3.1');
+  });
+
+  it('should fail over to the fallback service of a step when its own service fails', async () => {
+    process.env.MCP_PROVIDER_OLLAMA_BASE_URL = baseUrl;
+    process.env.MCP_PROVIDER_LM_STUDIO_BASE_URL = baseUrl;
+    process.env.MCP_PROVIDER_LM_STUDIO_MODEL = 'qwen2.5';
+
+    const pipeline = ServiceFactory.createConfiguredPipeline({
+      enabled: true,
+      gemini: { model: 'gemini-pro', temperature: 0.7, maxTokens: 1000 },
+      claude: { model: 'claude-2.1', temperature: 0.5, maxTokens: 2048 },
+      pipelineSteps: [
+        { name: 'Reasoning', description: 'Reason about the query', service: 'ollama', model: 'unavailable-model', fallback: 'lm-studio', priority: 1 }
+      ]
+    });
+    const result = await pipeline.execute('Why is the sky blue?');
+
+    expect(result.success).to.equal(true);
+    expect(received.map(request => request.body.model)).to.deep.equal(['unavailable-model', 'qwen2.5']);
+    expect(result.finalResponse.response).to.equal('Answer 2 from qwen2.5');
+  });
+
+  it('should reject pipeline steps naming an unknown service', () => {
+    expect(() => ServiceFactory.getPipelineStepService('carrier-pigeon')).to.throw('Unknown pipeline step service "carrier-pigeon"');
+  });
+
+  describe('runtime pipelines', () => {
+    const saved = { ...process.env };
+
+    beforeEach(() => {
+      process.env.OPENROUTER_API_KEY = 'key';
+      delete process.env.CLAUDE_API_KEY;
+      delete process.env.DEEPSEEK_API_KEY;
+    });
+
+    afterEach(() => {
+      process.env = { ...saved };
+    });
+
+    it('should give the gemini step service the model the step names', () => {
+      const service = ServiceFactory.getPipelineStepService('gemini', 'google/gemini-2.5-pro');
+      expect((service as unknown as { model: string }).model).to.equal('google/gemini-2.5-pro');
+    });
+
+    it('should build the default processing pipeline from the configured steps on OpenRouter alone', () => {
+      const steps = ServiceFactory.getProcessingPipelineOrchestrator().getStats().steps;
+
+      expect(steps).to.deep.equal([
+        { name: 'Flash Preprocessing', model: 'google/gemini-2.0-flash-exp-02-05:free' },
+        { name: 'Advanced Processing', model: 'google/gemini-2.0-pro-exp-02-05:free' },
+        { name: 'Preliminary Reasoning', model: 'deepseek/deepseek-r1:free' }
+      ]);
+    });
+
+    it('should run a step on its fallback alone when its own service has no API key', () => {
+      const steps = ServiceFactory.createConfiguredPipeline({
+        enabled: true,
+        gemini: { model: 'gemini-pro', temperature: 0.7, maxTokens: 1000 },
+        claude: { model: 'claude-2.1', temperature: 0.5, maxTokens: 2048 },
+        pipelineSteps: [{ name: 'Final Reasoning', description: 'Finish', service: 'claude', fallback: 'gemini', priority: 1 }]
+      }).getStats().steps;
+
+      expect(steps).to.deep.equal([{ name: 'Final Reasoning', model: 'google/gemini-2.0-pro-exp-02-05:free' }]);
+    });
+
+    it('should not fall back for steps naming an unknown service', () => {
+      expect(() => ServiceFactory.createConfiguredPipeline({
+        enabled: true,
+        gemini: { model: 'gemini-pro', temperature: 0.7, maxTokens: 1000 },
+        claude: { model: 'claude-2.1', temperature: 0.5, maxTokens: 2048 },
+        pipelineSteps: [{ name: 'Reasoning', description: 'Reason', service: 'carrier-pigeon', fallback: 'gemini', priority: 1 }]
+      })).to.throw('Unknown pipeline step service "carrier-pigeon"');
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { expect } from 'chai';
+import { listPrompts, getPrompt } from '../../../src/services/promptService';
+
+describe('Prompt service', () => {
+  it('should list a prompt per thinking model, reasoning system and step-by-step component', () => {
+    const names = listPrompts().map(prompt => prompt.name);
+
+    expect(names).to.include('thinking_strategic');
+    expect(names).to.include('thinking_depth_first');
+    expect(names).to.include('reasoning_tree_of_thought');
+    expect(names).to.include('reasoning_parallel_thought');
+    expect(names).to.include('component_implementation_planner');
+  });
+
+  it('should fill in the template with the arguments and configuration', () => {
+    const prompt = getPrompt('component_implementation_planner', { problem: 'Migrate the cache to Redis', output_format: 'timeline' });
+    const text = prompt?.messages[0].content.text || '';
+
+    expect(prompt?.messages[0].role).to.equal('user');
+    expect(text).to.include('Migrate the cache to Redis');
+    expect(text).to.include('task breakdown: Breaks down implementation into tasks');
+    expect(text).to.include('timeline: Timeline with task dependencies');
+  });
+
+  it('should reject missing required arguments and invalid values', () => {
+    expect(getPrompt('thinking_unknown', { problem: 'x' })).to.be.null;
+    expect(() => getPrompt('reasoning_chain_of_thought', {})).to.throw('problem');
+    expect(() => getPrompt('reasoning_chain_of_thought', { problem: 'x', max_steps: 'many' })).to.throw('max_steps');
+    expect(() => getPrompt('thinking_strategic', { problem: 'x', abstraction_level: 'galaxy' })).to.throw('abstraction_level');
+  });
+});
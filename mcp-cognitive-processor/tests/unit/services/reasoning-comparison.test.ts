@@ -0,0 +1,54 @@
+import { expect } from 'chai';
+import { closeCacheStore } from '../../../src/services/cacheService';
+import { REASONING_SYSTEMS, compareReasoning } from '../../../src/services/intelligenceService';
+
+describe('Reasoning comparison', () => {
+  const request = {
+    problem: 'Why do checkout requests time out during flash sales?',
+    context: ['The payment gateway limits each merchant to 100 requests per second'],
+    maxSteps: 4
+  };
+
+  after(async () => {
+    await closeCacheStore();
+  });
+
+  it('should compare every requested system in order and name the most confident one', async () => {
+    const systems = ['abductive', 'deductive', 'chain_of_thought'];
+    const comparison = await compareReasoning({ ...request, reasoningSystem: 'inductive' }, systems);
+
+    expect(comparison.problem).to.equal(request.problem);
+    expect(comparison.reasoningSystems).to.deep.equal(systems);
+    expect(comparison.comparison.map(entry => entry.reasoningSystem)).to.deep.equal(systems);
+    comparison.comparison.forEach((entry, position) => {
+      const result = comparison.results[position];
+      expect(entry).to.deep.equal({
+        reasoningSystem: result.reasoningSystem,
+        conclusion: result.conclusion,
+        confidence: result.confidence,
+        stepCount: result.steps.length
+      });
+    });
+
+    const highest = Math.max(...comparison.comparison.map(entry => entry.confidence));
+    const mostConfident = comparison.comparison.find(entry => entry.reasoningSystem === comparison.mostConfident);
+    expect(mostConfident?.confidence).to.equal(highest);
+  });
+
+  it('should pass the shared options to every system', async () => {
+    const comparison = await compareReasoning({ ...request, includeIntermediateSteps: false }, REASONING_SYSTEMS);
+
+    expect(comparison.results).to.have.length(REASONING_SYSTEMS.length);
+    for (const result of comparison.results) {
+      expect(result.error).to.equal(undefined);
+      expect(result.steps.length).to.be.at.most(2);
+    }
+  });
+
+  it('should report no most confident system when none was run', async () => {
+    const comparison = await compareReasoning(request, []);
+
+    expect(comparison.comparison).to.deep.equal([]);
+    expect(comparison.mostConfident).to.equal(null);
+  });
+});
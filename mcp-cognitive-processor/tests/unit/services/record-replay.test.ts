@@ -0,0 +1,158 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { ThinkingEngine } from '../../../src/core/ThinkingEngine';
+import { ServiceFactory } from '../../../src/factories/ServiceFactory';
+import { ProcessingPipelineOrchestrator } from '../../../src/services/ProcessingPipelineOrchestrator';
+import { RecordingAIService } from '../../../src/services/RecordingAIService';
+import { ReplayAIService, StaleFixtureError } from '../../../src/services/ReplayAIService';
+import { ThinkingServiceImpl } from '../../../src/services/ThinkingServiceImpl';
+import { findStaleFixtures } from '../../../src/utils/aiFixtures';
+import { TokenOptimizerImpl } from '../../../src/utils/TokenOptimizerImpl';
+
+/**
+ * Stands in for a live model: answers from the request and streams its answer word by word
+ */
+class ScriptedModel {
+  calls = 0;
+
+  async query(data: any, options?: any): Promise<any> {
+    this.calls++;
+    const prompt: string = data.prompt ?? data.messages?.[data.messages.length - 1]?.content ?? data.inputs;
+    const step = /You are step (\d+)/.exec(data.systemPrompt || '')?.[1];
+    const response = step
+      ? `STEP ${step} ANALYSIS: ${prompt.length} characters reviewed\nTOKEN PASS: look closer`
+      : JSON.stringify({
+          steps: [{ description: `Analyse ${prompt.trim().split('\n')[0]}`, reasoning: `Call ${this.calls}` }],
+          confidence: 0.8,
+          shouldContinue: this.calls < 3
+        });
+
+    if (options?.onToken) {
+      response.split(' ').forEach((word, index) => options.onToken(index === 0 ? word : ` ${word}`));
+    }
+    return { response, model: data.model, tokenUsage: { prompt: 10, completion: 5, total: 15 } };
+  }
+
+  async *createResponseStream(data: any): AsyncGenerator<string> {
+    yield 'Photosynthesis ';
+    yield `turns light into ${data.inputs.length} units of sugar`;
+  }
+}
+
+const strategySelector = {
+  selectReasoningSystem: async () => ({ name: 'default', description: 'Default', implementation: 'default' })
+};
+
+const buildPipeline = (service: (name: string) => any): ProcessingPipelineOrchestrator => {
+  const pipeline = new ProcessingPipelineOrchestrator();
+  pipeline.addStep({ name: 'Preprocessing', service: service('preprocessing'), model: 'google/gemini-2.0-flash-exp-02-05:free' });
+  pipeline.addStep({ name: 'Processing', service: service('processing'), model: 'google/gemini-2.0-pro-exp-02-05:free' });
+  return pipeline;
+};
+
+describe('Record and replay', () => {
+  let fixtureDir: string;
+
+  beforeEach(() => {
+    fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(fixtureDir, { recursive: true, force: true });
+  });
+
+  it('should replay a recorded processing pipeline run without the live model', async () => {
+    const model = new ScriptedModel();
+    const recorded = await buildPipeline(() => new RecordingAIService(model, fixtureDir)).execute('Explain photosynthesis');
+
+    const replay = new ReplayAIService(fixtureDir);
+    // Step IDs carry the time, so the replayed run sends different prompts that fingerprint the same
+    const replayed = await buildPipeline(() => replay).execute('Explain photosynthesis');
+
+    expect(replayed.success).to.equal(true);
+    expect(model.calls).to.equal(2);
+    expect(replayed.intermediateResults).to.deep.equal(recorded.intermediateResults);
+    expect(await replay.getUnusedFixtures()).to.deep.equal([]);
+  });
+
+  it('should replay the model calls of the thinking engine', async () => {
+    const tokenOptimizer = TokenOptimizerImpl.getInstance();
+    const run = async (service: any) => {
+      const engine = new ThinkingEngine(mcpConfig, tokenOptimizer, strategySelector, service);
+      const result = await engine.processProblem('Reduce checkout latency', mcpConfig.defaultModel, { maxSteps: 3 });
+      return result.steps.map(step => ({ description: step.description, reasoning: step.reasoning }));
+    };
+
+    const recorded = await run(new RecordingAIService(new ScriptedModel(), fixtureDir));
+    const replay = new ReplayAIService(fixtureDir);
+
+    expect(recorded.length).to.equal(2);
+    expect(await run(replay)).to.deep.equal(recorded);
+    expect(await replay.getUnusedFixtures()).to.deep.equal([]);
+  });
+
+  it('should run the MCPProcessor code analysis of the thinking service without any model call', async () => {
+    const replay = new ReplayAIService(fixtureDir);
+    const thinkingService = new ThinkingServiceImpl(ServiceFactory, TokenOptimizerImpl.getInstance(), mcpConfig, replay);
+
+    const result = await thinkingService.processThinking({
+      problem: 'Refactor this function',
+      context: { fileContent: '// TODO: handle errors\nconst retries = 42;' }
+    });
+
+    expect(result.metrics.codeAnalysis?.suggestionsCount).to.equal(2);
+    expect(result.insights.map(insight => insight.suggestion)).to.include('Implement or fix TODO/FIXME comments');
+  });
+
+  it('should record and replay streamed chunks', async () => {
+    const recorder = new RecordingAIService(new ScriptedModel(), fixtureDir);
+    const recordedTokens: string[] = [];
+    const request = { prompt: 'Stream this', model: 'google/gemini-2.0-pro-exp-02-05:free' };
+    await recorder.query(request, { enableStreaming: true, onToken: (token: string) => recordedTokens.push(token) });
+    const recordedStream: string[] = [];
+    for await (const chunk of recorder.createResponseStream({ inputs: 'leaf' })) {
+      recordedStream.push(chunk);
+    }
+
+    const replay = new ReplayAIService(fixtureDir);
+    const replayedTokens: string[] = [];
+    await replay.query(request, { enableStreaming: true, onToken: (token: string) => replayedTokens.push(token) });
+    const replayedStream: string[] = [];
+    for await (const chunk of replay.createResponseStream({ inputs: 'leaf' })) {
+      replayedStream.push(chunk);
+    }
+
+    expect(replayedTokens).to.deep.equal(recordedTokens);
+    expect(replayedStream).to.deep.equal(['Photosynthesis ', 'turns light into 4 units of sugar']);
+  });
+
+  it('should detect stale fixtures', async () => {
+    const recorder = new RecordingAIService(new ScriptedModel(), fixtureDir);
+    await recorder.query({ prompt: 'Original prompt', model: 'o1-mini' });
+    await recorder.query({ prompt: 'Prompt the code no longer sends', model: 'o1-mini' });
+
+    const replay = new ReplayAIService(fixtureDir);
+    let error: unknown = null;
+    try {
+      await replay.query({ prompt: 'Changed prompt', model: 'o1-mini' });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).to.be.instanceOf(StaleFixtureError);
+    expect((error as Error).message).to.include('record them again');
+
+    // A fixture edited by hand no longer matches its fingerprint
+    const [file] = fs.readdirSync(fixtureDir);
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+    fixture.request.data.prompt = 'Edited prompt';
+    fs.writeFileSync(path.join(fixtureDir, file), JSON.stringify(fixture));
+
+    const stale = await findStaleFixtures(fixtureDir);
+    expect(stale).to.deep.equal([{ fingerprint: file.replace('.json', ''), reason: 'its request no longer matches its fingerprint' }]);
+    expect((await findStaleFixtures(fixtureDir, -1)).length).to.equal(2);
+    expect((await replay.getUnusedFixtures()).length).to.equal(2);
+  });
+});
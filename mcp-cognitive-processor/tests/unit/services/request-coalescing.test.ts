@@ -0,0 +1,116 @@
+import { expect } from 'chai';
+import { coalesce, getCoalescingStats } from '../../../src/services/requestCoalescingService';
+
+const deferred = <T>() => {
+  let resolve!: (value: T) => void;
+  let reject!: (error: Error) => void;
+  const promise = new Promise<T>((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('Request coalescing', () => {
+  it('should run identical concurrent requests once and share the result', async () => {
+    const pending = deferred<string>();
+    let runs = 0;
+    const run = () => {
+      runs++;
+      return pending.promise;
+    };
+
+    const first = coalesce('test_share', 'key', run);
+    const second = coalesce('test_share', 'key', run);
+    const other = coalesce('test_share', 'other', async () => 'other');
+    pending.resolve('result');
+
+    expect(await first).to.deep.equal({ result: 'result', coalesced: false });
+    expect(await second).to.deep.equal({ result: 'result', coalesced: true });
+    expect((await other).coalesced).to.equal(false);
+    expect(runs).to.equal(1);
+    expect(getCoalescingStats().byScope.test_share).to.deep.equal({ calls: 3, coalesced: 1 });
+  });
+
+  it('should share errors and release the key once the request settles', async () => {
+    const pending = deferred<string>();
+    const first = coalesce('test_errors', 'key', () => pending.promise);
+    const second = coalesce('test_errors', 'key', async () => 'unused');
+    pending.reject(new Error('failed'));
+
+    for (const call of [first, second]) {
+      const error = await call.then(() => null, (err: Error) => err);
+      expect(error?.message).to.equal('failed');
+    }
+
+    expect(await coalesce('test_errors', 'key', async () => 'retried')).to.deep.equal({ result: 'retried', coalesced: false });
+    expect(getCoalescingStats().inFlight).to.equal(0);
+  });
+
+  it('should abort the shared computation only once every caller has cancelled', async () => {
+    const pending = deferred<string>();
+    let runSignal!: AbortSignal;
+    const run = (signal: AbortSignal) => {
+      runSignal = signal;
+      return pending.promise;
+    };
+
+    const firstCaller = new AbortController();
+    const secondCaller = new AbortController();
+    const first = coalesce('test_cancel', 'key', run, firstCaller.signal);
+    const second = coalesce('test_cancel', 'key', run, secondCaller.signal);
+
+    firstCaller.abort();
+    expect(runSignal.aborted).to.equal(false);
+    secondCaller.abort();
+    expect(runSignal.aborted).to.equal(true);
+
+    pending.resolve('partial');
+    expect((await first).result).to.equal('partial');
+    expect((await second).result).to.equal('partial');
+  });
+
+  it('should start a fresh computation once every caller of the previous one has cancelled', async () => {
+    const pending = deferred<string>();
+    const caller = new AbortController();
+    const abandoned = coalesce('test_restart', 'key', () => pending.promise, caller.signal);
+    caller.abort();
+
+    expect(getCoalescingStats().inFlight).to.equal(0);
+    expect(await coalesce('test_restart', 'key', async () => 'fresh')).to.deep.equal({ result: 'fresh', coalesced: false });
+
+    const next = deferred<string>();
+    const current = coalesce('test_restart', 'key', () => next.promise);
+    pending.resolve('stale');
+    await abandoned;
+    const joined = coalesce('test_restart', 'key', async () => 'unused');
+    next.resolve('current');
+
+    expect(await current).to.deep.equal({ result: 'current', coalesced: false });
+    expect(await joined).to.deep.equal({ result: 'current', coalesced: true });
+  });
+
+  it('should report progress to every caller still waiting on the shared computation', async () => {
+    const pending = deferred<string>();
+    let report!: (progress: number) => void;
+    const run = (_: AbortSignal, reportProgress: (progress: number) => void) => {
+      report = reportProgress;
+      return pending.promise;
+    };
+
+    const firstProgress: number[] = [];
+    const secondProgress: number[] = [];
+    const secondCaller = new AbortController();
+    const first = coalesce('test_progress', 'key', run, undefined, (progress: number) => firstProgress.push(progress));
+    const second = coalesce('test_progress', 'key', run, secondCaller.signal, (progress: number) => secondProgress.push(progress));
+
+    report(1);
+    secondCaller.abort();
+    report(2);
+    pending.resolve('done');
+    await Promise.all([first, second]);
+
+    expect(firstProgress).to.deep.equal([1, 2]);
+    expect(secondProgress).to.deep.equal([1]);
+  });
+});
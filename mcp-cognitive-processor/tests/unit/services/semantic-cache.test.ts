@@ -0,0 +1,99 @@
+import { expect } from 'chai';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { closeCacheStore, storeCache } from '../../../src/services/cacheService';
+import { cosineSimilarity, embedText } from '../../../src/services/embeddingService';
+import { processStructuredThinking } from '../../../src/services/intelligenceService';
+import { closeMemoryStore } from '../../../src/services/memoryService';
+import { findSimilarCached, getSemanticCacheStats, recordCachedPrompt } from '../../../src/services/semanticCacheService';
+
+describe('Semantic cache', () => {
+  const thresholds = mcpConfig.semanticCache.thresholds;
+  const scope = { model: 'test-model', systemPrompt: 'Answer briefly.', namespace: 'semantic-cache' };
+  const prompt = 'How should we cache responses of a read heavy product catalogue API?';
+  const similarPrompt = 'How should we cache responses of a read heavy product catalog API?';
+  let similarity: number;
+
+  before(async () => {
+    similarity = cosineSimilarity(await embedText(prompt), await embedText(similarPrompt));
+    await storeCache('semantic_test_cache', 'catalogue', JSON.stringify({ answer: 'Use a CDN' }));
+    await recordCachedPrompt('semantic_test_cache', 'catalogue', prompt, scope);
+  });
+
+  afterEach(() => {
+    mcpConfig.semanticCache.thresholds = { ...thresholds };
+  });
+
+  after(async () => {
+    await closeCacheStore();
+    await closeMemoryStore();
+  });
+
+  it('should reuse a response only when the prompt reaches the similarity threshold', async () => {
+    expect(similarity).to.be.lessThan(1);
+
+    mcpConfig.semanticCache.thresholds = { ...thresholds, semantic_test_cache: similarity };
+    const hit = await findSimilarCached('semantic_test_cache', similarPrompt, scope);
+    expect(hit?.cacheKey).to.equal('catalogue');
+    expect(hit?.similarity).to.be.closeTo(similarity, 1e-9);
+    expect(JSON.parse(hit?.result.response as string)).to.deep.equal({ answer: 'Use a CDN' });
+
+    mcpConfig.semanticCache.thresholds = { ...thresholds, semantic_test_cache: (similarity + 1) / 2 };
+    expect(await findSimilarCached('semantic_test_cache', similarPrompt, scope)).to.equal(null);
+  });
+
+  it('should reuse a response for a reworded prompt with the configured threshold', async () => {
+    const generationScope = { ...scope, namespace: 'semantic-cache-defaults' };
+    await storeCache('generation_cache', 'linked-list', JSON.stringify({ answer: 'Iterate and flip the links' }));
+    await recordCachedPrompt('generation_cache', 'linked-list', 'Write a Python function to reverse a linked list', generationScope);
+
+    const hit = await findSimilarCached('generation_cache', 'Write a Python function that reverses a linked list', generationScope);
+    expect(hit?.cacheKey).to.equal('linked-list');
+    expect(hit?.similarity).to.be.at.least(thresholds.generation_cache);
+
+    expect(await findSimilarCached('generation_cache', 'Suggest a recipe for a chocolate cake with strawberries', generationScope)).to.equal(null);
+  });
+
+  it('should only reuse responses produced with the same settings', async () => {
+    expect(await findSimilarCached('semantic_test_cache', prompt, scope)).to.not.equal(null);
+
+    for (const other of [
+      { ...scope, model: 'other-model' },
+      { ...scope, systemPrompt: 'Answer at length.' },
+      { ...scope, namespace: 'other-project' },
+      { ...scope, maxTokens: 100 }
+    ]) {
+      expect(await findSimilarCached('semantic_test_cache', prompt, other)).to.equal(null);
+    }
+  });
+
+  it('should keep every prompt recorded concurrently and drop expired ones', async () => {
+    const prompts = Array.from({ length: 5 }, (_, index) => `Concurrent prompt number ${index} about caching`);
+    await Promise.all(prompts.map(async (text, index) => {
+      await storeCache('semantic_concurrent_cache', `key-${index}`, JSON.stringify({ index }));
+      await recordCachedPrompt('semantic_concurrent_cache', `key-${index}`, text, scope);
+    }));
+    expect((await getSemanticCacheStats()).byType.semantic_concurrent_cache.entries).to.equal(5);
+
+    // The response of this prompt was never cached, so the lookup drops it while another prompt is recorded
+    await recordCachedPrompt('semantic_concurrent_cache', 'missing', 'A prompt whose response has expired', scope);
+    await Promise.all([
+      findSimilarCached('semantic_concurrent_cache', 'A prompt whose response has expired', scope),
+      recordCachedPrompt('semantic_concurrent_cache', 'key-5', 'One more prompt about caching', scope)
+    ]);
+    expect((await getSemanticCacheStats()).byType.semantic_concurrent_cache.entries).to.equal(6);
+  });
+
+  it('should skip similar prompts when the caller bypasses the semantic cache', async () => {
+    mcpConfig.semanticCache.thresholds = { ...thresholds, thinking_cache: similarity };
+    const request = { prompt, systemPrompt: 'Think it through.', model: 'internal-processor', namespace: 'semantic-cache' };
+
+    const first = await processStructuredThinking(request);
+    const reused = await processStructuredThinking({ ...request, prompt: similarPrompt });
+    const bypassed = await processStructuredThinking({ ...request, prompt: similarPrompt, bypassSemanticCache: true });
+
+    expect(first.smartCached).to.equal(undefined);
+    expect(reused.smartCached).to.equal(true);
+    expect(JSON.parse(reused.response).conclusion).to.equal(JSON.parse(first.response).conclusion);
+    expect(bypassed.smartCached).to.equal(undefined);
+  });
+});
@@ -0,0 +1,110 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { SqliteMemoryStore } from '../../../src/services/storage/SqliteMemoryStore';
+import { migrateLegacyMemory } from '../../../src/services/storage/legacyMemoryMigration';
+import { MemoryItem } from '../../../src/models/types';
+
+const makeItem = (id: string, content: string, connections: string[] = []): MemoryItem => ({
+  id,
+  content,
+  type: 'semantic',
+  timestamp: new Date().toISOString(),
+  importance: 0.5,
+  connections
+});
+
+describe('SqliteMemoryStore', () => {
+  let dir: string;
+  let store: SqliteMemoryStore;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+    store = new SqliteMemoryStore(path.join(dir, 'memory.db'));
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should round-trip items with their connections, edges and vectors', async () => {
+    const source = {
+      ...makeItem('a', 'Use connection pooling', ['b', 'c']),
+      edges: [{ target: 'b', relation: 'causes', weight: 0.7 }]
+    };
+    await store.write({
+      items: [source, makeItem('b', 'Slow queries'), makeItem('c', 'Timeouts')],
+      vectors: [{ itemId: 'a', vector: [0.1, -0.25, 1 / 3], model: 'test', created: source.timestamp }]
+    });
+
+    const items = await store.loadItems();
+    const loaded = items.find(item => item.id === 'a') as MemoryItem;
+    expect(loaded.connections).to.deep.equal(['b', 'c']);
+    expect(loaded.edges).to.deep.equal([{ target: 'b', relation: 'causes', weight: 0.7 }]);
+
+    const [vector] = await store.loadVectors();
+    expect(vector.vector).to.deep.equal([0.1, -0.25, 1 / 3]);
+  });
+
+  it('should delete vectors and outgoing edges with their item', async () => {
+    await store.write({
+      items: [makeItem('a', 'First', ['b']), makeItem('b', 'Second')],
+      vectors: [{ itemId: 'a', vector: [1], created: new Date().toISOString() }]
+    });
+    await store.write({ deleteIds: ['a'] });
+
+    expect((await store.loadItems()).map(item => item.id)).to.deep.equal(['b']);
+    expect(await store.loadVectors()).to.be.empty;
+    expect(await store.searchText('first', 5)).to.be.empty;
+  });
+
+  it('should find items by full-text search', async () => {
+    await store.write({
+      items: [makeItem('a', 'Error ERR_CONN_RESET when caching responses'), makeItem('b', 'Unrelated note')]
+    });
+
+    const matches = await store.searchText('err_conn_reset (caching)', 5);
+    expect(matches.map(match => match.id)).to.deep.equal(['a']);
+  });
+
+  it('should ignore stop words and score only the requested items', async () => {
+    await store.write({
+      items: [makeItem('a', 'The cache stores responses'), makeItem('b', 'Caching of the embeddings')]
+    });
+
+    expect(await store.searchText('the of and', 5)).to.be.empty;
+    expect((await store.searchText('the cache', 5)).map(match => match.id)).to.have.members(['a', 'b']);
+    expect((await store.searchText('the cache', 5, ['b'])).map(match => match.id)).to.deep.equal(['b']);
+  });
+
+  it('should number history entries per item and keep them after deletion', async () => {
+    const item = makeItem('a', 'First version');
+    await store.write({ items: [item] });
+    await store.write({
+      items: [{ ...item, content: 'Second version' }],
+      history: [{ itemId: 'a', action: 'update', timestamp: item.timestamp, changedFields: ['content'], previous: item }]
+    });
+    await store.write({
+      deleteIds: ['a'],
+      history: [{ itemId: 'a', action: 'delete', timestamp: item.timestamp, changedFields: [], previous: item }]
+    });
+
+    const history = await store.loadHistory('a');
+    expect(history.map(entry => [entry.revision, entry.action])).to.deep.equal([[1, 'update'], [2, 'delete']]);
+    expect(history[0].previous?.content).to.equal('First version');
+  });
+
+  it('should migrate the legacy JSON layout once', async () => {
+    fs.writeFileSync(path.join(dir, 'memory.json'), JSON.stringify([makeItem('a', 'Old content')]));
+    fs.mkdirSync(path.join(dir, 'memory'));
+    fs.writeFileSync(path.join(dir, 'memory', 'a.json'), JSON.stringify(makeItem('a', 'Newer content')));
+    fs.mkdirSync(path.join(dir, 'vectors'));
+    fs.writeFileSync(path.join(dir, 'vectors', 'a.json'), JSON.stringify({ itemId: 'a', vector: [1, 0], created: 'x' }));
+
+    expect(await migrateLegacyMemory(store, dir)).to.deep.equal({ items: 1, vectors: 1 });
+    expect((await store.loadItems())[0].content).to.equal('Newer content');
+    expect(await migrateLegacyMemory(store, dir)).to.equal(null);
+  });
+});
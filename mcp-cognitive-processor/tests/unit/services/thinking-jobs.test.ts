@@ -0,0 +1,79 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import { mcpConfig } from '../../../src/config/mcp-config';
+import { ServiceFactory } from '../../../src/factories/ServiceFactory';
+import { ThinkingJobRecord } from '../../../src/models/types';
+import { OfflineAIService } from '../../../src/services/OfflineAIService';
+import { ThinkingServiceImpl } from '../../../src/services/ThinkingServiceImpl';
+import { TokenOptimizerImpl } from '../../../src/utils/TokenOptimizerImpl';
+
+const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Background thinking jobs', () => {
+  const thinkingDir = path.join(process.env.MCP_DB_DIR as string, 'thinking');
+  // A new instance stands in for the server after a restart
+  const createService = () => new ThinkingServiceImpl(ServiceFactory as any, TokenOptimizerImpl.getInstance(), mcpConfig, new OfflineAIService());
+  const readJobFile = (processId: string): ThinkingJobRecord =>
+    JSON.parse(fs.readFileSync(path.join(thinkingDir, `${processId}.json`), 'utf8'));
+
+  it('should return a process ID straight away and persist the finished job', async () => {
+    const service = createService();
+    const { processId, status } = await service.startThinkingProcess({ problem: 'How should a small team split a monolith into services?' });
+    expect(status).to.equal('in_progress');
+
+    let progress = await service.getThinkingProgress(processId);
+    for (let attempt = 0; progress.status === 'in_progress' && attempt < 200; attempt++) {
+      await delay(25);
+      progress = await service.getThinkingProgress(processId);
+    }
+    expect(progress.status).to.equal('completed');
+    expect(progress.progress).to.equal(100);
+
+    // The final write can land just after the status changes in memory
+    let stored = readJobFile(processId);
+    for (let attempt = 0; stored.status === 'in_progress' && attempt < 200; attempt++) {
+      await delay(25);
+      stored = readJobFile(processId);
+    }
+    expect(stored.status).to.equal('completed');
+    expect(stored.steps.length).to.equal(progress.steps.length);
+
+    const restarted = await createService().getThinkingResult(processId);
+    expect(restarted.status).to.equal('completed');
+    expect(restarted.steps).to.deep.equal(stored.steps);
+    expect(restarted.offline).to.equal(true);
+  });
+
+  it('should mark a job that was running when the server stopped as interrupted', async () => {
+    const processId = 'interrupted-job';
+    const startedAt = new Date().toISOString();
+    fs.mkdirSync(thinkingDir, { recursive: true });
+    fs.writeFileSync(path.join(thinkingDir, `${processId}.json`), JSON.stringify({
+      processId,
+      problem: 'A problem that never finished',
+      model: 'standard',
+      status: 'in_progress',
+      progress: 40,
+      steps: [],
+      startedAt,
+      timestamp: startedAt,
+      duration: 0
+    }));
+
+    const progress = await createService().getThinkingProgress(processId);
+    expect(progress).to.include({ status: 'error', progress: 40, error: 'Interrupted by a server restart' });
+    expect(readJobFile(processId)).to.include({ status: 'error', error: 'Interrupted by a server restart' });
+  });
+
+  it('should reject unknown process IDs and invalid problems', async () => {
+    const service = createService();
+
+    for (const processId of ['missing-job', '../thinking/escape']) {
+      const error = await service.getThinkingProgress(processId).catch(caught => caught);
+      expect(error.message).to.equal(`Process not found: ${processId}`);
+    }
+    const error = await service.startThinkingProcess({ problem: '   ' }).catch(caught => caught);
+    expect(error.message).to.equal('Problem cannot be empty');
+  });
+});
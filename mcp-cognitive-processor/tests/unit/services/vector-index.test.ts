@@ -0,0 +1,51 @@
+import { expect } from 'chai';
+import * as fs from 'fs';
+import * as path from 'path';
+import { embedText } from '../../../src/services/embeddingService';
+import { loadVectorIndex, persistVectorIndex, rebuildVectorIndex } from '../../../src/services/vectorIndexService';
+
+describe('Vector index persistence', () => {
+  const name = 'vector-index-test';
+  const indexFile = path.join(process.env.MCP_DB_DIR as string, 'vectors', 'index', `${name}.hnsw.json`);
+  const readChecksum = (): string => JSON.parse(fs.readFileSync(indexFile, 'utf8')).checksum;
+  const vectors = new Map<string, number[]>();
+
+  before(async () => {
+    const topics = ['database replication', 'frontend rendering', 'payment retries', 'log retention', 'cache warmup'];
+    for (const [position, topic] of topics.entries()) {
+      vectors.set(`doc-${position}`, await embedText(`Notes about ${topic}`));
+    }
+  });
+
+  it('should restore a saved index and rebuild it when a stored vector was replaced', async () => {
+    await rebuildVectorIndex(name, vectors);
+    const saved = readChecksum();
+
+    const restored = await loadVectorIndex(name, vectors);
+    expect(restored.size).to.equal(vectors.size);
+    expect(readChecksum()).to.equal(saved);
+
+    // Same number of vectors, but one now has different content
+    const replacement = await embedText('Notes about incident response');
+    vectors.set('doc-2', replacement);
+    const reloaded = await loadVectorIndex(name, vectors);
+
+    expect(readChecksum()).to.not.equal(saved);
+    expect(reloaded.search(replacement, 1)[0]).to.deep.include({ id: 'doc-2' });
+    expect(reloaded.search(replacement, 1)[0].similarity).to.be.closeTo(1, 1e-9);
+  });
+
+  it('should restore incremental updates written to disk', async () => {
+    const index = await loadVectorIndex(name, vectors);
+    const added = await embedText('Notes about feature flags');
+    vectors.set('doc-5', added);
+    index.add('doc-5', added);
+    await persistVectorIndex(name);
+    const saved = readChecksum();
+
+    const reloaded = await loadVectorIndex(name, vectors);
+    expect(reloaded.size).to.equal(6);
+    expect(reloaded.search(added, 1)[0].id).to.equal('doc-5');
+    expect(readChecksum()).to.equal(saved);
+  });
+});
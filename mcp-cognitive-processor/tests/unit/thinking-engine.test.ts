@@ -0,0 +1,111 @@
+import { expect } from 'chai';
+import { mcpConfig } from '../../src/config/mcp-config';
+import { ThinkingEngine } from '../../src/core/ThinkingEngine';
+import { ThinkingProgress } from '../../src/models/types';
+import { TokenOptimizerImpl } from '../../src/utils/TokenOptimizerImpl';
+
+/**
+ * Stands in for a model: answers each call with the next step and honours the abort signal
+ * The call numbered stallAt does not answer until it is aborted.
+ */
+class StubModel {
+  calls = 0;
+  abortedCalls = 0;
+  stalled: Promise<void>;
+  private markStalled!: () => void;
+
+  constructor(private readonly stallAt?: number) {
+    this.stalled = new Promise(resolve => { this.markStalled = resolve; });
+  }
+
+  async query(data: any): Promise<any> {
+    this.calls++;
+    const signal: AbortSignal | undefined = data.signal;
+    if (signal?.aborted) {
+      throw new Error('Request aborted');
+    }
+
+    if (this.calls === this.stallAt) {
+      this.markStalled();
+      return new Promise((_, reject) => {
+        signal?.addEventListener('abort', () => {
+          this.abortedCalls++;
+          reject(new Error('Request aborted'));
+        });
+      });
+    }
+
+    return {
+      response: JSON.stringify({
+        steps: [{ description: `Step ${this.calls}`, reasoning: `Reasoning for step ${this.calls}` }],
+        confidence: 0.8,
+        shouldContinue: true
+      })
+    };
+  }
+}
+
+const strategySelector = {
+  selectReasoningSystem: async () => ({ name: 'default', description: 'Default', implementation: 'default' })
+};
+
+describe('Thinking engine', () => {
+  const tokenOptimizer = TokenOptimizerImpl.getInstance();
+  const createEngine = (model: StubModel) => new ThinkingEngine(mcpConfig, tokenOptimizer, strategySelector, model);
+
+  before(async () => {
+    await tokenOptimizer.init();
+  });
+
+  it('should report progress after each completed step', async () => {
+    const progress: ThinkingProgress[] = [];
+    const result = await createEngine(new StubModel()).processProblem('Reduce checkout latency', mcpConfig.defaultModel, {
+      maxSteps: 3,
+      onProgress: update => progress.push(update)
+    });
+
+    expect(result.cancelled).to.equal(false);
+    expect(result.steps.map(step => step.description)).to.deep.equal(['Step 1', 'Step 2', 'Step 3']);
+    expect(progress.map(update => [update.step, update.maxSteps, update.description, update.phase])).to.deep.equal([
+      [1, 3, 'Step 1', 'execution'],
+      [2, 3, 'Step 2', 'execution'],
+      [3, 3, 'Step 3', 'execution']
+    ]);
+    expect(progress[2].tokensUsed).to.be.greaterThan(progress[0].tokensUsed);
+  });
+
+  it('should stop after the current step and keep the completed steps when cancelled', async () => {
+    const model = new StubModel();
+    const controller = new AbortController();
+    const result = await createEngine(model).processProblem('Reduce checkout latency', mcpConfig.defaultModel, {
+      maxSteps: 5,
+      signal: controller.signal,
+      onProgress: update => {
+        if (update.step === 2) controller.abort();
+      }
+    });
+
+    expect(result.cancelled).to.equal(true);
+    expect(result.steps.map(step => step.description)).to.deep.equal(['Step 1', 'Step 2']);
+    expect(result.stateMetrics?.finalState).to.equal('cancelled');
+    expect(model.calls).to.equal(2);
+  });
+
+  it('should abort the model call in flight and drop the interrupted step', async () => {
+    const model = new StubModel(2);
+    const controller = new AbortController();
+    const processing = createEngine(model).processProblem('Reduce checkout latency', mcpConfig.defaultModel, {
+      maxSteps: 5,
+      signal: controller.signal
+    });
+
+    await model.stalled;
+    controller.abort();
+    const result = await processing;
+
+    expect(model.abortedCalls).to.equal(1);
+    expect(result.cancelled).to.equal(true);
+    expect(result.steps.map(step => step.description)).to.deep.equal(['Step 1']);
+    expect(model.calls).to.equal(2);
+  });
+});
@@ -0,0 +1,67 @@
+import { expect } from 'chai';
+import { ErrorCode, McpError } from '@modelcontextprotocol/sdk/types.js';
+import { assertValidToolArguments, createToolError, validateToolArguments, ToolInputSchema } from '../../src/utils/toolValidation';
+
+const schema: ToolInputSchema = {
+  type: 'object',
+  properties: {
+    systems: { type: 'array', items: { type: 'string', enum: ['cache', 'memory'] } },
+    importance: { type: 'number', minimum: 0, maximum: 1 },
+    weights: { type: 'object', properties: { vector: { type: 'number' } } },
+  },
+  required: ['systems'],
+};
+
+describe('Tool argument validation', () => {
+  it('should accept arguments that match the schema', () => {
+    expect(validateToolArguments(schema, { systems: ['cache'], importance: 0.5, extra: true })).to.deep.equal([]);
+  });
+
+  it('should report every invalid field with its path', () => {
+    const errors = validateToolArguments(schema, { systems: ['cache', 'disk'], importance: 2, weights: { vector: 'high' } });
+
+    expect(errors).to.deep.equal([
+      { path: 'systems[1]', message: 'must be one of: cache, memory' },
+      { path: 'importance', message: 'must be at most 1' },
+      { path: 'weights.vector', message: 'must be number, got string' },
+    ]);
+  });
+
+  it('should reject blank strings and arguments missing every alternative', () => {
+    const updateSchema: ToolInputSchema = {
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '\\S' }, content: { type: 'string' }, importance: { type: 'number' } },
+      required: ['id'],
+      anyOf: [{ required: ['content'] }, { required: ['importance'] }],
+    };
+
+    expect(validateToolArguments(updateSchema, { id: 'a', importance: 0.5 })).to.deep.equal([]);
+    expect(validateToolArguments(updateSchema, { id: '  ' })).to.deep.equal([
+      { path: 'arguments', message: 'must include at least one of: content, importance' },
+      { path: 'id', message: 'must match the pattern \\S' },
+    ]);
+  });
+
+  it('should treat missing arguments as an empty object', () => {
+    expect(() => assertValidToolArguments('perform_maintenance', schema, undefined)).to.throw('systems is required');
+  });
+
+  it('should carry the code and fields of invalid arguments into the error envelope', () => {
+    let thrown: unknown;
+    try {
+      assertValidToolArguments('perform_maintenance', schema, { systems: 'cache' });
+    } catch (error) {
+      thrown = error;
+    }
+
+    const { error } = createToolError('perform_maintenance', thrown);
+    expect(error.code).to.equal(ErrorCode.InvalidParams);
+    expect(error.message).to.equal('Invalid arguments for perform_maintenance: systems must be array, got string');
+    expect(error.fields).to.deep.equal([{ path: 'systems', message: 'must be array, got string' }]);
+
+    const internal = createToolError('get_thinking_status', new Error('Process not found: x')).error;
+    expect(internal.code).to.equal(ErrorCode.InternalError);
+    expect(internal.fields).to.equal(undefined);
+    expect(createToolError('x', new McpError(ErrorCode.InvalidParams, 'Bad input')).error.message).to.equal('Bad input');
+  });
+});
@@ -0,0 +1,147 @@
+import { expect } from 'chai';
+import * as http from 'http';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { getTransportOptions, startHttpTransport, HttpTransportHandle } from '../../../src/transport/httpTransport';
+
+describe('HTTP transport', () => {
+  describe('getTransportOptions', () => {
+    it('should default to stdio', () => {
+      expect(getTransportOptions([], {})).to.deep.equal({ transport: 'stdio', port: 3000, host: '127.0.0.1' });
+    });
+
+    it('should prefer command line flags over environment variables', () => {
+      const options = getTransportOptions(
+        ['--transport', 'http', '--port=8080'],
+        { MCP_TRANSPORT: 'stdio', MCP_HTTP_PORT: '9000', MCP_HTTP_HOST: '0.0.0.0' }
+      );
+      expect(options).to.deep.equal({ transport: 'http', port: 8080, host: '0.0.0.0' });
+    });
+
+    it('should reject unknown transports and invalid ports', () => {
+      expect(() => getTransportOptions(['--transport', 'carrier-pigeon'], {})).to.throw('Unknown transport');
+      expect(() => getTransportOptions([], { MCP_HTTP_PORT: 'eighty' })).to.throw('Invalid HTTP port');
+    });
+
+    it('should read comma separated allowed hosts and origins', () => {
+      const options = getTransportOptions(
+        ['--allowed-origins', 'http://localhost:6274'],
+        { MCP_HTTP_ALLOWED_HOSTS: 'mcp.internal, 10.0.0.5', MCP_HTTP_ALLOWED_ORIGINS: 'https://example.com' }
+      );
+      expect(options.allowedHosts).to.deep.equal(['mcp.internal', '10.0.0.5']);
+      expect(options.allowedOrigins).to.deep.equal(['http://localhost:6274']);
+    });
+  });
+
+  describe('sessions', () => {
+    let handle: HttpTransportHandle;
+    let servers: number;
+
+    beforeEach(async () => {
+      servers = 0;
+      handle = await startHttpTransport({ port: 0, host: '127.0.0.1' }, () => {
+        // Each session reports which server instance answered it
+        const instance = ++servers;
+        const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } });
+        server.setRequestHandler(ListToolsRequestSchema, async () => ({
+          tools: [{ name: `server_${instance}`, inputSchema: { type: 'object' as const } }]
+        }));
+        return server;
+      });
+    });
+
+    afterEach(async () => {
+      await handle.close();
+    });
+
+    // fetch() does not let callers set the Host header
+    const get = (
+      path: string,
+      headers: http.OutgoingHttpHeaders = {},
+      baseUrl = handle.url
+    ): Promise<{ status: number; body: any }> =>
+      new Promise((resolve, reject) => {
+        http.get(`${baseUrl}${path}`, { headers }, res => {
+          let body = '';
+          res.on('data', chunk => { body += chunk; });
+          res.on('end', () => resolve({ status: res.statusCode || 0, body: JSON.parse(body) }));
+        }).on('error', reject);
+      });
+
+    const connect = async (): Promise<Client> => {
+      const client = new Client({ name: 'test-client', version: '1.0.0' });
+      await client.connect(new SSEClientTransport(new URL(`${handle.url}/sse`)));
+      return client;
+    };
+
+    it('should give concurrent sessions their own server', async () => {
+      const [first, second] = await Promise.all([connect(), connect()]);
+      const names = await Promise.all([first, second].map(async client => (await client.listTools()).tools[0].name));
+
+      expect(names.sort()).to.deep.equal(['server_1', 'server_2']);
+      expect(handle.getSessions().length).to.equal(2);
+      expect(handle.getSessions().every(session => session.messages >= 2)).to.equal(true);
+
+      await Promise.all([first.close(), second.close()]);
+    });
+
+    it('should forget sessions whose client disconnects and reject their messages', async () => {
+      const client = await connect();
+      const [session] = handle.getSessions();
+      await client.close();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(handle.getSessions()).to.deep.equal([]);
+      const response = await fetch(`${handle.url}/messages?sessionId=${session.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', method: 'ping', id: 1 })
+      });
+      expect(response.status).to.equal(404);
+    });
+
+    it('should report session counts on /health without session IDs', async () => {
+      const client = await connect();
+      await client.listTools();
+      const [session] = handle.getSessions();
+
+      const health = await get('/health');
+
+      expect(health.status).to.equal(200);
+      expect(health.body).to.include({ status: 'ok', sessions: 1, messages: session.messages });
+      expect(health.body.lastActivity).to.equal(session.lastActivity);
+      expect(JSON.stringify(health.body)).to.not.include(session.id);
+
+      await client.close();
+    });
+
+    it('should reject requests addressed to other host names or from other origins', async () => {
+      const port = new URL(handle.url).port;
+
+      expect((await get('/health', { Host: `attacker.example:${port}` })).status).to.equal(403);
+      expect((await get('/health', { Origin: 'https://attacker.example' })).status).to.equal(403);
+      expect((await get('/sse', { Origin: 'https://attacker.example' })).status).to.equal(403);
+      expect((await get('/health', { Host: `localhost:${port}`, Origin: `http://localhost:${port}` })).status).to.equal(200);
+    });
+
+    it('should accept configured hosts and origins', async () => {
+      const configured = await startHttpTransport(
+        { port: 0, host: '127.0.0.1', allowedHosts: ['mcp.internal'], allowedOrigins: ['http://localhost:6274'] },
+        () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} })
+      );
+      const port = new URL(configured.url).port;
+      const status = async (headers: http.OutgoingHttpHeaders): Promise<number> =>
+        (await get('/health', headers, configured.url)).status;
+
+      try {
+        expect(await status({ Host: `mcp.internal:${port}` })).to.equal(200);
+        expect(await status({ Origin: 'http://localhost:6274' })).to.equal(200);
+        expect(await status({ Origin: 'http://localhost:6275' })).to.equal(403);
+      } finally {
+        await configured.close();
+      }
+    });
+  });
+});